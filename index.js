@@ -33,11 +33,22 @@ const Messenger = require('./lib/messenger');
 const WebServer = require('./lib/web-server');
 const Scheduler = require('./lib/scheduler');
 const SessionManager = require('./lib/session-manager');
+const SessionQueue = require('./lib/session-queue');
+const { WorktreeManager } = require('./lib/worktree-manager');
 const { SignalProtocol } = require('./lib/signal-protocol');
+const QuestionManager = require('./lib/question-manager');
+const { EventBus, EVENTS } = require('./lib/event-bus');
+const ProjectWatcher = require('./lib/project-watcher');
+const SessionAccounting = require('./lib/session-accounting');
 const GitTracker = require('./lib/git-tracker');
 const ResourceMonitor = require('./lib/resource-monitor');
 const NotificationManager = require('./lib/notification-manager');
 const HealthMonitor = require('./lib/health-monitor');
+const HealthHistory = require('./lib/health-history');
+const IncidentManager = require('./lib/incident-manager');
+const MaintenanceManager = require('./lib/maintenance-manager');
+const ApiTokens = require('./lib/api-tokens');
+const AuditLog = require('./lib/audit-log');
 const { SessionEvaluator } = require('./lib/session-evaluator');
 const RevenueTracker = require('./lib/revenue-tracker');
 const TrustTracker = require('./lib/trust-tracker');
@@ -59,29 +70,53 @@ const scanDb = new ScanDB();
 const scanner = new ProjectScanner(CONFIG.projectsDir, CONFIG.projects, { scanDb });
 const processMonitor = new ProcessMonitor(CONFIG.projectsDir, CONFIG.idleThresholdMinutes);
 const messenger = new Messenger(CONFIG);
+Promise.resolve(messenger.start()).catch(e => log('TRANSPORT', `Listener start error: ${e.message}`));
 const scheduler = new Scheduler(CONFIG);
-const sessionManager = new SessionManager(CONFIG);
+const sessionQueue = new SessionQueue();
+const worktreeManager = new WorktreeManager(CONFIG);
+const resourceMonitor = new ResourceMonitor();
+const sessionManager = new SessionManager(CONFIG, { sessionQueue, worktreeManager, resourceMonitor });
 const signalProtocol = new SignalProtocol(CONFIG.projectsDir);
+const bus = new EventBus({ log });
+const projectWatcher = new ProjectWatcher({
+  projectsDir: CONFIG.projectsDir, projects: CONFIG.projects, bus, signalProtocol,
+  debounceMs: CONFIG.watcher?.debounceMs, log,
+});
+const questionManager = new QuestionManager({ config: CONFIG, sessionManager, signalProtocol });
+const sessionAccounting = new SessionAccounting({ config: CONFIG, sessionManager });
 const gitTracker = new GitTracker();
-const resourceMonitor = new ResourceMonitor();
 const sessionLearner = new SessionLearner({ config: CONFIG });
 
 const sessionEvaluator = new SessionEvaluator({
   gitTracker, state, config: CONFIG, sessionLearner,
 });
 
+const trustTracker = new TrustTracker({ config: CONFIG, state });
 const notificationManager = new NotificationManager({
-  messenger, config: CONFIG, scheduler,
+  messenger, config: CONFIG, scheduler, trustTracker,
+  // Unacknowledged URGENT alerts escalate to email (emailDigest is set up below)
+  escalate: (alert) => emailDigest.sendAlert(alert),
 });
 notificationManager.startBatchTimer();
 
+const healthHistory = CONFIG.health?.history?.enabled !== false
+  ? new HealthHistory({
+    rawRetentionDays: CONFIG.health?.history?.rawRetentionDays,
+    rollupRetentionDays: CONFIG.health?.history?.rollupRetentionDays,
+  })
+  : null;
+const incidents = new IncidentManager();
+const audit = new AuditLog({ state, config: CONFIG });
+const maintenance = new MaintenanceManager({
+  windows: CONFIG.health?.maintenanceWindows,
+  services: (CONFIG.health?.services || []).map(s => s.name),
+});
 const healthMonitor = new HealthMonitor({
-  config: CONFIG, notificationManager, state,
+  config: CONFIG, notificationManager, state, healthHistory, incidents, maintenance, audit,
 });
 
 const revenueTracker = new RevenueTracker({ config: CONFIG });
-const trustTracker = new TrustTracker({ config: CONFIG, state });
-const reminderManager = new ReminderManager({ config: CONFIG, notificationManager });
+const reminderManager = new ReminderManager({ config: CONFIG, notificationManager, scheduler });
 
 // ── Upwork Stack ────────────────────────────────────────────────────────────
 const Database = require('better-sqlite3');
@@ -99,18 +134,31 @@ const upworkSubmitter = new UpworkSubmitter({
   scanner: upworkScanner, db: upworkDb, messenger, notificationManager, config: CONFIG,
 });
 
+function auditAutoApply(job, settings, result, success) {
+  audit.record({
+    actor: 'auto-apply', channel: 'upwork', action: 'apply', target: job.uid,
+    params: { title: job.title, matchScore: job.match_score, threshold: settings.threshold },
+    result, success,
+  });
+}
+
 // ── Email Digest ────────────────────────────────────────────────────────────
-const emailDigest = new EmailDigest({ scanner, healthMonitor, sessionManager, scanDb });
+const emailDigest = new EmailDigest({
+  scanner, healthMonitor, sessionManager, scanDb, questionManager, healthHistory, notificationManager,
+});
 
 // ── Web Dashboard ───────────────────────────────────────────────────────────
 const Commands = require('./lib/commands');
 const commands = new Commands({
   scanner, processMonitor, scheduler, sessionManager, signalProtocol,
-  state, projectNames: CONFIG.projects, messenger, trustTracker,
+  state, projectNames: CONFIG.projects, messenger, trustTracker, questionManager, incidents, maintenance, audit,
+  reminderManager,
 });
+const apiTokens = new ApiTokens();
 const webServer = new WebServer({
   scanner, healthMonitor, sessionManager, state, resourceMonitor,
-  revenueTracker, trustTracker, commands, config: CONFIG, scheduler, scanDb,
+  revenueTracker, trustTracker, commands, config: CONFIG, scheduler, scanDb, healthHistory, incidents,
+  maintenance, notificationManager, apiTokens, audit,
   upworkDb, upworkProposals, upworkSubmitter,
   aiBrain: { getStatus: () => ({ enabled: false }), getLastDecision: () => null },
 });
@@ -122,7 +170,8 @@ const claudeSession = new ClaudeSession({
 });
 
 const smsBridge = new SMSBridge({
-  messenger, claudeSession, state, config: CONFIG, log,
+  messenger, claudeSession, state, config: CONFIG, log, questionManager, incidents, maintenance, audit,
+  notificationManager, reminderManager, sessionManager,
 });
 
 // ── Session Evaluation ──────────────────────────────────────────────────────
@@ -133,6 +182,10 @@ async function evaluateSession(projectName) {
     if (!fs.existsSync(sessionFile)) return;
 
     const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf-8'));
+    // Worktree sessions commit on their own branch; .orchestrator is symlinked back
+    const workDir = sessionData.worktree?.path && fs.existsSync(sessionData.worktree.path)
+      ? sessionData.worktree.path
+      : projectDir;
 
     const evalFile = path.join(projectDir, '.orchestrator', 'evaluation.json');
     if (fs.existsSync(evalFile)) {
@@ -145,11 +198,12 @@ async function evaluateSession(projectName) {
     log('EVAL', `Evaluating session for ${projectName}...`);
     const evaluation = await sessionEvaluator.evaluate({
       projectName: sessionData.projectName || projectName,
-      projectDir,
+      projectDir: workDir,
       sessionName: sessionData.sessionName,
       startedAt: sessionData.startedAt,
       headBefore: sessionData.headBefore || null,
       prompt: sessionData.prompt || '',
+      resources: sessionAccounting.getUsage(projectName),
     });
 
     log('EVAL', `${projectName}: score=${evaluation.score}/5, recommendation=${evaluation.recommendation}`);
@@ -157,7 +211,8 @@ async function evaluateSession(projectName) {
     if (evaluation.score <= 2) {
       notificationManager.notify(
         `Session ${projectName} scored ${evaluation.score}/5: ${evaluation.reasoning.substring(0, 200)}`,
-        NotificationManager.URGENT
+        NotificationManager.URGENT,
+        { category: 'session', alert: false }
       );
     }
   } catch (e) {
@@ -165,12 +220,117 @@ async function evaluateSession(projectName) {
   }
 }
 
+// ── Worktree Finalization ───────────────────────────────────────────────────
+function finalizeWorktree(projectName) {
+  if (!worktreeManager.isEnabled()) return;
+  try {
+    const result = sessionManager.finalizeWorktree(projectName);
+    if (!result.action) return; // No worktree for this session
+    log('WORKTREE', `${projectName}: ${result.action} → ${result.message}`);
+    if (claudeSession.isAlive()) {
+      claudeSession.sendInput(`[SYSTEM] Worktree for ${projectName}: ${result.message}`);
+    }
+  } catch (e) {
+    // Runs after evaluateSession() resolves — a throw here would be an unhandled rejection
+    log('WORKTREE', `Error finalizing ${projectName}: ${e.message}`);
+  }
+}
+
 // ── Proactive Scans (signals, sessions, STATE.md) ───────────────────────────
 let lastScanResults = {};
 let lastSignalState = {};
 
+/**
+ * Inject an attention-needed project into the Claude session, unless it was
+ * already flagged (last scan or alert cooldown).
+ */
+function handleAttention(project, s) {
+  if (!project.needsAttention) return;
+  if (state.wasRecentlyAlerted(s, project.name)) return;
+  if (lastScanResults[project.name]?.needsAttention) return;
+
+  // Inject into Claude session instead of direct SMS
+  if (claudeSession.isAlive()) {
+    let reminders = null;
+    try { reminders = reminderManager.formatForProject(project.name); } catch {} // Reminders are context, not required
+    claudeSession.sendInput(
+      `[SIGNAL] ${project.name} needs attention: ${project.attentionReason}` +
+      (reminders ? `\nReminders for ${project.name}: ${reminders}` : '')
+    );
+  }
+  state.recordAlert(s, project.name, project.attentionReason);
+  log('ALERT', `Injected alert for ${project.name}: ${project.attentionReason}`);
+}
+
+/**
+ * Deliver one child-session signal to the Claude session and archive it.
+ * Called from the poll and from the file watcher — whichever sees it first.
+ */
+function handleSignal(signal, source = 'poll') {
+  if (signal.invalid) {
+    handleRejectedSignal(signal, source);
+    return;
+  }
+
+  const signalKey = `${signal.projectName}:${signal.type}`;
+  if (lastSignalState[signalKey]) return;
+  lastSignalState[signalKey] = true;
+
+  // Questions get an ID and go straight to the user so numbered replies route back
+  if (signal.type === 'needs-input') {
+    signal.questionId = questionManager.record(signal.projectName, signal.data).id;
+  }
+
+  // Inject signal into Claude session
+  const notification = signalProtocol.formatSignalNotification(signal);
+  if (signal.questionId) {
+    // Answered with the question id, not acknowledged
+    notificationManager.notify(notification, NotificationManager.URGENT, { category: 'session', alert: false });
+  }
+  if (claudeSession.isAlive()) {
+    const routed = signal.questionId
+      ? `\n(Already texted to the user as Q${signal.questionId}; their answer is routed to the session automatically.)`
+      : '';
+    claudeSession.sendInput(`[SIGNAL] ${notification}${routed}`);
+  }
+  log('SIGNAL', `${signal.type} from ${signal.projectName} → injected into Claude session (${source})`);
+  signalProtocol.clearSignal(signal.projectName, signal.type);
+
+  // Archived — a fresh signal of the same type must get through right away
+  delete lastSignalState[signalKey];
+}
+
+/**
+ * A signal file failed schema validation and was quarantined. Tell the child
+ * session exactly what was wrong so it can rewrite it; if the session is
+ * gone, let the user know instead.
+ */
+function handleRejectedSignal(rejection, source) {
+  log('SIGNAL', `Rejected ${rejection.type}.json from ${rejection.projectName} (${source}): ${rejection.errors.join('; ')}`);
+  const sent = sessionManager.sendInput(rejection.projectName, signalProtocol.formatRejection(rejection));
+  if (!sent.success) {
+    notificationManager.notify(
+      `${rejection.projectName} wrote an invalid ${rejection.type} signal (${rejection.errors[0]}). ` +
+      `Quarantined to ${rejection.quarantinedTo}.`,
+      NotificationManager.BATCH,
+      { category: 'session' }
+    );
+  }
+}
+
 function proactiveScan() {
-  if (scheduler.isQuietTime()) return;
+  if (scheduler.isQuietTime()) {
+    // Rejection feedback goes to the session, not the user, so quiet hours
+    // don't hold it back; valid signals wait until they end
+    try {
+      for (const signal of signalProtocol.scanSignals(CONFIG.projects)) {
+        if (signal.invalid) handleRejectedSignal(signal, 'poll');
+      }
+    } catch (e) {
+      log('SCAN', `Error: ${e.message}`);
+    }
+    return;
+  }
 
   try {
     const s = state.load();
@@ -178,39 +338,19 @@ function proactiveScan() {
 
     // 1. Scan STATE.md files for attention-needed changes
     for (const project of projects) {
-      if (!project.needsAttention) continue;
-      if (state.wasRecentlyAlerted(s, project.name)) continue;
-      if (lastScanResults[project.name]?.needsAttention) continue;
-
-      // Inject into Claude session instead of direct SMS
-      if (claudeSession.isAlive()) {
-        claudeSession.sendInput(
-          `[SIGNAL] ${project.name} needs attention: ${project.attentionReason}`
-        );
-      }
-      state.recordAlert(s, project.name, project.attentionReason);
-      log('ALERT', `Injected alert for ${project.name}: ${project.attentionReason}`);
+      handleAttention(project, s);
     }
 
     lastScanResults = {};
     for (const p of projects) {
       lastScanResults[p.name] = { needsAttention: p.needsAttention };
     }
+    sessionQueue.updateAttention(projects);
 
-    // 2. Scan signal files from managed child sessions
+    // 2. Scan signal files from managed child sessions (fallback for the watcher)
     const signals = signalProtocol.scanSignals(CONFIG.projects);
     for (const signal of signals) {
-      const signalKey = `${signal.projectName}:${signal.type}`;
-      if (lastSignalState[signalKey]) continue;
-
-      // Inject signal into Claude session
-      const notification = signalProtocol.formatSignalNotification(signal);
-      if (claudeSession.isAlive()) {
-        claudeSession.sendInput(`[SIGNAL] ${notification}`);
-      }
-      lastSignalState[signalKey] = true;
-      log('SIGNAL', `${signal.type} from ${signal.projectName} → injected into Claude session`);
-      signalProtocol.clearSignal(signal.projectName, signal.type);
+      handleSignal(signal);
     }
 
     // Clean up cleared signals
@@ -230,7 +370,7 @@ function proactiveScan() {
         }
         lastSignalState[`${session.projectName}:ended`] = true;
         log('SESSION', `Session ended for ${session.projectName}`);
-        evaluateSession(session.projectName);
+        evaluateSession(session.projectName).then(() => finalizeWorktree(session.projectName));
       }
     }
 
@@ -241,13 +381,34 @@ function proactiveScan() {
   }
 }
 
+// ── Event-driven Signals (fs.watch) ─────────────────────────────────────────
+// Signals reach the Claude session within ~debounceMs of being written;
+// proactiveScan keeps polling as a fallback for anything the watcher misses.
+bus.subscribe(EVENTS.SIGNAL, (signal) => {
+  // The watcher has already quarantined an invalid file; tell the session now
+  if (signal.invalid) return handleRejectedSignal(signal, 'watch');
+  if (scheduler.isQuietTime()) return;
+  handleSignal(signal, 'watch');
+});
+
+bus.subscribe(EVENTS.STATE_CHANGED, ({ projectName }) => {
+  if (scheduler.isQuietTime()) return;
+  const project = scanner.scanProject(projectName);
+  handleAttention(project, state.load());
+  lastScanResults[projectName] = { needsAttention: project.needsAttention };
+});
+
 // ── Session Timeout Enforcement ─────────────────────────────────────────────
 // Track resume counts per project to enforce maxAutoResumes
 const _sessionResumeCounts = {};
+// Sessions ("project:created") already logged as running past maxSessionDurationMs on recent progress
+const _timeoutExtended = new Set();
 
 function checkSessionTimeouts() {
   const maxDurationMs = CONFIG.ai?.maxSessionDurationMs || 10800000;
   const maxAutoResumes = CONFIG.ai?.maxAutoResumes ?? 2;
+  const activityWindowMs = CONFIG.ai?.activityWindowMs || 900000;
+  const maxExtensionMs = CONFIG.ai?.maxTimeoutExtensionMs ?? 3600000;
 
   try {
     const sessions = sessionManager.getActiveSessions();
@@ -255,13 +416,31 @@ function checkSessionTimeouts() {
       const startTime = new Date(session.created).getTime();
       const duration = Date.now() - startTime;
 
+      // Progress/heartbeat: bad files are quarantined and the session told why
+      const activity = signalProtocol.readActivity(session.projectName);
+      for (const rejection of activity.rejected) handleRejectedSignal(rejection, 'timeout-check');
+
       if (duration > maxDurationMs) {
+        // Still reporting progress — give it more time, up to maxTimeoutExtensionMs
+        const idleMs = activity.lastActivityAt ? Date.now() - Date.parse(activity.lastActivityAt) : Infinity;
+        if (idleMs < activityWindowMs && duration < maxDurationMs + maxExtensionMs) {
+          const extKey = `${session.projectName}:${session.created}`;
+          if (!_timeoutExtended.has(extKey)) {
+            _timeoutExtended.add(extKey);
+            const task = activity.progress?.task ? ` (${activity.progress.task})` : '';
+            log('TIMEOUT', `Session ${session.projectName} is past ${Math.round(maxDurationMs / 60000)}min but still active${task}, extending up to ${Math.round(maxExtensionMs / 60000)}min`);
+          }
+          continue;
+        }
+        _timeoutExtended.delete(`${session.projectName}:${session.created}`);
+
         const durationMin = Math.round(duration / 60000);
         log('TIMEOUT', `Session ${session.projectName} exceeded ${Math.round(maxDurationMs / 60000)}min, stopping...`);
 
         // Evaluate before stopping (needs tmux pane output)
         evaluateSession(session.projectName).then((evaluation) => {
           sessionManager.stopSession(session.projectName);
+          finalizeWorktree(session.projectName);
 
           const resumeCount = _sessionResumeCounts[session.projectName] || 0;
 
@@ -292,7 +471,8 @@ function checkSessionTimeouts() {
               }
               // Notify ONE Claude
               if (claudeSession.isAlive()) {
-                claudeSession.sendInput(`[SYSTEM] Session ${session.projectName} timed out (${durationMin}min) and was auto-resumed (${resumeCount + 1}/${maxAutoResumes}). Eval: ${evalRec}.`);
+                const outcome = result.success ? 'was auto-resumed' : `could not be auto-resumed yet (${result.message})`;
+                claudeSession.sendInput(`[SYSTEM] Session ${session.projectName} timed out (${durationMin}min) and ${outcome} (${resumeCount + 1}/${maxAutoResumes}). Eval: ${evalRec}.`);
               }
             }, 5000);
           } else {
@@ -324,12 +504,76 @@ function checkSessionTimeouts() {
   }
 }
 
+// ── Session Resource Limits ─────────────────────────────────────────────────
+// Projects being stopped for exceeding sessionLimits (evaluation is async)
+const _limitStopping = new Set();
+
+function enforceSessionLimits() {
+  let results;
+  try {
+    results = sessionAccounting.sample();
+  } catch (e) {
+    log('LIMITS', `Sampling error: ${e.message}`);
+    return;
+  }
+
+  if (CONFIG.sessionLimits?.autoStop === false) return;
+  for (const { projectName, violations } of results) {
+    if (violations.length === 0 || _limitStopping.has(projectName)) continue;
+    _limitStopping.add(projectName);
+
+    const msg = `Session ${projectName} exceeded resource limits (${violations.join(', ')}), stopping.`;
+    log('LIMITS', msg);
+    notificationManager.notify(msg, NotificationManager.URGENT, { category: 'session', alert: false });
+    if (claudeSession.isAlive()) {
+      claudeSession.sendInput(`[SYSTEM] ${msg}`);
+    }
+
+    // Evaluate before stopping (needs tmux pane output), same as the timeout path
+    evaluateSession(projectName).finally(() => {
+      sessionManager.stopSession(projectName);
+      finalizeWorktree(projectName);
+      _limitStopping.delete(projectName);
+    });
+  }
+}
+
+// ── Session Queue ───────────────────────────────────────────────────────────
+// Whether the queue is currently held by admission control (ONE Claude hears once per hold)
+let _queueHeld = false;
+
+function drainSessionQueue() {
+  try {
+    const results = sessionManager.processQueue();
+    const deferral = results.find(r => r.deferred);
+    if (deferral && !_queueHeld) {
+      const waiting = sessionManager.getQueue().length;
+      log('ADMISSION', `Holding ${waiting} queued session(s): ${deferral.reason}`);
+      if (claudeSession.isAlive()) {
+        claudeSession.sendInput(`[SYSTEM] Holding ${waiting} queued session(s) until resources free up: ${deferral.reason}.`);
+      }
+    }
+    _queueHeld = Boolean(deferral);
+
+    for (const r of results) {
+      if (r.queued) continue;
+      log('QUEUE', `${r.projectName}: ${r.message}`);
+      if (r.success && claudeSession.isAlive()) {
+        claudeSession.sendInput(`[SYSTEM] Started queued session for ${r.projectName} (a slot freed up).`);
+      }
+    }
+  } catch (e) {
+    log('QUEUE', `Error: ${e.message}`);
+  }
+}
+
 // ── Startup ─────────────────────────────────────────────────────────────────
 console.log('╔═══════════════════════════════════════════════╗');
 console.log('║       ONE Claude v4.0 — Persistent Brain     ║');
 console.log('╠═══════════════════════════════════════════════╣');
 console.log(`║  Your #:    ${CONFIG.myNumber.padEnd(33)}║`);
 console.log(`║  Bot:       ${CONFIG.claudeNumber.padEnd(33)}║`);
+console.log(`║  Transport: ${(CONFIG.messaging?.transport || 'imessage').padEnd(33)}║`);
 console.log(`║  Projects:  ${String(CONFIG.projects.length).padEnd(33)}║`);
 console.log(`║  Session:   ${(CONFIG.claudeSession?.sessionName || 'one-claude').padEnd(33)}║`);
 console.log(`║  Msg poll:  ${(CONFIG.pollIntervalMs + 'ms').padEnd(33)}║`);
@@ -355,6 +599,10 @@ if (existingSessions.length > 0) {
     log('BOOT', `  ${s.projectName} (since ${s.created})`);
   }
 }
+const queuedAtBoot = sessionQueue.size();
+if (queuedAtBoot > 0) {
+  log('BOOT', `${queuedAtBoot} project(s) waiting in the session queue`);
+}
 
 // ── Start Claude Session ────────────────────────────────────────────────────
 log('BOOT', 'Starting ONE Claude session...');
@@ -397,7 +645,12 @@ function sendMorningSMS() {
     if (dirty.length > 0) {
       lines.push(`Uncommitted: ${dirty.slice(0, 3).join(', ')}${dirty.length > 3 ? ` +${dirty.length - 3}` : ''}`);
     }
-    if (blocked.length === 0 && dirty.length === 0) {
+    const unanswered = questionManager.formatUnanswered();
+    if (unanswered.length > 0) {
+      lines.push(`Waiting on you (${unanswered.length}):`);
+      lines.push(...unanswered.slice(0, 3));
+    }
+    if (blocked.length === 0 && dirty.length === 0 && unanswered.length === 0) {
       lines.push('All clear — no blockers or uncommitted changes.');
     }
 
@@ -441,7 +694,7 @@ if (CONFIG.trust?.enabled && CONFIG.trust?.promotionCheckEnabled !== false) {
       try {
         const recommendation = trustTracker.checkPromotion();
         if (recommendation) {
-          notificationManager.notify(recommendation, NotificationManager.URGENT);
+          notificationManager.notify(recommendation, NotificationManager.URGENT, { category: 'trust' });
           log('TRUST', 'Promotion recommendation sent');
         }
       } catch (e) {
@@ -485,7 +738,7 @@ if (CONFIG.upwork?.enabled) {
             for (const job of highMatch) {
               const rate = job.rate_max ? `$${job.rate_max}/hr` : (job.budget ? `$${job.budget} fixed` : 'rate TBD');
               const msg = `UPWORK HIGH MATCH (${job.match_score}%)\n${job.title}\n${rate}\nhttps://www.upwork.com/jobs/~${job.uid}`;
-              notificationManager.notify(msg, NotificationManager.URGENT);
+              notificationManager.notify(msg, NotificationManager.URGENT, { category: 'upwork' });
             }
           }
         }
@@ -514,15 +767,21 @@ if (CONFIG.upwork?.enabled) {
                     coverLetter: job.cover_letter,
                     screeningAnswers: job.proposal_screening_answers || null,
                   }).then(r => {
+                    const outcome = r.error || (r.skipped ? 'skipped' : r.dryRun ? 'dry run' : 'submitted');
+                    auditAutoApply(job, autoApply, outcome, r.success);
                     if (r.success) {
                       upworkDb.updateJobStatus(job.uid, 'applied', 'auto_applied');
                       const rateText = job.rate_max ? `$${job.rate_max}/hr` : (job.budget ? `$${job.budget} fixed` : '');
                       notificationManager.notify(
                         `UPWORK AUTO-APPLIED\n${job.title} ${rateText}\nScore: ${job.match_score}%`,
-                        NotificationManager.URGENT
+                        NotificationManager.URGENT,
+                        { category: 'upwork' }
                       );
                     }
-                  }).catch(e => log('UPWORK', `Auto-apply error for ${job.uid}: ${e.message}`));
+                  }).catch(e => {
+                    log('UPWORK', `Auto-apply error for ${job.uid}: ${e.message}`);
+                    auditAutoApply(job, autoApply, e.message, false);
+                  });
                 }
               }
             }
@@ -542,7 +801,10 @@ let scanCount = 0;
 const scanInterval = setInterval(() => {
   scanCount++;
   proactiveScan();
+  if (CONFIG.watcher?.enabled !== false) projectWatcher.refresh();
   checkSessionTimeouts();
+  enforceSessionLimits();
+  drainSessionQueue();
   healthMonitor.checkAll();
 
   // Revenue collection every N scans
@@ -562,6 +824,12 @@ const scanInterval = setInterval(() => {
       const cleaned = scanDb.cleanup();
       if (cleaned > 0) log('SCANDB', `Cleaned ${cleaned} old scan records`);
     } catch (e) { log('SCANDB', `Cleanup error: ${e.message}`); }
+    try { sessionAccounting.cleanup(); } catch (e) { log('LIMITS', `Cleanup error: ${e.message}`); }
+    if (healthHistory) {
+      try { healthHistory.cleanup(); } catch (e) { log('HEALTH', `History cleanup error: ${e.message}`); }
+    }
+    try { maintenance.cleanup(); } catch (e) { log('HEALTH', `Silence cleanup error: ${e.message}`); }
+    try { notificationManager.cleanup(); } catch (e) { log('NOTIFY', `Cleanup error: ${e.message}`); }
   }
 
   // Reminder check
@@ -569,6 +837,9 @@ const scanInterval = setInterval(() => {
     try { reminderManager.checkAndFire(); } catch (e) { log('REMINDER', `Check error: ${e.message}`); }
   }
 
+  // Re-notify or escalate unacknowledged URGENT alerts
+  try { notificationManager.checkAlerts(); } catch (e) { log('NOTIFY', `Alert check error: ${e.message}`); }
+
   // Inject health alerts into Claude session on critical failures
   if (scanCount % 5 === 0 && claudeSession.isAlive()) {
     const healthStats = healthMonitor.getStats();
@@ -588,6 +859,12 @@ const scanInterval = setInterval(() => {
 // Initial proactive scan after 5s
 setTimeout(proactiveScan, 5000);
 
+// File watchers for instant signal delivery
+if (CONFIG.watcher?.enabled !== false) {
+  const watched = projectWatcher.start();
+  log('WATCH', `Watching ${watched} director${watched === 1 ? 'y' : 'ies'} for signals and STATE.md changes`);
+}
+
 log('BOOT', 'ONE Claude v4.0 running. Persistent brain architecture active.');
 
 // ── Graceful Shutdown ───────────────────────────────────────────────────────
@@ -595,14 +872,26 @@ function shutdown(signal) {
   log('SHUTDOWN', `Received ${signal}, stopping...`);
   log('SHUTDOWN', 'Note: ONE Claude tmux session will continue running independently.');
   clearInterval(scanInterval);
+  projectWatcher.stop();
   smsBridge.stop();
+  messenger.close();
   claudeSession.stop();
   notificationManager.stopBatchTimer();
+  notificationManager.close();
   scheduler.stop();
+  state.close();
   scanDb.close();
   revenueTracker.close();
   trustTracker.close();
   reminderManager.close();
+  questionManager.close();
+  sessionAccounting.close();
+  if (healthHistory) healthHistory.close();
+  incidents.close();
+  maintenance.close();
+  apiTokens.close();
+  audit.close();
+  sessionQueue.close();
   sessionLearner.close();
   upworkScanner.close().catch(() => {});
   orchestratorDb.close();
@@ -0,0 +1,150 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const path = require('path');
+
+// read: GET APIs, SSE and /metrics; command: /api/command and other writes;
+// upwork: Upwork mutations (apply, dismiss, proposals, auto-apply)
+const SCOPES = ['read', 'command', 'upwork'];
+
+const TOKEN_PREFIX = 'oc_';
+
+/**
+ * ApiTokens - Bearer tokens for the dashboard API.
+ *
+ * Only a SHA-256 hash of each token is stored; the plaintext is returned
+ * once, by create(). Tokens are 32 random bytes, so a fast unsalted hash is
+ * enough — there is nothing to brute-force. Each token carries a set of
+ * scopes (see SCOPES) that WebServer checks per route.
+ *
+ * Revoked tokens are kept (with revoked_at) so list() shows what existed.
+ */
+class ApiTokens {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   */
+  constructor({ dbPath } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates api_tokens if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+    `);
+  }
+
+  /**
+   * Issue a new token.
+   * @param {string} name - Who or what it's for ("laptop", "grafana")
+   * @param {string[]} [scopes=['read']]
+   * @returns {{ id: number, name: string, scopes: string[], token: string }} token is shown only here
+   * @throws {Error} On a missing name or unknown scope
+   */
+  create(name, scopes = ['read']) {
+    if (!name) throw new Error('Token name is required');
+    const unknown = scopes.filter((s) => !SCOPES.includes(s));
+    if (unknown.length > 0) throw new Error(`Unknown scope "${unknown[0]}" (expected ${SCOPES.join(', ')})`);
+    if (scopes.length === 0) throw new Error('At least one scope is required');
+    this._ensureDb();
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const id = this.db
+      .prepare('INSERT INTO api_tokens (name, token_hash, scopes, created_at) VALUES (?, ?, ?, ?)')
+      .run(name, hash(token), [...new Set(scopes)].join(','), new Date().toISOString())
+      .lastInsertRowid;
+    return { id, name, scopes: [...new Set(scopes)], token };
+  }
+
+  /**
+   * Look up a presented token and mark it used.
+   * @param {string} token
+   * @returns {{ id: number, name: string, scopes: string[] }|null} null if unknown or revoked
+   */
+  verify(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+    this._ensureDb();
+    const row = this.db
+      .prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL')
+      .get(hash(token));
+    if (!row) return null;
+    this.db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return { id: row.id, name: row.name, scopes: row.scopes.split(',') };
+  }
+
+  /**
+   * Every token ever issued, newest first (no hashes).
+   * @returns {Object[]}
+   */
+  list() {
+    this._ensureDb();
+    return this.db
+      .prepare('SELECT * FROM api_tokens ORDER BY id DESC')
+      .all()
+      .map((r) => ({
+        id: r.id,
+        name: r.name,
+        scopes: r.scopes.split(','),
+        createdAt: r.created_at,
+        lastUsedAt: r.last_used_at,
+        revokedAt: r.revoked_at,
+      }));
+  }
+
+  /**
+   * Number of tokens that can still be used.
+   * @returns {number}
+   */
+  countActive() {
+    this._ensureDb();
+    return this.db.prepare('SELECT COUNT(*) AS n FROM api_tokens WHERE revoked_at IS NULL').get().n;
+  }
+
+  /**
+   * Revoke a token by id.
+   * @param {number} id
+   * @returns {boolean} false if it didn't exist or was already revoked
+   */
+  revoke(id) {
+    this._ensureDb();
+    return this.db
+      .prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), id)
+      .changes > 0;
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/** @private */
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+ApiTokens.SCOPES = SCOPES;
+
+module.exports = ApiTokens;
@@ -0,0 +1,253 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const path = require('path');
+
+// Where an action came in
+const CHANNELS = ['sms', 'nl', 'decision', 'health', 'upwork', 'dashboard'];
+
+// Params and results are for reading back, not replaying; cap what a
+// cover letter or long command output can add to a row
+const MAX_FIELD_LENGTH = 2000;
+
+/**
+ * AuditLog - Append-only record of every state-changing action.
+ *
+ * One row per action, whoever started it: SMS commands, NL action intents,
+ * DecisionExecutor, health auto-restarts, Upwork auto-apply and dashboard
+ * writes. Each row keeps who or what initiated it (actor), the channel, the
+ * action and its target, the parameters, the result and the autonomy level
+ * at the time.
+ *
+ * Unlike the capped StateManager history arrays nothing is truncated, and triggers
+ * reject UPDATE and DELETE so rows can't be rewritten after the fact.
+ *
+ * record() never throws: a failed audit write is logged, and the action it
+ * describes carries on.
+ */
+class AuditLog {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   * @param {Object} [opts.state] - StateManager; fills in the autonomy level
+   *   when record() isn't given one
+   * @param {Object} [opts.config] - Full config (autonomy level fallback)
+   */
+  constructor({ dbPath, state, config } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.state = state || null;
+    this.config = config || {};
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates audit_log and its append-only
+   * triggers if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        params TEXT,
+        result TEXT,
+        success INTEGER,
+        autonomy_level TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_ts ON audit_log(ts);
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  }
+
+  /**
+   * Append an action.
+   * @param {Object} entry
+   * @param {string} entry.actor - Who or what initiated it ("user", "ai", "health-monitor", a token name)
+   * @param {string} entry.channel - One of CHANNELS
+   * @param {string} entry.action - "restart", "silence", "POST /api/command", ...
+   * @param {string} [entry.target] - Project, service or job it acted on
+   * @param {Object} [entry.params]
+   * @param {string|Object} [entry.result]
+   * @param {boolean} [entry.success]
+   * @param {string} [entry.autonomyLevel] - Looked up from state when omitted
+   * @returns {number|null} Row id, or null if the write failed
+   */
+  record({ actor, channel, action, target, params, result, success, autonomyLevel }) {
+    try {
+      this._ensureDb();
+      return this.db.prepare(`
+        INSERT INTO audit_log (ts, actor, channel, action, target, params, result, success, autonomy_level)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        new Date().toISOString(),
+        actor || 'unknown',
+        channel,
+        action,
+        target ?? null,
+        params == null ? null : clip(JSON.stringify(params)),
+        result == null ? null : clip(typeof result === 'string' ? result : JSON.stringify(result)),
+        success == null ? null : (success ? 1 : 0),
+        autonomyLevel || this._autonomyLevel(),
+      ).lastInsertRowid;
+    } catch (err) {
+      console.error(`[AUDIT] Failed to record ${channel} ${action}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Entries newest first.
+   * @param {Object} [filters]
+   * @param {string} [filters.channel]
+   * @param {string} [filters.actor]
+   * @param {string} [filters.action]
+   * @param {string} [filters.target]
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @param {boolean} [filters.success]
+   * @param {number} [filters.limit=50] - At most 500
+   * @returns {Object[]} { id, ts, actor, channel, action, target, params, result, success, autonomyLevel }
+   */
+  query({ channel, actor, action, target, since, success, limit = 50 } = {}) {
+    this._ensureDb();
+    const where = [];
+    const args = [];
+    for (const [col, value] of [['channel', channel], ['actor', actor], ['action', action], ['target', target]]) {
+      if (value) {
+        where.push(`${col} = ?`);
+        args.push(value);
+      }
+    }
+    if (since) {
+      where.push('ts >= ?');
+      args.push(since);
+    }
+    if (success != null) {
+      where.push('success = ?');
+      args.push(success ? 1 : 0);
+    }
+    const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    return this.db
+      .prepare(`SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`)
+      .all(...args, n)
+      .map(fromRow);
+  }
+
+  /**
+   * Reply to an "audit" SMS command.
+   *   audit                 last 10 actions
+   *   audit 25              last 25
+   *   audit health          last 10 on a channel
+   *   audit mlx-api         last 10 on a project or service
+   * Filters can be combined, at most one of each kind. Anything else
+   * ("audit the security of ...") isn't a command and goes to Claude.
+   * @param {string} text
+   * @returns {string|null} null if the text isn't an audit command
+   */
+  handleCommand(text) {
+    const words = String(text || '').trim().split(/\s+/);
+    if (words[0].toLowerCase() !== 'audit') return null;
+
+    const filters = {};
+    for (const word of words.slice(1)) {
+      const lower = word.toLowerCase();
+      const target = this._knownTarget(word);
+      if (/^\d+$/.test(word) && filters.limit === undefined) filters.limit = Math.min(parseInt(word, 10), 50);
+      else if (CHANNELS.includes(lower) && !filters.channel) filters.channel = lower;
+      else if (target && !filters.target) filters.target = target;
+      else return null;
+    }
+
+    const entries = this.query({ limit: 10, ...filters });
+    if (entries.length === 0) return 'No audited actions.';
+    return entries.map(formatEntry).join('\n');
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Map a typed word to a configured project or health service name
+   * (case-insensitive; "web-scraping-biz" matches "revenue/web-scraping-biz").
+   * @private
+   */
+  _knownTarget(word) {
+    const lower = word.toLowerCase();
+    const names = [
+      ...(this.config.projects || []),
+      ...(this.config.health?.services || []).map((s) => s.name),
+    ].filter(Boolean);
+    return names.find((n) => n.toLowerCase() === lower)
+      || names.find((n) => path.basename(n).toLowerCase() === lower)
+      || null;
+  }
+
+  /** @private */
+  _autonomyLevel() {
+    if (!this.state) return null;
+    try {
+      return this.state.getAutonomyLevel(this.state.load(), this.config);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/** @private */
+function clip(text) {
+  return text.length > MAX_FIELD_LENGTH ? text.substring(0, MAX_FIELD_LENGTH - 3) + '...' : text;
+}
+
+/** @private */
+function fromRow(r) {
+  let params = null;
+  if (r.params) {
+    try { params = JSON.parse(r.params); } catch { params = r.params; }
+  }
+  return {
+    id: r.id,
+    ts: r.ts,
+    actor: r.actor,
+    channel: r.channel,
+    action: r.action,
+    target: r.target,
+    params,
+    result: r.result,
+    success: r.success == null ? null : r.success === 1,
+    autonomyLevel: r.autonomy_level,
+  };
+}
+
+/**
+ * One SMS line: "3/10 14:05 health/health-monitor restart mlx-api: ok".
+ * @private
+ */
+function formatEntry(e) {
+  const d = new Date(e.ts);
+  const when = `${d.getMonth() + 1}/${d.getDate()} ${d.toTimeString().substring(0, 5)}`;
+  const outcome = e.success == null ? '' : e.success ? ': ok' : ': FAILED';
+  return `${when} ${e.channel}/${e.actor} ${e.action}${e.target ? ' ' + e.target : ''}${outcome}`;
+}
+
+AuditLog.CHANNELS = CHANNELS;
+
+module.exports = AuditLog;
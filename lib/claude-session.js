@@ -296,7 +296,8 @@ class ClaudeSession {
           if (this.notificationManager) {
             this.notificationManager.notify(
               'ONE Claude session crashed and restart budget exhausted. Manual restart needed.',
-              1 // URGENT
+              1, // URGENT
+              { category: 'session' }
             );
           }
           return;
@@ -309,7 +310,8 @@ class ClaudeSession {
           const msg = result.success
             ? 'ONE Claude session crashed and was auto-restarted.'
             : `ONE Claude session crashed. Restart failed: ${result.message}`;
-          this.notificationManager.notify(msg, 1);
+          // A successful auto-restart is information; a failed one needs someone
+          this.notificationManager.notify(msg, 1, { category: 'session', alert: !result.success });
         }
       }
     }, this.healthCheckIntervalMs);
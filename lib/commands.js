@@ -25,6 +25,14 @@ class CommandRouter {
     this.conversationStore = deps.conversationStore || null;
     // Reminder manager for setting/listing/cancelling reminders via NL
     this.reminderManager = deps.reminderManager || null;
+    // Question manager for answering needs-input questions ("2", "Q12 ...")
+    this.questionManager = deps.questionManager || null;
+    // Incident manager for service outage timelines
+    this.incidents = deps.incidents || null;
+    // Maintenance manager for silencing health alerts ("silence mlx-api 30m")
+    this.maintenance = deps.maintenance || null;
+    // Audit log: NL action intents are recorded, "audit" lists recent actions
+    this.audit = deps.audit || null;
   }
 
   /**
@@ -92,8 +100,35 @@ class CommandRouter {
       const result = this._tryHandleRestart(trimmed.substring(8).trim());
       if (result) return result;
     }
+    if (lower.startsWith("merge ") || lower.startsWith("discard ")) {
+      const spaceIdx = trimmed.indexOf(" ");
+      const result = this._tryHandleWorktree(lower.substring(0, spaceIdx), trimmed.substring(spaceIdx + 1).trim());
+      if (result) return result;
+    }
     if (lower.startsWith("reply ")) return this._handleReply(trimmed.substring(6).trim());
+    if (lower === "questions") return this._handleQuestions();
+    if (this.questionManager) {
+      const reply = this.questionManager.parseReply(trimmed);
+      if (reply) return this.questionManager.answer(reply.id, reply.answer).message;
+    }
+    if (lower === "incidents") return this._handleIncidents();
+    if (/^incident #?\d+$/.test(lower)) return this._handleIncident(parseInt(lower.replace(/\D/g, ""), 10));
+    if (/^(un)?silence(s$|\s)/.test(lower)) {
+      const result = this._tryHandleSilence(trimmed);
+      if (result) return result;
+    }
+    if (lower === "audit" || lower.startsWith("audit ")) {
+      const result = this._tryHandleAudit(trimmed);
+      if (result) return result;
+    }
+    // Reminders with a time the offline parser understands skip the claude -p
+    // round-trip; anything else falls through to NL
+    if (lower.startsWith("remind me ") || lower === "snooze" || lower.startsWith("snooze ")) {
+      const result = this._tryHandleReminder(trimmed);
+      if (result) return result;
+    }
     if (lower === "sessions") return this._handleSessions();
+    if (lower === "queue") return this._handleQueue();
     if (lower === "status") return this._handleStatusAll();
     if (lower.startsWith("status ")) return this._handleStatusProject(trimmed.substring(7).trim());
     if (lower === "priority") return this._handlePriority();
@@ -290,6 +325,23 @@ class CommandRouter {
     return lines.join("\n");
   }
 
+  /**
+   * Merge or discard a stopped session's worktree branch. Returns null when
+   * the name doesn't match a project so the text falls through to AI NL.
+   */
+  _tryHandleWorktree(action, name) {
+    const match = this._matchProjectName(name);
+    if (!match) return null;
+
+    this.setContext(match, "command");
+    const result = this.sessionManager.finalizeWorktree(match, action);
+    return result.message;
+  }
+
+  _handleQueue() {
+    return this.sessionManager.formatQueue();
+  }
+
   // ── Reply routing ───────────────────────────────────────────────────────
 
   _handleReply(input) {
@@ -318,6 +370,14 @@ class CommandRouter {
    */
   _sendReply(projectName, message) {
     this.setContext(projectName, "command");
+
+    // Route through the question record so the answer lands in answer.json too
+    const open = this.questionManager ? this.questionManager.getOpen(projectName) : [];
+    if (open.length > 0) {
+      this.signalProtocol.clearSignal(projectName, "needs-input");
+      return this.questionManager.answer(open[0].id, message).message;
+    }
+
     this.signalProtocol.clearSignal(projectName, "needs-input");
     const result = this.sessionManager.sendInput(projectName, message);
 
@@ -337,6 +397,46 @@ class CommandRouter {
     return `Session wasn't running. Restarted ${projectName} with your input.`;
   }
 
+  _handleQuestions() {
+    if (!this.questionManager) return "Question tracking not configured.";
+    const open = this.questionManager.formatUnanswered();
+    if (open.length === 0) return "No unanswered questions.";
+    return `${open.length} unanswered:\n${open.join("\n")}\n\nAnswer with "Q<id> <answer>" (or just the option number for the newest).`;
+  }
+
+  // ── Incidents ───────────────────────────────────────────────────────────
+
+  _handleIncidents() {
+    if (!this.incidents) return "Incident tracking not configured.";
+    return this.incidents.formatSummary();
+  }
+
+  _handleIncident(id) {
+    if (!this.incidents) return "Incident tracking not configured.";
+    return this.incidents.formatTimeline(id);
+  }
+
+  // Free text that only starts with "silence" comes back null and goes to NL
+  _tryHandleSilence(text) {
+    if (!this.maintenance) return null;
+    return this.maintenance.handleCommand(text, { by: "dashboard" });
+  }
+
+  // Null for "audit the security of ..." so it goes to NL
+  _tryHandleAudit(text) {
+    if (!this.audit) return null;
+    return this.audit.handleCommand(text);
+  }
+
+  _tryHandleReminder(text) {
+    if (!this.reminderManager) return null;
+    try {
+      return this.reminderManager.handleCommand(text);
+    } catch (e) {
+      return `Couldn't set that reminder: ${e.message}`;
+    }
+  }
+
   // ── Alerts ──────────────────────────────────────────────────────────────
 
   _handlePause(name) {
@@ -392,12 +492,21 @@ class CommandRouter {
       "priority - what needs attention",
       "list - all projects",
       "sessions - active Claude sessions",
+      "queue - sessions waiting for a slot",
       "",
       "start <name> - launch Claude session",
       "stop <name> - stop a session",
       "restart <name> - restart a session",
       "startall / stopall - all at once",
       "reply <name>: <text> - send input",
+      "1 / 2 / Q<id> <text> - answer a question",
+      "questions - unanswered questions",
+      "incidents / incident <id> - service outages",
+      "silence <svc> 30m / unsilence <svc> - mute health alerts",
+      "audit [n] [channel|name] - recent actions",
+      "remind me <task> <when> - e.g. tomorrow at 9, every weekday at 8",
+      "snooze [2h] - snooze the last reminder",
+      "merge / discard <name> - finish a session worktree",
       "",
       "go / continue / yes - act on last project",
       "pause / unpause <name> - mute alerts",
@@ -773,41 +882,68 @@ class CommandRouter {
    */
   _executeAction(action) {
     const { action: act, project, prompt, level } = action;
+    let outcome;
 
     switch (act) {
       case 'start': {
         const match = this._matchProjectName(project);
-        if (!match) return `Could not find project "${project}"`;
+        if (!match) return this._auditAction(action, project, `Could not find project "${project}"`, false);
         this.signalProtocol.injectClaudeMd(match);
         const result = this.sessionManager.startSession(match, prompt);
-        return `Started ${match}: ${result.message}`;
+        outcome = [match, `Started ${match}: ${result.message}`, result.success];
+        break;
       }
       case 'stop': {
         const match = this._matchProjectName(project);
-        if (!match) return `Could not find project "${project}"`;
+        if (!match) return this._auditAction(action, project, `Could not find project "${project}"`, false);
         const result = this.sessionManager.stopSession(match);
-        return `Stopped ${match}: ${result.message}`;
+        outcome = [match, `Stopped ${match}: ${result.message}`, result.success];
+        break;
       }
       case 'restart': {
         const match = this._matchProjectName(project);
-        if (!match) return `Could not find project "${project}"`;
+        if (!match) return this._auditAction(action, project, `Could not find project "${project}"`, false);
         this.signalProtocol.injectClaudeMd(match);
         const result = this.sessionManager.restartSession(match);
-        return `Restarted ${match}: ${result.message}`;
+        outcome = [match, `Restarted ${match}: ${result.message}`, result.success];
+        break;
       }
       case 'set_level': {
         const validLevels = ['observe', 'cautious', 'moderate', 'full'];
         const lvl = (level || '').toLowerCase();
-        if (!validLevels.includes(lvl)) return `Invalid level "${level}"`;
+        if (!validLevels.includes(lvl)) return this._auditAction(action, null, `Invalid level "${level}"`, false);
         const s = this.state.load();
+        // Record the level the change was made under, not the new one
+        const previous = this.state.getAutonomyLevel(s, this.aiBrain?.config || {});
         this.state.setAutonomyLevel(s, lvl);
         if (this.trustTracker) this.trustTracker.resetPromotionFlag();
-        return `Autonomy set to ${lvl}`;
+        return this._auditAction(action, null, `Autonomy set to ${lvl}`, true, previous);
       }
       default:
         console.log(`[commands] Unknown action intent: ${act}`);
         return null;
     }
+
+    return this._auditAction(action, ...outcome);
+  }
+
+  /**
+   * Record an executed ACTION_JSON intent in the audit log.
+   * @param {Object} action - The parsed intent
+   * @param {string|null} target - Matched project (or the name as given)
+   * @param {string} message - Result message, returned as-is
+   * @param {boolean} success
+   * @param {string} [autonomyLevel] - Defaults to the current level
+   * @returns {string} message
+   */
+  _auditAction(action, target, message, success, autonomyLevel) {
+    if (this.audit) {
+      const { action: act, ...params } = action;
+      this.audit.record({
+        actor: 'ai', channel: 'nl', action: act, target, params, result: message, success, autonomyLevel,
+      });
+    }
+    return message;
   }
 
   /**
@@ -855,6 +991,7 @@ class CommandRouter {
         '--- REMINDERS ---',
         'If the user wants to set a reminder, include on its own line: REMINDER_JSON:{"text":"what to remind about","fireAt":"ISO-8601-timestamp"}',
         'The fireAt must be an absolute ISO 8601 timestamp in America/New_York timezone. Current time: ' + new Date().toISOString(),
+        'Optional fields: "recurrence" (5-field cron like "0 9 * * mon-fri" or an RRULE like "FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0", in America/New_York; fireAt may then be omitted), "project" (project name the reminder is about), "quietHours" ("bypass" to send even during quiet hours, "hold" to wait until they end).',
         '',
         'You have full permission to read any file on this machine. Use Read tool to check project files, logs, configs, git history etc. when the user asks about specific project details.',
         'HOWEVER: The full project state is already provided below. For "status" or "overview" questions, answer directly from the context — no tool calls needed.',
@@ -907,8 +1044,14 @@ class CommandRouter {
         if (reminderMatch) {
           try {
             const reminderData = JSON.parse(reminderMatch[1]);
-            if (reminderData.text && reminderData.fireAt) {
-              this.reminderManager.setReminder(reminderData.text, reminderData.fireAt, text);
+            if (reminderData.text && (reminderData.fireAt || reminderData.recurrence)) {
+              // Stored under the configured name so listForProject() finds it
+              const project = reminderData.project ? this._matchProjectName(String(reminderData.project)) : null;
+              this.reminderManager.setReminder(reminderData.text, reminderData.fireAt || null, text, {
+                recurrence: reminderData.recurrence || null,
+                project,
+                quietHours: reminderData.quietHours || null,
+              });
             }
           } catch (e) {
             console.log(`[commands] Failed to parse reminder JSON: ${e.message}`);
@@ -924,7 +1067,8 @@ class CommandRouter {
           } else {
             const lines = pending.map(r => {
               const fireDate = new Date(r.fire_at);
-              return `- ${r.text} (${fireDate.toLocaleString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })})`;
+              const extras = [r.recurrence && `repeats ${r.recurrence}`, r.project].filter(Boolean);
+              return `- ${r.text} (${fireDate.toLocaleString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })})${extras.length ? ` [${extras.join(', ')}]` : ''}`;
             });
             reminderConfirmation = '\n\nPending reminders:\n' + lines.join('\n');
           }
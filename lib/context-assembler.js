@@ -15,8 +15,10 @@ class ContextAssembler {
    * @param {Object} deps.processMonitor - ProcessMonitor instance (checkProjects)
    * @param {Object} deps.state - StateManager instance (load)
    * @param {Object} deps.config - Parsed config.json object
+   * @param {Object} [deps.reminderManager] - ReminderManager (formatForProject); pending
+   *   reminders are listed under the project they're linked to
    */
-  constructor({ scanner, sessionManager, processMonitor, state, config, resourceMonitor, healthMonitor, mcpBridge, revenueTracker, trustTracker, conversationStore, sessionLearner }) {
+  constructor({ scanner, sessionManager, processMonitor, state, config, resourceMonitor, healthMonitor, mcpBridge, revenueTracker, trustTracker, conversationStore, sessionLearner, reminderManager }) {
     this.scanner = scanner;
     this.sessionManager = sessionManager;
     this.processMonitor = processMonitor;
@@ -29,6 +31,7 @@ class ContextAssembler {
     this.trustTracker = trustTracker;
     this.conversationStore = conversationStore;
     this.sessionLearner = sessionLearner || null;
+    this.reminderManager = reminderManager || null;
     this.prioritiesPath = path.join(__dirname, "..", "priorities.json");
   }
 
@@ -520,6 +523,12 @@ class ContextAssembler {
       }
     }
 
+    // Reminders linked to this project
+    const reminders = this._projectReminders(project.name);
+    if (reminders) {
+      parts.push(`  Reminders: ${reminders}`);
+    }
+
     // Last activity with staleness detection
     if (project.lastActivity) {
       const lastDate = new Date(project.lastActivity);
@@ -534,6 +543,19 @@ class ContextAssembler {
     return parts.join("\n");
   }
 
+  /**
+   * Pending reminders for a project as "text (Mar 3, 9:00 AM, repeats 0 9 * * 1); ..."
+   * @returns {string|null}
+   */
+  _projectReminders(projectName) {
+    if (!this.reminderManager) return null;
+    try {
+      return this.reminderManager.formatForProject(projectName);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Build recent decision history section
    */
@@ -38,14 +38,16 @@ class DecisionExecutor {
    * @param {Object} [deps.notificationManager] - NotificationManager instance (optional, falls back to messenger)
    * @param {Object} [deps.signalProtocol] - SignalProtocol instance (optional)
    * @param {Object} [deps.state] - StateManager instance (optional)
+   * @param {Object} [deps.audit] - AuditLog instance (optional)
    * @param {Object} deps.config - Parsed config.json object
    */
-  constructor({ sessionManager, messenger, notificationManager, signalProtocol, state, config }) {
+  constructor({ sessionManager, messenger, notificationManager, signalProtocol, state, audit, config }) {
     this.sessionManager = sessionManager;
     this.messenger = messenger;
     this.notificationManager = notificationManager || null;
     this.signalProtocol = signalProtocol || null;
     this.state = state || null;
+    this.audit = audit || null;
     this.config = config;
 
     /** @type {Object.<string, number>} Tracks last action timestamps: "project:action" -> epoch */
@@ -195,7 +197,7 @@ class DecisionExecutor {
   /**
    * Execute a validated recommendation.
    * Dispatches to sessionManager methods with autonomy gating, precondition checks,
-   * cooldown recording, execution logging, and post-action notifications.
+   * cooldown recording, execution and audit logging, and post-action notifications.
    *
    * @param {Object} evaluatedRecommendation - A single evaluated recommendation
    * @returns {Promise<Object>} Execution result
@@ -270,7 +272,7 @@ class DecisionExecutor {
     // 5. Post-action bookkeeping (cooldown tracking)
     this._recordAction(rec.project, rec.action);
 
-    // 6. Log execution to state
+    // 6. Log execution to state and the audit log
     if (this.state) {
       const execRecord = {
         timestamp: new Date().toISOString(),
@@ -282,6 +284,18 @@ class DecisionExecutor {
       };
       this.state.logExecution(s, execRecord);
     }
+    if (this.audit) {
+      this.audit.record({
+        actor: "ai-brain",
+        channel: "decision",
+        action: rec.action,
+        target: rec.project,
+        params: { reason: rec.reason, prompt: rec.prompt },
+        result: result.message,
+        success: result.success,
+        autonomyLevel,
+      });
+    }
 
     // 7. Notify about major actions (start/stop/restart)
     if (result.success && ["start", "stop", "restart"].includes(rec.action)) {
@@ -367,13 +381,15 @@ class DecisionExecutor {
 
   /**
    * Send a notification through NotificationManager (tiered) or fall back to Messenger.
+   * Every decision starts, stops or restarts a project session, so they share
+   * the "session" category.
    *
    * @param {string} text - Message text
    * @param {number} [tier=2] - Notification tier (1=URGENT, 2=ACTION, 3=SUMMARY, 4=DEBUG)
    */
   _notify(text, tier = 2) {
     if (this.notificationManager) {
-      this.notificationManager.notify(text, tier);
+      this.notificationManager.notify(text, tier, { category: "session" });
     } else if (this.messenger) {
       this.messenger.send(text);
     }
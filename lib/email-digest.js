@@ -25,12 +25,18 @@ class EmailDigest {
    * @param {Object} deps.healthMonitor - HealthMonitor instance
    * @param {Object} deps.sessionManager - SessionManager instance
    * @param {Object} deps.scanDb - ScanDB instance
+   * @param {Object} [deps.questionManager] - QuestionManager (unanswered questions)
+   * @param {Object} [deps.healthHistory] - HealthHistory (7-day uptime and latency)
+   * @param {Object} [deps.notificationManager] - NotificationManager (notifications routed to email)
    */
   constructor(deps) {
     this._scanner = deps.scanner;
     this._healthMonitor = deps.healthMonitor;
     this._sessionManager = deps.sessionManager;
     this._scanDb = deps.scanDb;
+    this._questionManager = deps.questionManager || null;
+    this._healthHistory = deps.healthHistory || null;
+    this._notificationManager = deps.notificationManager || null;
     this._snapshotPath = path.join(__dirname, '..', 'data', 'digest-snapshot.json');
   }
 
@@ -63,11 +69,41 @@ class EmailDigest {
       return;
     }
 
-    // Send via SMTP
+    if (await this._sendMail({ subject, html, text })) {
+      this._saveSnapshot(data.projects);
+      this._markNotificationsDigested(data.notifications);
+    }
+  }
+
+  /**
+   * Email an URGENT alert nobody has acknowledged (NotificationManager's
+   * escalation channel).
+   * @param {Object} alert - { id, text, category, createdAt }
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  async sendAlert(alert) {
+    const since = new Date(alert.createdAt).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
+    const subject = `Unacknowledged alert A${alert.id}${alert.category ? ` (${alert.category})` : ''}`;
+    const text = `${alert.text}\n\nRaised ${since} and not acknowledged by SMS.\n` +
+      `Text "ack ${alert.id}" or use the dashboard to acknowledge it.`;
+    const html = `<div style="font-family:-apple-system,sans-serif;font-size:14px;color:#0f172a">` +
+      `<p style="white-space:pre-line;font-size:16px">${this._esc(alert.text)}</p>` +
+      `<p style="color:#64748b">Raised ${this._esc(since)} and not acknowledged by SMS. ` +
+      `Text "ack ${alert.id}" or use the dashboard to acknowledge it.</p></div>`;
+    return this._sendMail({ subject, html, text });
+  }
+
+  /**
+   * Send via SMTP with retries.
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  async _sendMail({ subject, html, text }) {
     const password = process.env.ICLOUD_APP_PASSWORD;
     if (!password) {
       console.error('[EMAIL] FATAL: ICLOUD_APP_PASSWORD not set');
-      return;
+      return false;
     }
 
     const transporter = nodemailer.createTransport({
@@ -90,18 +126,18 @@ class EmailDigest {
           text,
         });
         console.log(`[EMAIL] Sent: ${result.messageId}`);
-        this._saveSnapshot(data.projects);
-        return;
+        return true;
       } catch (err) {
         if (attempt === MAX_RETRIES) {
           console.error(`[EMAIL] Failed after ${MAX_RETRIES} attempts:`, err.message);
-          return;
+          return false;
         }
         const delay = attempt * 5000;
         console.warn(`[EMAIL] Attempt ${attempt}/${MAX_RETRIES} failed: ${err.message}. Retrying in ${delay}ms...`);
         await new Promise(r => setTimeout(r, delay));
       }
     }
+    return false;
   }
 
   // ── Data gathering ────────────────────────────────────────────
@@ -134,7 +170,46 @@ class EmailDigest {
       complete: projects.filter(p => (p.status || '').toLowerCase().includes('complete')).length,
     };
 
-    return { projects, sessions, services, changes, summary };
+    // Questions from child sessions still waiting on an answer
+    const questions = this._questionManager ? this._questionManager.formatUnanswered() : [];
+
+    // 7-day uptime per service, worst first
+    let uptime = [];
+    if (this._healthHistory) {
+      try {
+        const report = this._healthHistory.getReport({ windows: ['7d'] });
+        uptime = Object.entries(report.services)
+          .map(([name, windows]) => ({ name, ...windows['7d'] }))
+          .filter(u => u.checks > 0)
+          .sort((a, b) => a.uptimePct - b.uptimePct);
+      } catch (err) {
+        console.warn(`[EMAIL] Health history unavailable: ${err.message}`);
+      }
+    }
+
+    // Notifications whose category routes to email instead of SMS
+    let notifications = [];
+    if (this._notificationManager) {
+      try {
+        notifications = this._notificationManager.getDigestItems();
+      } catch (err) {
+        console.warn(`[EMAIL] Notification queue unavailable: ${err.message}`);
+      }
+    }
+
+    return { projects, sessions, services, changes, summary, questions, uptime, notifications };
+  }
+
+  /**
+   * Digest items only count as delivered once the email is out.
+   */
+  _markNotificationsDigested(notifications = []) {
+    if (!this._notificationManager || notifications.length === 0) return;
+    try {
+      this._notificationManager.markDigested(notifications.map(n => n.id));
+    } catch (err) {
+      console.warn(`[EMAIL] Failed to mark notifications digested: ${err.message}`);
+    }
   }
 
   // ── Snapshot (status change detection) ────────────────────────
@@ -185,7 +260,7 @@ class EmailDigest {
   }
 
   _buildHtml(data) {
-    const { summary, changes, sessions, projects, services } = data;
+    const { summary, changes, sessions, projects, services, questions = [], uptime = [], notifications = [] } = data;
     const dateStr = this._formatDate();
     const blockedProjects = projects.filter(p => p.needsAttention && p.blockers.length > 0);
 
@@ -203,6 +278,43 @@ class EmailDigest {
           `<tr><td style="padding:10px 16px;border-bottom:1px solid #1e293b;color:#e2e8f0;font-size:14px">${this._esc(p.name)}</td><td style="padding:10px 16px;border-bottom:1px solid #1e293b;color:#94a3b8;font-size:13px">${this._esc(p.blockers[0] || 'No details')}</td></tr>`
         ).join('');
 
+    // Unanswered questions (only shown when there are some)
+    const questionsSection = questions.length === 0 ? '' : `
+  <div style="background:#1e293b;border-radius:12px;margin-bottom:16px;overflow:hidden;border-left:4px solid #eab308">
+    <div style="padding:16px;border-bottom:1px solid #334155"><h2 style="margin:0;font-size:16px;font-weight:600;color:#fde047">Waiting on You (${questions.length})</h2></div>
+    <table style="width:100%;border-collapse:collapse">
+      <tbody>${questions.map(q => `<tr><td style="padding:10px 16px;border-bottom:1px solid #1e293b;color:#e2e8f0;font-size:14px">${this._esc(q)}</td></tr>`).join('')}</tbody>
+    </table>
+    <div style="padding:10px 16px;color:#64748b;font-size:12px">Text "Q&lt;id&gt; your answer" to reply.</div>
+  </div>
+`;
+
+    // Notifications routed to email (only shown when there are some)
+    const notificationsSection = notifications.length === 0 ? '' : `
+  <div style="background:#1e293b;border-radius:12px;margin-bottom:16px;overflow:hidden">
+    <div style="padding:16px;border-bottom:1px solid #334155"><h2 style="margin:0;font-size:16px;font-weight:600;color:#f1f5f9">Notifications (${notifications.length})</h2></div>
+    <table style="width:100%;border-collapse:collapse">
+      <tbody>${notifications.map(n => `<tr><td style="padding:10px 16px;border-bottom:1px solid #1e293b;color:#94a3b8;font-size:12px;white-space:nowrap;vertical-align:top">${this._esc(n.category)}</td><td style="padding:10px 16px;border-bottom:1px solid #1e293b;color:#e2e8f0;font-size:14px;white-space:pre-line">${this._esc(n.text)}</td></tr>`).join('')}</tbody>
+    </table>
+  </div>
+`;
+
+    // Service uptime (only shown when history exists)
+    const uptimeSection = uptime.length === 0 ? '' : `
+  <div style="background:#1e293b;border-radius:12px;margin-bottom:16px;overflow:hidden">
+    <div style="padding:16px;border-bottom:1px solid #334155"><h2 style="margin:0;font-size:16px;font-weight:600;color:#f1f5f9">Service Uptime (7 days)</h2></div>
+    <table style="width:100%;border-collapse:collapse">
+      <thead><tr style="background:#0f172a">
+        <th style="padding:8px 16px;text-align:left;font-size:11px;color:#64748b;font-weight:600;text-transform:uppercase;letter-spacing:.05em">Service</th>
+        <th style="padding:8px 16px;text-align:left;font-size:11px;color:#64748b;font-weight:600;text-transform:uppercase;letter-spacing:.05em">Uptime</th>
+        <th style="padding:8px 16px;text-align:left;font-size:11px;color:#64748b;font-weight:600;text-transform:uppercase;letter-spacing:.05em">p50</th>
+        <th style="padding:8px 16px;text-align:left;font-size:11px;color:#64748b;font-weight:600;text-transform:uppercase;letter-spacing:.05em">p95</th>
+      </tr></thead>
+      <tbody>${uptime.map(u => `<tr><td style="padding:8px 16px;border-bottom:1px solid #1e293b;color:#e2e8f0;font-size:13px">${this._esc(u.name)}</td><td style="padding:8px 16px;border-bottom:1px solid #1e293b;color:${u.uptimePct < 99 ? '#fca5a5' : '#86efac'};font-size:13px">${u.uptimePct}%</td><td style="padding:8px 16px;border-bottom:1px solid #1e293b;color:#94a3b8;font-size:13px">${u.p50Ms != null ? u.p50Ms + 'ms' : '-'}</td><td style="padding:8px 16px;border-bottom:1px solid #1e293b;color:#94a3b8;font-size:13px">${u.p95Ms != null ? u.p95Ms + 'ms' : '-'}</td></tr>`).join('')}</tbody>
+    </table>
+  </div>
+`;
+
     // Sessions rows
     const sessionRows = sessions.length === 0
       ? '<tr><td style="padding:12px 16px;color:#64748b;font-size:14px">No active sessions</td></tr>'
@@ -252,7 +364,8 @@ class EmailDigest {
       </td>
     </tr>
   </table>
-
+${questionsSection}
+${notificationsSection}
   <div style="background:#1e293b;border-radius:12px;margin-bottom:16px;overflow:hidden">
     <div style="padding:16px;border-bottom:1px solid #334155"><h2 style="margin:0;font-size:16px;font-weight:600;color:#f1f5f9">Status Changes</h2></div>
     <table style="width:100%;border-collapse:collapse">
@@ -294,6 +407,7 @@ class EmailDigest {
     </table>
   </div>
 
+${uptimeSection}
   <div style="background:#1e293b;border-radius:12px;margin-bottom:16px;overflow:hidden">
     <div style="padding:16px;border-bottom:1px solid #334155"><h2 style="margin:0;font-size:16px;font-weight:600;color:#f1f5f9">All Projects</h2></div>
     <table style="width:100%;border-collapse:collapse">
@@ -320,7 +434,7 @@ class EmailDigest {
   // ── Plain text fallback ───────────────────────────────────────
 
   _buildText(data) {
-    const { summary, changes, sessions, projects, services } = data;
+    const { summary, changes, sessions, projects, services, questions = [], uptime = [], notifications = [] } = data;
     const lines = [`ONE Claude — Dashboard Digest — ${this._formatDate()}`];
     lines.push('='.repeat(50));
 
@@ -328,6 +442,19 @@ class EmailDigest {
     lines.push('-------');
     lines.push(`Total: ${summary.total}  Active: ${summary.active}  Blocked: ${summary.blocked}  Complete: ${summary.complete}`);
 
+    if (questions.length > 0) {
+      lines.push('\nWaiting on You');
+      lines.push('--------------');
+      for (const q of questions) lines.push(`- ${q}`);
+      lines.push('Text "Q<id> your answer" to reply.');
+    }
+
+    if (notifications.length > 0) {
+      lines.push('\nNotifications');
+      lines.push('-------------');
+      for (const n of notifications) lines.push(`- ${n.category ? `[${n.category}] ` : ''}${n.text.replace(/\n/g, ' ')}`);
+    }
+
     lines.push('\nStatus Changes');
     lines.push('--------------');
     if (changes.length === 0) {
@@ -357,6 +484,15 @@ class EmailDigest {
     lines.push('--------');
     lines.push(`${services.length} running`);
 
+    if (uptime.length > 0) {
+      lines.push('\nService Uptime (7 days)');
+      lines.push('-----------------------');
+      for (const u of uptime) {
+        const latency = u.p50Ms != null ? `  p50 ${u.p50Ms}ms  p95 ${u.p95Ms}ms` : '';
+        lines.push(`- ${u.name}: ${u.uptimePct}%${latency}`);
+      }
+    }
+
     lines.push('\nAll Projects');
     lines.push('------------');
     for (const p of projects) {
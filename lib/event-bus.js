@@ -0,0 +1,64 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Event types published on the bus.
+ *   signal        { projectName, type, data }   - a .orchestrator/<type>.json appeared or changed
+ *   state-changed { projectName, file }         - .planning/STATE.md was written
+ */
+const EVENTS = {
+  SIGNAL: 'signal',
+  STATE_CHANGED: 'state-changed',
+};
+
+/**
+ * EventBus - In-process pub/sub between watchers and the daemon loop.
+ *
+ * Thin wrapper over EventEmitter that stamps each payload with `event`
+ * (the event type) and `at` (publish time), and isolates subscribers: a
+ * throwing handler is logged and never breaks the publisher (fs.watch
+ * callbacks) or other subscribers.
+ */
+class EventBus extends EventEmitter {
+  /**
+   * @param {Object} [opts]
+   * @param {Function} [opts.log] - Logging function (tag, msg)
+   */
+  constructor({ log } = {}) {
+    super();
+    this.log = log || ((tag, msg) => console.log(`[${tag}] ${msg}`));
+  }
+
+  /**
+   * Publish a typed event to all subscribers.
+   * @param {string} type - One of EVENTS
+   * @param {Object} payload
+   */
+  publish(type, payload) {
+    const event = { ...payload, event: type, at: new Date().toISOString() };
+    for (const handler of this.listeners(type)) {
+      try {
+        const result = handler(event);
+        if (result && typeof result.catch === 'function') {
+          result.catch((e) => this.log('BUS', `${type} handler error: ${e.message}`));
+        }
+      } catch (e) {
+        this.log('BUS', `${type} handler error: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to an event type. Returns an unsubscribe function.
+   * @param {string} type - One of EVENTS
+   * @param {Function} handler - Receives the event payload
+   * @returns {Function}
+   */
+  subscribe(type, handler) {
+    this.on(type, handler);
+    return () => this.off(type, handler);
+  }
+}
+
+module.exports = { EventBus, EVENTS };
@@ -0,0 +1,214 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const WINDOWS = {
+  '24h': 24 * 3600000,
+  '7d': 7 * 86400000,
+  '30d': 30 * 86400000,
+};
+
+/**
+ * HealthHistory - Persistent health check results and uptime reports.
+ *
+ * Every check HealthMonitor runs is stored as a raw row (status, latency,
+ * error). Each write also bumps an hourly rollup per service, so uptime over
+ * long windows is a sum over a few hundred rows instead of a scan of every
+ * check. Latency percentiles come from the raw rows of up checks only — a
+ * down check's "latency" is usually just the timeout.
+ *
+ * Checks taken during maintenance are stored with status 'maintenance' but
+ * left out of the rollups, so planned downtime doesn't count against uptime.
+ *
+ * Raw rows are kept for rawRetentionDays (long enough to cover the 30d
+ * window by default); rollups for rollupRetentionDays.
+ */
+class HealthHistory {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   * @param {number} [opts.rawRetentionDays=30] - Days to keep individual check results
+   * @param {number} [opts.rollupRetentionDays=365] - Days to keep hourly rollups
+   */
+  constructor({ dbPath, rawRetentionDays = 30, rollupRetentionDays = 365 } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.rawRetentionDays = rawRetentionDays;
+    this.rollupRetentionDays = rollupRetentionDays;
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates health_checks and health_rollups_hourly if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS health_checks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service TEXT NOT NULL,
+        checked_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        latency_ms INTEGER,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_health_checks_service_time
+        ON health_checks(service, checked_at);
+
+      CREATE TABLE IF NOT EXISTS health_rollups_hourly (
+        service TEXT NOT NULL,
+        hour TEXT NOT NULL,
+        checks INTEGER NOT NULL,
+        up_checks INTEGER NOT NULL,
+        latency_sum INTEGER NOT NULL,
+        PRIMARY KEY (service, hour)
+      );
+    `);
+  }
+
+  /**
+   * Store one check result and update its hourly rollup (except for
+   * maintenance results).
+   * @param {Object} result - HealthMonitor result { name, status, latencyMs, error, lastChecked }
+   */
+  record(result) {
+    this._ensureDb();
+    const checkedAt = result.lastChecked || new Date().toISOString();
+    const up = result.status === 'up' ? 1 : 0;
+    const latency = Number.isFinite(result.latencyMs) ? Math.round(result.latencyMs) : null;
+
+    this.db.transaction(() => {
+      this.db
+        .prepare('INSERT INTO health_checks (service, checked_at, status, latency_ms, error) VALUES (?, ?, ?, ?, ?)')
+        .run(result.name, checkedAt, result.status, latency, result.error || null);
+      if (result.status === 'maintenance') return;
+      this.db
+        .prepare(`
+          INSERT INTO health_rollups_hourly (service, hour, checks, up_checks, latency_sum)
+          VALUES (?, ?, 1, ?, ?)
+          ON CONFLICT(service, hour) DO UPDATE SET
+            checks = checks + 1,
+            up_checks = up_checks + excluded.up_checks,
+            latency_sum = latency_sum + excluded.latency_sum
+        `)
+        .run(result.name, hourOf(checkedAt), up, up && latency !== null ? latency : 0);
+    })();
+  }
+
+  /**
+   * Uptime and latency percentiles per service over each window.
+   * Uptime is hour-granular: the window starts at the top of its first hour.
+   * @param {Object} [opts]
+   * @param {string[]} [opts.windows=['24h','7d','30d']] - Keys of WINDOWS
+   * @param {string} [opts.service] - Limit the report to one service
+   * @param {number} [opts.now=Date.now()]
+   * @returns {{ generatedAt: string, windows: string[], services: Object<string, Object<string, { checks: number, uptimePct: number|null, p50Ms: number|null, p95Ms: number|null }>> }}
+   */
+  getReport({ windows = Object.keys(WINDOWS), service, now = Date.now() } = {}) {
+    this._ensureDb();
+    for (const w of windows) {
+      if (!WINDOWS[w]) throw new Error(`Unknown window "${w}" (expected ${Object.keys(WINDOWS).join(', ')})`);
+    }
+
+    const longest = Math.max(...windows.map((w) => WINDOWS[w]));
+    const names = service
+      ? [service]
+      : this.db
+          .prepare('SELECT DISTINCT service FROM health_rollups_hourly WHERE hour >= ? ORDER BY service')
+          .all(hourOf(new Date(now - longest).toISOString()))
+          .map((r) => r.service);
+
+    const uptimeStmt = this.db.prepare(`
+      SELECT COALESCE(SUM(checks), 0) AS checks, COALESCE(SUM(up_checks), 0) AS up
+      FROM health_rollups_hourly WHERE service = ? AND hour >= ?
+    `);
+    const latencyStmt = this.db.prepare(`
+      SELECT latency_ms FROM health_checks
+      WHERE service = ? AND checked_at >= ? AND status = 'up' AND latency_ms IS NOT NULL
+      ORDER BY latency_ms
+    `).pluck();
+
+    const services = {};
+    for (const name of names) {
+      services[name] = {};
+      for (const w of windows) {
+        const since = new Date(now - WINDOWS[w]).toISOString();
+        const { checks, up } = uptimeStmt.get(name, hourOf(since));
+        const latencies = latencyStmt.all(name, since);
+        services[name][w] = {
+          checks,
+          uptimePct: checks > 0 ? Math.round((up / checks) * 10000) / 100 : null,
+          p50Ms: percentile(latencies, 50),
+          p95Ms: percentile(latencies, 95),
+        };
+      }
+    }
+
+    return { generatedAt: new Date(now).toISOString(), windows, services };
+  }
+
+  /**
+   * Raw check results for one service, newest first.
+   * @param {string} service
+   * @param {Object} [opts]
+   * @param {string} [opts.since] - ISO timestamp lower bound
+   * @param {number} [opts.limit=100]
+   * @returns {{ checkedAt: string, status: string, latencyMs: number|null, error: string|null }[]}
+   */
+  getHistory(service, { since, limit = 100 } = {}) {
+    this._ensureDb();
+    return this.db
+      .prepare(`
+        SELECT checked_at, status, latency_ms, error FROM health_checks
+        WHERE service = ? AND checked_at >= ? ORDER BY checked_at DESC, id DESC LIMIT ?
+      `)
+      .all(service, since || '', limit)
+      .map((r) => ({ checkedAt: r.checked_at, status: r.status, latencyMs: r.latency_ms, error: r.error }));
+  }
+
+  /**
+   * Delete raw checks and rollups past their retention.
+   * @returns {number} Rows deleted
+   */
+  cleanup() {
+    this._ensureDb();
+    const rawCutoff = new Date(Date.now() - this.rawRetentionDays * 86400000).toISOString();
+    const rollupCutoff = hourOf(new Date(Date.now() - this.rollupRetentionDays * 86400000).toISOString());
+    return this.db.prepare('DELETE FROM health_checks WHERE checked_at < ?').run(rawCutoff).changes
+      + this.db.prepare('DELETE FROM health_rollups_hourly WHERE hour < ?').run(rollupCutoff).changes;
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Truncate an ISO timestamp to its UTC hour ("2026-01-02T03:00").
+ * @private
+ */
+function hourOf(iso) {
+  return iso.substring(0, 13) + ':00';
+}
+
+/**
+ * Nearest-rank percentile of an ascending array; null when empty.
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+HealthHistory.WINDOWS = WINDOWS;
+
+module.exports = HealthHistory;
@@ -1,26 +1,63 @@
 'use strict';
 
+const dns = require('dns');
 const net = require('net');
+const tls = require('tls');
 const { execSync } = require('child_process');
+const IncidentManager = require('./incident-manager');
+const { createServiceBackend } = require('./service-backends');
+
+// Check types that don't block the event loop and can run in parallel
+const ASYNC_CHECK_TYPES = ['http', 'tcp', 'tls', 'dns'];
 
 /**
  * HealthMonitor - Checks the health of infrastructure services.
  *
- * Supports four check types:
- * - HTTP: fetch with AbortController, any response = UP
+ * Supports these check types:
+ * - HTTP: fetch with AbortController, any response = UP unless the service
+ *   sets expectStatus, bodyMatch or expectJson assertions
  * - TCP: net.createConnection with timeout
- * - process: launchctl list <label> to extract PID/LastExitStatus
+ * - process: ask the service's backend (launchd, systemd, pm2, compose or a
+ *   status command) whether it is running
  * - docker: docker ps --format to detect running vs stopped containers
+ * - script: run a command, exit code 0 = UP
+ * - tls: handshake and read the certificate; expired/untrusted = DOWN,
+ *   expiring within warnDays = UP with a warning
+ * - dns: resolve a hostname, optionally requiring expected answers
+ *
+ * A result's `warning` doesn't count as a failure; it is sent as an ACTION
+ * notification at most once a day per service.
  *
  * Results are cached in-memory. checkAll() only runs checks whose
- * intervalMs has elapsed since their last check.
+ * intervalMs has elapsed since their last check. When a HealthHistory is
+ * injected, every result is also persisted for uptime reporting.
+ *
+ * Services may declare `dependsOn: ['name', ...]`. A failing service whose
+ * dependency is down is marked `blocked` (with `blockedBy` naming the root
+ * causes) instead of `down`: it doesn't alert, restart or count toward its
+ * own failure threshold. When the root recovers, its dependents are
+ * re-checked on the next cycle.
  *
  * After checks, _processResults() triggers alerts and auto-restarts with safety gates:
- * - Correlated failure detection (3+ down = infrastructure event, no restarts)
+ * - Root causes only (blocked services are never alerted or restarted)
+ * - Restarts in dependency order (dependencies before dependents)
+ * - Correlated failure detection (3+ independent failures = infrastructure event, no restarts)
  * - Autonomy gating (moderate+ required for restarts)
  * - Restart budget (2/hr sliding window)
+ * - Restarts go through the service's backend (see service-backends.js);
+ *   docker-type services restart their first down container
  * - Post-restart verification (30s re-check, escalate if still down)
  * - Self-exclusion (orchestrator is never in service config)
+ *
+ * With an IncidentManager injected, the first alert for a service opens an
+ * incident, restarts and verifications are added to its timeline, and the
+ * next up result closes it.
+ *
+ * With a MaintenanceManager injected, services inside a maintenance window
+ * or silence are still checked, but their results are recorded with status
+ * 'maintenance' (keeping the check's error, if any) and never alert, restart
+ * or open incidents. A failing service in maintenance still blocks its
+ * dependents.
  */
 class HealthMonitor {
   /**
@@ -28,11 +65,19 @@ class HealthMonitor {
    * @param {Object} deps.config - Parsed config.json object
    * @param {Object} [deps.notificationManager] - NotificationManager instance
    * @param {Object} [deps.state] - StateManager instance
+   * @param {Object} [deps.healthHistory] - HealthHistory instance (persists every result)
+   * @param {Object} [deps.incidents] - IncidentManager instance (outage lifecycle)
+   * @param {Object} [deps.maintenance] - MaintenanceManager instance (windows and silences)
+   * @param {Object} [deps.audit] - AuditLog instance (records auto-restarts)
    */
-  constructor({ config, notificationManager, state }) {
+  constructor({ config, notificationManager, state, healthHistory, incidents, maintenance, audit }) {
     this.config = config;
     this.notificationManager = notificationManager;
     this.state = state;
+    this.healthHistory = healthHistory || null;
+    this.incidents = incidents || null;
+    this.maintenance = maintenance || null;
+    this.audit = audit || null;
 
     // Service registry from config
     this.services = config.health?.services || [];
@@ -45,6 +90,15 @@ class HealthMonitor {
     this._restartTimestamps = []; // For restart budget (used by 05-02)
     this._lastAlertTime = {};    // { serviceName: timestampMs } - per-service alert cooldown
     this._alertCooldownMs = 1800000; // 30 minutes between alerts for the same service
+    this._lastWarningTime = {};  // { serviceName: timestampMs } - per-service warning cooldown
+    this._warningCooldownMs = 86400000; // Warnings (e.g. cert expiry) at most daily
+
+    // Restart/status backends, built on first use: { serviceName: backend|null }
+    this._backends = {};
+
+    // Dependency graph: { serviceName: [direct dependency names] } and a topological order
+    this._dependencies = {};
+    this._dependencyOrder = this._buildDependencyOrder();
   }
 
   /**
@@ -63,11 +117,11 @@ class HealthMonitor {
 
       this._lastCheckTime[service.name] = now;
 
-      // HTTP/TCP checks can run in parallel; shell commands run sequentially after
-      if (service.type === 'http' || service.type === 'tcp') {
+      // Network checks can run in parallel; shell commands run sequentially after
+      if (ASYNC_CHECK_TYPES.includes(service.type)) {
         checkPromises.push(this._checkAndRecord(service));
       } else {
-        // Process and Docker checks use execSync -- run after parallel HTTP checks
+        // Process, Docker and script checks use execSync -- run after parallel network checks
         checkPromises.push(Promise.resolve({ service, deferred: true }));
       }
     }
@@ -82,6 +136,9 @@ class HealthMonitor {
       }
     }
 
+    // Failures caused by a down dependency become 'blocked'
+    this._applyDependencies();
+
     // Process results for alerts and auto-restarts
     this._processResults();
   }
@@ -118,6 +175,21 @@ class HealthMonitor {
           status = details.up ? 'up' : 'down';
           error = details.error || null;
           break;
+        case 'script':
+          details = this._checkScript(service);
+          status = details.up ? 'up' : 'down';
+          error = details.error || null;
+          break;
+        case 'tls':
+          details = await this._checkTLS(service);
+          status = details.up ? 'up' : 'down';
+          error = details.error || null;
+          break;
+        case 'dns':
+          details = await this._checkDNS(service);
+          status = details.up ? 'up' : 'down';
+          error = details.error || null;
+          break;
         default:
           error = `Unknown check type: ${service.type}`;
       }
@@ -127,6 +199,8 @@ class HealthMonitor {
 
     const latencyMs = Date.now() - startMs;
     const prev = this._results[service.name];
+    const maintenance = this._getMaintenance(service.name);
+    if (maintenance) status = 'maintenance';
     const consecutiveFails = status === 'down'
       ? (prev?.consecutiveFails || 0) + 1
       : 0;
@@ -139,13 +213,28 @@ class HealthMonitor {
       error,
       consecutiveFails,
       lastChecked: new Date().toISOString(),
+      warning: details?.warning || null,
+      maintenance,
       details,
     };
+
+    if (this.healthHistory) {
+      try {
+        this.healthHistory.record(this._results[service.name]);
+      } catch (err) {
+        console.error(`[HEALTH] Failed to record history for ${service.name}: ${err.message}`);
+      }
+    }
   }
 
   /**
-   * HTTP health check. ANY HTTP response (including 4xx) means UP.
-   * Only connection refused, timeout, or DNS failure means DOWN.
+   * HTTP health check. Without assertions, ANY HTTP response (including 4xx)
+   * means UP; only connection refused, timeout, or DNS failure means DOWN.
+   * Optional assertions, all of which must pass:
+   * - expectStatus: status code or array of codes
+   * - bodyMatch: regex source the body must match
+   * - expectJson: { path, equals? } or an array of them; path is "$.a.b[0]"
+   *   style, and without `equals` the value only has to exist
    * @param {Object} service
    * @returns {Promise<Object>} { up, statusCode?, error? }
    */
@@ -154,9 +243,13 @@ class HealthMonitor {
     const timeoutId = setTimeout(() => controller.abort(), service.timeoutMs || 5000);
     try {
       const response = await fetch(service.url, { signal: controller.signal });
+      // Only read the body when there's something to assert on (timeout still applies)
+      const body = service.bodyMatch || service.expectJson ? await response.text() : null;
       clearTimeout(timeoutId);
-      // ANY HTTP response means the service is up (even 404)
-      return { up: true, statusCode: response.status };
+      const failure = this._checkHTTPAssertions(service, response.status, body);
+      return failure
+        ? { up: false, statusCode: response.status, error: failure }
+        : { up: true, statusCode: response.status };
     } catch (err) {
       clearTimeout(timeoutId);
       const errorMsg = err.name === 'AbortError' ? 'timeout' : (err.cause?.code || err.message);
@@ -164,6 +257,43 @@ class HealthMonitor {
     }
   }
 
+  /**
+   * Evaluate a service's HTTP assertions against a response.
+   * @param {Object} service
+   * @param {number} statusCode
+   * @param {string|null} body - Response text, when an assertion needs it
+   * @returns {string|null} First failed assertion, or null if all pass
+   */
+  _checkHTTPAssertions(service, statusCode, body) {
+    if (service.expectStatus != null) {
+      const expected = [].concat(service.expectStatus);
+      if (!expected.includes(statusCode)) return `status ${statusCode} (expected ${expected.join('/')})`;
+    }
+
+    if (service.bodyMatch && !new RegExp(service.bodyMatch).test(body)) {
+      return `body does not match /${service.bodyMatch}/`;
+    }
+
+    if (service.expectJson) {
+      let json;
+      try {
+        json = JSON.parse(body);
+      } catch {
+        return 'response is not JSON';
+      }
+      for (const assertion of [].concat(service.expectJson)) {
+        const value = getJsonPath(json, assertion.path);
+        if (!('equals' in assertion)) {
+          if (value === undefined) return `${assertion.path} is missing`;
+        } else if (JSON.stringify(value) !== JSON.stringify(assertion.equals)) {
+          return `${assertion.path} is ${value === undefined ? 'missing' : JSON.stringify(value)} (expected ${JSON.stringify(assertion.equals)})`;
+        }
+      }
+    }
+
+    return null;
+  }
+
   /**
    * TCP health check using net.createConnection.
    * @param {Object} service
@@ -182,22 +312,33 @@ class HealthMonitor {
   }
 
   /**
-   * Process health check via launchctl list.
-   * Parses PID and LastExitStatus from output.
+   * Process health check through the service's backend
+   * (e.g. launchctl list, systemctl show, pm2 jlist).
    * @param {Object} service
-   * @returns {Object} { up, pid, exitCode, error? }
+   * @returns {Object} { up, pid?, exitCode?, error? }
    */
   _checkProcess(service) {
-    try {
-      const output = execSync(`launchctl list ${service.launchdLabel}`, { encoding: 'utf-8', timeout: 3000 });
-      const pidMatch = output.match(/"PID"\s*=\s*(\d+)/);
-      const exitMatch = output.match(/"LastExitStatus"\s*=\s*(-?\d+)/);
-      const pid = pidMatch ? parseInt(pidMatch[1]) : null;
-      const exitCode = exitMatch ? parseInt(exitMatch[1]) : null;
-      return { up: pid !== null, pid, exitCode };
-    } catch (err) {
-      return { up: false, error: err.message.substring(0, 200) };
+    const backend = this._getBackend(service);
+    if (!backend) return { up: false, error: 'No backend configured' };
+    return backend.status();
+  }
+
+  /**
+   * The service's restart/status backend, built once per service. A bad
+   * backend config is logged and treated as "no backend".
+   * @param {Object} service
+   * @returns {Object|null}
+   */
+  _getBackend(service) {
+    if (!(service.name in this._backends)) {
+      try {
+        this._backends[service.name] = createServiceBackend(service);
+      } catch (err) {
+        console.warn(`[HEALTH] ${service.name}: ${err.message}`);
+        this._backends[service.name] = null;
+      }
     }
+    return this._backends[service.name];
   }
 
   /**
@@ -242,6 +383,110 @@ class HealthMonitor {
     }
   }
 
+  /**
+   * Script health check: run service.command, exit code 0 means UP.
+   * The last line of stderr (or stdout) becomes the error on failure.
+   * @param {Object} service - { command, cwd?, timeoutMs? }
+   * @returns {Object} { up, exitCode, output?, error? }
+   */
+  _checkScript(service) {
+    try {
+      const output = execSync(service.command, {
+        encoding: 'utf-8',
+        timeout: service.timeoutMs || 10000,
+        cwd: service.cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      return { up: true, exitCode: 0, output: lastLine(output) };
+    } catch (err) {
+      if (err.code === 'ETIMEDOUT') return { up: false, exitCode: null, error: 'timeout' };
+      const message = lastLine(err.stderr) || lastLine(err.stdout);
+      const exit = err.status != null ? `exit ${err.status}` : (err.signal || err.message.substring(0, 200));
+      return { up: false, exitCode: err.status ?? null, error: message ? `${exit}: ${message}` : exit };
+    }
+  }
+
+  /**
+   * TLS health check: handshake, then inspect the peer certificate.
+   * Expired or untrusted (unless allowUnauthorized) certificates are DOWN;
+   * one expiring within warnDays (default 14) is UP with a warning.
+   * @param {Object} service - { host, port?, servername?, warnDays?, allowUnauthorized?, timeoutMs? }
+   * @returns {Promise<Object>} { up, expiresAt?, daysLeft?, issuer?, warning?, error? }
+   */
+  async _checkTLS(service) {
+    const warnDays = service.warnDays ?? 14;
+    return new Promise((resolve) => {
+      const sock = tls.connect({
+        host: service.host,
+        port: service.port || 443,
+        servername: service.servername || service.host,
+        rejectUnauthorized: false, // Read the certificate even when it doesn't verify
+      }, () => {
+        const cert = sock.getPeerCertificate();
+        const authorized = sock.authorized;
+        const authError = sock.authorizationError;
+        sock.destroy();
+
+        if (!cert || !cert.valid_to) return resolve({ up: false, error: 'no certificate presented' });
+        const expiresAt = new Date(cert.valid_to);
+        const daysLeft = Math.floor((expiresAt.getTime() - Date.now()) / 86400000);
+        const details = {
+          expiresAt: expiresAt.toISOString(),
+          daysLeft,
+          issuer: cert.issuer?.O || cert.issuer?.CN || null,
+        };
+
+        if (expiresAt.getTime() <= Date.now()) {
+          return resolve({ ...details, up: false, error: `certificate expired ${expiresAt.toISOString().substring(0, 10)}` });
+        }
+        if (!authorized && !service.allowUnauthorized) {
+          return resolve({ ...details, up: false, error: `certificate not trusted: ${authError}` });
+        }
+        if (daysLeft <= warnDays) {
+          details.warning = `certificate expires in ${daysLeft}d (${expiresAt.toISOString().substring(0, 10)})`;
+        }
+        resolve({ ...details, up: true });
+      });
+      sock.setTimeout(service.timeoutMs || 5000);
+      sock.on('timeout', () => { sock.destroy(); resolve({ up: false, error: 'timeout' }); });
+      sock.on('error', (err) => { resolve({ up: false, error: err.code || err.message }); });
+    });
+  }
+
+  /**
+   * DNS health check: resolve service.hostname. With `expect` (a value or
+   * array), every expected answer must be present.
+   * @param {Object} service - { hostname, recordType?, expect?, resolver?, timeoutMs? }
+   * @returns {Promise<Object>} { up, answers?, error? }
+   */
+  async _checkDNS(service) {
+    const recordType = (service.recordType || 'A').toUpperCase();
+    try {
+      const records = await this._createResolver(service).resolve(service.hostname, recordType);
+      const answers = records.map(formatDnsRecord);
+      if (service.expect != null) {
+        const missing = [].concat(service.expect).filter(e => !answers.includes(e));
+        if (missing.length > 0) {
+          return { up: false, answers, error: `missing ${missing.join(', ')} (got ${answers.join(', ') || 'nothing'})` };
+        }
+      }
+      return { up: answers.length > 0, answers, error: answers.length > 0 ? null : 'no records' };
+    } catch (err) {
+      return { up: false, error: err.code || err.message };
+    }
+  }
+
+  /**
+   * Resolver for a DNS check; uses service.resolver (IP or array) when set.
+   * @param {Object} service
+   * @returns {dns.promises.Resolver}
+   */
+  _createResolver(service) {
+    const resolver = new dns.promises.Resolver({ timeout: service.timeoutMs || 5000, tries: 1 });
+    if (service.resolver) resolver.setServers([].concat(service.resolver));
+    return resolver;
+  }
+
   // --- Alert Routing & Auto-Restart (Phase 05-02) ---
 
   /**
@@ -250,7 +495,29 @@ class HealthMonitor {
    */
   _processResults() {
     const results = Object.values(this._results);
-    const downServices = results.filter(r => r.status === 'down' && r.consecutiveFails >= this.consecutiveFailsBeforeAlert);
+
+    // Non-failure warnings (e.g. certificate expiring soon)
+    for (const result of results) {
+      if (result.warning && result.status !== 'maintenance') this._handleWarning(result);
+    }
+
+    // Close incidents for services that are back up
+    for (const result of results) {
+      if (result.status !== 'up') continue;
+      const incident = this._withIncidents('resolve', (im) => im.resolve(result.name));
+      if (incident && this.notificationManager) {
+        this.notificationManager.notify(
+          `SERVICE RECOVERED: ${result.name} is back up after ${IncidentManager.formatDuration(incident.durationMs)} (incident #${incident.id}, ${incident.resolution}).`,
+          3, // tier 3 = SUMMARY
+          { category: 'health' }
+        );
+      }
+    }
+
+    // Root causes only ('blocked' is excluded), dependencies first so restarts go in order
+    const downServices = results
+      .filter(r => r.status === 'down' && r.consecutiveFails >= this.consecutiveFailsBeforeAlert)
+      .sort((a, b) => this._dependencyOrder.indexOf(a.name) - this._dependencyOrder.indexOf(b.name));
 
     // Correlated failure detection: 3+ services down simultaneously = infrastructure event
     const correlatedThreshold = this.config.health?.correlatedFailureThreshold || 3;
@@ -271,6 +538,114 @@ class HealthMonitor {
     }
   }
 
+  /**
+   * Topologically sort services by dependsOn, dependencies first, and fill
+   * this._dependencies. Unknown dependencies and edges that would close a
+   * cycle are logged and ignored.
+   * @returns {string[]} Service names in dependency order
+   */
+  _buildDependencyOrder() {
+    const byName = new Map(this.services.map(s => [s.name, s]));
+    const order = [];
+    const visiting = new Set();
+    const done = new Set();
+
+    const visit = (name, trail) => {
+      if (done.has(name)) return;
+      visiting.add(name);
+      const deps = [];
+      for (const dep of [].concat(byName.get(name).dependsOn || [])) {
+        if (!byName.has(dep)) {
+          console.warn(`[HEALTH] ${name} depends on unknown service "${dep}" (ignored)`);
+        } else if (visiting.has(dep)) {
+          const cycle = [...trail, name];
+          console.warn(`[HEALTH] Dependency cycle ${[...cycle.slice(cycle.indexOf(dep)), dep].join(' -> ')} (ignoring ${name} -> ${dep})`);
+        } else {
+          visit(dep, [...trail, name]);
+          deps.push(dep);
+        }
+      }
+      visiting.delete(name);
+      done.add(name);
+      this._dependencies[name] = deps;
+      order.push(name);
+    };
+
+    for (const service of this.services) visit(service.name, []);
+    return order;
+  }
+
+  /**
+   * Mark failing services whose dependencies are down as 'blocked'. Blocked
+   * services that no longer have a down dependency are scheduled for an
+   * immediate re-check rather than guessed at.
+   */
+  _applyDependencies() {
+    for (const name of this._dependencyOrder) {
+      const result = this._results[name];
+      if (!result || result.status === 'up' || result.status === 'maintenance') continue;
+
+      const roots = this._rootCauses(name);
+      if (roots.length > 0) {
+        result.status = 'blocked';
+        result.blockedBy = roots;
+        result.consecutiveFails = 0; // Failures while blocked aren't this service's own
+      } else if (result.status === 'blocked') {
+        delete this._lastCheckTime[name];
+      }
+    }
+  }
+
+  /**
+   * Down (not blocked) services somewhere below a service in the dependency
+   * graph, including failing services in maintenance.
+   * @param {string} name
+   * @returns {string[]}
+   */
+  _rootCauses(name) {
+    const roots = new Set();
+    const seen = new Set();
+    const stack = [...(this._dependencies[name] || [])];
+    while (stack.length > 0) {
+      const dep = stack.pop();
+      if (seen.has(dep)) continue;
+      seen.add(dep);
+      const result = this._results[dep];
+      if (!result || result.status === 'up') continue;
+      if (result.status === 'maintenance' && !result.error) continue;
+      if (result.status === 'blocked') stack.push(...(this._dependencies[dep] || []));
+      else roots.add(dep);
+    }
+    return [...roots];
+  }
+
+  /**
+   * Services currently blocked by a root cause, for alert messages.
+   * @param {string} name
+   * @returns {string[]}
+   */
+  _blockedDependents(name) {
+    return Object.values(this._results)
+      .filter(r => r.status === 'blocked' && r.blockedBy?.includes(name))
+      .map(r => r.name);
+  }
+
+  /**
+   * Send a service warning as an ACTION notification, at most once per
+   * warning cooldown.
+   * @param {Object} result - Check result object with a warning
+   */
+  _handleWarning(result) {
+    const last = this._lastWarningTime[result.name] || 0;
+    if (Date.now() - last < this._warningCooldownMs) return;
+    this._lastWarningTime[result.name] = Date.now();
+
+    if (this.notificationManager) {
+      this.notificationManager.notify(`SERVICE WARNING: ${result.name}\n${result.warning}`, 2, { category: 'health' }); // tier 2 = ACTION
+    }
+    console.log(`[HEALTH] Warning for ${result.name}: ${result.warning}`);
+  }
+
   /**
    * Handle correlated failure: 3+ services down simultaneously.
    * Send tier-1 URGENT notification. Do NOT restart anything.
@@ -278,12 +653,18 @@ class HealthMonitor {
    */
   _handleInfrastructureEvent(downServices) {
     const names = downServices.map(d => d.name).join(', ');
+    for (const d of downServices) {
+      this._withIncidents('open', (im) => im.open(d.name, {
+        error: d.error,
+        detail: `Down in infrastructure event (${downServices.length} services): ${d.error || 'unknown'}`,
+      }));
+    }
     const msg = `INFRASTRUCTURE EVENT: ${downServices.length} services down simultaneously!\n\n` +
       `Services: ${names}\n\n` +
       `Auto-restart DISABLED (correlated failure). Manual investigation required.`;
 
     if (this.notificationManager) {
-      this.notificationManager.notify(msg, 1); // tier 1 = URGENT
+      this.notificationManager.notify(msg, 1, { category: 'health' }); // tier 1 = URGENT
     }
     console.log(`[HEALTH] Infrastructure event: ${names}`);
   }
@@ -295,6 +676,13 @@ class HealthMonitor {
    * @param {Object} result - Check result object
    */
   _handleServiceDown(service, result) {
+    const blocked = this._blockedDependents(service.name);
+    this._withIncidents('open', (im) => im.open(service.name, {
+      error: result.error,
+      detail: `Down after ${result.consecutiveFails} consecutive failures: ${result.error || 'unknown'}` +
+        (blocked.length > 0 ? `; blocking ${blocked.join(', ')}` : ''),
+    }));
+
     // Per-service alert cooldown: skip if alerted within cooldown window
     const lastAlert = this._lastAlertTime[service.name] || 0;
     if (Date.now() - lastAlert < this._alertCooldownMs) {
@@ -321,16 +709,27 @@ class HealthMonitor {
 
       const msg = `SERVICE DOWN: ${service.name}\n` +
         `${result.consecutiveFails} consecutive failures\n` +
-        `Error: ${result.error || 'unknown'}\n\n` +
-        `No auto-restart: ${reason}`;
+        `Error: ${result.error || 'unknown'}\n` +
+        this._blockingLine(service.name) +
+        `\nNo auto-restart: ${reason}`;
 
       if (this.notificationManager) {
-        this.notificationManager.notify(msg, 1); // tier 1 = URGENT
+        this.notificationManager.notify(msg, 1, { category: 'health' }); // tier 1 = URGENT
       }
       console.log(`[HEALTH] Service down (alert only): ${service.name} -- ${reason}`);
     }
   }
 
+  /**
+   * "Also blocking: ..." line for alerts, or '' when nothing depends on the service.
+   * @param {string} name
+   * @returns {string}
+   */
+  _blockingLine(name) {
+    const blocked = this._blockedDependents(name);
+    return blocked.length > 0 ? `Also blocking: ${blocked.join(', ')}\n` : '';
+  }
+
   /**
    * Execute a restart command for a failed service and schedule verification.
    * Docker services: `docker restart <container>` (first down container only).
@@ -341,15 +740,19 @@ class HealthMonitor {
   async _restartService(service, result) {
     let restartCmd = null;
     let restartType = null;
+    let restart = null;
 
+    const backend = this._getBackend(service);
     if (service.type === 'docker' && result.details?.downContainers?.length > 0) {
       // Restart first down container only (budget-conscious)
       const container = result.details.downContainers[0];
       restartCmd = `docker restart ${container}`;
       restartType = 'docker';
-    } else if (service.launchdLabel) {
-      restartCmd = `launchctl kickstart -kp gui/502/${service.launchdLabel}`;
-      restartType = 'launchd';
+      restart = () => execSync(restartCmd, { encoding: 'utf-8', timeout: 15000 });
+    } else if (backend) {
+      restartCmd = backend.restartCommand();
+      restartType = backend.name;
+      restart = () => backend.restart();
     }
 
     if (!restartCmd) {
@@ -363,17 +766,19 @@ class HealthMonitor {
     // Send notification about the restart
     const msg = `SERVICE DOWN: ${service.name}\n` +
       `${result.consecutiveFails} consecutive failures\n` +
-      `Error: ${result.error || 'unknown'}\n\n` +
-      `Action: Restarting (${restartType})...`;
+      `Error: ${result.error || 'unknown'}\n` +
+      this._blockingLine(service.name) +
+      `\nAction: Restarting (${restartType})...`;
 
     if (this.notificationManager) {
-      this.notificationManager.notify(msg, 2); // tier 2 = ACTION
+      this.notificationManager.notify(msg, 2, { category: 'health' }); // tier 2 = ACTION
     }
 
     try {
       console.log(`[HEALTH] Restarting ${service.name}: ${restartCmd}`);
-      execSync(restartCmd, { encoding: 'utf-8', timeout: 15000 });
+      restart();
       console.log(`[HEALTH] Restart command completed for ${service.name}`);
+      this._logRestart({ service: service.name, type: restartType, timestamp: new Date().toISOString(), success: true }, restartCmd);
 
       // Schedule verification re-check after 30 seconds
       setTimeout(async () => {
@@ -382,8 +787,12 @@ class HealthMonitor {
     } catch (err) {
       const errMsg = `Failed to restart ${service.name}: ${err.message.substring(0, 200)}`;
       console.error(`[HEALTH] ${errMsg}`);
+      this._logRestart({
+        service: service.name, type: restartType, timestamp: new Date().toISOString(),
+        success: false, error: err.message.substring(0, 200),
+      }, restartCmd);
       if (this.notificationManager) {
-        this.notificationManager.notify(errMsg, 1); // tier 1 = URGENT
+        this.notificationManager.notify(errMsg, 1, { category: 'health' }); // tier 1 = URGENT
       }
     }
   }
@@ -398,16 +807,22 @@ class HealthMonitor {
       const result = this._results[service.name];
 
       if (result?.status === 'up') {
-        const msg = `SERVICE RECOVERED: ${service.name} is back up after restart.`;
-        if (this.notificationManager) {
-          this.notificationManager.notify(msg, 3); // tier 3 = SUMMARY
+        const incident = this._withIncidents('resolve', (im) => im.resolve(service.name));
+        const msg = `SERVICE RECOVERED: ${service.name} is back up after restart.` +
+          (incident ? ` Incident #${incident.id} closed after ${IncidentManager.formatDuration(incident.durationMs)}.` : '');
+        // Without an incident to close, a regular check already announced the recovery
+        if (this.notificationManager && (incident || !this.incidents)) {
+          this.notificationManager.notify(msg, 3, { category: 'health' }); // tier 3 = SUMMARY
         }
         console.log(`[HEALTH] ${service.name} recovered after restart`);
+      } else if (result?.status === 'maintenance') {
+        console.log(`[HEALTH] ${service.name} went into maintenance during restart; not escalating`);
       } else {
+        this._withIncidents('event', (im) => im.addEvent(service.name, 'verify', 'Still down 30s after restart'));
         const msg = `SERVICE STILL DOWN: ${service.name}\n` +
           `Restart did not resolve the issue. Manual investigation required.`;
         if (this.notificationManager) {
-          this.notificationManager.notify(msg, 1); // tier 1 = URGENT
+          this.notificationManager.notify(msg, 1, { category: 'health' }); // tier 1 = URGENT
         }
         console.log(`[HEALTH] ${service.name} still down after restart`);
       }
@@ -416,6 +831,62 @@ class HealthMonitor {
     }
   }
 
+  /**
+   * Record a restart attempt in state history, on the open incident and in
+   * the audit log.
+   * @param {Object} record - { service, type, timestamp, success, error? }
+   * @param {string} [command] - The restart command that ran
+   */
+  _logRestart(record, command) {
+    const incidentId = this._withIncidents('restart', (im) => im.recordRestart(record));
+    if (this.audit) {
+      this.audit.record({
+        actor: 'health-monitor', channel: 'health', action: 'restart', target: record.service,
+        params: { type: record.type, command, incidentId },
+        result: record.success ? 'Restart command completed' : record.error,
+        success: record.success, autonomyLevel: this._getAutonomyLevel(),
+      });
+    }
+    if (!this.state) return;
+    try {
+      this.state.logHealthRestart(this.state.load(), { ...record, incidentId });
+    } catch (err) {
+      console.error(`[HEALTH] Failed to log restart for ${record.service}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run an IncidentManager call; incident bookkeeping never breaks monitoring.
+   * @param {string} action - For the error log
+   * @param {Function} fn - Receives the IncidentManager
+   * @returns {*} fn's result, or null without incidents or on error
+   */
+  _withIncidents(action, fn) {
+    if (!this.incidents) return null;
+    try {
+      return fn(this.incidents);
+    } catch (err) {
+      console.error(`[HEALTH] Incident ${action} failed: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The service's active maintenance window or silence; lookup errors are
+   * logged and treated as "not in maintenance" so alerts keep working.
+   * @param {string} name
+   * @returns {Object|null} { source, name?, reason, until }
+   */
+  _getMaintenance(name) {
+    if (!this.maintenance) return null;
+    try {
+      return this.maintenance.getActive(name);
+    } catch (err) {
+      console.error(`[HEALTH] Maintenance lookup failed for ${name}: ${err.message}`);
+      return null;
+    }
+  }
+
   /**
    * Get current autonomy level from state.
    * Returns 'observe' as safe default if state is unavailable.
@@ -451,9 +922,8 @@ class HealthMonitor {
   _isRestartable(service) {
     // Docker services with containers are restartable
     if (service.type === 'docker' && service.containers?.length > 0) return true;
-    // Services with launchdLabel are restartable
-    if (service.launchdLabel) return true;
-    return false;
+    // Services with a backend (or the legacy launchdLabel) are restartable
+    return this._getBackend(service) !== null;
   }
 
   /**
@@ -475,7 +945,11 @@ class HealthMonitor {
 
     const lines = ['Service Health:'];
     for (const r of results) {
-      if (r.type === 'docker') {
+      if (r.status === 'blocked') {
+        lines.push(`- ${r.name}: BLOCKED by ${r.blockedBy.join(', ')}`);
+      } else if (r.status === 'maintenance') {
+        lines.push(`- ${r.name}: MAINTENANCE until ${r.maintenance.until}${r.error ? ` -- ${r.error}` : ''}`);
+      } else if (r.type === 'docker') {
         lines.push(`- ${r.name}: ${r.status === 'up' ? 'UP' : 'DOWN'} (${r.details?.running || 0}/${r.details?.total || 0} containers)`);
         if (r.details?.downContainers?.length > 0) {
           lines.push(`  Down: ${r.details.downContainers.join(', ')}`);
@@ -483,6 +957,9 @@ class HealthMonitor {
       } else if (r.type === 'process') {
         const pidInfo = r.details?.pid ? `pid ${r.details.pid}` : 'no pid';
         lines.push(`- ${r.name}: ${r.status === 'up' ? 'UP' : 'DOWN'} (${pidInfo})`);
+      } else if (r.type === 'tls' && r.details?.daysLeft != null) {
+        const errInfo = r.error ? ` -- ${r.error}` : '';
+        lines.push(`- ${r.name}: ${r.status === 'up' ? 'UP' : 'DOWN'} (cert ${r.details.daysLeft}d left)${errInfo}`);
       } else {
         const latency = r.latencyMs ? `${r.latencyMs}ms` : '?';
         const errInfo = r.error ? ` -- ${r.error}` : '';
@@ -501,7 +978,7 @@ class HealthMonitor {
 
   /**
    * Returns summary stats for external consumers.
-   * @returns {Object} { total, up, down, services }
+   * @returns {Object} { total, up, down, blocked, maintenance, services }
    */
   getStats() {
     const results = Object.values(this._results);
@@ -509,9 +986,47 @@ class HealthMonitor {
       total: results.length,
       up: results.filter(r => r.status === 'up').length,
       down: results.filter(r => r.status === 'down').length,
-      services: results.map(r => ({ name: r.name, status: r.status, consecutiveFails: r.consecutiveFails })),
+      blocked: results.filter(r => r.status === 'blocked').length,
+      maintenance: results.filter(r => r.status === 'maintenance').length,
+      services: results.map(r => ({
+        name: r.name, status: r.status, consecutiveFails: r.consecutiveFails, blockedBy: r.blockedBy || [],
+        maintenanceUntil: r.maintenance?.until || null,
+      })),
     };
   }
 }
 
+/**
+ * Resolve a "$.a.b[0].c" style path against parsed JSON.
+ * @param {*} obj
+ * @param {string} jsonPath
+ * @returns {*} undefined when any step is missing
+ */
+function getJsonPath(obj, jsonPath) {
+  const steps = String(jsonPath).replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  let value = obj;
+  for (const step of steps) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[step.replace(/^['"]|['"]$/g, '')];
+  }
+  return value;
+}
+
+/**
+ * One resolved record as a comparable string (MX -> exchange, TXT -> joined chunks).
+ */
+function formatDnsRecord(record) {
+  if (typeof record === 'string') return record;
+  if (Array.isArray(record)) return record.join('');
+  return record.exchange || record.value || record.address || record.name || JSON.stringify(record);
+}
+
+/**
+ * Last non-empty line of command output.
+ */
+function lastLine(output) {
+  const lines = String(output || '').trim().split('\n');
+  return lines[lines.length - 1].trim().substring(0, 200);
+}
+
 module.exports = HealthMonitor;
@@ -0,0 +1,312 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const path = require('path');
+
+/**
+ * IncidentManager - Lifecycle of service outages.
+ *
+ * HealthMonitor opens an incident the first time it alerts on a service and
+ * resolves it when the service is seen up again. Everything in between —
+ * restart attempts (the same records that go to StateManager.logHealthRestart),
+ * post-restart verifications, infrastructure events — is appended to the
+ * incident's timeline. A service has at most one open incident at a time.
+ *
+ * Resolved incidents keep their duration, so MTTR is just an average over
+ * the resolved rows in a window.
+ */
+class IncidentManager {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   */
+  constructor({ dbPath } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates incidents and incident_events if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        opened_at TEXT NOT NULL,
+        resolved_at TEXT,
+        duration_ms INTEGER,
+        error TEXT,
+        resolution TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_incidents_service_status
+        ON incidents(service, status);
+
+      CREATE TABLE IF NOT EXISTS incident_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        incident_id INTEGER NOT NULL,
+        at TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        detail TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_incident_events_incident
+        ON incident_events(incident_id);
+    `);
+  }
+
+  /**
+   * Open an incident for a service, or return the one already open.
+   * @param {string} service
+   * @param {Object} [opts]
+   * @param {string} [opts.error] - Check error that triggered the alert
+   * @param {string} [opts.detail] - Timeline text for the opening event
+   * @returns {Object} The open incident
+   */
+  open(service, { error, detail } = {}) {
+    this._ensureDb();
+    const existing = this.getOpen(service);
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    const id = this.db.transaction(() => {
+      const incidentId = this.db
+        .prepare("INSERT INTO incidents (service, status, opened_at, error) VALUES (?, 'open', ?, ?)")
+        .run(service, now, error || null)
+        .lastInsertRowid;
+      this._insertEvent(incidentId, now, 'opened', detail || (error ? `Down: ${error}` : 'Down'));
+      return incidentId;
+    })();
+    return this.get(id);
+  }
+
+  /**
+   * @param {string} service
+   * @returns {Object|null} The service's open incident, without timeline
+   */
+  getOpen(service) {
+    this._ensureDb();
+    const row = this.db
+      .prepare("SELECT * FROM incidents WHERE service = ? AND status = 'open' ORDER BY id DESC LIMIT 1")
+      .get(service);
+    return row ? this._toIncident(row) : null;
+  }
+
+  /**
+   * Append an event to a service's open incident.
+   * @param {string} service
+   * @param {string} kind - e.g. 'alert', 'restart', 'verify'
+   * @param {string} detail
+   * @returns {number|null} Incident id, or null when nothing is open
+   */
+  addEvent(service, kind, detail) {
+    const open = this.getOpen(service);
+    if (!open) return null;
+    this._insertEvent(open.id, new Date().toISOString(), kind, detail);
+    return open.id;
+  }
+
+  /**
+   * Link a restart attempt to the service's open incident.
+   * @param {Object} record - Same shape as StateManager.logHealthRestart records
+   * @param {string} record.service
+   * @param {string} record.type - launchd, docker
+   * @param {boolean} record.success
+   * @param {string} [record.error]
+   * @returns {number|null} Incident id, or null when nothing is open
+   */
+  recordRestart(record) {
+    const detail = record.success
+      ? `Restarted (${record.type})`
+      : `Restart failed (${record.type}): ${record.error || 'unknown error'}`;
+    return this.addEvent(record.service, record.success ? 'restart' : 'restart-failed', detail);
+  }
+
+  /**
+   * Close a service's open incident.
+   * @param {string} service
+   * @param {Object} [opts]
+   * @param {string} [opts.resolution] - Defaults to 'auto-restart' if a restart
+   *   succeeded during the incident, otherwise 'recovered'
+   * @returns {Object|null} The resolved incident, or null when nothing was open
+   */
+  resolve(service, { resolution } = {}) {
+    const open = this.getOpen(service);
+    if (!open) return null;
+
+    const now = new Date();
+    const durationMs = now.getTime() - Date.parse(open.openedAt);
+    if (!resolution) {
+      const restarted = this.db
+        .prepare("SELECT 1 FROM incident_events WHERE incident_id = ? AND kind = 'restart' LIMIT 1")
+        .get(open.id);
+      resolution = restarted ? 'auto-restart' : 'recovered';
+    }
+
+    this.db.transaction(() => {
+      this.db
+        .prepare("UPDATE incidents SET status = 'resolved', resolved_at = ?, duration_ms = ?, resolution = ? WHERE id = ?")
+        .run(now.toISOString(), durationMs, resolution, open.id);
+      this._insertEvent(open.id, now.toISOString(), 'resolved', `Up again after ${formatDuration(durationMs)} (${resolution})`);
+    })();
+    return this.get(open.id);
+  }
+
+  /**
+   * One incident with its timeline, oldest event first.
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this._ensureDb();
+    const row = this.db.prepare('SELECT * FROM incidents WHERE id = ?').get(id);
+    if (!row) return null;
+    const incident = this._toIncident(row);
+    incident.timeline = this.db
+      .prepare('SELECT at, kind, detail FROM incident_events WHERE incident_id = ? ORDER BY id')
+      .all(id);
+    return incident;
+  }
+
+  /**
+   * Recent incidents, newest first, without timelines.
+   * @param {Object} [opts]
+   * @param {number} [opts.limit=10]
+   * @param {string} [opts.status] - 'open' or 'resolved'
+   * @returns {Object[]}
+   */
+  list({ limit = 10, status } = {}) {
+    this._ensureDb();
+    const rows = status
+      ? this.db.prepare('SELECT * FROM incidents WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+      : this.db.prepare('SELECT * FROM incidents ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map((r) => this._toIncident(r));
+  }
+
+  /**
+   * Mean time to recovery over incidents resolved in the last N days.
+   * @param {Object} [opts]
+   * @param {number} [opts.days=30]
+   * @param {string} [opts.service] - Limit to one service
+   * @returns {{ resolved: number, mttrMs: number|null }}
+   */
+  getMttr({ days = 30, service } = {}) {
+    this._ensureDb();
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    const row = service
+      ? this.db
+          .prepare("SELECT COUNT(*) AS n, AVG(duration_ms) AS avg FROM incidents WHERE status = 'resolved' AND resolved_at >= ? AND service = ?")
+          .get(since, service)
+      : this.db
+          .prepare("SELECT COUNT(*) AS n, AVG(duration_ms) AS avg FROM incidents WHERE status = 'resolved' AND resolved_at >= ?")
+          .get(since);
+    return { resolved: row.n, mttrMs: row.n > 0 ? Math.round(row.avg) : null };
+  }
+
+  /**
+   * SMS text: open incidents, recent resolved ones and 30-day MTTR.
+   * @returns {string}
+   */
+  formatSummary() {
+    const open = this.list({ status: 'open', limit: 20 });
+    const resolved = this.list({ status: 'resolved', limit: 5 });
+    if (open.length === 0 && resolved.length === 0) return 'No incidents recorded.';
+
+    const lines = [];
+    if (open.length > 0) {
+      lines.push(`${open.length} open:`);
+      for (const i of open) {
+        lines.push(`#${i.id} ${i.service} - down ${formatDuration(Date.now() - Date.parse(i.openedAt))}${i.error ? ` (${i.error})` : ''}`);
+      }
+    } else {
+      lines.push('No open incidents.');
+    }
+    if (resolved.length > 0) {
+      lines.push('', 'Recent:');
+      for (const i of resolved) {
+        lines.push(`#${i.id} ${i.service} - ${formatDuration(i.durationMs)}, ${i.resolution}`);
+      }
+    }
+    const { resolved: count, mttrMs } = this.getMttr();
+    if (count > 0) lines.push('', `MTTR (30d): ${formatDuration(mttrMs)} over ${count} incident${count === 1 ? '' : 's'}`);
+    lines.push('', 'Text "incident <id>" for the timeline.');
+    return lines.join('\n');
+  }
+
+  /**
+   * SMS text: one incident's timeline.
+   * @param {number} id
+   * @returns {string}
+   */
+  formatTimeline(id) {
+    const incident = this.get(id);
+    if (!incident) return `No incident #${id}.`;
+
+    const state = incident.status === 'open'
+      ? `open ${formatDuration(Date.now() - Date.parse(incident.openedAt))}`
+      : `resolved in ${formatDuration(incident.durationMs)}`;
+    const lines = [`Incident #${incident.id}: ${incident.service} (${state})`];
+    for (const e of incident.timeline) {
+      lines.push(`${new Date(e.at).toTimeString().substring(0, 5)} ${e.detail || e.kind}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /** @private */
+  _insertEvent(incidentId, at, kind, detail) {
+    this.db
+      .prepare('INSERT INTO incident_events (incident_id, at, kind, detail) VALUES (?, ?, ?, ?)')
+      .run(incidentId, at, kind, detail || null);
+  }
+
+  /**
+   * Map a DB row to the public incident shape.
+   * @private
+   */
+  _toIncident(row) {
+    return {
+      id: row.id,
+      service: row.service,
+      status: row.status,
+      openedAt: row.opened_at,
+      resolvedAt: row.resolved_at,
+      durationMs: row.duration_ms,
+      error: row.error,
+      resolution: row.resolution,
+    };
+  }
+}
+
+/**
+ * Compact duration: "45s", "12m", "2h 5m", "1d 3h".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+IncidentManager.formatDuration = formatDuration;
+
+module.exports = IncidentManager;
@@ -0,0 +1,333 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const IncidentManager = require('./incident-manager');
+const { parseCron, cronMatches, formatter } = require('./recurrence');
+const { parseDuration } = require('./time-parser');
+
+// Matches every service in a silence or window
+const ALL = '*';
+
+/**
+ * MaintenanceManager - Scheduled maintenance windows and ad-hoc silences.
+ *
+ * While a service is in maintenance, HealthMonitor still runs its checks but
+ * records the result as 'maintenance': no alerts, no auto-restarts, no
+ * incidents, and it doesn't count toward the failure threshold.
+ *
+ * Two sources:
+ * - Windows come from config (`health.maintenanceWindows`): a 5-field cron
+ *   expression for when the window opens and a duration, e.g. every Sunday
+ *   at 03:00 for 60 minutes. They cost nothing to evaluate between checks,
+ *   so they aren't persisted.
+ * - Silences are set at runtime ("silence mlx-api 30m" by SMS, or the API)
+ *   and stored in SQLite so they survive an orchestrator restart. Setting a
+ *   new silence for a service replaces its current one.
+ *
+ * Either can name specific services or '*' for all of them.
+ */
+class MaintenanceManager {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   * @param {Object[]} [opts.windows] - config.health.maintenanceWindows:
+   *   { name?, services: string|string[], cron, durationMinutes, timezone?, reason? }
+   * @param {string[]} [opts.services] - Known service names; silences for
+   *   anything else are rejected
+   */
+  constructor({ dbPath, windows = [], services = [] } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.services = services;
+    this.windows = [];
+    for (const w of windows) {
+      try {
+        this.windows.push(parseWindow(w));
+      } catch (err) {
+        console.warn(`[MAINTENANCE] Ignoring window ${w.name || w.cron}: ${err.message}`);
+      }
+    }
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates health_silences if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS health_silences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        cleared_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_health_silences_ends
+        ON health_silences(ends_at);
+    `);
+  }
+
+  /**
+   * Silence a service (or '*') starting now.
+   * @param {string} service
+   * @param {number} durationMs
+   * @param {Object} [opts]
+   * @param {string} [opts.reason]
+   * @param {string} [opts.by] - Where it came from: 'sms', 'api', ...
+   * @returns {Object} The new silence
+   * @throws {Error} On an unknown service or a non-positive duration
+   */
+  silence(service, durationMs, { reason, by } = {}) {
+    this._checkService(service);
+    if (!Number.isFinite(durationMs) || durationMs <= 0) throw new Error('Duration must be positive');
+    this._ensureDb();
+
+    const now = new Date();
+    const id = this.db.transaction(() => {
+      this._clear(service, now);
+      return this.db
+        .prepare('INSERT INTO health_silences (service, starts_at, ends_at, reason, created_by) VALUES (?, ?, ?, ?, ?)')
+        .run(service, now.toISOString(), new Date(now.getTime() + durationMs).toISOString(), reason || null, by || null)
+        .lastInsertRowid;
+    })();
+    return this._toSilence(this.db.prepare('SELECT * FROM health_silences WHERE id = ?').get(id));
+  }
+
+  /**
+   * End a service's active silence early. '*' ends every active silence.
+   * @param {string} service
+   * @returns {number} Silences cleared
+   */
+  unsilence(service) {
+    this._ensureDb();
+    return this._clear(service === ALL ? null : service, new Date());
+  }
+
+  /**
+   * Is a service in maintenance right now? Silences win over windows.
+   * @param {string} service
+   * @param {number} [now=Date.now()]
+   * @returns {{ source: 'silence'|'window', name?: string, reason: string|null, until: string }|null}
+   */
+  getActive(service, now = Date.now()) {
+    const silence = this.listSilences(now).find((s) => s.service === service || s.service === ALL);
+    if (silence) return { source: 'silence', reason: silence.reason, until: silence.endsAt };
+
+    const window = this.listWindows(now).find((w) => w.services.includes(service) || w.services.includes(ALL));
+    if (window) return { source: 'window', name: window.name, reason: window.reason, until: window.until };
+    return null;
+  }
+
+  /**
+   * Active silences, soonest to end first.
+   * @param {number} [now=Date.now()]
+   * @returns {Object[]}
+   */
+  listSilences(now = Date.now()) {
+    this._ensureDb();
+    const at = new Date(now).toISOString();
+    return this.db
+      .prepare('SELECT * FROM health_silences WHERE cleared_at IS NULL AND starts_at <= ? AND ends_at > ? ORDER BY ends_at')
+      .all(at, at)
+      .map((r) => this._toSilence(r));
+  }
+
+  /**
+   * Configured windows, each with whether it is open now and until when.
+   * @param {number} [now=Date.now()]
+   * @param {Object} [opts]
+   * @param {boolean} [opts.all=false] - Include closed windows
+   * @returns {{ name: string, services: string[], cron: string, durationMinutes: number, reason: string|null, active: boolean, until: string|null }[]}
+   */
+  listWindows(now = Date.now(), { all = false } = {}) {
+    const out = [];
+    for (const w of this.windows) {
+      const start = lastStart(w, now);
+      const active = start !== null;
+      if (!active && !all) continue;
+      out.push({
+        name: w.name,
+        services: w.services,
+        cron: w.cron,
+        durationMinutes: w.durationMinutes,
+        reason: w.reason,
+        active,
+        until: active ? new Date(start + w.durationMinutes * 60000).toISOString() : null,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * SMS text: what is silenced or in a maintenance window right now.
+   * @returns {string}
+   */
+  formatStatus() {
+    const now = Date.now();
+    const lines = [];
+    for (const s of this.listSilences(now)) {
+      lines.push(`${label(s.service)} silenced ${IncidentManager.formatDuration(Date.parse(s.endsAt) - now)} more${s.reason ? ` (${s.reason})` : ''}`);
+    }
+    for (const w of this.listWindows(now)) {
+      lines.push(`${w.services.map(label).join(', ')} in window "${w.name}" ${IncidentManager.formatDuration(Date.parse(w.until) - now)} more`);
+    }
+    if (lines.length === 0) return 'Nothing silenced.';
+    return lines.join('\n');
+  }
+
+  /**
+   * Text commands shared by SMS and the dashboard command box:
+   * "silence <service|all> <duration> [reason]", "unsilence <service|all>"
+   * and "silences".
+   * @param {string} text
+   * @param {Object} [opts]
+   * @param {string} [opts.by='sms'] - Recorded as the silence's creator
+   * @returns {string|null} Reply, or null if the text isn't one of these commands
+   */
+  handleCommand(text, { by = 'sms' } = {}) {
+    const trimmed = String(text || '').trim();
+    if (/^silences$/i.test(trimmed)) return this.formatStatus();
+
+    const un = trimmed.match(/^unsilence\s+(\S+)$/i);
+    if (un) {
+      const service = this._resolveName(un[1]);
+      const cleared = this.unsilence(service);
+      if (cleared === 0) return `${label(service)} wasn't silenced.`;
+      return service === ALL ? `Cleared ${cleared} silence${cleared === 1 ? '' : 's'}.` : `${service} unsilenced.`;
+    }
+
+    // Only "silence <known service|all> <duration>" is a command; "silence the
+    // upwork notifications for today" is a message for Claude
+    const m = trimmed.match(/^silence\s+(\S+)\s+(\S+)(?:\s+(.+))?$/i);
+    if (!m) return null;
+    const service = this._resolveName(m[1]);
+    const durationMs = parseDuration(m[2]);
+    if ((service !== ALL && !this.services.includes(service)) || !durationMs) return null;
+    try {
+      const s = this.silence(service, durationMs, { reason: m[3], by });
+      return `${label(s.service)} silenced for ${IncidentManager.formatDuration(durationMs)} ` +
+        `(until ${new Date(s.endsAt).toTimeString().substring(0, 5)}). No alerts or auto-restarts.`;
+    } catch (err) {
+      return `${err.message}.`;
+    }
+  }
+
+  /**
+   * Delete silences that ended more than `days` ago.
+   * @param {number} [days=30]
+   * @returns {number} Rows deleted
+   */
+  cleanup(days = 30) {
+    this._ensureDb();
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+    return this.db
+      .prepare('DELETE FROM health_silences WHERE COALESCE(cleared_at, ends_at) < ?')
+      .run(cutoff)
+      .changes;
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /** @private */
+  _checkService(service) {
+    if (!service) throw new Error('Service is required');
+    if (service !== ALL && this.services.length > 0 && !this.services.includes(service)) {
+      throw new Error(`Unknown service "${service}"`);
+    }
+  }
+
+  /**
+   * Map typed names to configured ones: "all" -> '*', case-insensitive match.
+   * @private
+   */
+  _resolveName(name) {
+    if (name === ALL || name.toLowerCase() === 'all') return ALL;
+    return this.services.find((s) => s.toLowerCase() === name.toLowerCase()) || name;
+  }
+
+  /**
+   * Mark active silences as cleared; all of them when service is null.
+   * @private
+   */
+  _clear(service, now) {
+    const at = now.toISOString();
+    const sql = "UPDATE health_silences SET cleared_at = ? WHERE cleared_at IS NULL AND ends_at > ?";
+    return service === null
+      ? this.db.prepare(sql).run(at, at).changes
+      : this.db.prepare(sql + ' AND service = ?').run(at, at, service).changes;
+  }
+
+  /**
+   * Map a DB row to the public silence shape.
+   * @private
+   */
+  _toSilence(row) {
+    return {
+      id: row.id,
+      service: row.service,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      reason: row.reason,
+      createdBy: row.created_by,
+    };
+  }
+}
+
+/**
+ * Validate a configured window and pre-parse its cron expression.
+ * @private
+ */
+function parseWindow(w) {
+  if (!w.cron) throw new Error('missing cron');
+  if (!(w.durationMinutes > 0)) throw new Error('durationMinutes must be positive');
+  const services = [].concat(w.services || w.service || []);
+  if (services.length === 0) throw new Error('no services');
+  return {
+    name: w.name || w.cron,
+    services,
+    cron: w.cron,
+    fields: parseCron(w.cron),
+    durationMinutes: w.durationMinutes,
+    timezone: w.timezone,
+    reason: w.reason || null,
+  };
+}
+
+/**
+ * Start of the window occurrence covering `now` (ms, on a minute boundary),
+ * or null when the window is closed. Walks back minute by minute over the
+ * window's duration looking for a cron match.
+ * @private
+ */
+function lastStart(w, now) {
+  const fmt = formatter(w.timezone);
+  const minute = Math.floor(now / 60000) * 60000;
+  for (let i = 0; i < w.durationMinutes; i++) {
+    const t = minute - i * 60000;
+    if (cronMatches(w.fields, fmt, t)) return t;
+  }
+  return null;
+}
+
+/** '*' reads as "all services" in SMS text. @private */
+function label(service) {
+  return service === ALL ? 'All services' : service;
+}
+
+MaintenanceManager.ALL = ALL;
+
+module.exports = MaintenanceManager;
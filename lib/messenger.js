@@ -1,104 +1,82 @@
 const { execSync } = require("child_process");
-const fs = require("fs");
-const Database = require("better-sqlite3");
-const os = require("os");
-const path = require("path");
+const { createTransport } = require("./transports");
 
 /**
- * Messenger - iMessage send/receive adapted from claude-sms.
- * Sends via AppleScript JXA with env var message passing.
- * Receives by polling macOS Messages SQLite database.
+ * Messenger - Chunked send/receive on top of a pluggable transport.
+ * The transport (iMessage, local file/socket, HTTP webhook) is selected by
+ * config.messaging.transport; see lib/transports.js for the interface.
  */
 class Messenger {
-  constructor(config) {
+  /**
+   * @param {Object} config - Full config.json
+   * @param {Object} [transport] - Transport instance (defaults to createTransport(config))
+   */
+  constructor(config, transport) {
     this.myNumber = config.myNumber;
     this.claudeNumber = config.claudeNumber;
     this.maxResponseLength = config.maxResponseLength || 1500;
-    this.dbPath = path.join(os.homedir(), "Library/Messages/chat.db");
-    this._chatIds = null;
+    this.transport = transport || createTransport(config);
+  }
+
+  /**
+   * Start the transport's inbound listener, if it has one.
+   */
+  start() {
+    if (typeof this.transport.start === "function") {
+      return this.transport.start();
+    }
   }
 
   /**
-   * Send an iMessage. Chunks long messages with intelligent breaks.
+   * Stop the transport's inbound listener, if it has one.
+   */
+  close() {
+    if (typeof this.transport.close === "function") {
+      this.transport.close();
+    }
+  }
+
+  /**
+   * Send a message. Chunks long messages with intelligent breaks.
    * @param {string} text - Message text to send
+   * @returns {boolean|Promise<boolean>} false if any chunk failed (errors are
+   *   logged, not thrown); a Promise when the transport sends asynchronously
    */
   send(text) {
     const chunks = this._chunkMessage(text);
-    const digits = this.myNumber.replace(/\D/g, "").slice(-10);
+    let delivered = true;
+    const pending = [];
 
     for (let i = 0; i < chunks.length; i++) {
       const chunk =
         chunks.length > 1 ? `[${i + 1}/${chunks.length}] ${chunks[i]}` : chunks[i];
 
-      const ts = Date.now();
-      const tmpScript = `/tmp/imessage-orch-${ts}.js`;
-      const tmpMsg = `/tmp/imessage-orch-${ts}.txt`;
-
-      // Write message to a temp file to preserve newlines and special characters
-      fs.writeFileSync(tmpMsg, chunk);
-      fs.writeFileSync(
-        tmpScript,
-        `
-const m = Application("Messages");
-const chat = m.chats().find(c => c.id().includes("${digits}"));
-if (!chat) throw new Error("No chat found matching ${digits}");
-const text = ObjC.unwrap($.NSString.stringWithContentsOfFileEncodingError("/tmp/imessage-orch-${ts}.txt", $.NSUTF8StringEncoding, null));
-m.send(text, { to: chat });
-`
-      );
-
       try {
-        execSync(`osascript -l JavaScript "${tmpScript}"`, {
-          timeout: 30000,
-        });
-        fs.unlinkSync(tmpScript);
-        fs.unlinkSync(tmpMsg);
-        if (i < chunks.length - 1) {
-          execSync("sleep 1");
+        const result = this.transport.send(chunk);
+        if (result && typeof result.then === "function") pending.push(result);
+        else if (result === false) delivered = false;
+        if (i < chunks.length - 1 && this.transport.chunkDelaySec) {
+          execSync(`sleep ${this.transport.chunkDelaySec}`);
         }
       } catch (e) {
         console.error(`[SEND ERROR] ${e.message}`);
-        try { fs.unlinkSync(tmpScript); } catch {}
-        try { fs.unlinkSync(tmpMsg); } catch {}
+        delivered = false;
       }
     }
+    if (pending.length === 0) return delivered;
+    return Promise.all(pending.map((p) => p.catch((e) => {
+      console.error(`[SEND ERROR] ${e.message}`);
+      return false;
+    }))).then((results) => delivered && !results.includes(false));
   }
 
   /**
    * Get new incoming messages since the given ROWID
    * @param {number} lastRowId - Only return messages after this ROWID
-   * @returns {Array} Array of message objects with .ROWID and .text
+   * @returns {Array} Array of message objects with .ROWID, .text and .sender_id
    */
   getNewMessages(lastRowId) {
-    const chatIds = this._getChatIds();
-    if (!chatIds) return [];
-
-    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
-    try {
-      const placeholders = chatIds.map(() => "?").join(",");
-      const myDigits = this.myNumber.replace(/\D/g, "").slice(-10);
-
-      const rows = db
-        .prepare(
-          `SELECT DISTINCT m.ROWID, m.text, m.date, m.is_from_me,
-                  h.id as sender_id
-           FROM message m
-           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
-           LEFT JOIN handle h ON m.handle_id = h.ROWID
-           WHERE cmj.chat_id IN (${placeholders})
-             AND m.ROWID > ?
-             AND m.is_from_me = 0
-             AND m.text IS NOT NULL
-             AND m.text != ''
-             AND h.id LIKE ?
-           ORDER BY m.ROWID ASC`
-        )
-        .all(...chatIds, lastRowId, `%${myDigits}%`);
-
-      return rows;
-    } finally {
-      db.close();
-    }
+    return this.transport.getNewMessages(lastRowId);
   }
 
   /**
@@ -106,58 +84,7 @@ m.send(text, { to: chat });
    * @returns {number|null}
    */
   getLatestRowId() {
-    const chatIds = this._getChatIds();
-    if (!chatIds) return null;
-
-    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
-    try {
-      const placeholders = chatIds.map(() => "?").join(",");
-      const row = db
-        .prepare(
-          `SELECT MAX(m.ROWID) as maxId FROM message m
-           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
-           WHERE cmj.chat_id IN (${placeholders})`
-        )
-        .get(...chatIds);
-      return row?.maxId || null;
-    } finally {
-      db.close();
-    }
-  }
-
-  /**
-   * Find and cache chat IDs for our conversation
-   * @returns {number[]|null}
-   */
-  _getChatIds() {
-    if (this._chatIds) return this._chatIds;
-
-    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
-    try {
-      // Build search patterns - handle both phone numbers and email addresses
-      const patterns = [];
-      const myDigits = this.myNumber.replace(/\D/g, "").slice(-10);
-      if (myDigits) patterns.push(`%${myDigits}%`);
-
-      // claudeNumber may be an email (no digits) or a phone number
-      const claudeDigits = this.claudeNumber.replace(/\D/g, "").slice(-10);
-      if (claudeDigits) {
-        patterns.push(`%${claudeDigits}%`);
-      } else if (this.claudeNumber.includes("@")) {
-        patterns.push(`%${this.claudeNumber}%`);
-      }
-
-      const conditions = patterns.map(() => "chat_identifier LIKE ?").join(" OR ");
-      const chats = db
-        .prepare(`SELECT ROWID FROM chat WHERE ${conditions}`)
-        .all(...patterns);
-
-      if (chats.length === 0) return null;
-      this._chatIds = [...new Set(chats.map((c) => c.ROWID))];
-      return this._chatIds;
-    } finally {
-      db.close();
-    }
+    return this.transport.getLatestRowId();
   }
 
   /**
@@ -0,0 +1,196 @@
+'use strict';
+
+const PREFIX = 'orchestrator_';
+
+/**
+ * MetricsExporter - Orchestrator state in Prometheus text format (0.0.4).
+ *
+ * Everything is read at scrape time from the same objects the JSON API uses;
+ * nothing is accumulated here. Each source is collected on its own, so one
+ * failing source (say, a locked revenue DB) drops only its own metrics and
+ * bumps orchestrator_metrics_collect_errors instead of failing the scrape.
+ *
+ * All sources are optional:
+ * - healthMonitor: per-service up/status/latency/consecutive failures
+ * - sessionManager: active and queued sessions, per-session age
+ * - notificationManager: daily budget and delivery backlog from getStats()
+ * - semaphore: ClaudeSemaphore active/pending
+ * - revenueTracker: latest XMR mining and MLX API snapshot values
+ * - upworkDb: pipeline counts from getPipelineStats()
+ */
+class MetricsExporter {
+  /**
+   * @param {Object} [sources]
+   * @param {Object} [sources.healthMonitor]
+   * @param {Object} [sources.sessionManager]
+   * @param {Object} [sources.notificationManager]
+   * @param {Object} [sources.semaphore] - ClaudeSemaphore (active, pending)
+   * @param {Object} [sources.revenueTracker]
+   * @param {Object} [sources.upworkDb]
+   * @param {number} [sources.startTime=Date.now()] - For orchestrator_uptime_seconds
+   */
+  constructor({ healthMonitor, sessionManager, notificationManager, semaphore, revenueTracker, upworkDb, startTime } = {}) {
+    this.healthMonitor = healthMonitor || null;
+    this.sessionManager = sessionManager || null;
+    this.notificationManager = notificationManager || null;
+    this.semaphore = semaphore || null;
+    this.revenueTracker = revenueTracker || null;
+    this.upworkDb = upworkDb || null;
+    this.startTime = startTime || Date.now();
+  }
+
+  /**
+   * Render every metric.
+   * @param {number} [now=Date.now()]
+   * @returns {string} Prometheus exposition text, newline-terminated
+   */
+  collect(now = Date.now()) {
+    const families = [];
+    let errors = 0;
+    const sources = [
+      ['health', this.healthMonitor, () => this._health()],
+      ['sessions', this.sessionManager, () => this._sessions(now)],
+      ['notifications', this.notificationManager, () => this._notifications()],
+      ['semaphore', this.semaphore, () => this._semaphore()],
+      ['revenue', this.revenueTracker, () => this._revenue()],
+      ['upwork', this.upworkDb, () => this._upwork()],
+    ];
+
+    families.push(gauge('uptime_seconds', 'Seconds since the orchestrator started', [
+      [{}, Math.round((now - this.startTime) / 1000)],
+    ]));
+    for (const [name, source, fn] of sources) {
+      if (!source) continue;
+      try {
+        families.push(...fn());
+      } catch (err) {
+        errors++;
+        console.error(`[METRICS] ${name} collection failed: ${err.message}`);
+      }
+    }
+    families.push(gauge('metrics_collect_errors', 'Metric sources that failed during this scrape', [[{}, errors]]));
+
+    return families.join('\n') + '\n';
+  }
+
+  /** @private */
+  _health() {
+    const results = Object.values(this.healthMonitor.getLastResults());
+    return [
+      gauge('service_up', 'Whether the last health check passed (1) or not (0)',
+        results.map(r => [{ service: r.name }, r.status === 'up' ? 1 : 0])),
+      gauge('service_status', 'Current health status of each service (1 for the active status)',
+        results.map(r => [{ service: r.name, status: r.status }, 1])),
+      gauge('service_latency_seconds', 'Duration of the last health check',
+        results.map(r => [{ service: r.name }, r.latencyMs != null ? r.latencyMs / 1000 : null])),
+      gauge('service_consecutive_failures', 'Consecutive failed health checks',
+        results.map(r => [{ service: r.name }, r.consecutiveFails || 0])),
+    ];
+  }
+
+  /** @private */
+  _sessions(now) {
+    const active = this.sessionManager.getActiveSessions();
+    const queue = this.sessionManager.getQueue ? this.sessionManager.getQueue() : [];
+    return [
+      gauge('sessions_active', 'Running Claude sessions', [[{}, active.length]]),
+      gauge('sessions_max_concurrent', 'Configured session limit', [[{}, this.sessionManager.maxConcurrent]]),
+      gauge('sessions_queued', 'Sessions waiting for a slot', [[{}, queue.length]]),
+      gauge('session_duration_seconds', 'Seconds since each running session started',
+        active.map(s => [{ project: s.projectName }, Math.max(0, Math.round((now - Date.parse(s.created)) / 1000))])),
+    ];
+  }
+
+  /** @private */
+  _notifications() {
+    const stats = this.notificationManager.getStats();
+    return [
+      gauge('notifications_sent_today', 'Notifications sent today', [[{}, stats.dailySent]]),
+      gauge('notification_budget', 'Daily notification budget', [[{}, stats.dailyBudget]]),
+      gauge('notification_budget_remaining', 'Notifications left in today\'s budget', [[{}, stats.budgetRemaining]]),
+      gauge('notification_batch_queue', 'Notifications waiting for the next batch', [[{}, stats.batchQueueSize]]),
+      gauge('notification_deliveries', 'Undelivered messages by status', [
+        [{ status: 'pending' }, stats.pendingDeliveries],
+        [{ status: 'failed' }, stats.failedDeliveries],
+      ]),
+    ];
+  }
+
+  /** @private */
+  _semaphore() {
+    return [
+      gauge('claude_semaphore_active', 'claude -p processes holding a semaphore slot', [[{}, this.semaphore.active]]),
+      gauge('claude_semaphore_pending', 'claude -p callers waiting for a slot', [[{}, this.semaphore.pending]]),
+    ];
+  }
+
+  /** @private */
+  _revenue() {
+    const latest = this.revenueTracker.getLatest();
+    const xmr = latest['xmr-mining'];
+    const mlx = latest['mlx-api'];
+    const atomic = (v) => (v != null ? v / 1e12 : null);
+    return [
+      gauge('revenue_snapshot_age_seconds', 'Age of the latest revenue snapshot',
+        Object.entries(latest).map(([source, row]) => [{ source }, row ? row.ageMinutes * 60 : null])),
+      gauge('revenue_xmr_balance', 'Unpaid XMR mining balance (XMR)', [[{}, atomic(xmr?.balance_atomic)]]),
+      gauge('revenue_xmr_paid', 'XMR paid out so far (XMR)', [[{}, atomic(xmr?.paid_atomic)]]),
+      gauge('revenue_xmr_hashrate', 'Mining hashrate (H/s)', [[{}, xmr?.hashrate]]),
+      gauge('revenue_xmr_price_usd', 'XMR price at the last snapshot (USD)', [[{}, xmr?.xmr_price_usd]]),
+      gauge('revenue_mlx_requests_served', 'Requests served by the MLX API (as reported)', [[{}, mlx?.requests_served]]),
+      gauge('revenue_mlx_tokens_generated', 'Tokens generated by the MLX API (as reported)', [[{}, mlx?.tokens_generated]]),
+    ];
+  }
+
+  /** @private */
+  _upwork() {
+    const s = this.upworkDb.getPipelineStats();
+    return [
+      gauge('upwork_jobs', 'Upwork jobs by pipeline stage', [
+        [{ stage: 'scanned' }, s.totalScanned],
+        [{ stage: 'filtered' }, s.totalFiltered],
+        [{ stage: 'pending' }, s.totalPending],
+        [{ stage: 'applied' }, s.totalApplied],
+        [{ stage: 'dismissed' }, s.totalDismissed],
+      ]),
+      gauge('upwork_applied_today', 'Upwork applications submitted today', [[{}, s.todayApplied]]),
+      gauge('upwork_applications', 'Upwork applications by outcome',
+        Object.entries(s.outcomes || {}).map(([outcome, n]) => [{ outcome: outcome === 'null' ? 'none' : outcome }, n])),
+      gauge('upwork_response_rate_ratio', 'Share of applications that got a response', [[{}, s.responseRate / 100]]),
+      gauge('upwork_avg_match_score', 'Average job match score', [[{}, s.avgMatchScore]]),
+      gauge('upwork_connects_spent', 'Connects spent on applications', [[{}, s.totalConnectsSpent]]),
+    ];
+  }
+}
+
+/**
+ * One gauge family: HELP and TYPE lines plus a sample per [labels, value].
+ * Samples with a missing or non-numeric value are left out.
+ * @param {string} name - Without the orchestrator_ prefix
+ * @param {string} help
+ * @param {Array<[Object, number|null|undefined]>} samples
+ * @returns {string}
+ */
+function gauge(name, help, samples) {
+  const full = PREFIX + name;
+  const lines = [`# HELP ${full} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${full} gauge`];
+  for (const [labels, value] of samples) {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) continue;
+    lines.push(`${full}${formatLabels(labels)} ${Number(value)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * {a="1",b="x"} with Prometheus escaping; '' for no labels.
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) =>
+    `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+MetricsExporter.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = MetricsExporter;
@@ -1,3 +1,18 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+
+// Longest wait between delivery retries
+const MAX_RETRY_DELAY_MS = 1800000; // 30 min
+const FAILED_SEND = 'Messenger reported a failed send';
+
+// What a notification is about; each can have its own budget, quiet-hours
+// policy and channel under ai.notifications.categories
+const CATEGORIES = ['health', 'session', 'upwork', 'revenue', 'reminder', 'trust'];
+const CHANNELS = ['sms', 'email', 'log'];
+// Categories whose URGENT messages need an acknowledgement unless
+// alerts.categories says otherwise: outages, not information
+const DEFAULT_ALERT_CATEGORIES = ['health', 'session'];
+
 /**
  * NotificationManager - 2-tier notification routing with batching and daily SMS budget.
  *
@@ -9,10 +24,38 @@
  * - Daily SMS budget enforcement with urgent bypass
  * - Batch queue for non-urgent messages with interval flushing
  * - Quiet hours awareness (via Scheduler)
+ * - Delivery retries with exponential backoff when messenger.send fails
+ *
+ * The batch queue, every outgoing message (a delivery) with its attempts,
+ * and the daily sent count live in SQLite, so a restart loses nothing:
+ * queued items go out at the next flush and pending deliveries are retried.
+ * A delivery that fails `maxSendAttempts` times is marked failed and left
+ * for /api/notifications to show.
+ *
+ * Categories: callers tag a notification with what it is about (health,
+ * session, upwork, ...). ai.notifications.categories.<name> can set:
+ *   budget     — immediate SMS per day for that category; past it, urgent
+ *                messages wait for the next batch instead
+ *   quietHours — 'bypass' sends during quiet hours, 'hold' keeps even urgent
+ *                messages (and batch items) queued until they end
+ *   channel    — 'sms' (default), 'email' (next email digest only) or 'log'
+ * Untagged notifications and categories without settings keep the global
+ * behaviour above.
+ *
+ * Alerts: an URGENT SMS notification in one of alerts.categories (health and
+ * session by default), or sent with `alert: true`, opens an alert with an id,
+ * and the message asks for `ack <id>` (or the dashboard's Ack button). Callers
+ * pass `alert: false` for URGENT messages that are informational. Until it's
+ * acknowledged the alert is re-sent after each delay in alerts.renotifyMs,
+ * and after alerts.escalateAfterMs it is handed to the `escalate` callback.
+ * Both clocks start when the first SMS actually goes out, so an alert held
+ * for the batch (quiet hours, category budget) or stuck in retries waits too
+ * (email in production). Acknowledgements, real or false alarm, are counted
+ * by TrustTracker.
  *
  * @example
  *   const nm = new NotificationManager({ messenger, config, scheduler });
- *   nm.notify('Session crashed!', NotificationManager.URGENT);
+ *   nm.notify('Session crashed!', NotificationManager.URGENT, { category: 'session' });
  *   nm.notify('Started web-scraping-biz', NotificationManager.BATCH);
  *   nm.startBatchTimer();
  */
@@ -26,29 +69,125 @@ class NotificationManager {
   static SUMMARY = 2;
   static DEBUG = 2;
 
+  static CATEGORIES = CATEGORIES;
+
   /**
    * @param {Object} opts
    * @param {Object} opts.messenger - Messenger instance with send(text) method
    * @param {Object} opts.config - Full config object (reads ai.notifications)
    * @param {Object} opts.scheduler - Scheduler instance with isQuietTime() method
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   * @param {Object} [opts.trustTracker] - TrustTracker; counts acknowledged alerts
+   * @param {Function} [opts.escalate] - (alert) => boolean|Promise<boolean>; secondary
+   *   channel for alerts still unacknowledged after alerts.escalateAfterMs
    */
-  constructor({ messenger, config, scheduler }) {
+  constructor({ messenger, config, scheduler, dbPath, trustTracker, escalate }) {
     this.messenger = messenger;
     this.config = config;
     this.scheduler = scheduler;
+    this.trustTracker = trustTracker || null;
+    this.escalate = escalate || null;
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.db = null; // Lazy init
 
     // Notification config with defaults
     const notifConfig = config.ai?.notifications || {};
     this._dailyBudget = notifConfig.dailyBudget || 10;
     this._batchIntervalMs = notifConfig.batchIntervalMs || 14400000; // 4 hours
     this._urgentBypassQuiet = notifConfig.urgentBypassQuiet !== false;
+    this._maxSendAttempts = notifConfig.maxSendAttempts || 5;
+    this._retryBaseMs = notifConfig.retryBaseMs || 30000;
+    this._retryCheckMs = notifConfig.retryCheckMs || 30000;
+    this._categories = notifConfig.categories || {};
+    const alertConfig = notifConfig.alerts || {};
+    this._alertsEnabled = alertConfig.enabled !== false;
+    this._renotifyMs = alertConfig.renotifyMs || [900000, 1800000]; // 15 min, then 30 min
+    this._escalateAfterMs = alertConfig.escalateAfterMs ?? 3600000; // 1 hour
+    this._alertCategories = alertConfig.categories || DEFAULT_ALERT_CATEGORIES;
+    for (const [name, policy] of Object.entries(this._categories)) {
+      if (policy.channel && !CHANNELS.includes(policy.channel)) {
+        console.warn(`[NOTIFICATION] Unknown channel "${policy.channel}" for category ${name}; using sms`);
+      }
+    }
 
     // Runtime state
-    this._dailySentCount = 0;
-    this._budgetResetDate = this._getTodayDateStr();
-    this._batchQueue = [];
     this._batchTimerId = null;
-    this._budgetWarningLogged = false;
+    this._retryTimerId = null;
+    this._budgetWarningDate = null;
+    this._inFlight = new Set(); // delivery ids awaiting an async send
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates the queue, delivery and budget
+   * tables if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        text TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        text TEXT NOT NULL,
+        tier INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        delivery_id INTEGER REFERENCES notification_deliveries(id),
+        alert_id INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_budget (
+        date TEXT PRIMARY KEY,
+        sent INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        text TEXT NOT NULL,
+        category TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT,
+        renotify_count INTEGER NOT NULL DEFAULT 0,
+        next_renotify_at TEXT,
+        escalated_at TEXT,
+        acked_at TEXT,
+        acked_by TEXT,
+        false_alarm INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_category_budget (
+        date TEXT NOT NULL,
+        category TEXT NOT NULL,
+        sent INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (date, category)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status
+        ON notification_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_notification_queue_delivery
+        ON notification_queue(delivery_id);
+    `);
+
+    // Category columns (added after the tables shipped)
+    for (const col of [
+      'notification_queue ADD COLUMN category TEXT',
+      "notification_queue ADD COLUMN channel TEXT NOT NULL DEFAULT 'sms'",
+      'notification_queue ADD COLUMN digested_at TEXT',
+      'notification_deliveries ADD COLUMN category TEXT',
+    ]) {
+      try { this.db.exec(`ALTER TABLE ${col}`); } catch {}
+    }
   }
 
   // Map string tier names to numeric constants (backwards compat with old callers)
@@ -60,80 +199,134 @@ class NotificationManager {
   };
 
   /**
-   * Main entry point. Routes a notification based on its tier.
+   * Main entry point. Routes a notification based on its category's channel
+   * and its tier.
    * @param {string} text - Message text
    * @param {number} [tier=2] - Notification tier (1=URGENT, 2=BATCH)
+   * @param {Object} [opts]
+   * @param {string} [opts.category] - One of CATEGORIES
+   * @param {string} [opts.quietHours] - 'bypass' or 'hold'; overrides the
+   *   category's policy for this URGENT message
+   * @param {boolean} [opts.alert] - Open an alert that has to be acknowledged;
+   *   defaults to whether the category is in alerts.categories
+   * @returns {number|null} Alert id for an URGENT SMS notification that opened one
    */
-  notify(text, tier = NotificationManager.BATCH) {
+  notify(text, tier = NotificationManager.BATCH, { category, quietHours, alert } = {}) {
     // Normalize string tiers to numeric
     if (typeof tier === 'string') {
       tier = NotificationManager.TIER_MAP[tier.toLowerCase()] || NotificationManager.BATCH;
     }
+    category = category || null;
 
-    this._resetBudgetIfNewDay();
-
-    if (tier === NotificationManager.URGENT) {
-      this._handleUrgent(text);
+    const channel = this._policy(category).channel;
+    if (channel === 'log') {
+      console.log(`[NOTIFICATION] ${category} (log only): ${text.substring(0, 80)}`);
+    } else if (channel === 'email') {
+      this._addToBatch(text, tier, category, 'email');
+    } else if (tier === NotificationManager.URGENT) {
+      if (this._alertsEnabled && (alert ?? this._alertCategories.includes(category))) {
+        const alertId = this._openAlert(text, category);
+        this._handleUrgent(ackHint(text, alertId), category, quietHours, alertId);
+        return alertId;
+      }
+      this._handleUrgent(text, category, quietHours);
     } else {
-      this._addToBatch(text);
+      this._addToBatch(text, tier, category);
     }
+    return null;
   }
 
   /**
-   * URGENT: Send immediately. Bypass quiet hours if configured. Always bypass budget.
+   * URGENT: Send immediately. Bypass quiet hours if configured. Always bypass
+   * the global budget; a category over its own budget waits for the next batch.
    */
-  _handleUrgent(text) {
-    const isQuiet = this.scheduler?.isQuietTime?.();
-
-    if (isQuiet && !this._urgentBypassQuiet) {
-      this._addToBatch(`[URGENT] ${text}`);
+  _handleUrgent(text, category = null, quietHours = null, alertId = null) {
+    if (this.scheduler?.isQuietTime?.() && this._holdsInQuiet(category, true, quietHours)) {
+      this._addToBatch(`[URGENT] ${text}`, NotificationManager.URGENT, category, 'sms', alertId);
       console.log(`[NOTIFICATION] Urgent queued (quiet hours, bypass disabled): ${text.substring(0, 80)}`);
       return;
     }
 
-    this._sendImmediate(text);
+    if (!this._checkCategoryBudget(category).ok) {
+      this._addToBatch(`[URGENT] ${text}`, NotificationManager.URGENT, category, 'sms', alertId);
+      console.log(`[NOTIFICATION] Urgent queued (${category} budget exhausted): ${text.substring(0, 80)}`);
+      return;
+    }
+
+    this._ensureDb();
+    const deliveryId = this.db.transaction(() => {
+      const id = this._createDelivery(text, 'urgent', category);
+      this.db
+        .prepare('INSERT INTO notification_queue (text, tier, category, alert_id, created_at, delivery_id) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(text, NotificationManager.URGENT, category, alertId, new Date().toISOString(), id);
+      return id;
+    })();
+    this._attemptDelivery(deliveryId);
     this._flushBatch();
   }
 
   /**
-   * Send a message immediately via the messenger. Increments daily sent count.
+   * Add a message to the batch queue, or with channel 'email' to the queue
+   * the email digest reads. An alert's clocks start when its batch is sent.
    */
-  _sendImmediate(text) {
-    try {
-      this.messenger.send(text);
-    } catch (err) {
-      console.error(`[NOTIFICATION SEND ERROR] ${err.message}`);
+  _addToBatch(text, tier = NotificationManager.BATCH, category = null, channel = 'sms', alertId = null) {
+    this._ensureDb();
+    this.db
+      .prepare('INSERT INTO notification_queue (text, tier, category, channel, alert_id, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(text, tier, category, channel, alertId, new Date().toISOString());
+    if (channel === 'email') {
+      console.log(`[NOTIFICATION] Queued for email digest: ${text.substring(0, 80)}`);
+      return;
     }
-    this._dailySentCount++;
-    this._logBudgetWarning();
+    const size = this._queueSize();
+    console.log(`[NOTIFICATION] Batched (queue size: ${size}): ${text.substring(0, 80)}`);
   }
 
   /**
-   * Add a message to the batch queue.
+   * Settings for a category, with the channel defaulted.
+   * @param {string|null} category
+   * @returns {{ channel: string, budget?: number, quietHours?: string }}
    */
-  _addToBatch(text) {
-    this._batchQueue.push(text);
-    console.log(`[NOTIFICATION] Batched (queue size: ${this._batchQueue.length}): ${text.substring(0, 80)}`);
+  _policy(category) {
+    const policy = (category && this._categories[category]) || {};
+    return { ...policy, channel: CHANNELS.includes(policy.channel) ? policy.channel : 'sms' };
+  }
+
+  /**
+   * Whether a category's messages wait out quiet hours. Without a policy,
+   * urgent messages follow urgentBypassQuiet and batch items go out.
+   */
+  _holdsInQuiet(category, urgent, override = null) {
+    const quietHours = override || this._policy(category).quietHours;
+    if (quietHours === 'hold') return true;
+    if (quietHours === 'bypass') return false;
+    return urgent && !this._urgentBypassQuiet;
   }
 
   /**
    * Flush the batch queue. Formats all queued messages into a single SMS and sends.
    * Counts as 1 SMS against the daily budget. Truncates to 1500 chars.
+   * During quiet hours, items whose category holds stay queued.
    */
   _flushBatch() {
-    if (this._batchQueue.length === 0) return;
+    this._ensureDb();
+    let items = this.db
+      .prepare("SELECT id, text, category FROM notification_queue WHERE delivery_id IS NULL AND channel = 'sms' ORDER BY id")
+      .all();
+    if (items.length > 0 && this.scheduler?.isQuietTime?.()) {
+      items = items.filter((item) => !this._holdsInQuiet(item.category, false));
+    }
+    if (items.length === 0) return;
 
     // Check budget before flushing
     const budget = this._checkBudget();
     if (!budget.ok) {
-      console.log(`[NOTIFICATION] Batch flush deferred (budget exhausted, ${this._batchQueue.length} queued)`);
+      console.log(`[NOTIFICATION] Batch flush deferred (budget exhausted, ${items.length} queued)`);
       return;
     }
 
-    const items = this._batchQueue.splice(0);
-
     const cleanItems = items.map((item) => {
-      return item
+      return item.text
         .replace(/\n/g, ' ')
         .replace(/\s{2,}/g, ' ')
         .trim()
@@ -148,31 +341,167 @@ class NotificationManager {
       message = message.substring(0, 1497) + '...';
     }
 
-    this._sendImmediate(message);
+    const deliveryId = this.db.transaction(() => {
+      const id = this._createDelivery(message, 'batch');
+      const assign = this.db.prepare('UPDATE notification_queue SET delivery_id = ? WHERE id = ?');
+      for (const item of items) assign.run(id, item.id);
+      return id;
+    })();
+    this._attemptDelivery(deliveryId);
     console.log(`[NOTIFICATION] Batch flushed: ${items.length} items`);
   }
 
+  /**
+   * @returns {number} Delivery id
+   */
+  _createDelivery(text, kind, category = null) {
+    const now = new Date().toISOString();
+    return Number(this.db
+      .prepare('INSERT INTO notification_deliveries (text, kind, category, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(text, kind, category, now, now)
+      .lastInsertRowid);
+  }
+
+  /**
+   * Send a pending delivery once. Success counts against the daily budget
+   * (and an urgent delivery against its category's);
+   * failure schedules the next attempt (30s, 1m, 2m, ... capped at 30m) or,
+   * after maxSendAttempts, marks it failed.
+   *
+   * A messenger whose send() returns a Promise (webhook transport) is
+   * awaited: the attempt is recorded when it settles, and the delivery is
+   * skipped by retryPending() meanwhile.
+   * @param {number} id
+   * @returns {boolean|Promise<boolean>} Whether it was delivered
+   */
+  _attemptDelivery(id) {
+    const delivery = this.db.prepare('SELECT * FROM notification_deliveries WHERE id = ?').get(id);
+    if (!delivery || delivery.status !== 'pending' || this._inFlight.has(id)) return false;
+
+    let result;
+    try {
+      result = this.messenger.send(delivery.text);
+    } catch (err) {
+      return this._recordAttempt(delivery, err.message);
+    }
+    if (result && typeof result.then === 'function') {
+      this._inFlight.add(id);
+      return result
+        .then((ok) => (ok === false ? FAILED_SEND : null), (err) => err.message)
+        .then((error) => {
+          this._inFlight.delete(id);
+          return this.db ? this._recordAttempt(delivery, error) : false;
+        });
+    }
+    return this._recordAttempt(delivery, result === false ? FAILED_SEND : null);
+  }
+
+  /**
+   * Record the outcome of one send attempt.
+   * @param {Object} delivery - Row as it was before the attempt
+   * @param {string|null} error - null on success
+   * @returns {boolean} Whether it was delivered
+   */
+  _recordAttempt(delivery, error) {
+    const { id } = delivery;
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+    if (!error) {
+      this.db.transaction(() => {
+        this.db
+          .prepare("UPDATE notification_deliveries SET status = 'sent', attempts = ?, sent_at = ?, next_attempt_at = NULL, last_error = NULL WHERE id = ?")
+          .run(attempts, new Date(now).toISOString(), id);
+        this.db
+          .prepare('INSERT INTO notification_budget (date, sent) VALUES (?, 1) ON CONFLICT(date) DO UPDATE SET sent = sent + 1')
+          .run(this._getTodayDateStr());
+        if (delivery.category) {
+          this.db
+            .prepare('INSERT INTO notification_category_budget (date, category, sent) VALUES (?, ?, 1) ON CONFLICT(date, category) DO UPDATE SET sent = sent + 1')
+            .run(this._getTodayDateStr(), delivery.category);
+        }
+        this._startAlertClocks(id, now);
+      })();
+      this._logBudgetWarning();
+      return true;
+    }
+
+    console.error(`[NOTIFICATION SEND ERROR] Delivery #${id} attempt ${attempts}: ${error}`);
+    if (attempts >= this._maxSendAttempts) {
+      this.db
+        .prepare("UPDATE notification_deliveries SET status = 'failed', attempts = ?, last_error = ?, next_attempt_at = NULL WHERE id = ?")
+        .run(attempts, error, id);
+      console.error(`[NOTIFICATION] Delivery #${id} failed after ${attempts} attempts; see /api/notifications`);
+    } else {
+      const delay = Math.min(this._retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+      this.db
+        .prepare('UPDATE notification_deliveries SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?')
+        .run(attempts, error, new Date(now + delay).toISOString(), id);
+    }
+    return false;
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed, oldest first.
+   * @param {number} [now=Date.now()]
+   * @returns {number} How many were delivered (synchronous sends only)
+   */
+  retryPending(now = Date.now()) {
+    this._ensureDb();
+    const due = this.db
+      .prepare("SELECT id FROM notification_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id")
+      .pluck()
+      .all(new Date(now).toISOString());
+    let delivered = 0;
+    for (const id of due) {
+      // Async sends are recorded when they settle, not counted here
+      if (this._attemptDelivery(id) === true) delivered++;
+    }
+    return delivered;
+  }
+
   _checkBudget() {
-    this._resetBudgetIfNewDay();
-    const remaining = this._dailyBudget - this._dailySentCount;
+    const remaining = this._dailyBudget - this._sentToday();
     return { ok: remaining > 0, remaining: Math.max(0, remaining) };
   }
 
-  _resetBudgetIfNewDay() {
-    const today = this._getTodayDateStr();
-    if (today !== this._budgetResetDate) {
-      this._dailySentCount = 0;
-      this._budgetResetDate = today;
-      this._budgetWarningLogged = false;
-      console.log(`[NOTIFICATION] Daily budget reset for ${today}`);
-    }
+  _sentToday() {
+    this._ensureDb();
+    const row = this.db.prepare('SELECT sent FROM notification_budget WHERE date = ?').get(this._getTodayDateStr());
+    return row ? row.sent : 0;
+  }
+
+  /**
+   * Immediate sends left today for a category. Categories without a budget
+   * are always ok.
+   */
+  _checkCategoryBudget(category) {
+    const { budget } = this._policy(category);
+    if (!budget) return { ok: true, remaining: null };
+    const remaining = budget - this._categorySentToday(category);
+    return { ok: remaining > 0, remaining: Math.max(0, remaining) };
+  }
+
+  _categorySentToday(category) {
+    this._ensureDb();
+    const row = this.db
+      .prepare('SELECT sent FROM notification_category_budget WHERE date = ? AND category = ?')
+      .get(this._getTodayDateStr(), category);
+    return row ? row.sent : 0;
+  }
+
+  _queueSize(channel = 'sms') {
+    return this.db
+      .prepare('SELECT COUNT(*) AS n FROM notification_queue WHERE delivery_id IS NULL AND digested_at IS NULL AND channel = ?')
+      .get(channel).n;
   }
 
   _logBudgetWarning() {
-    if (this._budgetWarningLogged) return;
-    if (this._dailySentCount >= this._dailyBudget * 0.8) {
-      console.warn(`[NOTIFICATION WARNING] Daily SMS budget 80% used (${this._dailySentCount}/${this._dailyBudget})`);
-      this._budgetWarningLogged = true;
+    const today = this._getTodayDateStr();
+    if (this._budgetWarningDate === today) return;
+    const sent = this._sentToday();
+    if (sent >= this._dailyBudget * 0.8) {
+      console.warn(`[NOTIFICATION WARNING] Daily SMS budget 80% used (${sent}/${this._dailyBudget})`);
+      this._budgetWarningDate = today;
     }
   }
 
@@ -181,19 +510,27 @@ class NotificationManager {
   }
 
   /**
-   * Start the batch flush timer.
+   * Start the batch flush timer and the delivery retry timer. Deliveries
+   * left pending by a previous run are retried right away.
    */
   startBatchTimer() {
     if (this._batchTimerId) clearInterval(this._batchTimerId);
+    if (this._retryTimerId) clearInterval(this._retryTimerId);
     this._batchTimerId = setInterval(() => this._flushBatch(), this._batchIntervalMs);
+    this._retryTimerId = setInterval(() => this.retryPending(), this._retryCheckMs);
     console.log(`[NOTIFICATION] Batch timer started (interval: ${this._batchIntervalMs / 1000}s)`);
+    this.retryPending();
     return this._batchTimerId;
   }
 
   /**
-   * Stop the batch flush timer.
+   * Stop the batch flush and retry timers.
    */
   stopBatchTimer() {
+    if (this._retryTimerId) {
+      clearInterval(this._retryTimerId);
+      this._retryTimerId = null;
+    }
     if (this._batchTimerId) {
       clearInterval(this._batchTimerId);
       this._batchTimerId = null;
@@ -201,18 +538,315 @@ class NotificationManager {
     }
   }
 
+  /**
+   * @returns {number} Alert id
+   */
+  _openAlert(text, category) {
+    this._ensureDb();
+    return Number(this.db
+      .prepare('INSERT INTO notification_alerts (text, category, created_at) VALUES (?, ?, ?)')
+      .run(text, category, new Date().toISOString())
+      .lastInsertRowid);
+  }
+
+  /**
+   * Mark the alerts carried by a just-sent delivery as delivered and
+   * schedule their first re-notify.
+   */
+  _startAlertClocks(deliveryId, now) {
+    const firstDelay = this._renotifyMs[0];
+    this.db
+      .prepare(`
+        UPDATE notification_alerts SET delivered_at = ?, next_renotify_at = ?
+        WHERE delivered_at IS NULL AND acked_at IS NULL
+          AND id IN (SELECT alert_id FROM notification_queue WHERE delivery_id = ? AND alert_id IS NOT NULL)
+      `)
+      .run(new Date(now).toISOString(), firstDelay ? new Date(now + firstDelay).toISOString() : null, deliveryId);
+  }
+
+  /**
+   * Re-send delivered, unacknowledged alerts whose next re-notify is due, and
+   * escalate those delivered more than escalateAfterMs ago. Re-notifies
+   * respect the category's quiet-hours policy and budget.
+   * @param {number} [now=Date.now()]
+   * @returns {{ renotified: number, escalated: number }}
+   */
+  checkAlerts(now = Date.now()) {
+    const counts = { renotified: 0, escalated: 0 };
+    if (!this._alertsEnabled) return counts;
+    this._ensureDb();
+    const iso = new Date(now).toISOString();
+    const open = this.db
+      .prepare('SELECT * FROM notification_alerts WHERE acked_at IS NULL AND delivered_at IS NOT NULL AND (next_renotify_at IS NOT NULL OR escalated_at IS NULL) ORDER BY id')
+      .all();
+
+    for (const alert of open) {
+      if (alert.next_renotify_at && alert.next_renotify_at <= iso
+          && !(this.scheduler?.isQuietTime?.() && this._holdsInQuiet(alert.category, true))
+          && this._checkCategoryBudget(alert.category).ok) {
+        const count = alert.renotify_count + 1;
+        const nextDelay = this._renotifyMs[count];
+        const deliveryId = this.db.transaction(() => {
+          this.db
+            .prepare('UPDATE notification_alerts SET renotify_count = ?, next_renotify_at = ? WHERE id = ?')
+            .run(count, nextDelay ? new Date(now + nextDelay).toISOString() : null, alert.id);
+          return this._createDelivery(ackHint(`UNACKED ALERT: ${alert.text}`, alert.id), 'renotify', alert.category);
+        })();
+        this._attemptDelivery(deliveryId);
+        counts.renotified++;
+      }
+
+      if (!alert.escalated_at && this._escalateAfterMs > 0
+          && now - Date.parse(alert.delivered_at) >= this._escalateAfterMs) {
+        this.db.prepare('UPDATE notification_alerts SET escalated_at = ? WHERE id = ?').run(iso, alert.id);
+        this._escalateAlert(fromAlertRow({ ...alert, escalated_at: iso }));
+        counts.escalated++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Hand an alert to the secondary channel. Runs in the background; a
+   * failure is logged, not retried.
+   */
+  _escalateAlert(alert) {
+    if (!this.escalate) {
+      console.warn(`[NOTIFICATION] Alert #${alert.id} unacknowledged; no escalation channel configured`);
+      return;
+    }
+    Promise.resolve()
+      .then(() => this.escalate(alert))
+      .then((ok) => {
+        if (ok === false) console.error(`[NOTIFICATION] Escalation of alert #${alert.id} failed`);
+        else console.log(`[NOTIFICATION] Alert #${alert.id} escalated`);
+      })
+      .catch((err) => console.error(`[NOTIFICATION] Escalation of alert #${alert.id} failed: ${err.message}`));
+  }
+
+  /**
+   * Acknowledge an alert: stops re-notifies and escalation and counts the
+   * outcome with TrustTracker.
+   * @param {number} id
+   * @param {Object} [opts]
+   * @param {boolean} [opts.falseAlarm=false] - It wasn't a real problem
+   * @param {string} [opts.by='sms'] - Who acknowledged ("sms", a dashboard token name, ...)
+   * @param {boolean} [opts.countOutcome=true] - Count it with TrustTracker; false
+   *   when the acknowledgement is a side effect (a snoozed reminder)
+   * @returns {Object|null} The alert (with alreadyAcked if it was), or null if unknown
+   */
+  acknowledge(id, { falseAlarm = false, by = 'sms', countOutcome = true } = {}) {
+    this._ensureDb();
+    const row = this.db.prepare('SELECT * FROM notification_alerts WHERE id = ?').get(id);
+    if (!row) return null;
+    if (row.acked_at) return { ...fromAlertRow(row), alreadyAcked: true };
+
+    this.db
+      .prepare('UPDATE notification_alerts SET acked_at = ?, acked_by = ?, false_alarm = ?, next_renotify_at = NULL WHERE id = ?')
+      .run(new Date().toISOString(), by, falseAlarm ? 1 : 0, id);
+    if (this.trustTracker && countOutcome) {
+      try {
+        this.trustTracker.recordAlertOutcome(!falseAlarm);
+      } catch (err) {
+        console.error(`[NOTIFICATION] Failed to record alert outcome: ${err.message}`);
+      }
+    }
+    return fromAlertRow(this.db.prepare('SELECT * FROM notification_alerts WHERE id = ?').get(id));
+  }
+
+  /**
+   * Open alerts (newest first) and the last 10 acknowledged.
+   * @returns {{ open: Object[], recent: Object[] }}
+   */
+  getAlerts() {
+    this._ensureDb();
+    return {
+      open: this.db.prepare('SELECT * FROM notification_alerts WHERE acked_at IS NULL ORDER BY id DESC').all().map(fromAlertRow),
+      recent: this.db.prepare('SELECT * FROM notification_alerts WHERE acked_at IS NOT NULL ORDER BY acked_at DESC LIMIT 10').all().map(fromAlertRow),
+    };
+  }
+
+  /**
+   * Reply to an alert SMS command.
+   *   ack 12           acknowledge alert 12
+   *   ack 12 false     acknowledge it as a false alarm ("noise" works too)
+   *   alerts           list open alerts
+   * @param {string} text
+   * @param {Object} [opts]
+   * @param {string} [opts.by='sms']
+   * @returns {string|null} null if the text isn't an alert command
+   */
+  handleCommand(text, { by = 'sms' } = {}) {
+    const normalized = String(text || '').trim().toLowerCase();
+    if (normalized === 'alerts') {
+      const { open } = this.getAlerts();
+      if (open.length === 0) return 'No open alerts.';
+      return open.map((a) => `A${a.id} ${formatAge(Date.now() - Date.parse(a.createdAt))} ago: ${a.text.replace(/\n/g, ' ').substring(0, 80)}`).join('\n');
+    }
+
+    const m = normalized.match(/^ack #?a?(\d+)(?:\s+(false(?: alarm)?|noise))?$/);
+    if (!m) return null;
+    const id = parseInt(m[1], 10);
+    const alert = this.acknowledge(id, { falseAlarm: !!m[2], by });
+    if (!alert) return `No alert ${id}.`;
+    if (alert.alreadyAcked) return `Alert ${id} was already acknowledged.`;
+    return alert.falseAlarm ? `Alert ${id} marked as a false alarm.` : `Alert ${id} acknowledged.`;
+  }
+
   /**
    * Get notification statistics.
    */
   getStats() {
-    this._resetBudgetIfNewDay();
+    this._ensureDb();
+    const dailySent = this._sentToday();
+    const counts = Object.fromEntries(this.db
+      .prepare("SELECT status, COUNT(*) AS n FROM notification_deliveries WHERE status != 'sent' GROUP BY status")
+      .all()
+      .map((r) => [r.status, r.n]));
+    const categories = {};
+    for (const name of new Set([...CATEGORIES, ...Object.keys(this._categories)])) {
+      const policy = this._policy(name);
+      categories[name] = {
+        channel: policy.channel,
+        quietHours: policy.quietHours || null,
+        budget: policy.budget || null,
+        sent: this._categorySentToday(name),
+        budgetRemaining: this._checkCategoryBudget(name).remaining,
+      };
+    }
     return {
-      dailySent: this._dailySentCount,
+      dailySent,
       dailyBudget: this._dailyBudget,
-      batchQueueSize: this._batchQueue.length,
-      budgetRemaining: Math.max(0, this._dailyBudget - this._dailySentCount),
+      batchQueueSize: this._queueSize(),
+      digestQueueSize: this._queueSize('email'),
+      budgetRemaining: Math.max(0, this._dailyBudget - dailySent),
+      pendingDeliveries: counts.pending || 0,
+      failedDeliveries: counts.failed || 0,
+      openAlerts: this.db.prepare('SELECT COUNT(*) AS n FROM notification_alerts WHERE acked_at IS NULL').get().n,
+      categories,
     };
   }
+
+  /**
+   * Notifications routed to the email digest that haven't been in one yet.
+   * @returns {Object[]} { id, text, tier, category, createdAt }, oldest first
+   */
+  getDigestItems() {
+    this._ensureDb();
+    return this.db
+      .prepare("SELECT id, text, tier, category, created_at FROM notification_queue WHERE channel = 'email' AND digested_at IS NULL ORDER BY id")
+      .all()
+      .map((r) => ({ id: r.id, text: r.text, tier: r.tier, category: r.category, createdAt: r.created_at }));
+  }
+
+  /**
+   * Mark digest items as sent so the next digest skips them.
+   * @param {number[]} ids
+   * @returns {number} Items marked
+   */
+  markDigested(ids) {
+    if (!ids || ids.length === 0) return 0;
+    this._ensureDb();
+    const now = new Date().toISOString();
+    const mark = this.db.prepare("UPDATE notification_queue SET digested_at = ? WHERE id = ? AND channel = 'email' AND digested_at IS NULL");
+    return this.db.transaction(() => ids.reduce((n, id) => n + mark.run(now, id).changes, 0))();
+  }
+
+  /**
+   * Everything not yet delivered: queued batch items and pending or failed
+   * deliveries (with the items they carry).
+   * @returns {{ queued: Object[], deliveries: Object[] }}
+   */
+  getUndelivered() {
+    this._ensureDb();
+    const queued = this.db
+      .prepare('SELECT id, text, tier, category, channel, created_at FROM notification_queue WHERE delivery_id IS NULL AND digested_at IS NULL ORDER BY id')
+      .all()
+      .map((r) => ({ id: r.id, text: r.text, tier: r.tier, category: r.category, channel: r.channel, createdAt: r.created_at }));
+    const itemsOf = this.db.prepare('SELECT text FROM notification_queue WHERE delivery_id = ? ORDER BY id').pluck();
+    const deliveries = this.db
+      .prepare("SELECT * FROM notification_deliveries WHERE status != 'sent' ORDER BY id")
+      .all()
+      .map((d) => ({
+        id: d.id,
+        kind: d.kind,
+        category: d.category,
+        status: d.status,
+        text: d.text,
+        attempts: d.attempts,
+        nextAttemptAt: d.next_attempt_at,
+        lastError: d.last_error,
+        createdAt: d.created_at,
+        items: itemsOf.all(d.id),
+      }));
+    return { queued, deliveries };
+  }
+
+  /**
+   * Delete sent deliveries (and their items), digested email items, alerts
+   * and budget rows older than `days`. Failed deliveries are kept until they're
+   * this old too.
+   * @param {number} [days=30]
+   * @returns {number} Deliveries deleted
+   */
+  cleanup(days = 30) {
+    this._ensureDb();
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+    return this.db.transaction(() => {
+      const old = "SELECT id FROM notification_deliveries WHERE status != 'pending' AND created_at < ?";
+      this.db.prepare(`DELETE FROM notification_queue WHERE delivery_id IN (${old})`).run(cutoff);
+      this.db.prepare('DELETE FROM notification_queue WHERE digested_at < ?').run(cutoff);
+      this.db.prepare('DELETE FROM notification_alerts WHERE created_at < ?').run(cutoff);
+      this.db.prepare('DELETE FROM notification_budget WHERE date < ?').run(cutoff.split('T')[0]);
+      this.db.prepare('DELETE FROM notification_category_budget WHERE date < ?').run(cutoff.split('T')[0]);
+      return this.db.prepare(`DELETE FROM notification_deliveries WHERE id IN (${old})`).run(cutoff).changes;
+    })();
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Append the acknowledgement instruction to an alert message.
+ * @private
+ */
+function ackHint(text, id) {
+  return `${text}\n(reply "ack ${id}")`;
+}
+
+/** @private */
+function fromAlertRow(r) {
+  return {
+    id: r.id,
+    text: r.text,
+    category: r.category,
+    createdAt: r.created_at,
+    deliveredAt: r.delivered_at,
+    renotifyCount: r.renotify_count,
+    nextRenotifyAt: r.next_renotify_at,
+    escalatedAt: r.escalated_at,
+    ackedAt: r.acked_at,
+    ackedBy: r.acked_by,
+    falseAlarm: r.false_alarm == null ? null : r.false_alarm === 1,
+  };
+}
+
+/**
+ * "45s", "12m", "3h".
+ * @private
+ */
+function formatAge(ms) {
+  if (ms < 60000) return `${Math.max(0, Math.round(ms / 1000))}s`;
+  if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+  return `${Math.round(ms / 3600000)}h`;
 }
 
 module.exports = NotificationManager;
@@ -0,0 +1,372 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+/**
+ * Platform backends for ResourceMonitor and ProcessMonitor.
+ *
+ * Each backend answers the same questions:
+ *   memory()              -> { totalBytes, availableBytes } | null
+ *   processCwd(pid)       -> absolute path | null
+ *   processStats(pid)     -> { cpuSeconds, cpuPct, rssMB } | null
+ *   listProcesses()       -> [{ pid, ppid }] (for walking process trees)
+ *   listeningPorts(pids)  -> [{ pid, port }] TCP ports in LISTEN owned by pids
+ *
+ * "Available" memory means what can be handed to new processes without
+ * swapping (free + reclaimable caches), not the kernel's bare "free" pages.
+ * cpuPct is averaged over the process lifetime, like ps's %CPU.
+ *
+ * Use createPlatform() to pick the backend for the current OS.
+ */
+
+/**
+ * Linux: everything comes from /proc, no subprocesses.
+ */
+class LinuxPlatform {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.procRoot='/proc'] - procfs mount (tests point this at a fixture)
+   * @param {number} [opts.clockTicks] - USER_HZ; read from getconf when omitted
+   * @param {number} [opts.pageSize] - Bytes per page; read from getconf when omitted
+   */
+  constructor({ procRoot = '/proc', clockTicks, pageSize } = {}) {
+    this.name = 'linux';
+    this.procRoot = procRoot;
+    this._clockTicks = clockTicks || null;
+    this._pageSize = pageSize || null;
+  }
+
+  memory() {
+    try {
+      const meminfo = fs.readFileSync(path.join(this.procRoot, 'meminfo'), 'utf-8');
+      const kb = (label) => {
+        const m = meminfo.match(new RegExp(`^${label}:\\s+(\\d+) kB`, 'm'));
+        return m ? parseInt(m[1], 10) * 1024 : null;
+      };
+      const totalBytes = kb('MemTotal');
+      if (!totalBytes) return null;
+
+      // MemAvailable exists since Linux 3.14; approximate it on older kernels
+      let availableBytes = kb('MemAvailable');
+      if (availableBytes === null) {
+        availableBytes = (kb('MemFree') || 0) + (kb('Buffers') || 0) + (kb('Cached') || 0);
+      }
+      return { totalBytes, availableBytes };
+    } catch {
+      return null;
+    }
+  }
+
+  processCwd(pid) {
+    try {
+      return fs.readlinkSync(path.join(this.procRoot, String(pid), 'cwd'));
+    } catch {
+      return null; // Gone, or owned by another user
+    }
+  }
+
+  processStats(pid) {
+    try {
+      const stat = fs.readFileSync(path.join(this.procRoot, String(pid), 'stat'), 'utf-8');
+      // comm (field 2) is parenthesised and may contain spaces; fields after it start at 3
+      const fields = stat.substring(stat.lastIndexOf(')') + 2).trim().split(/\s+/);
+      const ticks = this._getClockTicks();
+      const utime = parseInt(fields[11], 10);  // field 14
+      const stime = parseInt(fields[12], 10);  // field 15
+      const starttime = parseInt(fields[19], 10); // field 22, ticks after boot
+      const rssPages = parseInt(fields[21], 10);  // field 24
+
+      const cpuSeconds = (utime + stime) / ticks;
+      const uptime = parseFloat(fs.readFileSync(path.join(this.procRoot, 'uptime'), 'utf-8').split(/\s+/)[0]);
+      const elapsed = uptime - starttime / ticks;
+
+      return {
+        cpuSeconds: Math.round(cpuSeconds * 100) / 100,
+        cpuPct: elapsed > 0 ? Math.round((cpuSeconds / elapsed) * 1000) / 10 : 0,
+        rssMB: Math.round((rssPages * this._getPageSize()) / 1024 / 1024 * 10) / 10,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  listProcesses() {
+    const procs = [];
+    let entries;
+    try {
+      entries = fs.readdirSync(this.procRoot);
+    } catch {
+      return procs;
+    }
+    for (const entry of entries) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const stat = fs.readFileSync(path.join(this.procRoot, entry, 'stat'), 'utf-8');
+        const ppid = parseInt(stat.substring(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+        procs.push({ pid: parseInt(entry, 10), ppid });
+      } catch {} // Exited while we were listing
+    }
+    return procs;
+  }
+
+  listeningPorts(pids) {
+    // LISTEN sockets (state 0A) by inode, from the IPv4 and IPv6 tables
+    const portsByInode = new Map();
+    for (const table of ['tcp', 'tcp6']) {
+      let lines;
+      try {
+        lines = fs.readFileSync(path.join(this.procRoot, 'net', table), 'utf-8').trim().split('\n').slice(1);
+      } catch {
+        continue;
+      }
+      for (const line of lines) {
+        const cols = line.trim().split(/\s+/);
+        if (cols[3] !== '0A') continue;
+        portsByInode.set(cols[9], parseInt(cols[1].split(':')[1], 16));
+      }
+    }
+    if (portsByInode.size === 0) return [];
+
+    // Match them to the pids' open socket fds
+    const found = [];
+    for (const pid of pids) {
+      const fdDir = path.join(this.procRoot, String(pid), 'fd');
+      let fds;
+      try {
+        fds = fs.readdirSync(fdDir);
+      } catch {
+        continue; // Gone, or not ours to inspect
+      }
+      const seen = new Set();
+      for (const fd of fds) {
+        let target;
+        try {
+          target = fs.readlinkSync(path.join(fdDir, fd));
+        } catch {
+          continue;
+        }
+        const m = target.match(/^socket:\[(\d+)\]$/);
+        const port = m && portsByInode.get(m[1]);
+        if (port && !seen.has(port)) {
+          seen.add(port);
+          found.push({ pid, port });
+        }
+      }
+    }
+    return found;
+  }
+
+  _getClockTicks() {
+    if (!this._clockTicks) this._clockTicks = getconf('CLK_TCK', 100);
+    return this._clockTicks;
+  }
+
+  _getPageSize() {
+    if (!this._pageSize) this._pageSize = getconf('PAGESIZE', 4096);
+    return this._pageSize;
+  }
+}
+
+/**
+ * macOS: vm_stat for memory, lsof for cwd, ps for per-process stats.
+ */
+class DarwinPlatform {
+  constructor() {
+    this.name = 'darwin';
+  }
+
+  memory() {
+    try {
+      const vmstat = execSync('vm_stat', { encoding: 'utf-8', timeout: 3000 });
+      // Page size is 16K on Apple Silicon, 4K on Intel — vm_stat states it in its header
+      const pageSizeMatch = vmstat.match(/page size of (\d+) bytes/);
+      const pageSize = pageSizeMatch ? parseInt(pageSizeMatch[1], 10) : 4096;
+      const pages = (label) => {
+        const m = vmstat.match(new RegExp(`${label}:\\s+(\\d+)`));
+        return m ? parseInt(m[1], 10) * pageSize : 0;
+      };
+      // os.freemem() only counts "free" pages; inactive and purgeable are reclaimable too
+      return {
+        totalBytes: os.totalmem(),
+        availableBytes: pages('Pages free') + pages('Pages inactive') + pages('Pages purgeable'),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  processCwd(pid) {
+    try {
+      const output = execSync(`lsof -a -p ${parseInt(pid, 10)} -d cwd -Fn 2>/dev/null`, {
+        encoding: 'utf-8',
+        timeout: 3000,
+      });
+      const line = output.split('\n').find((l) => l.startsWith('n/'));
+      return line ? line.substring(1) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  processStats(pid) {
+    return psStats(pid);
+  }
+
+  listProcesses() {
+    return psList();
+  }
+
+  listeningPorts(pids) {
+    if (pids.length === 0) return [];
+    try {
+      const output = execSync(
+        `lsof -a -p ${pids.map((p) => parseInt(p, 10)).join(',')} -iTCP -sTCP:LISTEN -P -n -Fpn 2>/dev/null`,
+        { encoding: 'utf-8', timeout: 5000 }
+      );
+      const found = [];
+      const seen = new Set();
+      let pid = null;
+      for (const line of output.split('\n')) {
+        if (line.startsWith('p')) pid = parseInt(line.substring(1), 10);
+        const m = line.match(/^n.*:(\d+)$/);
+        if (m && pid !== null && !seen.has(`${pid}:${m[1]}`)) {
+          seen.add(`${pid}:${m[1]}`);
+          found.push({ pid, port: parseInt(m[1], 10) });
+        }
+      }
+      return found;
+    } catch {
+      return []; // lsof exits non-zero when nothing matches
+    }
+  }
+}
+
+/**
+ * Anything else: Node's os module and POSIX ps.
+ */
+class GenericPlatform {
+  constructor() {
+    this.name = os.platform();
+  }
+
+  memory() {
+    return { totalBytes: os.totalmem(), availableBytes: os.freemem() };
+  }
+
+  processCwd() {
+    return null;
+  }
+
+  processStats(pid) {
+    return psStats(pid);
+  }
+
+  listProcesses() {
+    return psList();
+  }
+
+  listeningPorts() {
+    return [];
+  }
+}
+
+/**
+ * All processes with their parents, from ps.
+ * @private
+ */
+function psList() {
+  try {
+    return execSync('ps -A -o pid= -o ppid=', { encoding: 'utf-8', timeout: 5000 })
+      .trim()
+      .split('\n')
+      .map((line) => line.trim().split(/\s+/).map((n) => parseInt(n, 10)))
+      .filter(([pid, ppid]) => !isNaN(pid) && !isNaN(ppid))
+      .map(([pid, ppid]) => ({ pid, ppid }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Per-process stats from ps (POSIX -o keywords).
+ * @private
+ */
+function psStats(pid) {
+  try {
+    const out = execSync(`ps -o rss= -o %cpu= -o time= -p ${parseInt(pid, 10)}`, {
+      encoding: 'utf-8',
+      timeout: 3000,
+    }).trim();
+    if (!out) return null;
+    const [rssKb, cpu, time] = out.split(/\s+/);
+    return {
+      cpuSeconds: parseCpuTime(time),
+      cpuPct: parseFloat(cpu) || 0,
+      rssMB: Math.round((parseInt(rssKb, 10) / 1024) * 10) / 10,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse ps TIME ("[[dd-]hh:]mm:ss[.cc]") into seconds.
+ * @private
+ */
+function parseCpuTime(time) {
+  if (!time) return 0;
+  const [days, rest] = time.includes('-') ? time.split('-') : ['0', time];
+  const seconds = rest.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+  return Math.round((parseInt(days, 10) * 86400 + seconds) * 100) / 100;
+}
+
+/**
+ * @private
+ */
+function getconf(name, fallback) {
+  try {
+    return parseInt(execSync(`getconf ${name}`, { encoding: 'utf-8', timeout: 3000 }).trim(), 10) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Pick the backend for a platform.
+ * @param {string} [platform=process.platform]
+ * @param {Object} [opts] - Passed to the backend constructor (e.g. { procRoot })
+ * @returns {LinuxPlatform|DarwinPlatform|GenericPlatform}
+ */
+function createPlatform(platform = process.platform, opts = {}) {
+  if (platform === 'linux') return new LinuxPlatform(opts);
+  if (platform === 'darwin') return new DarwinPlatform(opts);
+  return new GenericPlatform(opts);
+}
+
+/**
+ * All descendants of the given root pids, roots included.
+ * @param {{ pid: number, ppid: number }[]} procs - From listProcesses()
+ * @param {number[]} rootPids
+ * @returns {number[]}
+ */
+function processTree(procs, rootPids) {
+  const children = new Map();
+  for (const { pid, ppid } of procs) {
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+  const tree = new Set();
+  const stack = [...rootPids];
+  while (stack.length > 0) {
+    const pid = stack.pop();
+    if (tree.has(pid)) continue;
+    tree.add(pid);
+    stack.push(...(children.get(pid) || []));
+  }
+  return [...tree];
+}
+
+module.exports = { createPlatform, LinuxPlatform, DarwinPlatform, GenericPlatform, parseCpuTime, processTree };
@@ -1,20 +1,30 @@
 const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { createPlatform } = require("./platform");
 
 /**
  * ProcessMonitor - Detects running Claude Code processes,
  * identifies their working directories, and determines idle state.
+ * Cwd and CPU/RSS lookups go through the platform backend (/proc on Linux,
+ * lsof/ps on macOS).
  */
 class ProcessMonitor {
-  constructor(projectsDir, idleThresholdMinutes = 15) {
+  /**
+   * @param {string} projectsDir
+   * @param {number} [idleThresholdMinutes=15]
+   * @param {Object} [opts]
+   * @param {Object} [opts.platform] - Platform backend (see platform.js); defaults to the current OS
+   */
+  constructor(projectsDir, idleThresholdMinutes = 15, { platform } = {}) {
     this.projectsDir = projectsDir;
     this.idleThresholdMs = idleThresholdMinutes * 60 * 1000;
+    this.platform = platform || createPlatform();
   }
 
   /**
    * Get all running Claude Code processes with their working directories
-   * @returns {Object[]} Array of { pid, project, cwd, cpuTime, idle }
+   * @returns {Object[]} Array of { pid, project, cwd, command, cpuSeconds, cpuPct, rssMB }
    */
   getClaudeSessions() {
     try {
@@ -41,11 +51,15 @@ class ProcessMonitor {
         // Determine which project this belongs to
         const project = this._matchProject(cwd);
 
+        const stats = this.platform.processStats(pid);
         sessions.push({
           pid,
           cwd,
           project,
           command: parts.slice(10).join(" ").substring(0, 100),
+          cpuSeconds: stats?.cpuSeconds ?? null,
+          cpuPct: stats?.cpuPct ?? null,
+          rssMB: stats?.rssMB ?? null,
         });
       }
 
@@ -66,7 +80,7 @@ class ProcessMonitor {
   /**
    * Check which projects have active Claude Code sessions
    * @param {string[]} projectNames - List of project names to check
-   * @returns {Object} Map of projectName -> { running, pid, idle }
+   * @returns {Object} Map of projectName -> { running, pid, cpuPct, rssMB, hasRecentOutput }
    */
   checkProjects(projectNames) {
     const sessions = this.getClaudeSessions();
@@ -79,6 +93,8 @@ class ProcessMonitor {
         result[name] = {
           running: true,
           pid: session.pid,
+          cpuPct: session.cpuPct,
+          rssMB: session.rssMB,
           hasRecentOutput: this._hasRecentConversation(name),
         };
       } else {
@@ -121,16 +137,7 @@ class ProcessMonitor {
    * @returns {string|null}
    */
   _getProcessCwd(pid) {
-    try {
-      // macOS: use lsof to find cwd
-      const output = execSync(`lsof -p ${pid} -Fn 2>/dev/null | grep '^n/' | head -1`, {
-        encoding: "utf-8",
-        timeout: 3000,
-      }).trim();
-      return output ? output.substring(1) : null;
-    } catch {
-      return null;
-    }
+    return this.platform.processCwd(pid);
   }
 
   /**
@@ -0,0 +1,176 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EVENTS } = require('./event-bus');
+const { SIGNAL_TYPES } = require('./signal-protocol');
+
+const DEFAULT_DEBOUNCE_MS = 250;
+
+/**
+ * ProjectWatcher - fs.watch on every project's .orchestrator/ and .planning/
+ * directories, publishing debounced, typed events on the EventBus.
+ *
+ * Directories are watched rather than files: sessions (and editors) often
+ * write via rename, which silently detaches a watcher on the file itself.
+ * The project root is watched too, so a .orchestrator/ or .planning/ that
+ * appears after startup gets picked up.
+ *
+ * fs.watch is best-effort (dropped events, watchers dying on unmount), so
+ * the 60s proactiveScan poll stays in place as a fallback; refresh() is
+ * called from the scan loop to re-attach anything that went away.
+ */
+class ProjectWatcher {
+  /**
+   * @param {Object} deps
+   * @param {string} deps.projectsDir - Root directory containing all projects
+   * @param {string[]} deps.projects - Project names (relative to projectsDir)
+   * @param {Object} deps.bus - EventBus to publish on
+   * @param {Object} deps.signalProtocol - SignalProtocol (reads signal files)
+   * @param {number} [deps.debounceMs=250] - Quiet period before an event fires
+   * @param {Function} [deps.log] - Logging function (tag, msg)
+   */
+  constructor({ projectsDir, projects, bus, signalProtocol, debounceMs, log }) {
+    this.projectsDir = projectsDir;
+    this.projects = projects || [];
+    this.bus = bus;
+    this.signalProtocol = signalProtocol;
+    this.debounceMs = debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.log = log || ((tag, msg) => console.log(`[${tag}] ${msg}`));
+
+    this._watchers = new Map(); // dir -> FSWatcher
+    this._timers = new Map();   // "project:file" -> timeout
+    this._started = false;
+  }
+
+  /**
+   * Attach watchers for all projects.
+   * @returns {number} Number of directories being watched
+   */
+  start() {
+    this._started = true;
+    return this.refresh();
+  }
+
+  /**
+   * Attach watchers for any watched directory that exists but has no
+   * live watcher (new since startup, or its watcher errored out).
+   * @returns {number} Number of directories being watched
+   */
+  refresh() {
+    if (!this._started) return 0;
+    for (const name of this.projects) {
+      const projectDir = path.join(this.projectsDir, name);
+      this._watch(projectDir, name, 'root');
+      this._watch(path.join(projectDir, '.orchestrator'), name, 'orchestrator');
+      this._watch(path.join(projectDir, '.planning'), name, 'planning');
+    }
+    return this._watchers.size;
+  }
+
+  /**
+   * Close all watchers and pending debounce timers.
+   */
+  stop() {
+    this._started = false;
+    for (const watcher of this._watchers.values()) {
+      try { watcher.close(); } catch {} // Already closed
+    }
+    this._watchers.clear();
+    for (const timer of this._timers.values()) clearTimeout(timer);
+    this._timers.clear();
+  }
+
+  /**
+   * @returns {{ watching: number, pending: number }}
+   */
+  getStats() {
+    return { watching: this._watchers.size, pending: this._timers.size };
+  }
+
+  // ── Internal ────────────────────────────────────────────────────
+
+  /**
+   * Watch one directory if it exists and isn't already watched.
+   * @private
+   */
+  _watch(dir, projectName, kind) {
+    if (this._watchers.has(dir) || !fs.existsSync(dir)) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(dir, { persistent: false }, (eventType, filename) => {
+        if (filename) this._onChange(projectName, kind, filename.toString());
+      });
+    } catch (e) {
+      this.log('WATCH', `Cannot watch ${dir}: ${e.message}`);
+      return;
+    }
+
+    watcher.on('error', (e) => {
+      this.log('WATCH', `Watcher error on ${dir}: ${e.message} (will re-attach on next scan)`);
+      try { watcher.close(); } catch {} // Already closed
+      this._watchers.delete(dir);
+    });
+    this._watchers.set(dir, watcher);
+  }
+
+  /**
+   * Route a raw fs.watch notification to a debounced handler.
+   * @private
+   */
+  _onChange(projectName, kind, filename) {
+    if (kind === 'root') {
+      // .orchestrator/ or .planning/ just appeared — start watching it
+      if (filename === '.orchestrator' || filename === '.planning') {
+        this._debounce(`${projectName}:${filename}/`, () => this.refresh());
+      }
+      return;
+    }
+
+    if (kind === 'orchestrator') {
+      const type = filename.endsWith('.json') ? filename.slice(0, -5) : null;
+      if (!SIGNAL_TYPES.includes(type)) return;
+      this._debounce(`${projectName}:${filename}`, () => this._emitSignal(projectName, type));
+      return;
+    }
+
+    if (kind === 'planning' && filename === 'STATE.md') {
+      this._debounce(`${projectName}:STATE.md`, () => {
+        if (!fs.existsSync(path.join(this.projectsDir, projectName, '.planning', 'STATE.md'))) return;
+        this.bus.publish(EVENTS.STATE_CHANGED, { projectName, file: '.planning/STATE.md' });
+      });
+    }
+  }
+
+  /**
+   * Read a signal file and publish it. Deletions (the orchestrator clearing
+   * a handled signal) and half-written files produce no event.
+   * @private
+   */
+  _emitSignal(projectName, type) {
+    const signal = this.signalProtocol.readSignal(projectName, type);
+    if (!signal) return;
+    this.bus.publish(EVENTS.SIGNAL, signal);
+  }
+
+  /**
+   * Run fn once `key` has been quiet for debounceMs.
+   * @private
+   */
+  _debounce(key, fn) {
+    clearTimeout(this._timers.get(key));
+    const timer = setTimeout(() => {
+      this._timers.delete(key);
+      try {
+        fn();
+      } catch (e) {
+        this.log('WATCH', `Handler error for ${key}: ${e.message}`);
+      }
+    }, this.debounceMs);
+    if (timer.unref) timer.unref();
+    this._timers.set(key, timer);
+  }
+}
+
+module.exports = ProjectWatcher;
@@ -0,0 +1,252 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * QuestionManager - Persistent round-trip for needs-input signals.
+ *
+ * Every needs-input.json a child session writes becomes a numbered question
+ * (Q12) in orchestrator.db. The user answers by texting an option number
+ * ("2"), "Q12 <answer>", or the legacy "reply <project>: <answer>". Answers
+ * are written to .orchestrator/answer.json and typed into the session's
+ * tmux pane; if the session is gone it's restarted with the answer.
+ *
+ * Questions stay open until answered or superseded by a newer question from
+ * the same project, so unanswered ones can be re-surfaced in the digests.
+ */
+class QuestionManager {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.config - Orchestrator config object (projectsDir)
+   * @param {Object} deps.sessionManager - SessionManager for delivering answers
+   * @param {Object} [deps.signalProtocol] - SignalProtocol (re-injects CLAUDE.md on restart)
+   * @param {string} [deps.dbPath] - Path to SQLite database file
+   */
+  constructor({ config, sessionManager, signalProtocol, dbPath }) {
+    this.projectsDir = config.projectsDir;
+    this.sessionManager = sessionManager;
+    this.signalProtocol = signalProtocol || null;
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates questions table if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS questions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_name TEXT NOT NULL,
+        question TEXT NOT NULL,
+        context TEXT,
+        options TEXT,
+        asked_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        answer TEXT,
+        answered_at TEXT
+      )
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_questions_status
+      ON questions(status, asked_at)
+    `);
+  }
+
+  /**
+   * Record a needs-input signal as a new open question. Older open questions
+   * from the same project are marked superseded — a session only ever waits
+   * on its latest question.
+   *
+   * @param {string} projectName
+   * @param {Object} data - needs-input.json contents ({ question, context, options, timestamp })
+   * @returns {Object} The stored question
+   */
+  record(projectName, data) {
+    this._ensureDb();
+    const question = String(data.question || 'No question specified');
+    const options = Array.isArray(data.options) ? data.options.map(String) : [];
+
+    const id = this.db.transaction(() => {
+      this.db
+        .prepare("UPDATE questions SET status = 'superseded' WHERE project_name = ? AND status = 'open'")
+        .run(projectName);
+      return this.db
+        .prepare(`
+          INSERT INTO questions (project_name, question, context, options, asked_at, status)
+          VALUES (?, ?, ?, ?, ?, 'open')
+        `)
+        .run(projectName, question, data.context || null,
+          options.length > 0 ? JSON.stringify(options) : null,
+          data.timestamp || new Date().toISOString())
+        .lastInsertRowid;
+    })();
+
+    return this.get(id);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this._ensureDb();
+    const row = this.db.prepare('SELECT * FROM questions WHERE id = ?').get(id);
+    return row ? this._toQuestion(row) : null;
+  }
+
+  /**
+   * Open questions, newest first.
+   * @param {string} [projectName] - Limit to one project
+   * @returns {Object[]}
+   */
+  getOpen(projectName) {
+    this._ensureDb();
+    const rows = projectName
+      ? this.db.prepare("SELECT * FROM questions WHERE status = 'open' AND project_name = ? ORDER BY id DESC").all(projectName)
+      : this.db.prepare("SELECT * FROM questions WHERE status = 'open' ORDER BY id DESC").all();
+    return rows.map((r) => this._toQuestion(r));
+  }
+
+  /**
+   * Interpret an incoming message as an answer, if it looks like one.
+   *   "2"            -> option 2 of the newest open question that has options
+   *   "Q12 <answer>" -> free text (or option number) for question 12, only
+   *                     while Q12 is open ("Q3 revenue numbers?" with no open
+   *                     Q3 is an ordinary message)
+   *
+   * @param {string} text
+   * @returns {{ id: number, answer: string }|null} null when the text isn't an answer
+   */
+  parseReply(text) {
+    const trimmed = (text || '').trim();
+
+    const byId = trimmed.match(/^q(\d+)\b[\s:.-]*([\s\S]+)$/i);
+    if (byId) {
+      const id = parseInt(byId[1], 10);
+      if (this.get(id)?.status === 'open') return { id, answer: byId[2].trim() };
+    }
+
+    const byNumber = trimmed.match(/^(\d{1,2})$/);
+    if (byNumber) {
+      const n = parseInt(byNumber[1], 10);
+      const target = this.getOpen().find((q) => q.options.length >= n && n >= 1);
+      if (target) return { id: target.id, answer: byNumber[1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Answer a question: persist it, write .orchestrator/answer.json and type
+   * it into the session (restarting the session if it isn't running).
+   *
+   * @param {number} id - Question ID
+   * @param {string} text - Free-text answer, or an option number
+   * @returns {{ success: boolean, message: string }}
+   */
+  answer(id, text) {
+    const q = this.get(id);
+    if (!q) return { success: false, message: `No question Q${id}.` };
+    if (q.status !== 'open') return { success: false, message: `Q${id} is already ${q.status}.` };
+
+    const trimmed = (text || '').trim();
+    if (!trimmed) return { success: false, message: `Empty answer for Q${id}.` };
+
+    // Option numbers resolve to the option text
+    let answer = trimmed;
+    let optionIndex = null;
+    if (/^\d{1,2}$/.test(trimmed) && q.options.length > 0) {
+      const n = parseInt(trimmed, 10);
+      if (n < 1 || n > q.options.length) {
+        return { success: false, message: `Q${id} has options 1-${q.options.length}.` };
+      }
+      optionIndex = n;
+      answer = q.options[n - 1];
+    }
+
+    const answeredAt = new Date().toISOString();
+    this.db
+      .prepare("UPDATE questions SET status = 'answered', answer = ?, answered_at = ? WHERE id = ?")
+      .run(answer, answeredAt, id);
+
+    const signalDir = path.join(this.projectsDir, q.projectName, '.orchestrator');
+    try {
+      if (!fs.existsSync(signalDir)) fs.mkdirSync(signalDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(signalDir, 'answer.json'),
+        JSON.stringify({ questionId: id, question: q.question, answer, optionIndex, answeredAt }, null, 2)
+      );
+    } catch (e) {
+      console.log(`[QUESTIONS] Could not write answer.json for ${q.projectName}: ${e.message}`);
+    }
+
+    const preview = answer.length > 50 ? answer.substring(0, 50) + '...' : answer;
+    const input = `Answer to your question (Q${id}): ${answer}`;
+    const sent = this.sessionManager.sendInput(q.projectName, input);
+    if (sent.success) {
+      return { success: true, message: `Q${id} answered. Sent to ${q.projectName}: "${preview}"` };
+    }
+
+    // Session not running - restart with the answer as context
+    const prompt =
+      `You asked: "${q.question}". The user answered (Q${id}): "${answer}". ` +
+      'The answer is also in .orchestrator/answer.json. Continue working with this input. ' +
+      'Check .planning/STATE.md for current status.';
+    if (this.signalProtocol) this.signalProtocol.injectClaudeMd(q.projectName);
+    const started = this.sessionManager.startSession(q.projectName, prompt);
+    return {
+      success: true,
+      message: `Q${id} answered. ${q.projectName} wasn't running — ${started.message}`,
+    };
+  }
+
+  /**
+   * Short lines for unanswered questions, oldest first, for the SMS and
+   * email digests.
+   * @returns {string[]}
+   */
+  formatUnanswered() {
+    return this.getOpen().reverse().map((q) => {
+      const short = q.projectName.split('/').pop();
+      const text = q.question.length > 80 ? q.question.substring(0, 77) + '...' : q.question;
+      const opts = q.options.length > 0 ? ` (${q.options.map((o, i) => `${i + 1}=${o}`).join(', ')})` : '';
+      return `Q${q.id} ${short}: ${text}${opts}`;
+    });
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Map a DB row to the public question shape.
+   * @private
+   */
+  _toQuestion(row) {
+    return {
+      id: row.id,
+      projectName: row.project_name,
+      question: row.question,
+      context: row.context,
+      options: row.options ? JSON.parse(row.options) : [],
+      askedAt: row.asked_at,
+      status: row.status,
+      answer: row.answer,
+      answeredAt: row.answered_at,
+    };
+  }
+}
+
+module.exports = QuestionManager;
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Recurrence rules evaluated in an IANA timezone.
+ *
+ * Two forms:
+ *   cron   "0 9 * * mon-fri"  5 fields (minute hour day-of-month month
+ *          day-of-week); *, lists, ranges, steps and sun..sat
+ *   RRULE  "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;BYHOUR=9"  the iCalendar
+ *          subset reminders need: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL,
+ *          BYDAY, BYMONTHDAY, BYHOUR, BYMINUTE, COUNT and UNTIL
+ *
+ * RRULE intervals count from the rule's start, which also supplies the time
+ * of day (and weekday or day of month) when the rule doesn't say.
+ *
+ * MaintenanceManager uses the cron half for its windows; ReminderManager
+ * uses both through parseRecurrence() and nextOccurrence().
+ */
+
+const DOW_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const RRULE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Day-skipping takes two steps a day, so this covers a Feb 29 cron with room to spare
+const MAX_STEPS = 20000;
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports *, lists, ranges, steps and sun..sat.
+ * @param {string} expr
+ * @returns {Object} { minute, hour, dom, month, dow } Sets plus domAny/dowAny
+ */
+function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}" needs 5 fields`);
+  const bounds = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, ...bounds[i], expr));
+  if (dow.has(7)) dow.add(0); // 7 is Sunday too
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+/** @private */
+function parseCronField(field, min, max, expr) {
+  const values = new Set();
+  for (const item of field.split(',')) {
+    const m = item.toLowerCase().match(/^(\*|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`bad cron field "${field}" in "${expr}"`);
+    const num = (v) => (v in DOW_NAMES ? DOW_NAMES[v] : Number(v));
+    const lo = m[1] === '*' ? min : num(m[2]);
+    const hi = m[1] === '*' ? max : m[3] !== undefined ? num(m[3]) : m[4] ? max : lo;
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`bad cron field "${field}" in "${expr}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Does minute `t` match the parsed cron fields in the formatter's timezone?
+ * @param {Object} fields - From parseCron()
+ * @param {Intl.DateTimeFormat} fmt - From formatter()
+ * @param {number} t - ms
+ * @returns {boolean}
+ */
+function cronMatches(fields, fmt, t) {
+  const p = localParts(fmt, t);
+  return cronDayMatches(fields, p) && fields.minute.has(p.minute) && fields.hour.has(p.hour);
+}
+
+/**
+ * Day-of-month and day-of-week are OR'd when both are restricted, as in cron.
+ * @private
+ */
+function cronDayMatches(fields, p) {
+  const domOk = fields.dom.has(p.day);
+  const dowOk = fields.dow.has(p.dow);
+  const dayOk = fields.domAny || fields.dowAny ? domOk && dowOk : domOk || dowOk;
+  return dayOk && fields.month.has(p.month);
+}
+
+/**
+ * Formatter for localParts(). Reuse it across calls; building one is the slow part.
+ * @param {string} [timezone] - IANA zone; the system zone when omitted
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatter(timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+}
+
+/**
+ * Wall-clock fields of `t` in the formatter's timezone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, dow: number }}
+ */
+function localParts(fmt, t) {
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(t))) p[type] = value;
+  return {
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    dow: DOW_NAMES[p.weekday.toLowerCase()],
+  };
+}
+
+/**
+ * Parse "FREQ=...;..." (an "RRULE:" prefix is fine).
+ * @private
+ */
+function parseRRule(text, startParts) {
+  const parts = {};
+  for (const item of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = item.split('=');
+    if (!key || value === undefined) throw new Error(`bad RRULE part "${item}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!RRULE_FREQS.includes(freq)) throw new Error(`RRULE FREQ must be one of ${RRULE_FREQS.join(', ')}`);
+  const known = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYHOUR', 'BYMINUTE', 'COUNT', 'UNTIL'];
+  const unknown = Object.keys(parts).filter((k) => !known.includes(k));
+  if (unknown.length > 0) throw new Error(`unsupported RRULE part ${unknown.join(', ')}`);
+
+  const ints = (key, min, max) => {
+    if (parts[key] === undefined) return null;
+    const values = parts[key].split(',').map(Number);
+    if (values.some((v) => !Number.isInteger(v) || v < min || v > max)) throw new Error(`bad RRULE ${key}`);
+    return new Set(values);
+  };
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) throw new Error('bad RRULE INTERVAL');
+
+  let byDay = null;
+  if (parts.BYDAY !== undefined) {
+    byDay = new Set(parts.BYDAY.split(',').map((d) => {
+      if (!(d in RRULE_DAYS)) throw new Error(`bad RRULE BYDAY "${d}"`);
+      return RRULE_DAYS[d];
+    }));
+  }
+  let byMonthDay = ints('BYMONTHDAY', 1, 31);
+  if (freq === 'WEEKLY' && !byDay) byDay = new Set([startParts.dow]);
+  if (freq === 'MONTHLY' && !byDay && !byMonthDay) byMonthDay = new Set([startParts.day]);
+
+  let until = null;
+  if (parts.UNTIL !== undefined) {
+    const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    until = m ? Date.UTC(m[1], m[2] - 1, m[3], m[4] || 23, m[5] || 59, m[6] || 59) : NaN;
+    if (Number.isNaN(until)) throw new Error('bad RRULE UNTIL (use YYYYMMDD or YYYYMMDDTHHMMSSZ)');
+  }
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) throw new Error('bad RRULE COUNT');
+
+  const startDay = dayNumber(startParts);
+  const startMonth = startParts.year * 12 + startParts.month;
+  const dayOk = (p) => {
+    const day = dayNumber(p);
+    if (day < startDay) return false;
+    if (byDay && !byDay.has(p.dow)) return false;
+    if (byMonthDay && !byMonthDay.has(p.day)) return false;
+    if (freq === 'DAILY') return (day - startDay) % interval === 0;
+    if (freq === 'WEEKLY') return (weekStart(day, p.dow) - weekStart(startDay, startParts.dow)) / 7 % interval === 0;
+    return (p.year * 12 + p.month - startMonth) % interval === 0;
+  };
+
+  return {
+    dayOk,
+    hours: ints('BYHOUR', 0, 23) || new Set([startParts.hour]),
+    minutes: ints('BYMINUTE', 0, 59) || new Set([startParts.minute]),
+    count,
+    until,
+  };
+}
+
+/** Days since the epoch for a wall-clock date; DST doesn't enter into it. @private */
+function dayNumber(p) {
+  return Date.UTC(p.year, p.month - 1, p.day) / 86400000;
+}
+
+/** Day number of the Monday starting the week. @private */
+function weekStart(day, dow) {
+  return day - ((dow + 6) % 7);
+}
+
+/**
+ * Parse a cron expression or RRULE.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.timezone] - IANA zone; the system zone when omitted
+ * @param {number} [opts.start=Date.now()] - RRULE start (ms)
+ * @returns {Object} Rule for nextOccurrence()
+ * @throws {Error} When the rule can't be parsed
+ */
+function parseRecurrence(text, { timezone, start = Date.now() } = {}) {
+  const source = String(text || '').trim();
+  const fmt = formatter(timezone);
+  if (/^(RRULE:)?FREQ=/i.test(source)) {
+    return { text: source, type: 'rrule', fmt, ...parseRRule(source, localParts(fmt, start)) };
+  }
+  const fields = parseCron(source);
+  return {
+    text: source,
+    type: 'cron',
+    fmt,
+    dayOk: (p) => cronDayMatches(fields, p),
+    hours: fields.hour,
+    minutes: fields.minute,
+    count: null,
+    until: null,
+  };
+}
+
+/**
+ * First occurrence strictly after `after`, on a minute boundary.
+ * @param {Object} rule - From parseRecurrence()
+ * @param {number} after - ms
+ * @param {number} [occurrences=0] - How many times the rule has already fired (for COUNT)
+ * @returns {number|null} ms, or null when the rule has run out
+ */
+function nextOccurrence(rule, after, occurrences = 0) {
+  if (rule.count !== null && occurrences >= rule.count) return null;
+  let t = Math.floor(after / 60000) * 60000 + 60000;
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (rule.until !== null && t > rule.until) return null;
+    const p = localParts(rule.fmt, t);
+    if (!rule.dayOk(p)) {
+      // To 23:00, then the next hour: lands on local midnight even across DST changes
+      t += (p.hour < 23 ? (23 - p.hour) * 60 - p.minute : 60 - p.minute) * 60000;
+    } else if (!rule.hours.has(p.hour)) {
+      t += (60 - p.minute) * 60000;
+    } else if (!rule.minutes.has(p.minute)) {
+      t += 60000;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, cronMatches, formatter, localParts, parseRecurrence, nextOccurrence };
@@ -2,17 +2,40 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { parseRecurrence, nextOccurrence } = require('./recurrence');
+const { parseReminder, parseDuration } = require('./time-parser');
+
+// "snooze" with no duration
+const DEFAULT_SNOOZE_MS = 3600000; // 1 hour
+// How long after firing a reminder can still be snoozed
+const SNOOZE_WINDOW_MS = 86400000; // 24 hours
+const QUIET_POLICIES = ['bypass', 'hold'];
 
 /**
  * ReminderManager - Persists and fires user reminders via SQLite.
  *
  * Uses the shared orchestrator.db (same as RevenueTracker, TrustTracker)
  * with lazy initialization. Reminders are polled every scan cycle (60s)
- * and fired via NotificationManager at URGENT tier (bypasses quiet hours).
+ * and fired via NotificationManager at URGENT tier in the "reminder" category.
+ *
+ * A reminder can also:
+ * - recur: a cron expression or RRULE (see lib/recurrence.js), evaluated in
+ *   the user's timezone (quietHours.timezone, else reminders.timezone); after
+ *   firing it is rescheduled to its next occurrence instead of being marked fired
+ * - be snoozed: "snooze 2h" re-fires the most recently fired reminder later
+ * - set its own quiet-hours behaviour: 'bypass' sends during quiet hours,
+ *   'hold' waits until they end; unset follows the reminder category
+ * - belong to a project, so ContextAssembler lists it with that project
+ *
+ * Fired reminders don't open NotificationManager alerts unless
+ * config.reminders.alerts is true; when one does, snoozing acknowledges it.
+ *
+ * "remind me ..." texts are parsed offline by lib/time-parser.js.
  *
  * @example
- *   const rm = new ReminderManager({ config, notificationManager });
+ *   const rm = new ReminderManager({ config, notificationManager, scheduler });
  *   rm.setReminder('Check YouTube OAuth', '2026-02-18T10:00:00-05:00');
+ *   rm.setReminder('Review PRs', null, null, { recurrence: '0 9 * * mon-fri', project: 'apps/api' });
  *   rm.checkAndFire(); // called every 60s from scan loop
  */
 class ReminderManager {
@@ -20,10 +43,16 @@ class ReminderManager {
    * @param {Object} deps
    * @param {Object} deps.config - Orchestrator config object
    * @param {Object} deps.notificationManager - NotificationManager instance for firing reminders
+   * @param {Object} [deps.scheduler] - Scheduler (isQuietTime) for reminders that hold during quiet hours
+   * @param {string} [deps.dbPath] - Path to SQLite database file
    */
-  constructor({ config, notificationManager }) {
+  constructor({ config, notificationManager, scheduler, dbPath }) {
     this.config = config;
     this.notificationManager = notificationManager;
+    this.scheduler = scheduler || null;
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.timezone = config.quietHours?.timezone || config.reminders?.timezone || undefined;
+    this.alerts = config.reminders?.alerts === true;
     this.db = null; // Lazy init
   }
 
@@ -33,8 +62,7 @@ class ReminderManager {
    */
   _ensureDb() {
     if (this.db) return;
-    const dbPath = path.join(__dirname, '..', 'orchestrator.db');
-    this.db = new Database(dbPath);
+    this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL');
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS reminders (
@@ -50,52 +78,200 @@ class ReminderManager {
       CREATE INDEX IF NOT EXISTS idx_reminders_pending
       ON reminders(fired, fire_at)
     `);
+
+    // Recurrence, snooze, quiet-hours and project columns (added later)
+    for (const col of [
+      'recurrence TEXT',
+      'project TEXT',
+      'quiet_hours TEXT',
+      'fire_count INTEGER DEFAULT 0',
+      'last_fired_at TEXT',
+      'snoozed_from INTEGER',
+      'alert_id INTEGER',
+    ]) {
+      try { this.db.exec(`ALTER TABLE reminders ADD COLUMN ${col}`); } catch {}
+    }
   }
 
   /**
    * Store a new reminder.
    * @param {string} text - What to remind about
-   * @param {string} fireAtISO - ISO 8601 timestamp when to fire
+   * @param {string|null} fireAtISO - ISO 8601 timestamp when to fire; for a
+   *   recurring reminder the first occurrence (defaults to the rule's next)
    * @param {string|null} sourceMessage - Original user SMS text (for audit)
+   * @param {Object} [opts]
+   * @param {string} [opts.recurrence] - Cron expression or RRULE
+   * @param {string} [opts.project] - Project the reminder belongs to
+   * @param {string} [opts.quietHours] - 'bypass' or 'hold'
    * @returns {number} The inserted reminder ID
+   * @throws {Error} On an invalid recurrence or quiet-hours policy, or with
+   *   neither a time nor a recurrence
    */
-  setReminder(text, fireAtISO, sourceMessage = null) {
+  setReminder(text, fireAtISO, sourceMessage = null, { recurrence = null, project = null, quietHours = null } = {}) {
+    if (quietHours && !QUIET_POLICIES.includes(quietHours)) {
+      throw new Error(`quietHours must be one of ${QUIET_POLICIES.join(', ')}`);
+    }
+    let fireAt = fireAtISO;
+    if (recurrence) {
+      const start = fireAt ? Date.parse(fireAt) : Date.now();
+      if (Number.isNaN(start)) throw new Error(`Invalid fire time "${fireAt}"`);
+      const rule = parseRecurrence(recurrence, { timezone: this.timezone, start });
+      if (!fireAt) {
+        const first = nextOccurrence(rule, Date.now());
+        if (first === null) throw new Error(`"${recurrence}" has no upcoming occurrence`);
+        fireAt = new Date(first).toISOString();
+      }
+    }
+    if (!fireAt) throw new Error('A reminder needs a fire time or a recurrence');
+
     this._ensureDb();
     const now = new Date().toISOString();
     const stmt = this.db.prepare(`
-      INSERT INTO reminders (text, fire_at, created_at, fired, source_message)
-      VALUES (?, ?, ?, 0, ?)
+      INSERT INTO reminders (text, fire_at, created_at, fired, source_message, recurrence, project, quiet_hours)
+      VALUES (?, ?, ?, 0, ?, ?, ?, ?)
     `);
-    const result = stmt.run(text, fireAtISO, now, sourceMessage);
+    const result = stmt.run(text, fireAt, now, sourceMessage, recurrence, project, quietHours);
     return result.lastInsertRowid;
   }
 
   /**
    * Poll-based firing. Queries pending reminders where fire_at <= now,
-   * sends each via notificationManager.notify() at URGENT tier (bypasses quiet hours),
-   * and marks as fired.
+   * sends each via notificationManager.notify() at URGENT tier, and marks
+   * it fired, or for a recurring reminder moves fire_at to the next
+   * occurrence after now (missed occurrences aren't replayed).
+   * Reminders that hold during quiet hours stay due until they end.
    * @returns {number} Number of reminders fired
    */
   checkAndFire() {
     this._ensureDb();
-    const now = new Date().toISOString();
+    const nowMs = Date.now();
+    const now = new Date(nowMs).toISOString();
     const pending = this.db.prepare(`
-      SELECT id, text, fire_at, created_at FROM reminders
+      SELECT * FROM reminders
       WHERE fired = 0 AND fire_at <= ?
       ORDER BY fire_at ASC
     `).all(now);
 
     if (pending.length === 0) return 0;
 
-    const markFired = this.db.prepare('UPDATE reminders SET fired = 1 WHERE id = ?');
+    const quiet = this.scheduler?.isQuietTime?.() || false;
+    const markFired = this.db.prepare('UPDATE reminders SET fired = 1, fire_count = fire_count + 1, last_fired_at = ?, alert_id = ? WHERE id = ?');
+    const reschedule = this.db.prepare('UPDATE reminders SET fire_at = ?, fire_count = fire_count + 1, last_fired_at = ?, alert_id = ? WHERE id = ?');
+    let fired = 0;
 
     for (const reminder of pending) {
+      if (quiet && reminder.quiet_hours === 'hold') continue;
+
       const smsText = `Reminder: ${reminder.text}`;
-      this.notificationManager.notify(smsText, 1); // tier 1 = URGENT (bypasses quiet hours)
-      markFired.run(reminder.id);
+      const alertId = this.notificationManager.notify(smsText, 1, { // tier 1 = URGENT
+        category: 'reminder',
+        quietHours: reminder.quiet_hours || undefined,
+        alert: this.alerts,
+      }) ?? null;
+      fired++;
+
+      const next = reminder.recurrence ? this._nextFire(reminder, nowMs) : null;
+      if (next) reschedule.run(next, now, alertId, reminder.id);
+      else markFired.run(now, alertId, reminder.id);
     }
 
-    return pending.length;
+    return fired;
+  }
+
+  /**
+   * Next occurrence of a recurring reminder after `now`, or null when its
+   * rule has run out (COUNT/UNTIL) or no longer parses. The current fire_at
+   * is itself an occurrence, so it anchors INTERVAL as well as the first did.
+   * @returns {string|null} ISO timestamp
+   */
+  _nextFire(reminder, now) {
+    try {
+      const rule = parseRecurrence(reminder.recurrence, {
+        timezone: this.timezone,
+        start: Date.parse(reminder.fire_at),
+      });
+      const next = nextOccurrence(rule, now, (reminder.fire_count || 0) + 1);
+      return next === null ? null : new Date(next).toISOString();
+    } catch (err) {
+      console.error(`[REMINDER] #${reminder.id} recurrence "${reminder.recurrence}": ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Snooze a fired reminder: it fires again, once, after `durationMs`.
+   * A recurring reminder keeps its schedule; the snooze is a separate copy.
+   * @param {number} durationMs
+   * @param {number} [id] - Reminder to snooze; defaults to the one fired most
+   *   recently (within the last 24 hours)
+   * @returns {Object|null} { id, text, fireAt }, or null if there was nothing to snooze
+   */
+  snooze(durationMs, id = null) {
+    this._ensureDb();
+    const reminder = id
+      ? this.db.prepare('SELECT * FROM reminders WHERE id = ? AND last_fired_at IS NOT NULL').get(id)
+      : this.db.prepare('SELECT * FROM reminders WHERE last_fired_at >= ? ORDER BY last_fired_at DESC, id DESC LIMIT 1')
+        .get(new Date(Date.now() - SNOOZE_WINDOW_MS).toISOString());
+    if (!reminder) return null;
+
+    if (reminder.alert_id && this.notificationManager.acknowledge) {
+      this.notificationManager.acknowledge(reminder.alert_id, { by: 'snooze', countOutcome: false });
+    }
+    const fireAt = new Date(Date.now() + durationMs).toISOString();
+    const result = this.db.prepare(`
+      INSERT INTO reminders (text, fire_at, created_at, fired, source_message, project, quiet_hours, snoozed_from)
+      VALUES (?, ?, ?, 0, ?, ?, ?, ?)
+    `).run(reminder.text, fireAt, new Date().toISOString(), reminder.source_message, reminder.project, reminder.quiet_hours, reminder.id);
+    return { id: Number(result.lastInsertRowid), text: reminder.text, fireAt };
+  }
+
+  /**
+   * Reply to a "remind me" or "snooze" SMS.
+   *   remind me to call mom tomorrow at 9
+   *   remind me in 20 minutes to stretch
+   *   remind me every weekday at 8 to stand up
+   *   snooze         the last fired reminder, for an hour
+   *   snooze 2h      ... for 2 hours (30m, 1h30m, 1d, ...)
+   * @param {string} text
+   * @returns {string|null} null if the text isn't one of these, including a
+   *   "remind me" whose time can't be parsed (left for Claude to interpret)
+   */
+  handleCommand(text) {
+    const trimmed = String(text || '').trim();
+    if (/^remind me\s/i.test(trimmed)) return this._handleRemindMe(trimmed);
+
+    const m = trimmed.match(/^snooze(?:\s+(\S+))?$/i);
+    if (!m) return null;
+    const durationMs = m[1] ? parseDuration(m[1]) : DEFAULT_SNOOZE_MS;
+    if (!durationMs) return `Can't parse duration "${m[1]}" (try 30m, 2h, 1d).`;
+    const snoozed = this.snooze(durationMs);
+    if (!snoozed) return 'No recently fired reminder to snooze.';
+    const until = new Date(snoozed.fireAt).toLocaleString('en-US', {
+      timeZone: this.timezone, weekday: 'short', hour: 'numeric', minute: '2-digit',
+    });
+    return `Snoozed "${snoozed.text}" until ${until}.`;
+  }
+
+  /** @private */
+  _handleRemindMe(text) {
+    const parsed = parseReminder(text, { timezone: this.timezone });
+    if (!parsed) return null;
+    if (parsed.fireAt !== null && parsed.fireAt <= Date.now()) {
+      return `${this._formatTime(parsed.fireAt)} has already passed.`;
+    }
+
+    const fireAt = parsed.fireAt === null ? null : new Date(parsed.fireAt).toISOString();
+    const id = this.setReminder(parsed.text, fireAt, text, { recurrence: parsed.recurrence });
+    if (!parsed.recurrence) return `Reminder set: "${parsed.text}" ${this._formatTime(parsed.fireAt)}.`;
+    const first = this.db.prepare('SELECT fire_at FROM reminders WHERE id = ?').get(id).fire_at;
+    return `Reminder set: "${parsed.text}" (${parsed.recurrence}), next ${this._formatTime(Date.parse(first))}.`;
+  }
+
+  /** "Fri, Mar 6, 3:20 PM" in the reminder timezone. @private */
+  _formatTime(ms) {
+    return new Date(ms).toLocaleString('en-US', {
+      timeZone: this.timezone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
   }
 
   /**
@@ -105,12 +281,38 @@ class ReminderManager {
   listPending() {
     this._ensureDb();
     return this.db.prepare(`
-      SELECT id, text, fire_at, created_at FROM reminders
+      SELECT id, text, fire_at, created_at, recurrence, project, quiet_hours FROM reminders
       WHERE fired = 0
       ORDER BY fire_at ASC
     `).all();
   }
 
+  /**
+   * Pending reminders linked to a project, soonest first.
+   * @param {string} project
+   * @returns {Array<Object>}
+   */
+  listForProject(project) {
+    return this.listPending().filter((r) => r.project === project);
+  }
+
+  /**
+   * A project's pending reminders on one line, for the context that goes
+   * with its attention signals and the AI brain's project summary:
+   * "Renew cert (Mar 3, 9:00 AM, repeats 0 9 * * 1); ..."
+   * @param {string} project
+   * @param {number} [max=3] - Listed before "(+n more)"
+   * @returns {string|null} null when there are none
+   */
+  formatForProject(project, max = 3) {
+    const reminders = this.listForProject(project);
+    if (reminders.length === 0) return null;
+    return reminders.slice(0, max).map((r) => {
+      const when = new Date(r.fire_at).toLocaleString('en-US', { timeZone: this.timezone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+      return `${r.text} (${when}${r.recurrence ? `, repeats ${r.recurrence}` : ''})`;
+    }).join('; ') + (reminders.length > max ? ` (+${reminders.length - max} more)` : '');
+  }
+
   /**
    * Fuzzy-match cancellation. Marks matching pending reminders as fired.
    * @param {string} query - Text to fuzzy-match against reminder text
@@ -136,4 +338,6 @@ class ReminderManager {
   }
 }
 
+ReminderManager.QUIET_POLICIES = QUIET_POLICIES;
+
 module.exports = ReminderManager;
@@ -2,15 +2,24 @@
 
 const os = require('os');
 const { execSync } = require('child_process');
+const { createPlatform } = require('./platform');
 
 /**
  * ResourceMonitor - System resource data collection.
  *
- * Collects CPU load, memory, disk usage, and uptime using Node.js os module
- * and df command. Provides a compact text format suitable for AI prompt context.
- * No constructor dependencies needed -- stateless.
+ * Collects CPU load, memory, disk usage, and uptime using Node.js os module,
+ * the platform backend (/proc/meminfo on Linux, vm_stat on macOS) and the df
+ * command. Provides a compact text format suitable for AI prompt context.
  */
 class ResourceMonitor {
+  /**
+   * @param {Object} [opts]
+   * @param {Object} [opts.platform] - Platform backend (see platform.js); defaults to the current OS
+   */
+  constructor({ platform } = {}) {
+    this.platform = platform || createPlatform();
+  }
+
   /**
    * Get a snapshot of current system resource usage.
    *
@@ -18,25 +27,12 @@ class ResourceMonitor {
    */
   getSnapshot() {
     const loadAvg = os.loadavg();
-    const totalMem = os.totalmem();
 
-    // On macOS, os.freemem() only reports "free" pages, ignoring inactive/purgeable
-    // memory that's reclaimable. Use vm_stat to get a realistic "available" figure.
-    let availableMemBytes = os.freemem(); // fallback
-    try {
-      const vmstat = execSync('vm_stat', { encoding: 'utf-8', timeout: 3000 });
-      const pageSize = 16384; // macOS ARM page size
-      const parse = (label) => {
-        const m = vmstat.match(new RegExp(`${label}:\\s+(\\d+)`));
-        return m ? parseInt(m[1], 10) * pageSize : 0;
-      };
-      const free = parse('Pages free');
-      const inactive = parse('Pages inactive');
-      const purgeable = parse('Pages purgeable');
-      availableMemBytes = free + inactive + purgeable;
-    } catch {
-      // vm_stat failed -- fall back to os.freemem()
-    }
+    // os.freemem() ignores reclaimable caches on both Linux and macOS, so ask
+    // the platform backend for a realistic "available" figure
+    const mem = this.platform.memory();
+    const totalMem = mem?.totalBytes || os.totalmem();
+    const availableMemBytes = mem ? mem.availableBytes : os.freemem();
 
     // Disk usage -- wrap in try/catch, return null on failure
     let diskUsedPct = null;
@@ -64,6 +60,32 @@ class ResourceMonitor {
     };
   }
 
+  /**
+   * Decide whether the machine has room for another Claude session.
+   * Unset thresholds are not checked.
+   *
+   * @param {Object} limits
+   * @param {number} [limits.maxLoadPerCore] - 1-minute load average divided by core count
+   * @param {number} [limits.minFreeMemoryMB] - Available memory floor
+   * @param {number} [limits.maxDiskUsedPct] - Root filesystem usage ceiling
+   * @param {Object} [snapshot] - Reuse an existing getSnapshot() result
+   * @returns {{ ok: boolean, reasons: string[], snapshot: Object }}
+   */
+  checkAdmission(limits = {}, snapshot = this.getSnapshot()) {
+    const reasons = [];
+    const loadPerCore = snapshot.cpuLoadAvg1m / snapshot.cpuCount;
+    if (limits.maxLoadPerCore && loadPerCore > limits.maxLoadPerCore) {
+      reasons.push(`load ${loadPerCore.toFixed(2)}/core > ${limits.maxLoadPerCore}`);
+    }
+    if (limits.minFreeMemoryMB && snapshot.freeMemMB < limits.minFreeMemoryMB) {
+      reasons.push(`${snapshot.freeMemMB}MB free < ${limits.minFreeMemoryMB}MB`);
+    }
+    if (limits.maxDiskUsedPct && snapshot.diskUsedPct != null && snapshot.diskUsedPct > limits.maxDiskUsedPct) {
+      reasons.push(`disk ${snapshot.diskUsedPct}% used > ${limits.maxDiskUsedPct}%`);
+    }
+    return { ok: reasons.length === 0, reasons, snapshot };
+  }
+
   /**
    * Format a resource snapshot as a single compact line for AI context.
    *
@@ -0,0 +1,275 @@
+'use strict';
+
+const { execSync } = require('child_process');
+
+/**
+ * Service backends for HealthMonitor process checks and auto-restarts.
+ *
+ * A service picks its backend in config with `backend: { type, ... }`:
+ *   { type: 'launchd', label, domain? }            launchctl (macOS)
+ *   { type: 'systemd', unit, user? }               systemctl, user units by default
+ *   { type: 'pm2', name }                          pm2
+ *   { type: 'compose', service, file?, project?, cwd? }  docker compose
+ *   { type: 'command', restart, status?, cwd? }    arbitrary shell commands
+ * The older `launchdLabel: "com.x"` shorthand still means a launchd backend.
+ *
+ * Each backend answers the same questions:
+ *   name               -> backend type, used as the restart type in logs and incidents
+ *   status()           -> { up, pid?, exitCode?, error? } for 'process' checks
+ *   restartCommand()   -> the shell command restart() runs
+ *   restart()          -> runs it; throws on failure
+ *
+ * Commands run through an injectable exec (execSync by default) so tests can
+ * feed canned output.
+ */
+
+const RESTART_TIMEOUT_MS = 15000;
+const STATUS_TIMEOUT_MS = 3000;
+
+/**
+ * Shared command plumbing.
+ * @private
+ */
+class Backend {
+  constructor(opts = {}) {
+    this.exec = opts.exec || execSync;
+    this.cwd = opts.cwd;
+    this.timeoutMs = opts.timeoutMs || RESTART_TIMEOUT_MS;
+  }
+
+  restart() {
+    this._run(this.restartCommand(), this.timeoutMs);
+  }
+
+  /** @private */
+  _run(command, timeout = STATUS_TIMEOUT_MS) {
+    return this.exec(command, { encoding: 'utf-8', timeout, cwd: this.cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  }
+}
+
+/**
+ * macOS launchd: launchctl list for PID/LastExitStatus, kickstart -k to restart.
+ */
+class LaunchdBackend extends Backend {
+  constructor(opts) {
+    super(opts);
+    if (!opts.label) throw new Error('launchd backend needs "label"');
+    this.name = 'launchd';
+    this.label = opts.label;
+    this.domain = opts.domain || 'gui/502';
+  }
+
+  status() {
+    try {
+      const output = this._run(`launchctl list ${quote(this.label)}`);
+      const pidMatch = output.match(/"PID"\s*=\s*(\d+)/);
+      const exitMatch = output.match(/"LastExitStatus"\s*=\s*(-?\d+)/);
+      const pid = pidMatch ? parseInt(pidMatch[1], 10) : null;
+      const exitCode = exitMatch ? parseInt(exitMatch[1], 10) : null;
+      return { up: pid !== null, pid, exitCode };
+    } catch (err) {
+      return { up: false, error: commandError(err) };
+    }
+  }
+
+  restartCommand() {
+    return `launchctl kickstart -kp ${this.domain}/${this.label}`;
+  }
+}
+
+/**
+ * systemd: `systemctl show` properties; up means ActiveState=active.
+ * User units (systemctl --user) unless `user: false`.
+ */
+class SystemdBackend extends Backend {
+  constructor(opts) {
+    super(opts);
+    if (!opts.unit) throw new Error('systemd backend needs "unit"');
+    this.name = 'systemd';
+    this.unit = opts.unit;
+    this.user = opts.user !== false;
+  }
+
+  status() {
+    try {
+      const output = this._run(`${this._systemctl()} show ${quote(this.unit)} --property=ActiveState,SubState,MainPID,ExecMainStatus`);
+      const props = {};
+      for (const line of output.split('\n')) {
+        const eq = line.indexOf('=');
+        if (eq > 0) props[line.substring(0, eq)] = line.substring(eq + 1).trim();
+      }
+      const pid = parseInt(props.MainPID, 10) || null;
+      const exitCode = props.ExecMainStatus !== undefined ? parseInt(props.ExecMainStatus, 10) : null;
+      const up = props.ActiveState === 'active';
+      return up
+        ? { up, pid, exitCode }
+        : { up, pid, exitCode, error: `${props.ActiveState || 'unknown'}${props.SubState ? ` (${props.SubState})` : ''}` };
+    } catch (err) {
+      return { up: false, error: commandError(err) };
+    }
+  }
+
+  restartCommand() {
+    return `${this._systemctl()} restart ${quote(this.unit)}`;
+  }
+
+  /** @private */
+  _systemctl() {
+    return this.user ? 'systemctl --user' : 'systemctl';
+  }
+}
+
+/**
+ * pm2: `pm2 jlist` JSON; up means pm2_env.status is "online".
+ */
+class Pm2Backend extends Backend {
+  constructor(opts) {
+    super(opts);
+    if (!opts.name) throw new Error('pm2 backend needs "name"');
+    this.name = 'pm2';
+    this.process = opts.name;
+  }
+
+  status() {
+    try {
+      const list = JSON.parse(this._run('pm2 jlist'));
+      const proc = list.find(p => p.name === this.process);
+      if (!proc) return { up: false, error: 'not in pm2 list' };
+      const state = proc.pm2_env?.status || 'unknown';
+      return state === 'online'
+        ? { up: true, pid: proc.pid || null, restarts: proc.pm2_env?.restart_time ?? null }
+        : { up: false, pid: null, error: state };
+    } catch (err) {
+      return { up: false, error: commandError(err) };
+    }
+  }
+
+  restartCommand() {
+    return `pm2 restart ${quote(this.process)}`;
+  }
+}
+
+/**
+ * docker compose: `ps --format json` for one compose service; up means every
+ * container is running and none reports unhealthy.
+ */
+class ComposeBackend extends Backend {
+  constructor(opts) {
+    super(opts);
+    if (!opts.service) throw new Error('compose backend needs "service"');
+    this.name = 'compose';
+    this.service = opts.service;
+    this.file = opts.file;
+    this.project = opts.project;
+  }
+
+  status() {
+    try {
+      const output = this._run(`${this._compose()} ps --all --format json ${quote(this.service)}`, 10000).trim();
+      // Compose v2.21+ prints one JSON object per line; older versions print an array
+      const containers = output.startsWith('[')
+        ? JSON.parse(output)
+        : output.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      if (containers.length === 0) return { up: false, error: 'no containers' };
+      const bad = containers.find(c => c.State !== 'running' || c.Health === 'unhealthy');
+      const exitCode = containers.find(c => c.ExitCode)?.ExitCode ?? null;
+      return bad
+        ? { up: false, exitCode, error: `${bad.Name || bad.Service}: ${bad.Health === 'unhealthy' ? 'unhealthy' : bad.State}` }
+        : { up: true, exitCode };
+    } catch (err) {
+      return { up: false, error: commandError(err) };
+    }
+  }
+
+  restartCommand() {
+    return `${this._compose()} restart ${quote(this.service)}`;
+  }
+
+  /** @private */
+  _compose() {
+    return ['docker compose',
+      this.file ? `-f ${quote(this.file)}` : null,
+      this.project ? `-p ${quote(this.project)}` : null,
+    ].filter(Boolean).join(' ');
+  }
+}
+
+/**
+ * Arbitrary shell commands. Without a status command it can restart but not
+ * answer 'process' checks.
+ */
+class CommandBackend extends Backend {
+  constructor(opts) {
+    super(opts);
+    if (!opts.restart) throw new Error('command backend needs "restart"');
+    this.name = 'command';
+    this.restartCmd = opts.restart;
+    this.statusCmd = opts.status || null;
+  }
+
+  status() {
+    if (!this.statusCmd) return { up: false, error: 'no status command configured' };
+    try {
+      this._run(this.statusCmd, this.timeoutMs);
+      return { up: true, exitCode: 0 };
+    } catch (err) {
+      return { up: false, exitCode: typeof err.status === 'number' ? err.status : null, error: commandError(err) };
+    }
+  }
+
+  restartCommand() {
+    return this.restartCmd;
+  }
+}
+
+const BACKENDS = {
+  launchd: LaunchdBackend,
+  systemd: SystemdBackend,
+  pm2: Pm2Backend,
+  compose: ComposeBackend,
+  command: CommandBackend,
+};
+
+/**
+ * Build the backend a service config asks for.
+ * @param {Object} service - Service config ({ backend } or legacy { launchdLabel })
+ * @param {Object} [opts]
+ * @param {Function} [opts.exec] - execSync replacement
+ * @returns {Backend|null} null when the service has no backend
+ * @throws {Error} On an unknown backend type or missing required fields
+ */
+function createServiceBackend(service, { exec } = {}) {
+  const config = service.backend || (service.launchdLabel ? { type: 'launchd', label: service.launchdLabel } : null);
+  if (!config) return null;
+  const BackendClass = BACKENDS[config.type];
+  if (!BackendClass) throw new Error(`Unknown backend type "${config.type}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  return new BackendClass({ ...config, exec });
+}
+
+/**
+ * Single-quote a shell argument unless it's plainly safe.
+ * @private
+ */
+function quote(arg) {
+  const s = String(arg);
+  return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Short error text from a failed execSync: last stderr line, else the message.
+ * @private
+ */
+function commandError(err) {
+  if (err.code === 'ETIMEDOUT') return 'timeout';
+  const stderr = String(err.stderr || '').trim().split('\n').pop();
+  return (stderr || err.message).substring(0, 200);
+}
+
+module.exports = {
+  createServiceBackend,
+  LaunchdBackend,
+  SystemdBackend,
+  Pm2Backend,
+  ComposeBackend,
+  CommandBackend,
+};
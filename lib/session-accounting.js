@@ -0,0 +1,232 @@
+'use strict';
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { createPlatform, processTree } = require('./platform');
+
+/**
+ * SessionAccounting - Per-session process-tree resource accounting.
+ *
+ * Each sample() walks every managed session's process tree (the tmux pane
+ * shell and everything below it: claude, dev servers, test runners) and
+ * records CPU seconds, RSS and listening ports. Samples go to SQLite; the
+ * running totals for the current session go to .orchestrator/resources.json,
+ * next to evaluation.json, where getSessionStatuses and the evaluator pick
+ * them up.
+ *
+ * CPU seconds are accumulated per pid, so time burned by a test runner that
+ * has since exited still counts against the session.
+ */
+class SessionAccounting {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.config - Orchestrator config (projectsDir, sessionLimits)
+   * @param {Object} deps.sessionManager - SessionManager (getActiveSessions, getPanePids)
+   * @param {Object} [deps.platform] - Platform backend (see platform.js); defaults to the current OS
+   * @param {string} [deps.dbPath] - Path to SQLite database file
+   */
+  constructor({ config, sessionManager, platform, dbPath }) {
+    this.projectsDir = config.projectsDir;
+    this.limits = config.sessionLimits || {};
+    this.sessionManager = sessionManager;
+    this.platform = platform || createPlatform();
+    this.dbPath = dbPath || path.join(__dirname, '..', 'orchestrator.db');
+    this.db = null; // Lazy init
+
+    // projectName -> { startedAt, cpuByPid: Map, peakRssMB, peakProcessCount, samples }
+    this._tracked = new Map();
+  }
+
+  /**
+   * Lazy SQLite initialization. Creates session_resources table if not exists.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS session_resources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_name TEXT NOT NULL,
+        session_started_at TEXT NOT NULL,
+        sampled_at TEXT NOT NULL,
+        cpu_seconds REAL NOT NULL,
+        rss_mb REAL NOT NULL,
+        process_count INTEGER NOT NULL,
+        ports TEXT
+      )
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_session_resources_session
+      ON session_resources(project_name, session_started_at)
+    `);
+  }
+
+  /**
+   * Sample every active session once.
+   * @returns {{ projectName: string, usage: Object, violations: string[] }[]}
+   */
+  sample() {
+    const sessions = this.sessionManager.getActiveSessions();
+    const procs = sessions.length > 0 ? this.platform.listProcesses() : [];
+    const results = [];
+
+    for (const session of sessions) {
+      const roots = this.sessionManager.getPanePids(session.projectName);
+      if (roots.length === 0) continue;
+
+      let tracked = this._tracked.get(session.projectName);
+      if (!tracked || tracked.startedAt !== session.created) {
+        tracked = { startedAt: session.created, cpuByPid: new Map(), peakRssMB: 0, peakProcessCount: 0, samples: 0 };
+        this._tracked.set(session.projectName, tracked);
+      }
+
+      const pids = processTree(procs, roots);
+      let rssMB = 0;
+      let processCount = 0;
+      for (const pid of pids) {
+        const stats = this.platform.processStats(pid);
+        if (!stats) continue; // Exited since listProcesses
+        processCount++;
+        rssMB += stats.rssMB;
+        tracked.cpuByPid.set(pid, Math.max(tracked.cpuByPid.get(pid) || 0, stats.cpuSeconds));
+      }
+      const ports = [...new Set(this.platform.listeningPorts(pids).map((p) => p.port))].sort((a, b) => a - b);
+
+      tracked.samples++;
+      tracked.peakRssMB = Math.max(tracked.peakRssMB, rssMB);
+      tracked.peakProcessCount = Math.max(tracked.peakProcessCount, processCount);
+
+      const usage = {
+        sessionStartedAt: session.created,
+        sampledAt: new Date().toISOString(),
+        cpuSeconds: round([...tracked.cpuByPid.values()].reduce((a, b) => a + b, 0)),
+        rssMB: round(rssMB),
+        peakRssMB: round(tracked.peakRssMB),
+        processCount,
+        peakProcessCount: tracked.peakProcessCount,
+        ports,
+        samples: tracked.samples,
+      };
+
+      this._record(session.projectName, usage);
+      results.push({ projectName: session.projectName, usage, violations: this.checkLimits(usage) });
+    }
+
+    // Forget sessions that are gone; their totals stay in resources.json
+    const active = new Set(sessions.map((s) => s.projectName));
+    for (const name of this._tracked.keys()) {
+      if (!active.has(name)) this._tracked.delete(name);
+    }
+
+    return results;
+  }
+
+  /**
+   * Compare usage against config.sessionLimits. Unset limits are ignored.
+   * @param {Object} usage - From sample()
+   * @returns {string[]} Human-readable violations, empty if within limits
+   */
+  checkLimits(usage) {
+    const violations = [];
+    const { maxCpuSeconds, maxRssMB, maxProcesses } = this.limits;
+    if (maxCpuSeconds && usage.cpuSeconds > maxCpuSeconds) {
+      violations.push(`CPU ${Math.round(usage.cpuSeconds)}s > ${maxCpuSeconds}s limit`);
+    }
+    if (maxRssMB && usage.rssMB > maxRssMB) {
+      violations.push(`memory ${Math.round(usage.rssMB)}MB > ${maxRssMB}MB limit`);
+    }
+    if (maxProcesses && usage.processCount > maxProcesses) {
+      violations.push(`${usage.processCount} processes > ${maxProcesses} limit`);
+    }
+    return violations;
+  }
+
+  /**
+   * Latest usage for a project's current (or last) session.
+   * @param {string} projectName
+   * @returns {Object|null}
+   */
+  getUsage(projectName) {
+    try {
+      return JSON.parse(fs.readFileSync(this._resourcesFile(projectName), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Samples for one session, oldest first.
+   * @param {string} projectName
+   * @param {string} sessionStartedAt - Session's created timestamp
+   * @returns {{ sampledAt: string, cpuSeconds: number, rssMB: number, processCount: number, ports: number[] }[]}
+   */
+  getSamples(projectName, sessionStartedAt) {
+    this._ensureDb();
+    return this.db
+      .prepare(`
+        SELECT sampled_at, cpu_seconds, rss_mb, process_count, ports FROM session_resources
+        WHERE project_name = ? AND session_started_at = ? ORDER BY id
+      `)
+      .all(projectName, sessionStartedAt)
+      .map((r) => ({
+        sampledAt: r.sampled_at,
+        cpuSeconds: r.cpu_seconds,
+        rssMB: r.rss_mb,
+        processCount: r.process_count,
+        ports: r.ports ? JSON.parse(r.ports) : [],
+      }));
+  }
+
+  /**
+   * Delete samples older than retentionDays.
+   * @param {number} [retentionDays=14]
+   * @returns {number} Rows deleted
+   */
+  cleanup(retentionDays = 14) {
+    this._ensureDb();
+    const cutoff = new Date(Date.now() - retentionDays * 86400000).toISOString();
+    return this.db.prepare('DELETE FROM session_resources WHERE sampled_at < ?').run(cutoff).changes;
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Persist one sample to SQLite and the running totals to resources.json.
+   * @private
+   */
+  _record(projectName, usage) {
+    this._ensureDb();
+    this.db
+      .prepare(`
+        INSERT INTO session_resources (project_name, session_started_at, sampled_at, cpu_seconds, rss_mb, process_count, ports)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(projectName, usage.sessionStartedAt, usage.sampledAt, usage.cpuSeconds, usage.rssMB,
+        usage.processCount, JSON.stringify(usage.ports));
+
+    try {
+      fs.writeFileSync(this._resourcesFile(projectName), JSON.stringify(usage, null, 2));
+    } catch {} // .orchestrator/ missing (project moved); SQLite still has it
+  }
+
+  /** @private */
+  _resourcesFile(projectName) {
+    return path.join(this.projectsDir, projectName, '.orchestrator', 'resources.json');
+  }
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+module.exports = SessionAccounting;
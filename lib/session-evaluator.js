@@ -53,9 +53,10 @@ class SessionEvaluator {
    * @param {string} params.startedAt - ISO timestamp of session start
    * @param {string|null} params.headBefore - Git HEAD hash at session start (null if no commits)
    * @param {string} params.prompt - The prompt that was sent to the session
+   * @param {Object} [params.resources] - Process-tree usage from SessionAccounting, stored as-is
    * @returns {Promise<Object>} Structured evaluation record
    */
-  async evaluate({ projectName, projectDir, sessionName, startedAt, headBefore, prompt }) {
+  async evaluate({ projectName, projectDir, sessionName, startedAt, headBefore, prompt, resources }) {
     // 1. Capture tmux output (before session is destroyed)
     let tmuxOutput = '';
     try {
@@ -161,6 +162,7 @@ Then provide your evaluation.`;
       accomplishments: parsed.accomplishments,
       failures: parsed.failures,
       reasoning: parsed.reasoning,
+      resources: resources || null,
       evaluatedAt: new Date().toISOString(),
     };
 
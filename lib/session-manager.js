@@ -1,6 +1,7 @@
 const { execSync, exec } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { SignalProtocol } = require("./signal-protocol");
 
 /**
  * SessionManager - Launches and manages Claude Code sessions in tmux panes.
@@ -10,10 +11,25 @@ const path = require("path");
  * Sessions communicate back via .orchestrator/ signal files.
  */
 class SessionManager {
-  constructor(config) {
+  /**
+   * @param {Object} config - Parsed config.json object
+   * @param {Object} [deps]
+   * @param {Object} [deps.sessionQueue] - SessionQueue; when set, starts beyond
+   *   maxConcurrent are queued instead of rejected
+   * @param {Object} [deps.worktreeManager] - WorktreeManager; when enabled, sessions
+   *   run in their own git worktree instead of the project checkout
+   * @param {Object} [deps.resourceMonitor] - ResourceMonitor; when set, starts are
+   *   deferred while the machine is over config.admission thresholds
+   */
+  constructor(config, deps = {}) {
     this.projectsDir = config.projectsDir;
     this.maxConcurrent = config.maxConcurrentSessions || 5;
     this.sessionPrefix = "orch-";
+    this.queue = deps.sessionQueue || null;
+    this.worktrees = deps.worktreeManager || null;
+    this.resources = deps.resourceMonitor || null;
+    this.admission = config.admission || {};
+    this.signals = new SignalProtocol(this.projectsDir);
 
     // Build short-name -> full-path mapping for subdirectory support
     this._shortToFull = {};
@@ -73,7 +89,11 @@ class SessionManager {
    * Start a Claude Code session for a project
    * @param {string} projectName - Project directory name
    * @param {string} [prompt] - Optional initial prompt (default: resume work)
-   * @returns {{ success: boolean, message: string }}
+   * @param {Object} [options]
+   * @param {Object} [options.mcpConfig] - Project-specific MCP server config
+   * @param {boolean} [options.needsAttention] - Queue priority hint if no slot is free
+   * @param {boolean} [options.worktree] - Set false to run in the checkout even when worktrees are enabled
+   * @returns {{ success: boolean, message: string, queued?: boolean, position?: number }}
    */
   startSession(projectName, prompt, options = {}) {
     const projectDir = path.join(this.projectsDir, projectName);
@@ -91,18 +111,62 @@ class SessionManager {
     // Check concurrent limit
     const running = this.getActiveSessions();
     if (running.length >= this.maxConcurrent) {
+      if (this.queue) {
+        const { position, alreadyQueued } = this._enqueue(projectName, prompt, options);
+        return {
+          success: false,
+          queued: true,
+          position,
+          message: alreadyQueued
+            ? `${projectName} is already queued (position ${position}).`
+            : `Max concurrent sessions (${this.maxConcurrent}) reached. Queued ${projectName} at position ${position}.`,
+        };
+      }
       return {
         success: false,
         message: `Max concurrent sessions (${this.maxConcurrent}) reached. Stop one first.`,
       };
     }
 
+    // Admission control - don't pile another session onto an overloaded machine
+    const admission = this.checkAdmission();
+    if (!admission.ok) {
+      const reason = admission.reasons.join(", ");
+      if (this.queue) {
+        const { position } = this._enqueue(projectName, prompt, options);
+        return {
+          success: false,
+          queued: true,
+          deferred: true,
+          position,
+          reason,
+          message: `Deferred ${projectName}: ${reason}. Queued at position ${position}; it starts when resources free up.`,
+        };
+      }
+      return { success: false, deferred: true, reason, message: `Not starting ${projectName}: ${reason}.` };
+    }
+
     // Ensure .orchestrator/ signal directory exists
     const signalDir = path.join(projectDir, ".orchestrator");
     if (!fs.existsSync(signalDir)) {
       fs.mkdirSync(signalDir, { recursive: true });
     }
 
+    // Isolate the session in a git worktree (reusing one kept from the last session)
+    let workDir = projectDir;
+    let worktree = null;
+    if (this.worktrees && this.worktrees.isEnabled() && options.worktree !== false) {
+      const previous = this._readSignal(signalDir, "session.json")?.worktree || null;
+      const prepared = this.worktrees.prepare(projectDir, this._shortName(projectName), previous);
+      if (prepared.success) {
+        worktree = prepared.worktree;
+        workDir = worktree.path;
+      } else if (!prepared.notGit) {
+        return { success: false, message: prepared.message };
+      }
+      // Non-git projects fall back to running in the project dir
+    }
+
     // Clear any stale signal files
     this._clearSignals(signalDir);
 
@@ -115,7 +179,13 @@ class SessionManager {
     }
 
     // Build the resume prompt
-    const resumePrompt = prompt || this._buildResumePrompt(projectName, projectDir);
+    let resumePrompt = prompt || this._buildResumePrompt(projectName, projectDir);
+    if (worktree) {
+      resumePrompt =
+        `You are working in an isolated git worktree on branch ${worktree.branch}. ` +
+        "Commit your work on this branch; the orchestrator merges or discards it when the session is evaluated.\n\n" +
+        resumePrompt;
+    }
 
     // Write prompt to a temp file (avoids all shell escaping issues)
     const promptFile = path.join(signalDir, "prompt.txt");
@@ -131,8 +201,8 @@ class SessionManager {
 
       // Launch tmux with claude in interactive mode
       const tmuxCmd = launcherPath
-        ? `tmux new-session -d -s "${sessionName}" -c "${projectDir}" "${launcherPath}"`
-        : `tmux new-session -d -s "${sessionName}" -c "${projectDir}" "claude --dangerously-skip-permissions${mcpConfigFlag}"`;
+        ? `tmux new-session -d -s "${sessionName}" -c "${workDir}" "${launcherPath}"`
+        : `tmux new-session -d -s "${sessionName}" -c "${workDir}" "claude --dangerously-skip-permissions${mcpConfigFlag}"`;
       execSync(tmuxCmd, { timeout: 10000 });
 
       // Give Claude time to start up (MCP servers, hooks, etc.)
@@ -147,7 +217,7 @@ class SessionManager {
       // Capture HEAD commit hash for evaluation window
       let headBefore = null;
       try {
-        headBefore = execSync(`git -C "${projectDir}" rev-parse HEAD`,
+        headBefore = execSync(`git -C "${workDir}" rev-parse HEAD`,
           { encoding: 'utf-8', timeout: 3000 }).trim();
       } catch {} // Repo may not exist, have no commits, or not be a git repo
 
@@ -162,10 +232,15 @@ class SessionManager {
           prompt: resumePrompt.substring(0, 200),
           fullPrompt: resumePrompt,
           status: "running",
+          worktree,
         }, null, 2)
       );
 
-      return { success: true, message: `Started session for ${projectName}` };
+      // Started directly (e.g. a manual start after a slot freed) — no longer waiting
+      if (this.queue) this.queue.remove(projectName);
+
+      const where = worktree ? ` on ${worktree.branch}` : "";
+      return { success: true, message: `Started session for ${projectName}${where}` };
     } catch (e) {
       return { success: false, message: `Failed to start: ${e.message}` };
     }
@@ -180,6 +255,9 @@ class SessionManager {
     const sessionName = this._sessionName(projectName);
 
     if (!this._tmuxSessionExists(sessionName)) {
+      if (this.queue && this.queue.remove(projectName)) {
+        return { success: true, message: `Removed ${projectName} from the session queue` };
+      }
       return { success: false, message: `No running session for ${projectName}` };
     }
 
@@ -221,6 +299,150 @@ class SessionManager {
     return this.startSession(projectName, prompt);
   }
 
+  /**
+   * Apply the merge/discard/keep workflow to a stopped session's worktree.
+   *
+   * @param {string} projectName
+   * @param {string} [action] - 'merge', 'discard' or 'keep'; defaults to the
+   *   action configured for the recommendation in evaluation.json
+   * @returns {{ success: boolean, message: string, action?: string }}
+   */
+  finalizeWorktree(projectName, action) {
+    if (!this.worktrees) return { success: false, message: "Worktrees are not configured" };
+
+    const projectDir = path.join(this.projectsDir, projectName);
+    const signalDir = path.join(projectDir, ".orchestrator");
+    const sessionFile = path.join(signalDir, "session.json");
+    const session = this._readSignal(signalDir, "session.json");
+    const worktree = session?.worktree;
+
+    if (!worktree || !["active", "kept"].includes(worktree.status)) {
+      return { success: false, message: `No open worktree for ${projectName}` };
+    }
+    if (this._tmuxSessionExists(this._sessionName(projectName))) {
+      return { success: false, message: `Session for ${projectName} is still running; stop it first` };
+    }
+
+    if (!action) {
+      const evaluation = this._readSignal(signalDir, "evaluation.json");
+      action = this.worktrees.actionFor(evaluation?.recommendation);
+    }
+
+    let result;
+    if (action === "merge") {
+      result = this.worktrees.merge(projectDir, worktree);
+    } else if (action === "discard") {
+      result = this.worktrees.discard(projectDir, worktree);
+    } else {
+      result = { success: true, status: "kept", message: `Kept ${worktree.branch} for review` };
+    }
+
+    session.worktree = { ...worktree, status: result.status, finalizedAt: new Date().toISOString() };
+    fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2));
+
+    return { success: result.success, action, message: result.message };
+  }
+
+  /**
+   * Start queued sessions while slots are free, highest priority first.
+   * Entries that fail to start for other reasons (missing dir, already
+   * running) are dropped from the queue. Stops early while admission control
+   * defers starts; that result has deferred: true and the reason.
+   * @returns {Object[]} Start results: { projectName, success, message, deferred?, reason? }
+   */
+  processQueue() {
+    if (!this.queue) return [];
+
+    const results = [];
+    let free = this.maxConcurrent - this.getActiveSessions().length;
+    while (free > 0) {
+      const entry = this.queue.peek();
+      if (!entry) break;
+
+      // Machine is busy - leave the queue as it is until the next drain
+      const admission = this.checkAdmission();
+      if (!admission.ok) {
+        const reason = admission.reasons.join(", ");
+        results.push({
+          projectName: entry.projectName,
+          success: false,
+          queued: true,
+          deferred: true,
+          reason,
+          message: `Deferred ${entry.projectName}: ${reason}`,
+        });
+        break;
+      }
+
+      // Left queued until it starts, so losing a slot race keeps its place in line
+      const result = this.startSession(entry.projectName, entry.prompt || undefined, entry.options);
+      results.push({ projectName: entry.projectName, ...result });
+
+      // Slot was taken in the meantime; the entry is still queued where it was
+      if (result.queued) break;
+      if (result.success) free--;
+      else this.queue.remove(entry.projectName);
+    }
+    return results;
+  }
+
+  /**
+   * Check system resources against config.admission thresholds.
+   * Always admits when no ResourceMonitor was given or admission.enabled is false.
+   * @returns {{ ok: boolean, reasons: string[] }}
+   */
+  checkAdmission() {
+    if (!this.resources || this.admission.enabled === false) return { ok: true, reasons: [] };
+    try {
+      return this.resources.checkAdmission(this.admission);
+    } catch {
+      return { ok: true, reasons: [] }; // Can't measure - don't block work on a monitoring failure
+    }
+  }
+
+  /**
+   * Put a start request on the queue
+   * @private
+   * @returns {{ position: number, alreadyQueued: boolean }}
+   */
+  _enqueue(projectName, prompt, options) {
+    const { needsAttention, ...startOptions } = options;
+    return this.queue.enqueue(projectName, { prompt, options: startOptions, needsAttention });
+  }
+
+  /**
+   * Get the session queue in start order
+   * @returns {Object[]}
+   */
+  getQueue() {
+    return this.queue ? this.queue.list() : [];
+  }
+
+  /**
+   * SMS/dashboard text for the "queue" command: queued projects in start
+   * order, slots in use and any admission hold
+   * @returns {string}
+   */
+  formatQueue() {
+    const queue = this.getQueue();
+    const active = this.getActiveSessions().length;
+    const slots = `${active}/${this.maxConcurrent} slots in use`;
+
+    if (queue.length === 0) return `Session queue is empty (${slots}).`;
+
+    const lines = [`${queue.length} queued (${slots}):`];
+    const admission = this.checkAdmission();
+    if (!admission.ok) lines.push(`On hold - ${admission.reasons.join(", ")}`);
+    for (const q of queue) {
+      const tags = [];
+      if (q.focus) tags.push("focus");
+      if (q.needsAttention) tags.push("attention");
+      const mins = Math.round((Date.now() - new Date(q.queuedAt).getTime()) / 60000);
+      lines.push(`${q.position}. ${q.projectName}${tags.length ? ` [${tags.join(", ")}]` : ""} - waiting ${mins}m`);
+    }
+    return lines.join("\n");
+  }
+
   /**
    * Send input text to a running session's tmux pane
    * @param {string} projectName
@@ -280,6 +502,27 @@ class SessionManager {
     }
   }
 
+  /**
+   * PIDs of the shell(s) running in a session's tmux panes — the roots of
+   * the session's process tree.
+   * @param {string} projectName
+   * @returns {number[]}
+   */
+  getPanePids(projectName) {
+    try {
+      return execSync(`tmux list-panes -s -t "${this._sessionName(projectName)}" -F "#{pane_pid}" 2>/dev/null`, {
+        encoding: "utf-8",
+        timeout: 3000,
+      })
+        .trim()
+        .split("\n")
+        .map((n) => parseInt(n, 10))
+        .filter((n) => !isNaN(n));
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * Get detailed status of all sessions including signal file data
    * @returns {Object[]}
@@ -294,6 +537,14 @@ class SessionManager {
       status.needsInput = this._readSignal(signalDir, "needs-input.json");
       status.error = this._readSignal(signalDir, "error.json");
       status.completed = this._readSignal(signalDir, "completed.json");
+      status.worktree = this._readSignal(signalDir, "session.json")?.worktree || null;
+
+      // Progress/heartbeat (read-only here — the scan loop quarantines bad files)
+      const { progress, heartbeat, lastActivityAt } = this.signals.readActivity(session.projectName, { quarantine: false });
+      Object.assign(status, { progress, heartbeat, lastActivityAt });
+
+      // Process-tree accounting (written by SessionAccounting each scan)
+      status.resources = this._readSignal(signalDir, "resources.json");
 
       // Check session log for recent output
       const logFile = path.join(signalDir, "session.log");
@@ -410,7 +661,7 @@ class SessionManager {
    * @param {string} signalDir
    */
   _clearSignals(signalDir) {
-    const signalFiles = ["needs-input.json", "error.json", "completed.json"];
+    const signalFiles = ["needs-input.json", "error.json", "completed.json", "progress.json", "heartbeat.json", "resources.json"];
     for (const f of signalFiles) {
       const filePath = path.join(signalDir, f);
       if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
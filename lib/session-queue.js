@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SessionQueue - Persistent, prioritized queue of projects waiting for a
+ * session slot.
+ *
+ * When SessionManager is at maxConcurrentSessions, new starts land here
+ * instead of being rejected. Entries survive daemon restarts (stored in
+ * orchestrator.db) and are ordered the same way ContextAssembler ranks
+ * projects: priorities.json focus first, then projects needing attention,
+ * then first-come first-served.
+ */
+class SessionQueue {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbPath] - Path to SQLite database file
+   * @param {string} [options.prioritiesPath] - Path to priorities.json
+   */
+  constructor({ dbPath, prioritiesPath } = {}) {
+    this.dbPath = dbPath || path.join(__dirname, "..", "orchestrator.db");
+    this.prioritiesPath = prioritiesPath || path.join(__dirname, "..", "priorities.json");
+    this.db = null; // Lazy init
+  }
+
+  /**
+   * Lazily initialize the SQLite database and create the session_queue table.
+   * @private
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS session_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_name TEXT NOT NULL UNIQUE,
+        prompt TEXT,
+        options TEXT,
+        needs_attention INTEGER NOT NULL DEFAULT 0,
+        queued_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Add a project to the queue. Re-queuing an already queued project keeps
+   * its original place in line but refreshes the prompt and options.
+   *
+   * @param {string} projectName
+   * @param {Object} [entry]
+   * @param {string} [entry.prompt] - Prompt to start the session with
+   * @param {Object} [entry.options] - startSession options (e.g. mcpConfig)
+   * @param {boolean} [entry.needsAttention] - Whether the project currently needs attention
+   * @returns {{ position: number, alreadyQueued: boolean }}
+   */
+  enqueue(projectName, { prompt, options, needsAttention } = {}) {
+    this._ensureDb();
+
+    const existing = this.db
+      .prepare("SELECT id FROM session_queue WHERE project_name = ?")
+      .get(projectName);
+
+    const optionsJson = options && Object.keys(options).length > 0 ? JSON.stringify(options) : null;
+
+    if (existing) {
+      this.db
+        .prepare("UPDATE session_queue SET prompt = ?, options = ? WHERE id = ?")
+        .run(prompt || null, optionsJson, existing.id);
+    } else {
+      this.db
+        .prepare(
+          "INSERT INTO session_queue (project_name, prompt, options, needs_attention, queued_at) VALUES (?, ?, ?, ?, ?)"
+        )
+        .run(projectName, prompt || null, optionsJson, needsAttention ? 1 : 0, new Date().toISOString());
+    }
+
+    return { position: this.getPosition(projectName), alreadyQueued: !!existing };
+  }
+
+  /**
+   * Remove a project from the queue.
+   * @param {string} projectName
+   * @returns {boolean} True if the project was queued
+   */
+  remove(projectName) {
+    this._ensureDb();
+    const result = this.db
+      .prepare("DELETE FROM session_queue WHERE project_name = ?")
+      .run(projectName);
+    return result.changes > 0;
+  }
+
+  /**
+   * Refresh the needs-attention flag of queued projects from a scan.
+   * @param {Object[]} projects - Scanner results ({ name, needsAttention })
+   */
+  updateAttention(projects) {
+    this._ensureDb();
+    const update = this.db.prepare(
+      "UPDATE session_queue SET needs_attention = ? WHERE project_name = ?"
+    );
+    const tx = this.db.transaction((list) => {
+      for (const p of list) update.run(p.needsAttention ? 1 : 0, p.name);
+    });
+    tx(projects || []);
+  }
+
+  /**
+   * All queued entries in start order.
+   * @returns {Object[]} { position, projectName, prompt, options, needsAttention, focus, queuedAt }
+   */
+  list() {
+    this._ensureDb();
+    const focusSet = new Set(this._loadPriorities().focus || []);
+
+    const rows = this.db
+      .prepare("SELECT * FROM session_queue ORDER BY id ASC")
+      .all()
+      .map((row) => ({
+        projectName: row.project_name,
+        prompt: row.prompt,
+        options: row.options ? JSON.parse(row.options) : {},
+        needsAttention: row.needs_attention === 1,
+        focus: focusSet.has(row.project_name),
+        queuedAt: row.queued_at,
+        _id: row.id,
+      }));
+
+    // Sort: focus first, then needsAttention, then queue order
+    rows.sort((a, b) => {
+      if (a.focus !== b.focus) return a.focus ? -1 : 1;
+      if (a.needsAttention !== b.needsAttention) return a.needsAttention ? -1 : 1;
+      return a._id - b._id;
+    });
+
+    return rows.map(({ _id, ...entry }, i) => ({ position: i + 1, ...entry }));
+  }
+
+  /**
+   * Highest-priority queued entry, or null if the queue is empty.
+   * @returns {Object|null}
+   */
+  peek() {
+    return this.list()[0] || null;
+  }
+
+  /**
+   * 1-based position of a project in the queue, or 0 if not queued.
+   * @param {string} projectName
+   * @returns {number}
+   */
+  getPosition(projectName) {
+    const entry = this.list().find((e) => e.projectName === projectName);
+    return entry ? entry.position : 0;
+  }
+
+  /**
+   * Number of queued projects.
+   * @returns {number}
+   */
+  size() {
+    this._ensureDb();
+    return this.db.prepare("SELECT COUNT(*) as cnt FROM session_queue").get().cnt;
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Load priorities.json with fallback to empty defaults.
+   * Read on every call so edits take effect without a restart.
+   * @private
+   */
+  _loadPriorities() {
+    try {
+      return JSON.parse(fs.readFileSync(this.prioritiesPath, "utf-8"));
+    } catch {
+      return { focus: [] };
+    }
+  }
+}
+
+module.exports = SessionQueue;
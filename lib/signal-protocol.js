@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const { PROTOCOL_VERSION, validateSignal } = require("./signal-schemas");
 
 /**
  * SignalProtocol - Manages the file-based communication protocol between
@@ -9,12 +10,27 @@ const path = require("path");
  *   .orchestrator/needs-input.json - Session needs human input
  *   .orchestrator/completed.json   - Session completed its work
  *   .orchestrator/error.json       - Session hit an unrecoverable error
+ *   .orchestrator/progress.json    - Current task, percent, ETA (non-terminal, overwritten as work moves on)
+ *   .orchestrator/heartbeat.json   - Periodic "still alive" (non-terminal)
+ *   .orchestrator/answer.json      - Human's answer to the last needs-input (written by orchestrator)
+ *   .orchestrator/signal-rejected.json - Why the last signal file failed validation (written by orchestrator)
+ *   .orchestrator/quarantine/      - Rejected signal files, each with a .reason.json alongside
  *   .orchestrator/session.json     - Session metadata (managed by session-manager)
  *   .orchestrator/session.log      - Session stdout log
+ *
+ * Signal files are validated against the schema for their protocolVersion
+ * (see signal-schemas.js) before anyone acts on them.
  */
 
+const CLAUDE_MD_MARKER = "# Orchestrator Integration";
+const CLAUDE_MD_VERSION_TAG = `<!-- orchestrator-protocol-version: ${PROTOCOL_VERSION} -->`;
+
+/** How long an unparseable signal file is assumed to be mid-write before it's quarantined. */
+const PARTIAL_WRITE_GRACE_MS = 5000;
+
 const ORCHESTRATOR_CLAUDE_MD = `
-# Orchestrator Integration
+${CLAUDE_MD_MARKER}
+${CLAUDE_MD_VERSION_TAG}
 
 You are running as a managed session under the Project Orchestrator.
 Follow these rules for autonomous operation:
@@ -36,6 +52,7 @@ Write this file and then STOP:
 \`\`\`
 // .orchestrator/needs-input.json
 {
+  "protocolVersion": ${PROTOCOL_VERSION},
   "question": "Clear, specific question for the human",
   "context": "Brief context about what you were doing",
   "options": ["Option A", "Option B"],  // optional
@@ -43,11 +60,40 @@ Write this file and then STOP:
 }
 \`\`\`
 
+The answer is typed into your session as "Answer to your question (Q<id>): ..."
+and also written to \`.orchestrator/answer.json\` (questionId, question, answer,
+optionIndex, answeredAt). If your session was restarted, read that file first.
+
+## Reporting Progress
+Keep these two files current while you work. Overwrite them in place — they are
+status, not events, and you don't need to stop after writing them:
+\`\`\`
+// .orchestrator/progress.json - when you start a new task or pass a milestone
+{
+  "protocolVersion": ${PROTOCOL_VERSION},
+  "task": "What you are working on right now",
+  "percent": 40,                    // optional, 0-100 for the current phase
+  "eta": "<ISO timestamp>",         // optional, when you expect to finish
+  "detail": "Optional extra detail",
+  "timestamp": "<ISO timestamp>"
+}
+
+// .orchestrator/heartbeat.json - at least every 10 minutes
+{
+  "protocolVersion": ${PROTOCOL_VERSION},
+  "status": "Short note, e.g. running the test suite",
+  "timestamp": "<ISO timestamp>"
+}
+\`\`\`
+A session that keeps these fresh may run past its time limit; a session that
+goes quiet is stopped when the limit is reached.
+
 ## When You Complete Work
 When you finish all planned work for the current phase or milestone:
 \`\`\`
 // .orchestrator/completed.json
 {
+  "protocolVersion": ${PROTOCOL_VERSION},
   "summary": "What was accomplished",
   "phase": "Phase name/number completed",
   "nextSteps": "What should happen next",
@@ -60,6 +106,7 @@ If you encounter an unrecoverable error after multiple attempts:
 \`\`\`
 // .orchestrator/error.json
 {
+  "protocolVersion": ${PROTOCOL_VERSION},
   "error": "Description of the error",
   "context": "What you were trying to do",
   "attempts": "What you tried",
@@ -67,6 +114,14 @@ If you encounter an unrecoverable error after multiple attempts:
 }
 \`\`\`
 
+## Signal File Rules
+- Signal files must be valid JSON objects with the fields shown above; \`question\`,
+  \`summary\` and \`error\` are required non-empty strings, \`options\` is an array of strings
+- Always include \`"protocolVersion": ${PROTOCOL_VERSION}\`
+- A file that fails validation is moved to \`.orchestrator/quarantine/\` and the reason
+  is written to \`.orchestrator/signal-rejected.json\` (and typed into your session).
+  Fix the problem and write the signal file again
+
 ## Important
 - Do NOT write signal files for routine questions you can answer yourself
 - Do NOT stop working just because one task failed - move to the next task if possible
@@ -74,6 +129,12 @@ If you encounter an unrecoverable error after multiple attempts:
 - The human will respond via the orchestrator when they see your signal
 `.trim();
 
+/** Signal files a child session can write, in the order they're scanned. */
+const SIGNAL_TYPES = ["needs-input", "completed", "error"];
+
+/** Non-terminal status files: read in place, never cleared or archived. */
+const STATUS_TYPES = ["progress", "heartbeat"];
+
 class SignalProtocol {
   constructor(projectsDir) {
     this.projectsDir = projectsDir;
@@ -87,12 +148,16 @@ class SignalProtocol {
   injectClaudeMd(projectName) {
     const projectDir = path.join(this.projectsDir, projectName);
     const claudeMdPath = path.join(projectDir, "CLAUDE.md");
-    const marker = "# Orchestrator Integration";
 
     if (fs.existsSync(claudeMdPath)) {
-      const existing = fs.readFileSync(claudeMdPath, "utf-8");
-      if (existing.includes(marker)) return; // Already injected
-      fs.writeFileSync(claudeMdPath, existing + "\n\n" + ORCHESTRATOR_CLAUDE_MD);
+      let existing = fs.readFileSync(claudeMdPath, "utf-8");
+      const idx = existing.indexOf(CLAUDE_MD_MARKER);
+      if (idx !== -1) {
+        if (existing.includes(CLAUDE_MD_VERSION_TAG)) return; // Already injected, current protocol
+        // Instructions for an older protocol version - replace them
+        existing = existing.substring(0, idx).trimEnd();
+      }
+      fs.writeFileSync(claudeMdPath, existing ? existing + "\n\n" + ORCHESTRATOR_CLAUDE_MD : ORCHESTRATOR_CLAUDE_MD);
     } else {
       fs.writeFileSync(claudeMdPath, ORCHESTRATOR_CLAUDE_MD);
     }
@@ -107,8 +172,7 @@ class SignalProtocol {
     if (!fs.existsSync(claudeMdPath)) return;
 
     const content = fs.readFileSync(claudeMdPath, "utf-8");
-    const marker = "# Orchestrator Integration";
-    const idx = content.indexOf(marker);
+    const idx = content.indexOf(CLAUDE_MD_MARKER);
     if (idx === -1) return;
 
     const cleaned = content.substring(0, idx).trimEnd();
@@ -131,20 +195,120 @@ class SignalProtocol {
       const signalDir = path.join(this.projectsDir, name, ".orchestrator");
       if (!fs.existsSync(signalDir)) continue;
 
-      for (const type of ["needs-input", "completed", "error"]) {
-        const file = path.join(signalDir, `${type}.json`);
-        if (fs.existsSync(file)) {
-          try {
-            const data = JSON.parse(fs.readFileSync(file, "utf-8"));
-            signals.push({ projectName: name, type, data });
-          } catch {}
-        }
+      for (const type of SIGNAL_TYPES) {
+        const signal = this.readSignal(name, type);
+        if (signal) signals.push(signal);
       }
     }
 
     return signals;
   }
 
+  /**
+   * Read and validate a single signal file. Files that fail validation are
+   * quarantined and come back as { invalid: true, errors, quarantinedTo } so
+   * the caller can tell the session what was wrong.
+   * @param {string} projectName
+   * @param {string} type - One of SIGNAL_TYPES or STATUS_TYPES
+   * @param {Object} [opts]
+   * @param {boolean} [opts.quarantine=true] - false: just return null for invalid files (read-only callers)
+   * @returns {Object|null} { projectName, type, data, protocolVersion, writtenAt }, a rejection, or null if absent
+   */
+  readSignal(projectName, type, { quarantine = true } = {}) {
+    const file = path.join(this.projectsDir, projectName, ".orchestrator", `${type}.json`);
+    let raw, mtimeMs;
+    try {
+      if (!fs.existsSync(file)) return null;
+      mtimeMs = fs.statSync(file).mtimeMs;
+      raw = fs.readFileSync(file, "utf-8");
+    } catch {
+      return null; // Removed between checks
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      // Likely still being written — leave it for the next pass
+      if (!quarantine || Date.now() - mtimeMs < PARTIAL_WRITE_GRACE_MS) return null;
+      return this._quarantine(projectName, type, [`file is not valid JSON (${e.message})`]);
+    }
+
+    const result = validateSignal(type, data);
+    if (!result.valid) return quarantine ? this._quarantine(projectName, type, result.errors) : null;
+    return { projectName, type, data, protocolVersion: result.version, writtenAt: new Date(mtimeMs).toISOString() };
+  }
+
+  /**
+   * Read a session's non-terminal progress and heartbeat files.
+   * lastActivityAt is the newest write to either (file mtime, so a session
+   * with a wrong clock still counts as active).
+   * @param {string} projectName
+   * @param {Object} [opts] - Passed to readSignal
+   * @returns {{ progress: Object|null, heartbeat: Object|null, lastActivityAt: string|null, rejected: Object[] }}
+   */
+  readActivity(projectName, opts) {
+    const activity = { progress: null, heartbeat: null, lastActivityAt: null, rejected: [] };
+    for (const type of STATUS_TYPES) {
+      const signal = this.readSignal(projectName, type, opts);
+      if (!signal) continue;
+      if (signal.invalid) {
+        activity.rejected.push(signal);
+        continue;
+      }
+      activity[type] = { ...signal.data, writtenAt: signal.writtenAt };
+      if (!activity.lastActivityAt || signal.writtenAt > activity.lastActivityAt) {
+        activity.lastActivityAt = signal.writtenAt;
+      }
+    }
+    return activity;
+  }
+
+  /**
+   * Move a rejected signal file to .orchestrator/quarantine/ with a
+   * .reason.json alongside, and leave signal-rejected.json for the session.
+   * @private
+   * @returns {Object|null} Rejection { projectName, type, invalid, errors, quarantinedTo }, or null if the file vanished
+   */
+  _quarantine(projectName, type, errors) {
+    const signalDir = path.join(this.projectsDir, projectName, ".orchestrator");
+    const quarantineDir = path.join(signalDir, "quarantine");
+    const base = `${type}-${Date.now()}`;
+    const quarantinedTo = `.orchestrator/quarantine/${base}.json`;
+    const rejection = {
+      file: `${type}.json`,
+      errors,
+      expectedProtocolVersion: PROTOCOL_VERSION,
+      quarantinedTo,
+      rejectedAt: new Date().toISOString(),
+    };
+
+    try {
+      if (!fs.existsSync(quarantineDir)) fs.mkdirSync(quarantineDir, { recursive: true });
+      fs.renameSync(path.join(signalDir, `${type}.json`), path.join(quarantineDir, `${base}.json`));
+    } catch {
+      return null; // Rewritten or cleared under us — the next read sees the new state
+    }
+    fs.writeFileSync(path.join(quarantineDir, `${base}.reason.json`), JSON.stringify(rejection, null, 2));
+    fs.writeFileSync(path.join(signalDir, "signal-rejected.json"), JSON.stringify(rejection, null, 2));
+
+    return { projectName, type, invalid: true, errors, quarantinedTo };
+  }
+
+  /**
+   * Format a rejection as instructions for the child session
+   * @param {Object} rejection - From readSignal ({ type, errors, quarantinedTo })
+   * @returns {string}
+   */
+  formatRejection(rejection) {
+    return [
+      `[ORCHESTRATOR] Your .orchestrator/${rejection.type}.json was rejected and moved to ${rejection.quarantinedTo}:`,
+      ...rejection.errors.map((e) => `- ${e}`),
+      `Fix these problems and write .orchestrator/${rejection.type}.json again ` +
+        `(protocolVersion ${PROTOCOL_VERSION}, format in CLAUDE.md under "${CLAUDE_MD_MARKER}").`,
+    ].join("\n");
+  }
+
   /**
    * Acknowledge and clear a signal (after user has been notified)
    * @param {string} projectName
@@ -159,11 +323,17 @@ class SignalProtocol {
       const archiveName = `${type}-${Date.now()}.json`;
       fs.renameSync(file, path.join(historyDir, archiveName));
     }
+
+    // A valid signal of this type got through, so an earlier rejection is stale
+    const rejectedFile = path.join(this.projectsDir, projectName, ".orchestrator", "signal-rejected.json");
+    try {
+      if (JSON.parse(fs.readFileSync(rejectedFile, "utf-8")).file === `${type}.json`) fs.unlinkSync(rejectedFile);
+    } catch {} // None, or unreadable
   }
 
   /**
    * Format a signal into a notification message
-   * @param {Object} signal - { projectName, type, data }
+   * @param {Object} signal - { projectName, type, data, questionId? }
    * @returns {string}
    */
   formatSignalNotification(signal) {
@@ -171,7 +341,7 @@ class SignalProtocol {
 
     switch (signal.type) {
       case "needs-input":
-        lines.push(`${signal.projectName} needs your input:`);
+        lines.push(`${signal.questionId ? `[Q${signal.questionId}] ` : ""}${signal.projectName} needs your input:`);
         lines.push("");
         lines.push(signal.data.question || "No question specified");
         if (signal.data.context) {
@@ -183,7 +353,14 @@ class SignalProtocol {
           signal.data.options.forEach((opt, i) => lines.push(`${i + 1}. ${opt}`));
         }
         lines.push("");
-        lines.push(`To answer: reply ${signal.projectName}: your answer`);
+        if (signal.questionId) {
+          const numbered = signal.data.options?.length > 0
+            ? `text ${signal.data.options.map((_, i) => `"${i + 1}"`).join(" or ")}, or `
+            : "text ";
+          lines.push(`To answer: ${numbered}"Q${signal.questionId} your answer"`);
+        } else {
+          lines.push(`To answer: reply ${signal.projectName}: your answer`);
+        }
         break;
 
       case "completed":
@@ -210,4 +387,4 @@ class SignalProtocol {
   }
 }
 
-module.exports = { SignalProtocol, ORCHESTRATOR_CLAUDE_MD };
+module.exports = { SignalProtocol, ORCHESTRATOR_CLAUDE_MD, SIGNAL_TYPES, STATUS_TYPES, PROTOCOL_VERSION };
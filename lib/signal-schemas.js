@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Signal schemas - Versioned JSON Schemas for the files a child session
+ * writes into .orchestrator/, plus a small validator for the subset of
+ * JSON Schema they use (type, required, properties, items, minLength,
+ * maxLength, minItems, maxItems, minimum, maximum, enum, format: date-time).
+ *
+ * Each signal carries a `protocolVersion`. Files without one are validated
+ * against the current version; so far every version only adds to the one
+ * before it. When the format changes, add a new entry to SCHEMAS, bump
+ * PROTOCOL_VERSION and update the CLAUDE.md text in signal-protocol.js in
+ * the same change — injectClaudeMd rewrites projects whose instructions are
+ * for an older version.
+ *
+ * Versions:
+ *   1 - needs-input, completed, error
+ *   2 - adds non-terminal progress and heartbeat
+ */
+
+const PROTOCOL_VERSION = 2;
+
+const TEXT = { type: 'string', minLength: 1, maxLength: 4000 };
+const OPTIONAL_TEXT = { type: 'string', maxLength: 4000 };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const VERSION = { type: 'integer' };
+
+const SCHEMAS = {
+  1: {
+    'needs-input': {
+      type: 'object',
+      required: ['question'],
+      properties: {
+        protocolVersion: VERSION,
+        question: TEXT,
+        context: OPTIONAL_TEXT,
+        options: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 500 } },
+        timestamp: TIMESTAMP,
+      },
+    },
+    completed: {
+      type: 'object',
+      required: ['summary'],
+      properties: {
+        protocolVersion: VERSION,
+        summary: TEXT,
+        phase: OPTIONAL_TEXT,
+        nextSteps: OPTIONAL_TEXT,
+        timestamp: TIMESTAMP,
+      },
+    },
+    error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        protocolVersion: VERSION,
+        error: TEXT,
+        context: OPTIONAL_TEXT,
+        attempts: OPTIONAL_TEXT,
+        timestamp: TIMESTAMP,
+      },
+    },
+  },
+};
+
+SCHEMAS[2] = {
+  ...SCHEMAS[1],
+  progress: {
+    type: 'object',
+    required: ['task'],
+    properties: {
+      protocolVersion: VERSION,
+      task: TEXT,
+      percent: { type: 'number', minimum: 0, maximum: 100 },
+      eta: TIMESTAMP,
+      detail: OPTIONAL_TEXT,
+      timestamp: TIMESTAMP,
+    },
+  },
+  heartbeat: {
+    type: 'object',
+    required: ['timestamp'],
+    properties: {
+      protocolVersion: VERSION,
+      status: OPTIONAL_TEXT,
+      timestamp: TIMESTAMP,
+    },
+  },
+};
+
+const SUPPORTED_VERSIONS = Object.keys(SCHEMAS).map(Number);
+
+/**
+ * Validate a parsed signal file against the schema for its protocolVersion.
+ *
+ * @param {string} type - Signal type (needs-input, completed, error, progress, heartbeat)
+ * @param {*} data - Parsed JSON
+ * @returns {{ valid: boolean, version: number|null, errors: string[] }}
+ */
+function validateSignal(type, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, version: null, errors: ['file must contain a JSON object'] };
+  }
+
+  const version = data.protocolVersion === undefined ? PROTOCOL_VERSION : data.protocolVersion;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return {
+      valid: false,
+      version: null,
+      errors: [`protocolVersion ${JSON.stringify(version)} is not supported (expected ${SUPPORTED_VERSIONS.join(' or ')})`],
+    };
+  }
+
+  const schema = SCHEMAS[version][type];
+  if (!schema) {
+    return { valid: false, version, errors: [`"${type}" signals need protocolVersion ${PROTOCOL_VERSION}`] };
+  }
+
+  const errors = validate(schema, data, '');
+  return { valid: errors.length === 0, version, errors };
+}
+
+/**
+ * Validate a value against a schema node, returning human-readable errors
+ * ("options[1]: must be a string") that are sent back to the child session.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} at - Path of value, '' for the root
+ * @returns {string[]}
+ */
+function validate(schema, value, at) {
+  const where = at || 'file';
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${where}: must be ${article(schema.type)}, got ${describe(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${where}: must be at most ${schema.maxLength} characters (got ${value.length})`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: must be an ISO 8601 timestamp, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be at least ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: must be at most ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${where}: must have at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${at ? at + '.' : ''}${key}: is required`);
+      }
+    }
+    // Unknown keys are allowed so newer sessions can add fields without breaking older orchestrators
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validate(sub, value[key], at ? `${at}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function article(type) {
+  return type === 'object' || type === 'array' || type === 'integer' ? `an ${type}` : `a ${type}`;
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`.slice(0, 60);
+}
+
+module.exports = { PROTOCOL_VERSION, SCHEMAS, validateSignal };
@@ -21,13 +21,33 @@ class SMSBridge {
    * @param {Object} opts.state - StateManager instance
    * @param {Object} opts.config - Full config.json
    * @param {Function} opts.log - Logging function (tag, msg)
+   * @param {Object} [opts.questionManager] - QuestionManager; answers ("2", "Q12 ...")
+   *   go straight to the asking session instead of through Claude
+   * @param {Object} [opts.incidents] - IncidentManager; "incidents" and "incident <id>"
+   *   are answered directly
+   * @param {Object} [opts.maintenance] - MaintenanceManager; "silence", "unsilence"
+   *   and "silences" are handled directly
+   * @param {Object} [opts.audit] - AuditLog; kill switch, answers, silences,
+   *   acks and reminders are recorded, and "audit" is answered directly
+   * @param {Object} [opts.notificationManager] - NotificationManager; "ack <id>"
+   *   and "alerts" are handled directly
+   * @param {Object} [opts.reminderManager] - ReminderManager; "remind me ..." with a
+   *   time it can parse, and "snooze [duration]", are handled directly
+   * @param {Object} [opts.sessionManager] - SessionManager; "queue" is answered directly
    */
-  constructor({ messenger, claudeSession, state, config, log }) {
+  constructor({ messenger, claudeSession, state, config, log, questionManager, incidents, maintenance, audit, notificationManager, reminderManager, sessionManager }) {
     this.messenger = messenger;
     this.claudeSession = claudeSession;
     this.state = state;
     this.config = config;
     this.log = log || ((tag, msg) => console.log(`[${tag}] ${msg}`));
+    this.questionManager = questionManager || null;
+    this.incidents = incidents || null;
+    this.maintenance = maintenance || null;
+    this.audit = audit || null;
+    this.notificationManager = notificationManager || null;
+    this.reminderManager = reminderManager || null;
+    this.sessionManager = sessionManager || null;
 
     this.pollIntervalMs = config.pollIntervalMs || 10000;
     this.responseTimeoutMs = config.claudeSession?.responseTimeoutMs || 300000; // 5 min
@@ -117,11 +137,37 @@ class SMSBridge {
         const killResult = this._checkKillSwitch(msg.text);
         if (killResult !== null) {
           this.log('SMS', `Kill switch: ${killResult}`);
+          this._audit(this._aiEnabled ? 'ai_on' : 'ai_off', null, killResult);
           this.messenger.send(killResult);
           await this._advanceRowId(s, msg.ROWID);
           continue;
         }
 
+        // Answers to child-session questions are routed directly
+        const answered = this._tryAnswer(msg.text);
+        if (answered !== null) {
+          this.log('SMS', `Answer routed: ${answered}`);
+          this._audit('answer', msg.text.trim(), answered);
+          this.messenger.send(answered);
+          await this._advanceRowId(s, msg.ROWID);
+          continue;
+        }
+
+        // Status commands answered without waking Claude
+        const commandReply = this._tryCommand(msg.text);
+        if (commandReply !== null) {
+          this.log('SMS', `Command handled: ${msg.text.trim()}`);
+          const [verb, target] = msg.text.trim().split(/\s+/);
+          if (/^((un)?silence|ack)$/i.test(verb) && target) {
+            this._audit(verb.toLowerCase(), msg.text.trim(), commandReply, target);
+          } else if (/^(snooze|remind)$/i.test(verb)) {
+            this._audit(verb.toLowerCase(), msg.text.trim(), commandReply);
+          }
+          this.messenger.send(commandReply);
+          await this._advanceRowId(s, msg.ROWID);
+          continue;
+        }
+
         // Skip if AI is disabled
         if (!this._aiEnabled) {
           this.log('SMS', 'AI disabled, ignoring message');
@@ -180,6 +226,73 @@ class SMSBridge {
     return null;
   }
 
+  /**
+   * Route a message that answers an open needs-input question.
+   * @param {string} text - Message text
+   * @returns {string|null} Confirmation to send back, or null if not an answer
+   */
+  _tryAnswer(text) {
+    if (!this.questionManager) return null;
+    try {
+      const reply = this.questionManager.parseReply(text);
+      if (!reply) return null;
+      return this.questionManager.answer(reply.id, reply.answer).message;
+    } catch (e) {
+      this.log('SMS', `Answer routing error: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Answer status commands that don't need Claude.
+   * @param {string} text - Message text
+   * @returns {string|null} Reply to send back, or null if not a direct command
+   */
+  _tryCommand(text) {
+    const normalized = text.trim().toLowerCase();
+    try {
+      if (this.sessionManager && normalized === 'queue') return this.sessionManager.formatQueue();
+      if (this.incidents) {
+        if (normalized === 'incidents') return this.incidents.formatSummary();
+        const m = normalized.match(/^incident #?(\d+)$/);
+        if (m) return this.incidents.formatTimeline(parseInt(m[1], 10));
+      }
+      if (this.maintenance) {
+        const reply = this.maintenance.handleCommand(text, { by: 'sms' });
+        if (reply !== null) return reply;
+      }
+      if (this.audit) {
+        const reply = this.audit.handleCommand(text);
+        if (reply !== null) return reply;
+      }
+      if (this.notificationManager) {
+        const reply = this.notificationManager.handleCommand(text, { by: 'sms' });
+        if (reply !== null) return reply;
+      }
+      if (this.reminderManager) {
+        const reply = this.reminderManager.handleCommand(text);
+        if (reply !== null) return reply;
+      }
+    } catch (e) {
+      this.log('SMS', `Command error: ${e.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Record an action taken on an SMS command.
+   * @param {string} action
+   * @param {string|null} text - The message, as the action's parameters
+   * @param {string} reply - What was sent back
+   * @param {string} [target] - Service or project acted on
+   */
+  _audit(action, text, reply, target) {
+    if (!this.audit) return;
+    this.audit.record({
+      actor: 'user', channel: 'sms', action, target, params: text ? { text } : null, result: reply,
+    });
+  }
+
   /**
    * Process a message through the Claude session.
    * Injects input, waits for idle, captures output, sends response.
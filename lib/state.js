@@ -1,38 +1,220 @@
+const Database = require("better-sqlite3");
 const fs = require("fs");
 const path = require("path");
 
 /**
- * StateManager - Persists orchestrator runtime state to disk.
+ * Fresh state for a new install (and the shape load() always returns).
+ * @returns {Object}
+ */
+function defaultState() {
+  return {
+    lastRowId: 0,
+    lastScan: null,
+    lastDigest: null,
+    alertHistory: {},
+    aiDecisionHistory: [],
+    stateVersion: 0,
+    executionHistory: [],
+    errorRetryCounts: {},
+    runtimeAutonomyLevel: null,
+    evaluationHistory: [],
+    healthRestartHistory: [],
+  };
+}
+
+/**
+ * StateManager - Persists orchestrator runtime state in SQLite.
  * Tracks last message ROWID, last scan results, alert history,
  * state versioning, execution history, error retry counts, and runtime autonomy level.
+ *
+ * Each top-level key is its own row in orchestrator_state (JSON value), so
+ * callers that load() and save() concurrently only clobber each other when
+ * they change the same key: save() writes just the keys that differ from
+ * what that object's load() returned. The log/record helpers go further and
+ * re-read their key inside a transaction, so two timers appending to the
+ * same history don't lose entries. For other read-modify-write sequences,
+ * use update(), which runs load → fn → save in one immediate transaction.
+ *
+ * The old .state.json is imported once, on first use of an empty table, and
+ * renamed to .state.json.migrated.
  */
 class StateManager {
-  constructor(stateFile = path.join(__dirname, "..", ".state.json")) {
-    this.stateFile = stateFile;
+  /**
+   * @param {Object|string} [opts] - Options, or the old `new StateManager(stateFile)`
+   *   form: that path is the JSON to migrate and the database sits beside it
+   * @param {string} [opts.dbPath] - Path to SQLite database file
+   * @param {string} [opts.jsonPath] - Legacy .state.json to migrate from
+   * @throws {TypeError} If opts is neither an object nor a path string
+   */
+  constructor(opts = {}) {
+    if (typeof opts === "string") {
+      opts = { jsonPath: opts, dbPath: path.join(path.dirname(opts), "orchestrator.db") };
+    } else if (opts === null || typeof opts !== "object") {
+      throw new TypeError("StateManager expects an options object or a state file path");
+    }
+    const { dbPath, jsonPath } = opts;
+    this.dbPath = dbPath || path.join(__dirname, "..", "orchestrator.db");
+    this.jsonPath = jsonPath || path.join(__dirname, "..", ".state.json");
+    this.db = null; // Lazy init
+
+    /** @type {WeakMap<Object, Map<string, string>>} Loaded object -> key -> JSON at load/save time */
+    this._snapshots = new WeakMap();
   }
 
-  load() {
+  /**
+   * Lazy SQLite initialization. Creates orchestrator_state if not exists and
+   * imports the legacy JSON file the first time.
+   */
+  _ensureDb() {
+    if (this.db) return;
+    this.db = new Database(this.dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS orchestrator_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+    this._migrateJson();
+  }
+
+  /**
+   * One-time import of .state.json into an empty table. An unreadable file
+   * is left in place and state starts fresh.
+   */
+  _migrateJson() {
+    if (!fs.existsSync(this.jsonPath)) return;
+    if (this.db.prepare("SELECT COUNT(*) AS n FROM orchestrator_state").get().n > 0) return;
+
+    let legacy;
     try {
-      return JSON.parse(fs.readFileSync(this.stateFile, "utf-8"));
-    } catch {
-      return {
-        lastRowId: 0,
-        lastScan: null,
-        lastDigest: null,
-        alertHistory: {},
-        aiDecisionHistory: [],
-        stateVersion: 0,
-        executionHistory: [],
-        errorRetryCounts: {},
-        runtimeAutonomyLevel: null,
-        evaluationHistory: [],
-        healthRestartHistory: [],
-      };
+      legacy = JSON.parse(fs.readFileSync(this.jsonPath, "utf-8"));
+    } catch (err) {
+      console.error(`[STATE] Could not migrate ${this.jsonPath}: ${err.message}`);
+      return;
     }
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(legacy)) this._write(key, value);
+    })();
+    fs.renameSync(this.jsonPath, this.jsonPath + ".migrated");
+    console.log(`[STATE] Migrated ${Object.keys(legacy).length} keys from ${path.basename(this.jsonPath)}`);
   }
 
+  /**
+   * Read the whole state. Missing keys get their defaults.
+   * @returns {Object}
+   */
+  load() {
+    this._ensureDb();
+    const state = defaultState();
+    // Defaults count as loaded, so saving an untouched default doesn't
+    // overwrite a value someone else stored since
+    const snapshot = new Map(Object.entries(state).map(([k, v]) => [k, JSON.stringify(v)]));
+    for (const row of this.db.prepare("SELECT key, value FROM orchestrator_state").all()) {
+      state[row.key] = JSON.parse(row.value);
+      snapshot.set(row.key, row.value);
+    }
+    this._snapshots.set(state, snapshot);
+    return state;
+  }
+
+  /**
+   * Write the keys of a loaded state object that changed since it was
+   * loaded (or last saved). Keys deleted from the object are deleted.
+   * An object that didn't come from load() is written in full.
+   * @param {Object} state
+   */
   save(state) {
-    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+    this._ensureDb();
+    const snapshot = this._snapshots.get(state);
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(state)) {
+        const json = value === undefined ? undefined : JSON.stringify(value);
+        if (snapshot && snapshot.get(key) === json) continue;
+        if (json === undefined) {
+          this.db.prepare("DELETE FROM orchestrator_state WHERE key = ?").run(key);
+        } else {
+          this._write(key, value);
+        }
+      }
+      if (snapshot) {
+        for (const key of snapshot.keys()) {
+          if (!(key in state)) this.db.prepare("DELETE FROM orchestrator_state WHERE key = ?").run(key);
+        }
+      }
+    })();
+    this._snapshots.set(state, new Map(
+      Object.entries(state).filter(([, v]) => v !== undefined).map(([k, v]) => [k, JSON.stringify(v)])
+    ));
+  }
+
+  /**
+   * Atomic read-modify-write of the whole state: loads fresh state, passes
+   * it to fn, saves what fn changed. Nothing is written if fn throws.
+   * @param {Function} fn - (state) => result; must be synchronous
+   * @returns {*} fn's result
+   */
+  update(fn) {
+    this._ensureDb();
+    return this.db.transaction(() => {
+      const state = this.load();
+      const result = fn(state);
+      this.save(state);
+      return result;
+    }).immediate();
+  }
+
+  /**
+   * Close the SQLite database connection.
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /** @private */
+  _write(key, value) {
+    this.db
+      .prepare(`
+        INSERT INTO orchestrator_state (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `)
+      .run(key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  /**
+   * Transactionally change one key: fn gets the stored value (not the
+   * caller's possibly stale copy) and returns the new one, which is written
+   * and copied onto the caller's state object.
+   * @private
+   * @param {Object} state - The caller's loaded state
+   * @param {string} key
+   * @param {Function} fn - (current) => next
+   * @returns {*} The new value
+   */
+  _mutate(state, key, fn) {
+    this._ensureDb();
+    const next = this.db.transaction(() => {
+      const row = this.db.prepare("SELECT value FROM orchestrator_state WHERE key = ?").get(key);
+      const value = fn(row ? JSON.parse(row.value) : defaultState()[key]);
+      this._write(key, value);
+      return value;
+    }).immediate();
+    state[key] = next;
+    const snapshot = this._snapshots.get(state);
+    if (snapshot) snapshot.set(key, JSON.stringify(next));
+    return next;
+  }
+
+  /**
+   * Append to a history key, keeping only the last `max` entries.
+   * @private
+   */
+  _append(state, key, entry, max) {
+    this._mutate(state, key, (list) => [...(list || []), entry].slice(-max));
   }
 
   /**
@@ -42,12 +224,10 @@ class StateManager {
    * @param {string} reason
    */
   recordAlert(state, projectName, reason) {
-    if (!state.alertHistory) state.alertHistory = {};
-    state.alertHistory[projectName] = {
-      reason,
-      timestamp: new Date().toISOString(),
-    };
-    this.save(state);
+    this._mutate(state, "alertHistory", (history) => ({
+      ...history,
+      [projectName]: { reason, timestamp: new Date().toISOString() },
+    }));
   }
 
   /**
@@ -77,13 +257,7 @@ class StateManager {
    * @param {string} [decision.error] - Error type if failed
    */
   logDecision(state, decision) {
-    if (!state.aiDecisionHistory) state.aiDecisionHistory = [];
-    state.aiDecisionHistory.push(decision);
-    // Keep only the last 50 entries
-    if (state.aiDecisionHistory.length > 50) {
-      state.aiDecisionHistory = state.aiDecisionHistory.slice(-50);
-    }
-    this.save(state);
+    this._append(state, "aiDecisionHistory", decision, 50);
   }
 
   /**
@@ -106,9 +280,7 @@ class StateManager {
    * @returns {number} The new state version
    */
   incrementVersion(state) {
-    state.stateVersion = (state.stateVersion || 0) + 1;
-    this.save(state);
-    return state.stateVersion;
+    return this._mutate(state, "stateVersion", (version) => (version || 0) + 1);
   }
 
   // --- Phase 2: Execution History ---
@@ -126,13 +298,7 @@ class StateManager {
    * @param {number} [executionRecord.stateVersion] - State version at time of action
    */
   logExecution(state, executionRecord) {
-    if (!state.executionHistory) state.executionHistory = [];
-    state.executionHistory.push(executionRecord);
-    // Keep only the last 100 entries
-    if (state.executionHistory.length > 100) {
-      state.executionHistory = state.executionHistory.slice(-100);
-    }
-    this.save(state);
+    this._append(state, "executionHistory", executionRecord, 100);
   }
 
   // --- Phase 2: Error Retry Counts ---
@@ -144,10 +310,11 @@ class StateManager {
    * @returns {number} Current retry count after increment
    */
   recordErrorRetry(state, project) {
-    if (!state.errorRetryCounts) state.errorRetryCounts = {};
-    state.errorRetryCounts[project] = (state.errorRetryCounts[project] || 0) + 1;
-    this.save(state);
-    return state.errorRetryCounts[project];
+    const counts = this._mutate(state, "errorRetryCounts", (current) => ({
+      ...current,
+      [project]: ((current || {})[project] || 0) + 1,
+    }));
+    return counts[project];
   }
 
   /**
@@ -166,10 +333,10 @@ class StateManager {
    * @param {string} project - Project name
    */
   clearErrorRetries(state, project) {
-    if (state.errorRetryCounts) {
-      delete state.errorRetryCounts[project];
-      this.save(state);
-    }
+    this._mutate(state, "errorRetryCounts", (current) => {
+      const { [project]: _cleared, ...rest } = current || {};
+      return rest;
+    });
   }
 
   // --- Phase 4: Session Evaluation History ---
@@ -181,12 +348,7 @@ class StateManager {
    * @param {Object} evaluation - Evaluation record from SessionEvaluator
    */
   logEvaluation(state, evaluation) {
-    if (!state.evaluationHistory) state.evaluationHistory = [];
-    state.evaluationHistory.push(evaluation);
-    if (state.evaluationHistory.length > 100) {
-      state.evaluationHistory = state.evaluationHistory.slice(-100);
-    }
-    this.save(state);
+    this._append(state, "evaluationHistory", evaluation, 100);
   }
 
   /**
@@ -212,12 +374,7 @@ class StateManager {
    * @param {boolean} record.success - Whether the restart succeeded
    */
   logHealthRestart(state, record) {
-    if (!state.healthRestartHistory) state.healthRestartHistory = [];
-    state.healthRestartHistory.push(record);
-    if (state.healthRestartHistory.length > 100) {
-      state.healthRestartHistory = state.healthRestartHistory.slice(-100);
-    }
-    this.save(state);
+    this._append(state, "healthRestartHistory", record, 100);
   }
 
   /**
@@ -252,9 +409,7 @@ class StateManager {
         `Invalid autonomy level '${level}'. Must be one of: ${StateManager.AUTONOMY_LEVELS.join(", ")}`
       );
     }
-    state.runtimeAutonomyLevel = level;
-    this.save(state);
-    return level;
+    return this._mutate(state, "runtimeAutonomyLevel", () => level);
   }
 
   /**
@@ -0,0 +1,354 @@
+'use strict';
+
+/**
+ * Deterministic, offline parsing of reminder times.
+ *
+ *   in 20 minutes / in an hour / in 1h30m / in 2 days
+ *   at 3pm / 15:30 / noon / tonight at 8 / tomorrow morning
+ *   tomorrow at 9 / friday 3pm / next friday at 3:30pm / 2026-03-05 at 9
+ *   every day at 8 / every weekday at 8 / every mon and thu 9am /
+ *   every other friday at 4 / every 3 days / every hour / daily / weekdays
+ *
+ * Wall-clock times are in the given timezone (quietHours.timezone). Rules
+ * that make the result predictable rather than clever:
+ * - a bare hour 1-6 with no am/pm is afternoon ("at 3" is 15:00), 7-12 is
+ *   morning; "tonight at 8" and "this evening at 7" are always pm
+ * - a day with no time is 9:00 (tonight 20:00); a time with no day is the
+ *   next time the clock shows it, today or tomorrow
+ * - a weekday ("friday", "on friday", "next friday") is the next such day,
+ *   today only if the time is still ahead and "next" wasn't said
+ * - recurring phrases become a cron expression or RRULE for lib/recurrence.js
+ *
+ * Anything outside this grammar returns null, so callers can fall back to
+ * asking Claude.
+ */
+
+const { formatter, localParts } = require('./recurrence');
+
+const DAY_NAMES = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+};
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_RE = Object.keys(DAY_NAMES).join('|');
+
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const PARTS_OF_DAY = { morning: [9, 0], afternoon: [14, 0], evening: [18, 0], tonight: [20, 0], night: [20, 0] };
+
+// Unstated time of day for a day-only phrase
+const DEFAULT_TIME = [9, 0];
+
+// A task that still starts like a time phrase means the split went wrong
+const LEADING_WHEN_RE = new RegExp(
+  `^(?:today|tonight|tomorrow|next|this|on|at|in|every|each|daily|weekdays|weekends|noon|midnight|${DAY_RE}|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)\\b`,
+  'i'
+);
+
+/**
+ * Parse a whole phrase as a time.
+ * @param {string} phrase - e.g. "tomorrow at 9"
+ * @param {Object} [opts]
+ * @param {string} [opts.timezone] - IANA zone; the system zone when omitted
+ * @param {number} [opts.now=Date.now()] - ms
+ * @returns {{ fireAt: number|null, recurrence: string|null }|null} fireAt (ms)
+ *   for a one-off, recurrence for a repeating phrase; null if not a time
+ */
+function parseWhen(phrase, { timezone, now = Date.now() } = {}) {
+  const s = normalize(phrase);
+  if (!s) return null;
+
+  const relative = parseRelative(s);
+  if (relative !== null) return { fireAt: now + relative, recurrence: null };
+
+  const recurrence = parseRecurring(s);
+  if (recurrence !== null) return { fireAt: null, recurrence };
+
+  const fmt = formatter(timezone);
+  const fireAt = parseAbsolute(s, fmt, now);
+  return fireAt === null ? null : { fireAt, recurrence: null };
+}
+
+/**
+ * Split "remind me [to] <task> <when>" (or "<when> [to] <task>") into its parts.
+ * A day at the start and a time at the end ("tomorrow to call Bob at 5") go
+ * together; otherwise the longest trailing phrase that parses as a time wins,
+ * then the longest leading one. If the task left over still starts with a day
+ * or time word, the split is ambiguous and this returns null.
+ * @param {string} text - With or without the "remind me" prefix
+ * @param {Object} [opts] - As parseWhen()
+ * @returns {{ text: string, fireAt: number|null, recurrence: string|null }|null}
+ */
+function parseReminder(text, opts = {}) {
+  const body = String(text || '').trim().replace(/^remind me\s+/i, '');
+  const words = body.split(/\s+/).filter(Boolean);
+  const clean = (task) => task.join(' ').replace(/^(?:to|that|about)\s+/i, '').replace(/\s+(?:at|on)$/i, '').trim();
+
+  const split = parseSplit(words, clean, opts);
+  if (split) return split;
+
+  const attempt = (when, task) => {
+    const parsed = parseWhen(when.join(' '), opts);
+    const cleaned = clean(task);
+    return parsed && cleaned ? { text: cleaned, ...parsed } : null;
+  };
+
+  let result = null;
+  for (let i = 1; i < words.length && !result; i++) {
+    result = attempt(words.slice(i), words.slice(0, i));
+  }
+  for (let i = words.length - 1; i > 0 && !result; i--) {
+    result = attempt(words.slice(0, i), words.slice(i));
+  }
+  if (!result || LEADING_WHEN_RE.test(result.text)) return null;
+  return result;
+}
+
+/**
+ * A day at one end of the reminder and a time of day at the other, with the
+ * task in between: "tomorrow to call Bob at 5", "at 9 water plants friday".
+ * Longest phrases first.
+ * @returns {{ text: string, fireAt: number, recurrence: null }|null}
+ * @private
+ */
+function parseSplit(words, clean, { timezone, now = Date.now() } = {}) {
+  const fmt = formatter(timezone);
+  const today = localParts(fmt, now);
+  for (let i = words.length - 2; i >= 1; i--) {
+    const lead = normalize(words.slice(0, i).join(' '));
+    for (let j = i + 1; j < words.length; j++) {
+      const tail = normalize(words.slice(j).join(' '));
+      const task = clean(words.slice(i, j));
+      if (!task) continue;
+      const dayFirst = parseDay(lead, today) && parseTimeOfDay(tail);
+      const timeFirst = parseDay(tail, today) && parseTimeOfDay(lead);
+      if (!dayFirst && !timeFirst) continue;
+      const fireAt = parseAbsolute(dayFirst ? `${lead} ${tail}` : `${tail} ${lead}`, fmt, now);
+      if (fireAt !== null) return { text: task, fireAt, recurrence: null };
+    }
+  }
+  return null;
+}
+
+/** Lowercase, drop trailing punctuation and commas, collapse spaces. @private */
+function normalize(phrase) {
+  return String(phrase || '').toLowerCase().replace(/[.!?]+$/, '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "30m", "2h", "1h30m", "45s", "1d" -> milliseconds. A bare number is minutes.
+ * Used for silences and snoozes.
+ * @param {string} text
+ * @returns {number|null} null when unparseable
+ */
+function parseDuration(text) {
+  const s = String(text || '').trim().toLowerCase();
+  if (/^\d+$/.test(s)) return parseInt(s, 10) * 60000;
+  if (!/^(\d+\s*[dhms]\s*)+$/.test(s)) return null;
+  const unit = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+  let ms = 0;
+  for (const [, n, u] of s.matchAll(/(\d+)\s*([dhms])/g)) ms += parseInt(n, 10) * unit[u];
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * "in 20 minutes", "in an hour", "in half an hour", "in 1h30m".
+ * @returns {number|null} ms
+ * @private
+ */
+function parseRelative(s) {
+  const m = s.match(/^in (.+)$/);
+  if (!m) return null;
+  const item = /(\d+|half an?|an?)\s*(minutes?|mins?|m|hours?|hrs?|hr|h|days?|d|weeks?|wks?|w)(?![a-z])/g;
+  const rest = m[1].replace(item, '').replace(/\band\b/g, '').trim();
+  if (rest) return null;
+
+  let ms = 0;
+  for (const [, amount, unit] of m[1].matchAll(item)) {
+    const n = amount.startsWith('half') ? 0.5 : /^an?$/.test(amount) ? 1 : parseInt(amount, 10);
+    ms += n * UNIT_MS[unit[0]];
+  }
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Time of day: "at 9", "3pm", "3:30 pm", "15:30", "noon", "morning".
+ * @param {string} s
+ * @param {boolean} [evening] - Read a bare hour as pm ("tonight at 8")
+ * @returns {number[]|null} [hour, minute]
+ * @private
+ */
+function parseTimeOfDay(s, evening = false) {
+  const t = s.replace(/^at /, '').replace(/^in the /, '');
+  if (t === 'noon') return [12, 0];
+  if (t === 'midnight') return [0, 0];
+  if (PARTS_OF_DAY[t]) return PARTS_OF_DAY[t];
+
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m|p\.m)?$/);
+  if (!m) return null;
+  // A bare number is only a time with "at", a colon or am/pm
+  if (!s.startsWith('at ') && m[2] === undefined && !m[3]) return null;
+  let hour = parseInt(m[1], 10);
+  const minute = m[2] === undefined ? 0 : parseInt(m[2], 10);
+  if (minute > 59) return null;
+
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    const pm = m[3].startsWith('p');
+    hour = (hour % 12) + (pm ? 12 : 0);
+  } else {
+    if (hour > 23) return null;
+    const leadingZero = m[1].length === 2 && m[1][0] === '0';
+    if (!leadingZero && hour >= 1 && hour < 12 && (evening || hour <= 6)) hour += 12;
+  }
+  return [hour, minute];
+}
+
+/**
+ * A day: "today", "tonight", "tomorrow", "friday", "on friday", "next friday",
+ * "2026-03-05".
+ * @param {string} s
+ * @param {Object} today - localParts() for now
+ * @returns {{ offset: number, weekday: boolean, next: boolean, evening: boolean, time: number[]|null }|null}
+ * @private
+ */
+function parseDay(s, today) {
+  if (s === 'today') return { offset: 0, weekday: false, next: false, evening: false, time: null };
+  if (s === 'tonight' || s === 'this evening') {
+    return { offset: 0, weekday: false, next: false, evening: true, time: s === 'tonight' ? PARTS_OF_DAY.tonight : PARTS_OF_DAY.evening };
+  }
+  if (s === 'tomorrow') return { offset: 1, weekday: false, next: false, evening: false, time: null };
+  const night = s.match(/^tomorrow (morning|afternoon|evening|night)$/);
+  if (night) return { offset: 1, weekday: false, next: false, evening: night[1] !== 'morning', time: PARTS_OF_DAY[night[1]] };
+
+  const wd = s.match(new RegExp(`^(?:(on|this|next) )?(${DAY_RE})$`));
+  if (wd) {
+    const offset = (DAY_NAMES[wd[2]] - today.dow + 7) % 7;
+    return { offset: offset === 0 && wd[1] === 'next' ? 7 : offset, weekday: true, next: wd[1] === 'next', evening: false, time: null };
+  }
+
+  const iso = s.match(/^(?:on )?(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const date = Date.UTC(+iso[1], iso[2] - 1, +iso[3]);
+    const check = new Date(date);
+    if (check.getUTCMonth() !== iso[2] - 1) return null;
+    const offset = Math.round((date - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+    return { offset, weekday: false, next: false, evening: false, time: null };
+  }
+  return null;
+}
+
+/**
+ * A one-off day and/or time in either order.
+ * @returns {number|null} ms
+ * @private
+ */
+function parseAbsolute(s, fmt, now) {
+  const today = localParts(fmt, now);
+  const words = s.split(' ');
+
+  for (let k = 0; k <= words.length; k++) {
+    const a = words.slice(0, k).join(' ');
+    const b = words.slice(k).join(' ');
+    for (const [dayText, timeText] of [[a, b], [b, a]]) {
+      const day = dayText ? parseDay(dayText, today) : null;
+      if (dayText && !day) continue;
+      const time = timeText ? parseTimeOfDay(timeText, day?.evening) : null;
+      if (timeText && !time) continue;
+      if (!day && !time) continue;
+
+      const [hour, minute] = time || day.time || DEFAULT_TIME;
+      let offset = day ? day.offset : 0;
+      let t = zonedTime(fmt, addDays(today, offset), hour, minute);
+      if (t <= now && (!day || (day.weekday && !day.next && offset === 0))) {
+        offset += day ? 7 : 1;
+        t = zonedTime(fmt, addDays(today, offset), hour, minute);
+      }
+      return t;
+    }
+  }
+  return null;
+}
+
+/**
+ * "every weekday at 8", "every other friday", "every 3 days at 7pm",
+ * "daily", "weekends 10am", "every hour".
+ * @returns {string|null} cron expression or RRULE
+ * @private
+ */
+function parseRecurring(s) {
+  let m = s.match(/^(?:every|each) (\d+ )?hours?$/);
+  if (m) return m[1] ? `0 */${parseInt(m[1], 10)} * * *` : '0 * * * *';
+
+  m = s.match(/^(?:(?:every|each) (.+?)|(daily|weekdays|weekends))(?: (.+))?$/);
+  if (!m) return null;
+
+  // Try the longest day phrase first, leaving the rest as the time
+  const words = (m[2] || m[1] + (m[3] ? ` ${m[3]}` : '')).split(' ');
+  for (let k = words.length; k >= 1; k--) {
+    const days = parseRecurringDays(words.slice(0, k).join(' '), !!m[2]);
+    if (!days) continue;
+    const timeText = m[2] ? m[3] || '' : words.slice(k).join(' ');
+    const time = timeText ? parseTimeOfDay(timeText) : DEFAULT_TIME;
+    if (!time) continue;
+    const [hour, minute] = time;
+    if (days.rrule) return `FREQ=${days.rrule};BYHOUR=${hour};BYMINUTE=${minute}`;
+    return `${minute} ${hour} * * ${days.cron}`;
+  }
+  return null;
+}
+
+/**
+ * @param {string} s - After "every"
+ * @param {boolean} bare - "daily" / "weekdays" / "weekends" with no "every"
+ * @returns {{ cron?: string, rrule?: string }|null}
+ * @private
+ */
+function parseRecurringDays(s, bare) {
+  if (bare) return { daily: { cron: '*' }, weekdays: { cron: '1-5' }, weekends: { cron: '0,6' } }[s];
+  if (s === 'day') return { cron: '*' };
+  if (s === 'weekday') return { cron: '1-5' };
+  if (s === 'weekend') return { cron: '0,6' };
+  if (s === 'week') return { rrule: 'WEEKLY' }; // on the start's weekday
+  if (s === 'other day') return { rrule: 'DAILY;INTERVAL=2' };
+
+  let m = s.match(/^(\d+) days$/);
+  if (m && parseInt(m[1], 10) >= 1) return { rrule: `DAILY;INTERVAL=${parseInt(m[1], 10)}` };
+
+  m = s.match(new RegExp(`^other (${DAY_RE})$`));
+  if (m) return { rrule: `WEEKLY;INTERVAL=2;BYDAY=${RRULE_DAYS[DAY_NAMES[m[1]]]}` };
+
+  const names = s.replace(/\band\b/g, ' ').split(/\s+/).filter(Boolean);
+  if (names.length > 0 && names.every((n) => n in DAY_NAMES || n.replace(/s$/, '') in DAY_NAMES)) {
+    const days = [...new Set(names.map((n) => DAY_NAMES[n in DAY_NAMES ? n : n.replace(/s$/, '')]))].sort();
+    return { cron: days.join(',') };
+  }
+  return null;
+}
+
+/** Calendar date `n` days after a localParts() date. @private */
+function addDays(p, n) {
+  const d = new Date(Date.UTC(p.year, p.month - 1, p.day + n));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * ms for a wall-clock time in the formatter's timezone. Two correction
+ * passes settle the UTC offset, DST changes included.
+ * @private
+ */
+function zonedTime(fmt, { year, month, day }, hour, minute) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(fmt, t);
+    t += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return t;
+}
+
+module.exports = { parseWhen, parseReminder, parseDuration };
@@ -0,0 +1,624 @@
+'use strict';
+
+const { execSync } = require('child_process');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Messaging transports used by Messenger.
+ *
+ * Every transport implements the same synchronous-read interface so that
+ * SMSBridge, NotificationManager and UpworkScanner don't care which one
+ * is configured:
+ *
+ *   send(text)                 - Deliver one (already chunked) message; returns
+ *                                false, or a Promise of false, when it failed
+ *   getNewMessages(lastRowId)  - Inbound messages with ROWID > lastRowId
+ *   getLatestRowId()           - Highest inbound ROWID, or null
+ *   start() / close()          - Optional listener lifecycle
+ *
+ * Inbound message objects mirror the iMessage chat.db row shape:
+ *   { ROWID, text, date, is_from_me, sender_id }
+ *
+ * Selected by config.messaging.transport: "imessage" (default), "local", "webhook".
+ */
+
+// ── iMessage ────────────────────────────────────────────────────────────────
+
+/**
+ * IMessageTransport - Sends via AppleScript JXA, receives by reading the
+ * macOS Messages SQLite database. macOS only.
+ */
+class IMessageTransport {
+  /**
+   * @param {Object} config - Full config.json (reads myNumber, claudeNumber)
+   */
+  constructor(config) {
+    this.myNumber = config.myNumber;
+    this.claudeNumber = config.claudeNumber;
+    this.dbPath = path.join(os.homedir(), 'Library/Messages/chat.db');
+    this.chunkDelaySec = 1; // Messages.app reorders chunks sent back-to-back
+    this._chatIds = null;
+  }
+
+  send(text) {
+    const digits = this.myNumber.replace(/\D/g, '').slice(-10);
+    const ts = Date.now();
+    const tmpScript = `/tmp/imessage-orch-${ts}.js`;
+    const tmpMsg = `/tmp/imessage-orch-${ts}.txt`;
+
+    // Write message to a temp file to preserve newlines and special characters
+    fs.writeFileSync(tmpMsg, text);
+    fs.writeFileSync(
+      tmpScript,
+      `
+const m = Application("Messages");
+const chat = m.chats().find(c => c.id().includes("${digits}"));
+if (!chat) throw new Error("No chat found matching ${digits}");
+const text = ObjC.unwrap($.NSString.stringWithContentsOfFileEncodingError("${tmpMsg}", $.NSUTF8StringEncoding, null));
+m.send(text, { to: chat });
+`
+    );
+
+    try {
+      execSync(`osascript -l JavaScript "${tmpScript}"`, { timeout: 30000 });
+      return true;
+    } catch (e) {
+      console.error(`[SEND ERROR] ${e.message}`);
+      return false;
+    } finally {
+      try { fs.unlinkSync(tmpScript); } catch {}
+      try { fs.unlinkSync(tmpMsg); } catch {}
+    }
+  }
+
+  getNewMessages(lastRowId) {
+    const chatIds = this._getChatIds();
+    if (!chatIds) return [];
+
+    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+    try {
+      const placeholders = chatIds.map(() => '?').join(',');
+      const myDigits = this.myNumber.replace(/\D/g, '').slice(-10);
+
+      return db
+        .prepare(
+          `SELECT DISTINCT m.ROWID, m.text, m.date, m.is_from_me,
+                  h.id as sender_id
+           FROM message m
+           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+           LEFT JOIN handle h ON m.handle_id = h.ROWID
+           WHERE cmj.chat_id IN (${placeholders})
+             AND m.ROWID > ?
+             AND m.is_from_me = 0
+             AND m.text IS NOT NULL
+             AND m.text != ''
+             AND h.id LIKE ?
+           ORDER BY m.ROWID ASC`
+        )
+        .all(...chatIds, lastRowId, `%${myDigits}%`);
+    } finally {
+      db.close();
+    }
+  }
+
+  getLatestRowId() {
+    const chatIds = this._getChatIds();
+    if (!chatIds) return null;
+
+    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+    try {
+      const placeholders = chatIds.map(() => '?').join(',');
+      const row = db
+        .prepare(
+          `SELECT MAX(m.ROWID) as maxId FROM message m
+           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+           WHERE cmj.chat_id IN (${placeholders})`
+        )
+        .get(...chatIds);
+      return row?.maxId || null;
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Find and cache chat IDs for our conversation
+   * @returns {number[]|null}
+   */
+  _getChatIds() {
+    if (this._chatIds) return this._chatIds;
+
+    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+    try {
+      // Build search patterns - handle both phone numbers and email addresses
+      const patterns = [];
+      const myDigits = this.myNumber.replace(/\D/g, '').slice(-10);
+      if (myDigits) patterns.push(`%${myDigits}%`);
+
+      // claudeNumber may be an email (no digits) or a phone number
+      const claudeDigits = this.claudeNumber.replace(/\D/g, '').slice(-10);
+      if (claudeDigits) {
+        patterns.push(`%${claudeDigits}%`);
+      } else if (this.claudeNumber.includes('@')) {
+        patterns.push(`%${this.claudeNumber}%`);
+      }
+
+      const conditions = patterns.map(() => 'chat_identifier LIKE ?').join(' OR ');
+      const chats = db
+        .prepare(`SELECT ROWID FROM chat WHERE ${conditions}`)
+        .all(...patterns);
+
+      if (chats.length === 0) return null;
+      this._chatIds = [...new Set(chats.map((c) => c.ROWID))];
+      return this._chatIds;
+    } finally {
+      db.close();
+    }
+  }
+}
+
+// ── Local file / Unix socket ────────────────────────────────────────────────
+
+/**
+ * LocalTransport - Plain files on disk, optionally fronted by a Unix socket.
+ *
+ * Inbound: one JSON object per line in inboxPath ({ "text": "...", "from": "..." }),
+ * or a bare line of text. ROWID is the 1-based line number, so it stays stable
+ * across daemon restarts. Outbound messages are appended to outboxPath.
+ *
+ * When socketPath is set, each line a client writes to the socket is appended
+ * to the inbox, and every outbound message is echoed to connected clients —
+ * `nc -U <socketPath>` becomes a terminal chat with ONE Claude.
+ *
+ * The local filesystem is trusted: lines without "from" are attributed to myNumber.
+ */
+class LocalTransport {
+  /**
+   * @param {Object} config - Full config.json (reads messaging.local, myNumber)
+   */
+  constructor(config) {
+    const local = config.messaging?.local || {};
+    const baseDir = path.join(__dirname, '..', 'data', 'messages');
+    this.myNumber = config.myNumber || null;
+    this.inboxPath = local.inboxPath || path.join(baseDir, 'inbox.jsonl');
+    this.outboxPath = local.outboxPath || path.join(baseDir, 'outbox.jsonl');
+    this.socketPath = local.socketPath || null;
+    this.chunkDelaySec = 0;
+
+    this._server = null;
+    this._clients = new Set();
+  }
+
+  start() {
+    if (!this.socketPath || this._server) return;
+
+    // A stale socket file from a crashed process blocks listen()
+    try { fs.unlinkSync(this.socketPath); } catch {}
+
+    this._server = net.createServer((sock) => {
+      this._clients.add(sock);
+      let buf = '';
+      sock.setEncoding('utf-8');
+      sock.on('data', (chunk) => {
+        buf += chunk;
+        let idx;
+        while ((idx = buf.indexOf('\n')) !== -1) {
+          const line = buf.substring(0, idx).trim();
+          buf = buf.substring(idx + 1);
+          if (line) this.receive(line);
+        }
+      });
+      sock.on('close', () => this._clients.delete(sock));
+      sock.on('error', () => this._clients.delete(sock));
+    });
+    this._server.on('error', (err) => console.error(`[TRANSPORT] Socket error: ${err.message}`));
+    this._server.listen(this.socketPath);
+    console.log(`[TRANSPORT] Local socket listening at ${this.socketPath}`);
+  }
+
+  close() {
+    for (const sock of this._clients) {
+      try { sock.destroy(); } catch {}
+    }
+    this._clients.clear();
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+      try { fs.unlinkSync(this.socketPath); } catch {}
+    }
+  }
+
+  /**
+   * Append an inbound message to the inbox (used by the socket listener).
+   * @param {string} text
+   * @param {string} [from]
+   */
+  receive(text, from) {
+    this._ensureDir(this.inboxPath);
+    const entry = { text, ts: new Date().toISOString() };
+    if (from) entry.from = from;
+    fs.appendFileSync(this.inboxPath, JSON.stringify(entry) + '\n');
+  }
+
+  send(text) {
+    this._ensureDir(this.outboxPath);
+    const entry = { ts: new Date().toISOString(), to: this.myNumber, text };
+    fs.appendFileSync(this.outboxPath, JSON.stringify(entry) + '\n');
+
+    for (const sock of this._clients) {
+      try { sock.write(text + '\n'); } catch {}
+    }
+  }
+
+  getNewMessages(lastRowId) {
+    return this._readInbox().filter((m) => m.ROWID > lastRowId);
+  }
+
+  getLatestRowId() {
+    const messages = this._readInbox();
+    return messages.length > 0 ? messages[messages.length - 1].ROWID : null;
+  }
+
+  _readInbox() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.inboxPath, 'utf-8');
+    } catch {
+      return [];
+    }
+
+    const messages = [];
+    const lines = raw.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        entry = { text: line };
+      }
+      if (typeof entry === 'string') entry = { text: entry };
+      if (!entry || !entry.text) continue;
+
+      messages.push({
+        ROWID: i + 1,
+        text: String(entry.text),
+        date: entry.ts || null,
+        is_from_me: 0,
+        sender_id: entry.from || this.myNumber,
+      });
+    }
+    return messages;
+  }
+
+  _ensureDir(filePath) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// ── HTTP webhook ────────────────────────────────────────────────────────────
+
+// Largest inbound webhook body; an SMS relay never needs more
+const MAX_INBOUND_BYTES = 65536;
+
+/**
+ * WebhookTransport - Generic HTTP bridge for SMS gateways (Twilio functions,
+ * ntfy, Home Assistant, a Telegram relay, ...).
+ *
+ * Outbound: POST { to, text } as JSON to messaging.webhook.url.
+ * Inbound:  listens on messaging.webhook.listenPort for POST <path> with
+ *           { text, from }. Each message is appended to inboxPath (JSONL) and
+ *           the newest maxBuffered are reloaded on start, so messages the
+ *           poller hadn't reached yet survive a daemon restart.
+ *
+ * When messaging.webhook.secret is set, inbound requests must carry it in
+ * the X-Webhook-Secret header (or as a Bearer token) and messages without
+ * "from" are attributed to myNumber. Without a secret, "from" is required and
+ * SMSBridge's sender check decides whether the message is accepted.
+ *
+ * ROWIDs are millisecond timestamps (bumped to stay strictly increasing), so
+ * the lastRowId persisted in state remains valid across daemon restarts.
+ */
+class WebhookTransport {
+  /**
+   * @param {Object} config - Full config.json (reads messaging.webhook, myNumber)
+   */
+  constructor(config) {
+    const webhook = config.messaging?.webhook || {};
+    this.myNumber = config.myNumber || null;
+    this.url = webhook.url || null;
+    this.headers = webhook.headers || {};
+    this.listenPort = webhook.listenPort ?? 8052;
+    this.listenHost = webhook.listenHost || '127.0.0.1';
+    this.path = webhook.path || '/inbound';
+    this.secret = webhook.secret || null;
+    this.timeoutMs = webhook.timeoutMs || 10000;
+    this.maxBuffered = webhook.maxBuffered || 500;
+    this.inboxPath = webhook.inboxPath || path.join(__dirname, '..', 'data', 'messages', 'webhook-inbox.jsonl');
+    this.chunkDelaySec = 0;
+
+    this._inbox = this._loadInbox();
+    this._lastId = this._inbox.length > 0 ? this._inbox[this._inbox.length - 1].ROWID : 0;
+    this._server = null;
+    // Chunks must arrive in order, so outbound POSTs are chained
+    this._sendChain = Promise.resolve();
+  }
+
+  /**
+   * Start the inbound HTTP listener.
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this._server) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer((req, res) => this._handleInbound(req, res));
+      this._server.on('error', (err) => {
+        console.error(`[TRANSPORT] Webhook listener error: ${err.message}`);
+        reject(err);
+      });
+      this._server.listen(this.listenPort, this.listenHost, () => {
+        this.listenPort = this._server.address().port;
+        console.log(`[TRANSPORT] Webhook listening at http://${this.listenHost}:${this.listenPort}${this.path}`);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+    }
+  }
+
+  /**
+   * Queue an outbound POST. Failures (no URL, HTTP >= 400, timeout, network
+   * error) are logged and resolve to false, never thrown.
+   * @param {string} text
+   * @returns {Promise<boolean>} Whether the webhook accepted the message
+   */
+  send(text) {
+    if (!this.url) {
+      console.error('[SEND ERROR] messaging.webhook.url is not configured');
+      return Promise.resolve(false);
+    }
+
+    const result = this._sendChain.then(() => this._post(text));
+    this._sendChain = result;
+    return result;
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async _post(text) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const res = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify({ to: this.myNumber, text }),
+        signal: controller.signal,
+      });
+      if (res.status >= 400) {
+        console.error(`[SEND ERROR] Webhook returned HTTP ${res.status}`);
+        return false;
+      }
+      return true;
+    } catch (e) {
+      console.error(`[SEND ERROR] ${e.name === 'AbortError' ? 'webhook timeout' : e.message}`);
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  getNewMessages(lastRowId) {
+    return this._inbox.filter((m) => m.ROWID > lastRowId);
+  }
+
+  getLatestRowId() {
+    return this._inbox.length > 0 ? this._inbox[this._inbox.length - 1].ROWID : null;
+  }
+
+  /**
+   * Buffer an inbound message.
+   * @param {string} text
+   * @param {string|null} senderId
+   * @returns {Object} The stored message row
+   */
+  receive(text, senderId) {
+    const rowId = Math.max(Date.now(), this._lastId + 1);
+    this._lastId = rowId;
+    const msg = {
+      ROWID: rowId,
+      text,
+      date: new Date().toISOString(),
+      is_from_me: 0,
+      sender_id: senderId,
+    };
+    this._inbox.push(msg);
+    if (this._inbox.length > this.maxBuffered) {
+      this._inbox = this._inbox.slice(-this.maxBuffered);
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.inboxPath), { recursive: true });
+      fs.appendFileSync(this.inboxPath, JSON.stringify(msg) + '\n');
+    } catch (err) {
+      console.error(`[TRANSPORT] Can't persist webhook message: ${err.message}`);
+    }
+    return msg;
+  }
+
+  /**
+   * Read back the newest maxBuffered persisted messages, compacting the file
+   * when it has grown past that.
+   * @returns {Object[]}
+   */
+  _loadInbox() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.inboxPath, 'utf-8');
+    } catch {
+      return [];
+    }
+
+    const messages = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const msg = JSON.parse(line);
+        if (msg && Number.isFinite(msg.ROWID) && typeof msg.text === 'string') messages.push(msg);
+      } catch {} // Torn last line from a crash
+    }
+    if (messages.length <= this.maxBuffered) return messages;
+
+    const kept = messages.slice(-this.maxBuffered);
+    try {
+      fs.writeFileSync(this.inboxPath, kept.map((m) => JSON.stringify(m)).join('\n') + '\n');
+    } catch {} // Compaction is best-effort; the next start tries again
+    return kept;
+  }
+
+  /**
+   * HTTP handler for inbound messages. Never rejects: anything unexpected
+   * becomes a 500 instead of an unhandled rejection.
+   */
+  async _handleInbound(req, res) {
+    const reply = (code, body) => {
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      return await this._routeInbound(req, reply);
+    } catch (err) {
+      console.error(`[TRANSPORT] Webhook inbound error: ${err.message}`);
+      if (!res.headersSent) reply(500, { error: 'Internal error' });
+      else res.end();
+    }
+  }
+
+  async _routeInbound(req, reply) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method !== 'POST' || url.pathname !== this.path) {
+      return reply(404, { error: 'Not found' });
+    }
+
+    const authenticated = this._checkSecret(req);
+    if (this.secret && !authenticated) {
+      return reply(401, { error: 'Invalid webhook secret' });
+    }
+
+    let body;
+    try {
+      body = await this._readBody(req);
+    } catch (err) {
+      if (err.statusCode === 413) return reply(413, { error: `Body larger than ${MAX_INBOUND_BYTES} bytes` });
+      throw err;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return reply(400, { error: 'Invalid JSON' });
+    }
+    if (!parsed || typeof parsed !== 'object') return reply(400, { error: 'Body must be a JSON object' });
+
+    const text = typeof parsed.text === 'string' ? parsed.text.trim() : '';
+    if (!text) return reply(400, { error: 'Missing "text" field' });
+
+    const senderId = parsed.from || (authenticated ? this.myNumber : null);
+    const msg = this.receive(text, senderId);
+    return reply(202, { ok: true, id: msg.ROWID });
+  }
+
+  _checkSecret(req) {
+    if (!this.secret) return false;
+    const header = req.headers['x-webhook-secret'];
+    const auth = req.headers.authorization || '';
+    return safeEqual(header, this.secret) || safeEqual(auth, `Bearer ${this.secret}`);
+  }
+
+  /**
+   * Read the request body, rejecting (statusCode 413) past MAX_INBOUND_BYTES.
+   * The rest of an oversized body is drained, not buffered.
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > MAX_INBOUND_BYTES) {
+          tooLarge = true;
+          const err = new Error('Request body too large');
+          err.statusCode = 413;
+          reject(err);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => { if (!tooLarge) resolve(Buffer.concat(chunks).toString('utf-8')); });
+      req.on('error', reject);
+    });
+  }
+}
+
+/**
+ * Constant-time string comparison, so response timing doesn't leak how much
+ * of a secret matched. Only the length can differ in time.
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// ── Factory ─────────────────────────────────────────────────────────────────
+
+const TRANSPORTS = {
+  imessage: IMessageTransport,
+  local: LocalTransport,
+  webhook: WebhookTransport,
+};
+
+/**
+ * Build the transport named by config.messaging.transport.
+ * @param {Object} config - Full config.json
+ * @returns {Object} Transport instance
+ * @throws {Error} If the transport name is unknown
+ */
+function createTransport(config) {
+  const name = (config.messaging?.transport || 'imessage').toLowerCase();
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(
+      `Unknown messaging transport '${name}'. Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`
+    );
+  }
+  return new Transport(config);
+}
+
+module.exports = {
+  createTransport,
+  IMessageTransport,
+  LocalTransport,
+  WebhookTransport,
+  TRANSPORTS,
+};
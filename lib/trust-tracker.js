@@ -102,6 +102,20 @@ class TrustTracker {
     this._lastUpdateTime = Date.now();
   }
 
+  /**
+   * Count an acknowledged URGENT alert against the current autonomy level:
+   * a real problem (true_alerts) or a false alarm (false_alerts).
+   * @param {boolean} wasReal
+   */
+  recordAlertOutcome(wasReal) {
+    this._ensureDb();
+    const currentLevel = this.state.getAutonomyLevel(this.state.load(), this.config);
+    const column = wasReal ? 'true_alerts' : 'false_alerts';
+    this.db.prepare(
+      `UPDATE trust_summary SET ${column} = ${column} + 1 WHERE autonomy_level = ?`
+    ).run(currentLevel);
+  }
+
   /**
    * Compare current level metrics against configurable thresholds.
    * Returns a promotion recommendation string or null.
@@ -179,7 +193,7 @@ class TrustTracker {
       'SELECT * FROM trust_summary WHERE autonomy_level = ?'
     ).get(currentLevel);
 
-    if (!row) return { level: currentLevel, sessions: 0, avgScore: 0, days: 0 };
+    if (!row) return { level: currentLevel, sessions: 0, avgScore: 0, days: 0, trueAlerts: 0, falseAlerts: 0 };
 
     const avgScore = row.total_evaluations > 0
       ? row.sum_eval_scores / row.total_evaluations
@@ -213,6 +227,8 @@ class TrustTracker {
       evaluations: row.total_evaluations,
       avgScore: parseFloat(avgScore.toFixed(2)),
       days: parseFloat(daysAtLevel.toFixed(1)),
+      trueAlerts: row.true_alerts || 0,
+      falseAlerts: row.false_alerts || 0,
       promotionProgress,
     };
   }
@@ -233,6 +249,10 @@ class TrustTracker {
       lines.push('- Avg eval score: N/A (no evaluations yet)');
     }
 
+    if (metrics.trueAlerts + metrics.falseAlerts > 0) {
+      lines.push(`- Acknowledged alerts: ${metrics.trueAlerts} real, ${metrics.falseAlerts} false alarms`);
+    }
+
     if (metrics.promotionProgress) {
       const p = metrics.promotionProgress;
       lines.push(`- Promotion to ${p.nextLevel}: sessions ${p.sessionPct}%, score ${p.scoreMet ? 'MET' : 'NOT MET'}, days ${p.daysPct}%`);
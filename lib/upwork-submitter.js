@@ -1018,7 +1018,7 @@ class UpworkSubmitter {
     // Only alert for AUTH_EXPIRED which requires manual intervention
     this._log(`SUBMIT FAILED [${errorType}] ${job.title.substring(0, 40)} (${job.uid})`);
     if (errorType === 'AUTH_EXPIRED' && this._notificationManager) {
-      this._notificationManager.notify(`Upwork auth expired — re-login needed`, 2);
+      this._notificationManager.notify(`Upwork auth expired — re-login needed`, 2, { category: 'upwork' });
     }
 
     // Update job status
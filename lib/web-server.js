@@ -4,6 +4,10 @@ const http = require('node:http');
 const fs = require('node:fs');
 const path = require('node:path');
 const RemoteScanner = require('./remote-scanner');
+const HealthHistory = require('./health-history');
+const MetricsExporter = require('./metrics-exporter');
+const { parseDuration } = require('./time-parser');
+const { _semaphore } = require('./exec');
 
 const DEFAULT_PORT = 8051;
 const HOST = '0.0.0.0';
@@ -14,7 +18,19 @@ const SSE_INTERVAL_MS = 5000;
  *
  * Serves a single-page dashboard at GET / and a JSON API under /api/*.
  * SSE stream at /api/events pushes live updates every 5s.
+ * GET /metrics serves Prometheus text format for Grafana.
  * Bound to 127.0.0.1 only — Cloudflare tunnel handles public access.
+ *
+ * With an ApiTokens store injected (and config.web.auth.enabled not false),
+ * every route except the page itself and GET /api/auth needs
+ * `Authorization: Bearer <token>` (SSE may pass ?access_token= since
+ * EventSource can't set headers). Reads need the 'read' scope, Upwork
+ * mutations 'upwork', and every other write — /api/command included —
+ * 'command'. CORS headers are only sent to config.web.allowedOrigins.
+ *
+ * With an AuditLog injected, every write (anything but GET and OPTIONS) is
+ * recorded once its response is sent — denied ones included — under the
+ * token's name. GET /api/audit reads the log back.
  */
 class WebServer {
   /**
@@ -33,9 +49,18 @@ class WebServer {
     this.config = deps.config;
     this.scheduler = deps.scheduler;
     this.scanDb = deps.scanDb || null;
+    this.healthHistory = deps.healthHistory || null;
+    this.incidents = deps.incidents || null;
+    this.maintenance = deps.maintenance || null;
     this.upworkDb = deps.upworkDb || null;
     this.upworkProposals = deps.upworkProposals || null;
     this.upworkSubmitter = deps.upworkSubmitter || null;
+    this.apiTokens = deps.apiTokens || null;
+    this.notificationManager = deps.notificationManager || null;
+    this.audit = deps.audit || null;
+
+    this._authEnabled = !!this.apiTokens && this.config?.web?.auth?.enabled !== false;
+    this._allowedOrigins = this.config?.web?.allowedOrigins || [];
 
     this._port = deps.port ?? DEFAULT_PORT;
     this._startTime = Date.now();
@@ -43,6 +68,15 @@ class WebServer {
     this._sseTimer = null;
     this._server = null;
     this._remoteScanner = new RemoteScanner();
+    this._metrics = new MetricsExporter({
+      healthMonitor: this.healthMonitor,
+      sessionManager: this.sessionManager,
+      notificationManager: this.notificationManager,
+      semaphore: deps.semaphore || _semaphore,
+      revenueTracker: this.revenueTracker,
+      upworkDb: this.upworkDb,
+      startTime: this._startTime,
+    });
 
     // Cache index.html in memory
     const htmlPath = path.join(__dirname, '..', 'public', 'index.html');
@@ -64,6 +98,9 @@ class WebServer {
       this._server.listen(this._port, HOST, () => {
         this._port = this._server.address().port;
         console.log(`[WEB] Dashboard running at http://${HOST}:${this._port}`);
+        if (this._authEnabled && this.apiTokens.countActive() === 0) {
+          console.warn('[WEB] API auth is on but no tokens exist. Create one with: node scripts/api-token.js create <name> read,command,upwork');
+        }
         resolve();
       });
 
@@ -105,10 +142,14 @@ class WebServer {
     const pathname = url.pathname;
     const route = req.method + ' ' + pathname;
 
-    // CORS headers for local dev
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    // CORS only for configured origins; the dashboard itself is same-origin
+    const origin = req.headers.origin;
+    if (origin && this._allowedOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
@@ -116,18 +157,45 @@ class WebServer {
       return;
     }
 
+    if (this.audit && req.method !== 'GET') {
+      res.on('finish', () => this._auditRequest(req, res, route));
+    }
+
+    const scope = this._requiredScope(req.method, pathname);
+    if (scope && !this._authorize(req, res, url, scope)) return;
+
     try {
       switch (route) {
         case 'GET /':
           return this._serveHTML(res);
+        case 'GET /api/auth':
+          return this._handleAuth(req, res, url);
+        case 'GET /metrics':
+          return this._serveMetrics(res);
         case 'GET /api/overview':
           return this._jsonResponse(res, this._getOverview());
         case 'GET /api/projects':
           return this._jsonResponse(res, this._getProjects());
         case 'GET /api/health':
           return this._jsonResponse(res, this._getHealth());
+        case 'GET /api/health/history':
+          return this._handleHealthHistory(res, url.searchParams);
+        case 'GET /api/health/silences':
+          return this._jsonResponse(res, this._getMaintenance());
+        case 'POST /api/health/silences':
+          return await this._handleCreateSilence(req, res);
+        case 'GET /api/notifications':
+          return this._jsonResponse(res, this._getNotifications());
+        case 'GET /api/alerts':
+          return this._jsonResponse(res, this._getAlerts());
+        case 'GET /api/audit':
+          return this._handleAudit(res, url.searchParams);
+        case 'GET /api/incidents':
+          return this._jsonResponse(res, this._getIncidents());
         case 'GET /api/sessions':
           return this._jsonResponse(res, this._getSessions());
+        case 'GET /api/sessions/queue':
+          return this._jsonResponse(res, this._getSessionQueue());
         case 'GET /api/ai':
           return this._jsonResponse(res, this._getAI());
         case 'GET /api/history':
@@ -174,6 +242,15 @@ class WebServer {
             const id = pathname.split('/').pop();
             return this._handleDeleteRemote(res, id);
           }
+          if (req.method === 'DELETE' && pathname.startsWith('/api/health/silences/')) {
+            return this._handleDeleteSilence(res, decodeURIComponent(pathname.split('/').pop()));
+          }
+          if (req.method === 'POST' && /^\/api\/alerts\/\d+\/ack$/.test(pathname)) {
+            return await this._handleAckAlert(req, res, parseInt(pathname.split('/')[3], 10));
+          }
+          if (req.method === 'GET' && /^\/api\/incidents\/\d+$/.test(pathname)) {
+            return this._handleGetIncident(res, parseInt(pathname.split('/').pop(), 10));
+          }
           if (req.method === 'GET' && pathname.startsWith('/api/projects/') && pathname.endsWith('/history')) {
             const projectName = decodeURIComponent(pathname.slice('/api/projects/'.length, -'/history'.length));
             return this._jsonResponse(res, this._getProjectHistory(projectName));
@@ -188,6 +265,92 @@ class WebServer {
     }
   }
 
+  // ── Auth ──────────────────────────────────────────────────────
+
+  /**
+   * Scope a route needs, or null for public routes.
+   * @param {string} method
+   * @param {string} pathname
+   * @returns {string|null}
+   */
+  _requiredScope(method, pathname) {
+    if (method === 'GET' && (pathname === '/' || pathname === '/api/auth')) return null;
+    if (method === 'GET') return 'read';
+    if (pathname.startsWith('/api/upwork/')) return 'upwork';
+    return 'command';
+  }
+
+  /**
+   * Resolve the request's token (Authorization header, or ?access_token= on
+   * the SSE stream) to its identity. Sets req.auth when valid.
+   * @returns {Object|null} { id, name, scopes }
+   */
+  _identify(req, url) {
+    const header = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const token = header ? header[1]
+      : url.pathname === '/api/events' ? url.searchParams.get('access_token') : null;
+    req.auth = token ? this.apiTokens.verify(token) : null;
+    return req.auth;
+  }
+
+  /**
+   * Check the request's token for a scope, answering 401/403 when it fails.
+   * Always passes when auth is off.
+   * @returns {boolean} Whether the request may proceed
+   */
+  _authorize(req, res, url, scope) {
+    if (!this._authEnabled) return true;
+    const identity = this._identify(req, url);
+    if (!identity) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Unauthorized' }));
+      return false;
+    }
+    if (!identity.scopes.includes(scope)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Token "${identity.name}" lacks the "${scope}" scope` }));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * GET /api/auth — who the presented token belongs to. The login page uses
+   * it to check a token before storing it.
+   */
+  _handleAuth(req, res, url) {
+    if (!this._authEnabled) return this._jsonResponse(res, { enabled: false });
+    const identity = this._identify(req, url);
+    if (!identity) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Unauthorized' }));
+      return;
+    }
+    return this._jsonResponse(res, { enabled: true, name: identity.name, scopes: identity.scopes });
+  }
+
+  /**
+   * Record a finished write request in the audit log. The actor is the
+   * token's name; without auth every caller is just "dashboard".
+   */
+  _auditRequest(req, res, route) {
+    let params = null;
+    if (req.rawBody) {
+      try { params = JSON.parse(req.rawBody); } catch { params = { body: req.rawBody }; }
+    }
+    const target = params?.project || params?.service || params?.jobId
+      || (req.method === 'DELETE' ? decodeURIComponent(route.split('/').pop()) : null);
+    this.audit.record({
+      actor: req.auth?.name || (this._authEnabled ? 'anonymous' : 'dashboard'),
+      channel: 'dashboard',
+      action: route,
+      target,
+      params,
+      result: `HTTP ${res.statusCode}`,
+      success: res.statusCode < 400,
+    });
+  }
+
   // ── Route handlers ────────────────────────────────────────────
 
   _serveHTML(res) {
@@ -198,6 +361,11 @@ class WebServer {
     res.end(this._html);
   }
 
+  _serveMetrics(res) {
+    res.writeHead(200, { 'Content-Type': MetricsExporter.CONTENT_TYPE });
+    res.end(this._metrics.collect());
+  }
+
   _jsonResponse(res, data) {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(data));
@@ -230,15 +398,194 @@ class WebServer {
     return {
       results: this.healthMonitor.getLastResults(),
       stats: this.healthMonitor.getStats(),
+      incidents: this.incidents ? this._getIncidents() : null,
+      maintenance: this.maintenance ? this._getMaintenance() : null,
     };
   }
 
+  /**
+   * Active silences and every configured maintenance window (open or not).
+   */
+  _getMaintenance() {
+    if (!this.maintenance) return { enabled: false, silences: [], windows: [] };
+    return {
+      enabled: true,
+      silences: this.maintenance.listSilences(),
+      windows: this.maintenance.listWindows(Date.now(), { all: true }),
+    };
+  }
+
+  /**
+   * POST /api/health/silences { service, duration, reason? } — duration is
+   * "30m"/"2h" style or a number of minutes; service '*' silences everything.
+   */
+  async _handleCreateSilence(req, res) {
+    if (!this.maintenance) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Maintenance silences not configured' }));
+      return;
+    }
+    const body = await this._readBody(req);
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    const durationMs = parseDuration(parsed.duration);
+    if (!parsed.service || !durationMs) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Need "service" and a "duration" like "30m"' }));
+      return;
+    }
+
+    try {
+      const silence = this.maintenance.silence(parsed.service, durationMs, { reason: parsed.reason, by: 'api' });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(silence));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  }
+
+  _handleDeleteSilence(res, service) {
+    const cleared = this.maintenance ? this.maintenance.unsilence(service) : 0;
+    if (cleared > 0) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, cleared }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'No active silence' }));
+    }
+  }
+
+  /**
+   * Open incidents with their timelines, the last few resolved ones and 30-day MTTR.
+   */
+  _getIncidents() {
+    if (!this.incidents) return { open: [], recent: [], mttr: { resolved: 0, mttrMs: null } };
+    return {
+      open: this.incidents.list({ status: 'open', limit: 20 }).map(i => this.incidents.get(i.id)),
+      recent: this.incidents.list({ status: 'resolved', limit: 5 }),
+      mttr: this.incidents.getMttr(),
+    };
+  }
+
+  _handleGetIncident(res, id) {
+    const incident = this.incidents ? this.incidents.get(id) : null;
+    if (!incident) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Incident not found' }));
+      return;
+    }
+    return this._jsonResponse(res, incident);
+  }
+
+  /**
+   * Uptime and p50/p95 latency per service over 24h/7d/30d.
+   * ?window= limits the report to one window; ?service= limits it to one
+   * service and adds that service's most recent raw checks.
+   */
+  _handleHealthHistory(res, params) {
+    if (!this.healthHistory) return this._jsonResponse(res, { enabled: false, services: {} });
+
+    const window = params.get('window');
+    const service = params.get('service');
+    if (window && !HealthHistory.WINDOWS[window]) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Unknown window "${window}"` }));
+      return;
+    }
+
+    const report = this.healthHistory.getReport({
+      windows: window ? [window] : undefined,
+      service: service || undefined,
+    });
+    if (service) report.recent = this.healthHistory.getHistory(service, { limit: 50 });
+    return this._jsonResponse(res, { enabled: true, ...report });
+  }
+
+  _getNotifications() {
+    if (!this.notificationManager) return { enabled: false, stats: null, queued: [], deliveries: [] };
+    return {
+      enabled: true,
+      stats: this.notificationManager.getStats(),
+      ...this.notificationManager.getUndelivered(),
+    };
+  }
+
+  _getAlerts() {
+    if (!this.notificationManager) return { enabled: false, open: [], recent: [] };
+    return { enabled: true, ...this.notificationManager.getAlerts() };
+  }
+
+  /**
+   * POST /api/alerts/:id/ack  { falseAlarm?: boolean }
+   */
+  async _handleAckAlert(req, res, id) {
+    if (!this.notificationManager) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Notifications not configured' }));
+      return;
+    }
+    const body = await this._readBody(req);
+    let parsed = {};
+    try {
+      if (body) parsed = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    const alert = this.notificationManager.acknowledge(id, {
+      falseAlarm: parsed.falseAlarm === true,
+      by: req.auth?.name || 'dashboard',
+    });
+    if (!alert) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No alert ${id}` }));
+      return;
+    }
+    this._jsonResponse(res, alert);
+  }
+
+  /**
+   * GET /api/audit?channel=&actor=&action=&target=&since=&success=&limit=
+   */
+  _handleAudit(res, params) {
+    if (!this.audit) return this._jsonResponse(res, { enabled: false, entries: [] });
+    const success = params.get('success');
+    const entries = this.audit.query({
+      channel: params.get('channel') || undefined,
+      actor: params.get('actor') || undefined,
+      action: params.get('action') || undefined,
+      target: params.get('target') || undefined,
+      since: params.get('since') || undefined,
+      success: success === null ? undefined : success === 'true',
+      limit: params.get('limit') || undefined,
+    });
+    return this._jsonResponse(res, { enabled: true, entries });
+  }
+
   _getSessions() {
     return {
       sessions: this.sessionManager.getSessionStatuses(),
     };
   }
 
+  _getSessionQueue() {
+    return {
+      queue: this.sessionManager.getQueue(),
+      active: this.sessionManager.getActiveSessions().length,
+      maxConcurrent: this.sessionManager.maxConcurrent,
+    };
+  }
+
   _getAI() {
     const status = this.aiBrain.getStatus();
     const lastDecision = this.aiBrain.getLastDecision();
@@ -713,6 +1060,7 @@ class WebServer {
       sessions: this._getSessions(),
       ai: this._getAI(),
       remoteSessions: this._getRemoteSessions(),
+      alerts: this._getAlerts(),
     };
   }
 
@@ -722,7 +1070,10 @@ class WebServer {
     return new Promise((resolve, reject) => {
       let data = '';
       req.on('data', chunk => { data += chunk; });
-      req.on('end', () => resolve(data));
+      req.on('end', () => {
+        req.rawBody = data; // for the audit log
+        resolve(data);
+      });
       req.on('error', reject);
     });
   }
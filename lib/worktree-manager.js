@@ -0,0 +1,232 @@
+'use strict';
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * What to do with a session's worktree for each evaluation recommendation.
+ * Overridable per key via config.worktrees.onRecommendation.
+ */
+const DEFAULT_ACTIONS = {
+  complete: 'merge',
+  continue: 'keep',
+  retry: 'discard',
+  escalate: 'keep',
+};
+
+/**
+ * WorktreeManager - Isolates managed sessions in dedicated git worktrees.
+ *
+ * Each session gets a worktree under <project>/.orchestrator/worktrees/<ts>
+ * on an `orch/<project>/<ts>` branch, so it never touches the user's
+ * uncommitted changes in the main checkout. The worktree's .orchestrator
+ * is a symlink back to the project's, so signal files, session.json and
+ * evaluation.json stay where the rest of the orchestrator looks for them.
+ *
+ * When a session finishes, the evaluation recommendation picks an action:
+ * merge the branch into the base branch, discard it, or keep it around for
+ * a human (or the next auto-resume) to pick up.
+ */
+class WorktreeManager {
+  /**
+   * @param {Object} config - Parsed config.json object (reads config.worktrees)
+   */
+  constructor(config) {
+    this.config = config.worktrees || {};
+    this.actions = { ...DEFAULT_ACTIONS, ...(this.config.onRecommendation || {}) };
+  }
+
+  /**
+   * @returns {boolean} True when sessions should run in worktrees
+   */
+  isEnabled() {
+    return this.config.enabled === true;
+  }
+
+  /**
+   * Create a worktree for a new session, or reuse one left open by a
+   * previous session (kept, or stopped before it was finalized).
+   *
+   * @param {string} projectDir - Absolute path to the main checkout
+   * @param {string} shortName - Project short name (used in the branch name)
+   * @param {Object|null} [previous] - Worktree record from the last session.json
+   * @returns {{ success: boolean, message: string, notGit?: boolean, worktree?: Object }}
+   */
+  prepare(projectDir, shortName, previous) {
+    if (previous && ['active', 'kept'].includes(previous.status) && fs.existsSync(previous.path)) {
+      return {
+        success: true,
+        message: `Reusing worktree on ${previous.branch}`,
+        worktree: { ...previous, status: 'active', reused: true },
+      };
+    }
+
+    try {
+      this._git(projectDir, 'rev-parse --is-inside-work-tree');
+    } catch {
+      return { success: false, notGit: true, message: `${shortName} is not a git repo` };
+    }
+
+    try {
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+      const branch = `orch/${shortName}/${stamp}`;
+      const worktreePath = path.join(projectDir, '.orchestrator', 'worktrees', stamp);
+
+      let baseBranch = this._git(projectDir, 'rev-parse --abbrev-ref HEAD');
+      if (baseBranch === 'HEAD') baseBranch = null; // Detached — nothing to merge back into
+      const baseCommit = this._git(projectDir, 'rev-parse HEAD');
+
+      this._excludeOrchestratorDir(projectDir);
+      fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+      this._git(projectDir, `worktree add -b "${branch}" "${worktreePath}" ${baseCommit}`);
+
+      // Point the worktree's .orchestrator at the project's so signals land in one place
+      const linkPath = path.join(worktreePath, '.orchestrator');
+      if (!fs.existsSync(linkPath)) {
+        fs.symlinkSync(path.join(projectDir, '.orchestrator'), linkPath);
+      }
+
+      return {
+        success: true,
+        message: `Created worktree on ${branch}`,
+        worktree: {
+          path: worktreePath,
+          branch,
+          baseBranch,
+          baseCommit,
+          createdAt: new Date().toISOString(),
+          status: 'active',
+        },
+      };
+    } catch (e) {
+      return { success: false, message: `Worktree setup failed: ${e.message}` };
+    }
+  }
+
+  /**
+   * Action configured for an evaluation recommendation.
+   * @param {string} recommendation - continue | retry | escalate | complete
+   * @returns {'merge'|'discard'|'keep'}
+   */
+  actionFor(recommendation) {
+    return this.actions[recommendation] || 'keep';
+  }
+
+  /**
+   * Merge a session branch into its base branch in the main checkout, then
+   * remove the worktree. Leaves everything in place on any failure.
+   *
+   * @param {string} projectDir
+   * @param {Object} worktree - Worktree record from session.json
+   * @returns {{ success: boolean, message: string, status: string }}
+   */
+  merge(projectDir, worktree) {
+    try {
+      const pending = this._git(worktree.path, 'status --porcelain');
+      if (pending) {
+        return { success: false, status: 'kept', message: `Worktree has uncommitted changes; left ${worktree.branch} for review` };
+      }
+
+      const ahead = parseInt(this._git(projectDir, `rev-list --count ${worktree.baseCommit}.."${worktree.branch}"`), 10) || 0;
+      if (ahead === 0) {
+        const result = this.discard(projectDir, worktree);
+        return { ...result, message: `No commits on ${worktree.branch}; ${result.message}` };
+      }
+
+      if (!worktree.baseBranch) {
+        return { success: false, status: 'kept', message: `No base branch recorded; merge ${worktree.branch} by hand` };
+      }
+      const current = this._git(projectDir, 'rev-parse --abbrev-ref HEAD');
+      if (current !== worktree.baseBranch) {
+        return {
+          success: false,
+          status: 'kept',
+          message: `Main checkout is on ${current}, not ${worktree.baseBranch}; left ${worktree.branch} for review`,
+        };
+      }
+
+      try {
+        this._git(projectDir, `merge --no-ff --no-edit -m "Merge ${worktree.branch} (orchestrator session)" "${worktree.branch}"`);
+      } catch (e) {
+        try { this._git(projectDir, 'merge --abort'); } catch {} // Nothing to abort if merge refused to start
+        return { success: false, status: 'kept', message: `Merge of ${worktree.branch} failed: ${this._firstLine(e)}` };
+      }
+
+      this._remove(projectDir, worktree);
+      return {
+        success: true,
+        status: 'merged',
+        message: `Merged ${ahead} commit${ahead === 1 ? '' : 's'} from ${worktree.branch} into ${worktree.baseBranch}`,
+      };
+    } catch (e) {
+      return { success: false, status: 'kept', message: `Merge error: ${this._firstLine(e)}` };
+    }
+  }
+
+  /**
+   * Remove a session worktree and delete its branch.
+   * @param {string} projectDir
+   * @param {Object} worktree - Worktree record from session.json
+   * @returns {{ success: boolean, message: string, status: string }}
+   */
+  discard(projectDir, worktree) {
+    try {
+      this._remove(projectDir, worktree);
+      return { success: true, status: 'discarded', message: `Discarded ${worktree.branch}` };
+    } catch (e) {
+      return { success: false, status: 'kept', message: `Discard error: ${this._firstLine(e)}` };
+    }
+  }
+
+  /**
+   * Remove the worktree directory, prune its metadata and delete the branch.
+   * @private
+   */
+  _remove(projectDir, worktree) {
+    if (fs.existsSync(worktree.path)) {
+      this._git(projectDir, `worktree remove --force "${worktree.path}"`);
+    }
+    this._git(projectDir, 'worktree prune');
+    this._git(projectDir, `branch -D "${worktree.branch}"`);
+  }
+
+  /**
+   * Add .orchestrator/ to the repo's info/exclude so neither the main
+   * checkout nor session worktrees (via the symlink) ever commit it.
+   * @private
+   */
+  _excludeOrchestratorDir(projectDir) {
+    const commonDir = path.resolve(projectDir, this._git(projectDir, 'rev-parse --git-common-dir'));
+    const excludeFile = path.join(commonDir, 'info', 'exclude');
+    const existing = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf-8') : '';
+    if (existing.split('\n').some((l) => l.trim() === '.orchestrator' || l.trim() === '.orchestrator/')) return;
+
+    fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+    const prefix = existing && !existing.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(excludeFile, `${prefix}.orchestrator\n`);
+  }
+
+  /**
+   * Run a git command in a directory and return trimmed stdout.
+   * @private
+   */
+  _git(dir, args) {
+    return execSync(`git -C "${dir}" ${args}`, {
+      encoding: 'utf-8',
+      timeout: 15000,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    }).trim();
+  }
+
+  /**
+   * First non-empty line of a git error (stderr is more useful than the command echo).
+   * @private
+   */
+  _firstLine(e) {
+    const text = (e.stderr && e.stderr.toString()) || e.message || '';
+    return text.split('\n').map((l) => l.trim()).find(Boolean) || 'unknown error';
+  }
+}
+
+module.exports = { WorktreeManager, DEFAULT_ACTIONS };
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * api-token.js — Manage bearer tokens for the dashboard API.
+ *
+ * Usage:
+ *   node scripts/api-token.js create <name> [scopes]   scopes: comma-separated, default "read"
+ *   node scripts/api-token.js list
+ *   node scripts/api-token.js revoke <id>
+ *
+ * Scopes: read (dashboard, SSE, /metrics), command (/api/command and other
+ * writes), upwork (apply, dismiss, proposals, auto-apply).
+ * The token is printed once on create; only its hash is stored.
+ */
+
+const ApiTokens = require('../lib/api-tokens');
+
+const [cmd, arg, scopeArg] = process.argv.slice(2);
+const tokens = new ApiTokens();
+
+try {
+  if (cmd === 'create' && arg) {
+    const scopes = (scopeArg || 'read').split(',').map(s => s.trim()).filter(Boolean);
+    const created = tokens.create(arg, scopes);
+    console.log(`Created token #${created.id} "${created.name}" (${created.scopes.join(', ')}):\n`);
+    console.log(`  ${created.token}\n`);
+    console.log('Store it now; it cannot be shown again.');
+  } else if (cmd === 'list') {
+    const all = tokens.list();
+    if (all.length === 0) console.log('No tokens.');
+    for (const t of all) {
+      const state = t.revokedAt ? `revoked ${t.revokedAt}` : `last used ${t.lastUsedAt || 'never'}`;
+      console.log(`#${t.id}  ${t.name.padEnd(20)} ${t.scopes.join(',').padEnd(20)} ${state}`);
+    }
+  } else if (cmd === 'revoke' && arg) {
+    console.log(tokens.revoke(parseInt(arg, 10)) ? `Revoked token #${arg}.` : `No active token #${arg}.`);
+  } else {
+    console.log('Usage: node scripts/api-token.js create <name> [read,command,upwork] | list | revoke <id>');
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  tokens.close();
+}
@@ -3,6 +3,9 @@
 # Usage: ./scripts/batch-apply.sh
 
 API="http://localhost:8051"
+# Dashboard API token with the "read" and "upwork" scopes, if auth is on
+AUTH=()
+[ -n "$ORCH_TOKEN" ] && AUTH=(-H "Authorization: Bearer $ORCH_TOKEN")
 MAX_WAIT=120  # seconds to wait per job
 
 JOBS=(
@@ -32,7 +35,7 @@ for i in "${!JOBS[@]}"; do
   idx=$((i + 1))
 
   # Get job title
-  TITLE=$(curl -s "$API/api/upwork/jobs" | python3 -c "
+  TITLE=$(curl -s "${AUTH[@]}" "$API/api/upwork/jobs" | python3 -c "
 import json, sys
 data = json.load(sys.stdin)
 for j in data.get('jobs', []):
@@ -47,7 +50,7 @@ else:
   echo "  UID: $uid"
 
   # Submit
-  RESULT=$(curl -s -X POST "$API/api/upwork/apply" \
+  RESULT=$(curl -s -X POST "${AUTH[@]}" "$API/api/upwork/apply" \
     -H "Content-Type: application/json" \
     -d "{\"uid\": \"$uid\", \"dryRun\": false}" 2>&1)
 
@@ -70,7 +73,7 @@ else:
     ELAPSED=$((ELAPSED + 5))
     echo -n "."
 
-    STATUS=$(curl -s "$API/api/upwork/jobs" | python3 -c "
+    STATUS=$(curl -s "${AUTH[@]}" "$API/api/upwork/jobs" | python3 -c "
 import json, sys
 data = json.load(sys.stdin)
 for j in data.get('jobs', []):
@@ -103,7 +106,7 @@ else:
 
   # If not_found in jobs list, check applied list
   if [ "$FINAL_STATUS" = "check_applied" ]; then
-    APPLIED=$(curl -s "$API/api/upwork/applied" | python3 -c "
+    APPLIED=$(curl -s "${AUTH[@]}" "$API/api/upwork/applied" | python3 -c "
 import json, sys
 data = json.load(sys.stdin)
 for j in data.get('jobs', []):
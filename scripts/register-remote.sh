@@ -15,6 +15,8 @@
 #   source ~/projects/infra/project-orchestrator/scripts/register-remote.sh
 
 ORCH_URL="${ORCH_URL:-http://localhost:8051}"
+# Dashboard API token with the "command" scope (node scripts/api-token.js create <name> read,command)
+ORCH_TOKEN="${ORCH_TOKEN:-}"
 
 register-remote() {
   local url="$1"
@@ -35,9 +37,12 @@ register-remote() {
     json="{\"url\":\"${url}\"}"
   fi
 
+  local -a auth=()
+  [ -n "$ORCH_TOKEN" ] && auth=(-H "Authorization: Bearer $ORCH_TOKEN")
+
   local response
   response=$(curl -s -w "\n%{http_code}" -X POST "${ORCH_URL}/api/remote-sessions" \
-    -H "Content-Type: application/json" \
+    "${auth[@]}" -H "Content-Type: application/json" \
     -d "$json" 2>&1)
 
   local http_code
@@ -57,8 +62,10 @@ register-remote() {
 
 # Also provide a list command
 list-remotes() {
+  local -a auth=()
+  [ -n "$ORCH_TOKEN" ] && auth=(-H "Authorization: Bearer $ORCH_TOKEN")
   local response
-  response=$(curl -s "${ORCH_URL}/api/remote-sessions" 2>&1)
+  response=$(curl -s "${auth[@]}" "${ORCH_URL}/api/remote-sessions" 2>&1)
   echo "$response" | python3 -c "
 import sys, json
 d = json.load(sys.stdin)
@@ -79,5 +86,7 @@ unregister-remote() {
     echo "Usage: unregister-remote <id>"
     return 1
   fi
-  curl -s -X DELETE "${ORCH_URL}/api/remote-sessions/${id}" | python3 -c "import sys,json; d=json.load(sys.stdin); print('Removed' if d.get('ok') else d.get('error','Unknown error'))" 2>/dev/null
+  local -a auth=()
+  [ -n "$ORCH_TOKEN" ] && auth=(-H "Authorization: Bearer $ORCH_TOKEN")
+  curl -s -X DELETE "${auth[@]}" "${ORCH_URL}/api/remote-sessions/${id}" | python3 -c "import sys,json; d=json.load(sys.stdin); print('Removed' if d.get('ok') else d.get('error','Unknown error'))" 2>/dev/null
 }
@@ -0,0 +1,58 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ApiTokens = require('../lib/api-tokens');
+const { createTempDir } = require('./helpers');
+
+describe('ApiTokens', () => {
+  let tmp;
+  let tokens;
+
+  afterEach(() => {
+    if (tokens) tokens.close();
+    if (tmp) tmp.cleanup();
+    tokens = null;
+    tmp = null;
+  });
+
+  function setup() {
+    tmp = createTempDir('api-tokens-test-');
+    tokens = new ApiTokens({ dbPath: path.join(tmp.dir, 'test.db') });
+  }
+
+  it('issues tokens and verifies them by hash', () => {
+    setup();
+    const created = tokens.create('laptop', ['read', 'command', 'read']);
+    assert.match(created.token, /^oc_[\w-]{43}$/);
+    assert.deepEqual(created.scopes, ['read', 'command']);
+
+    const stored = tokens.db.prepare('SELECT token_hash FROM api_tokens').pluck().get();
+    assert.notEqual(stored, created.token);
+    assert.match(stored, /^[0-9a-f]{64}$/);
+
+    assert.deepEqual(tokens.verify(created.token), { id: created.id, name: 'laptop', scopes: ['read', 'command'] });
+    assert.ok(tokens.list()[0].lastUsedAt);
+    assert.equal(tokens.verify(created.token + 'x'), null);
+    assert.equal(tokens.verify('Bearer nonsense'), null);
+  });
+
+  it('stops accepting revoked tokens', () => {
+    setup();
+    const { id, token } = tokens.create('grafana');
+    assert.equal(tokens.countActive(), 1);
+    assert.equal(tokens.revoke(id), true);
+    assert.equal(tokens.revoke(id), false);
+    assert.equal(tokens.verify(token), null);
+    assert.equal(tokens.countActive(), 0);
+    assert.ok(tokens.list()[0].revokedAt);
+  });
+
+  it('rejects unknown scopes and missing names', () => {
+    setup();
+    assert.throws(() => tokens.create('x', ['admin']), /Unknown scope "admin"/);
+    assert.throws(() => tokens.create('', ['read']), /name is required/);
+    assert.throws(() => tokens.create('x', []), /At least one scope/);
+  });
+});
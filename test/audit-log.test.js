@@ -0,0 +1,92 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const AuditLog = require('../lib/audit-log');
+const { createTempDir } = require('./helpers');
+
+describe('AuditLog', () => {
+  let tmp;
+  let audit;
+
+  afterEach(() => {
+    if (audit) audit.close();
+    if (tmp) tmp.cleanup();
+    audit = null;
+    tmp = null;
+  });
+
+  function setup(opts = {}) {
+    tmp = createTempDir('audit-log-test-');
+    audit = new AuditLog({ dbPath: path.join(tmp.dir, 'test.db'), ...opts });
+  }
+
+  it('records actions and filters them newest first', () => {
+    setup();
+    audit.record({ actor: 'health-monitor', channel: 'health', action: 'restart', target: 'mlx-api', params: { type: 'launchd' }, result: 'ok', success: true });
+    audit.record({ actor: 'ai', channel: 'nl', action: 'stop', target: 'crypto-trader', result: 'Stopped', success: true });
+    audit.record({ actor: 'laptop', channel: 'dashboard', action: 'POST /api/command', params: { text: 'stopall' }, result: 'HTTP 500', success: false });
+
+    const all = audit.query();
+    assert.deepEqual(all.map(e => e.action), ['POST /api/command', 'stop', 'restart']);
+    assert.deepEqual(all[2].params, { type: 'launchd' });
+    assert.equal(all[0].success, false);
+
+    assert.deepEqual(audit.query({ channel: 'health' }).map(e => e.target), ['mlx-api']);
+    assert.deepEqual(audit.query({ success: false }).map(e => e.actor), ['laptop']);
+    assert.equal(audit.query({ limit: 1 }).length, 1);
+    assert.equal(audit.query({ since: new Date(Date.now() + 60000).toISOString() }).length, 0);
+  });
+
+  it('is append-only', () => {
+    setup();
+    audit.record({ actor: 'user', channel: 'sms', action: 'ai_off' });
+    assert.throws(() => audit.db.prepare('UPDATE audit_log SET actor = ?').run('someone'), /append-only/);
+    assert.throws(() => audit.db.prepare('DELETE FROM audit_log').run(), /append-only/);
+    assert.equal(audit.query()[0].actor, 'user');
+  });
+
+  it('fills in the current autonomy level from state', () => {
+    setup({
+      state: { load: () => ({ runtimeAutonomyLevel: 'moderate' }), getAutonomyLevel: (s) => s.runtimeAutonomyLevel },
+    });
+    audit.record({ actor: 'ai', channel: 'nl', action: 'start', target: 'x' });
+    audit.record({ actor: 'ai', channel: 'nl', action: 'set_level', autonomyLevel: 'cautious' });
+    assert.deepEqual(audit.query().map(e => e.autonomyLevel), ['cautious', 'moderate']);
+  });
+
+  it('never throws from record()', () => {
+    tmp = createTempDir('audit-log-test-');
+    audit = new AuditLog({ dbPath: path.join(tmp.dir, 'missing', 'test.db') });
+    assert.equal(audit.record({ actor: 'user', channel: 'sms', action: 'silence' }), null);
+  });
+
+  it('answers the audit SMS command', () => {
+    setup({ config: { projects: ['revenue/web-scraping-biz'], health: { services: [{ name: 'mlx-api' }, { name: 'db' }] } } });
+    assert.equal(audit.handleCommand('status'), null);
+    assert.equal(audit.handleCommand('audit'), 'No audited actions.');
+
+    audit.record({ actor: 'health-monitor', channel: 'health', action: 'restart', target: 'mlx-api', success: false });
+    audit.record({ actor: 'user', channel: 'sms', action: 'silence', target: 'db', success: true });
+    audit.record({ actor: 'auto-apply', channel: 'upwork', action: 'apply', target: '~0123' });
+
+    const lines = audit.handleCommand('audit').split('\n');
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^\d+\/\d+ \d\d:\d\d upwork\/auto-apply apply ~0123$/);
+    assert.match(lines[2], /health\/health-monitor restart mlx-api: FAILED$/);
+    assert.match(audit.handleCommand('audit health'), /mlx-api/);
+    assert.match(audit.handleCommand('audit db'), /sms\/user silence db: ok$/);
+    assert.equal(audit.handleCommand('audit 1').split('\n').length, 1);
+    assert.match(audit.handleCommand('audit health mlx-api 5'), /mlx-api: FAILED$/);
+  });
+
+  it('leaves free text starting with "audit" to Claude', () => {
+    setup({ config: { projects: ['revenue/web-scraping-biz'], health: { services: [{ name: 'db' }] } } });
+    audit.record({ actor: 'ai', channel: 'nl', action: 'stop', target: 'revenue/web-scraping-biz' });
+    assert.equal(audit.handleCommand('audit the security of web-scraping-biz please'), null);
+    assert.equal(audit.handleCommand('audit db web-scraping-biz'), null);
+    assert.equal(audit.handleCommand('audit 5 10'), null);
+    assert.match(audit.handleCommand('audit web-scraping-biz'), /nl\/ai stop revenue\/web-scraping-biz/);
+  });
+});
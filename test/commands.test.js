@@ -0,0 +1,40 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CommandRouter = require('../lib/commands');
+
+/**
+ * CommandRouter with the NL path stubbed: anything that reaches it comes
+ * back as "NL: <text>".
+ */
+function createRouter(deps = {}) {
+  const router = new CommandRouter({ projectNames: [], aiBrain: { isEnabled: () => true }, ...deps });
+  router._handleNaturalLanguage = async (text) => `NL: ${text}`;
+  return router;
+}
+
+describe('CommandRouter', () => {
+  it('handles silence commands and sends free text to NL', async () => {
+    const calls = [];
+    const maintenance = {
+      handleCommand: (text, opts) => {
+        calls.push(opts.by);
+        return /^silence mlx-api 30m$/i.test(text) ? 'mlx-api silenced for 30m' : null;
+      },
+    };
+    const router = createRouter({ maintenance });
+    assert.equal(await router.route('silence mlx-api 30m'), 'mlx-api silenced for 30m');
+    assert.equal(await router.route('silence the upwork notifications for today'),
+      'NL: silence the upwork notifications for today');
+    assert.deepEqual(calls, ['dashboard', 'dashboard']);
+    assert.equal(await createRouter().route('silence db 5m'), 'NL: silence db 5m');
+  });
+
+  it('answers audit commands and sends free text to NL', async () => {
+    const audit = { handleCommand: (text) => (/^audit( \d+)?$/i.test(text) ? 'No audited actions.' : null) };
+    const router = createRouter({ audit });
+    assert.equal(await router.route('audit 5'), 'No audited actions.');
+    assert.equal(await router.route('audit the security of my api'), 'NL: audit the security of my api');
+  });
+});
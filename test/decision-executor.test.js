@@ -14,6 +14,7 @@ function createExecutor(overrides = {}) {
     sessionManager: deps.sessionManager,
     messenger: deps.messenger,
     state: deps.state,
+    audit: overrides.audit,
     config: deps.config,
   });
 }
@@ -140,3 +141,30 @@ describe('DecisionExecutor.formatForSMS()', () => {
     assert.ok(second !== null, 'recB should produce text (different rec, not deduped)');
   });
 });
+
+describe('DecisionExecutor.execute()', () => {
+  it('records executed actions in the audit log', async () => {
+    const entries = [];
+    const exec = createExecutor({ audit: { record: (e) => entries.push(e) } });
+
+    const result = await exec.execute({ project: 'foo', action: 'skip', reason: 'blocked on review', validated: true });
+
+    assert.equal(result.executed, true);
+    assert.equal(entries.length, 1);
+    assert.deepEqual(
+      { actor: entries[0].actor, channel: entries[0].channel, action: entries[0].action, target: entries[0].target },
+      { actor: 'ai-brain', channel: 'decision', action: 'skip', target: 'foo' },
+    );
+    assert.equal(entries[0].success, true);
+    assert.equal(entries[0].autonomyLevel, 'observe');
+    assert.equal(entries[0].params.reason, 'blocked on review');
+  });
+
+  it('does not audit actions the autonomy level blocks', async () => {
+    const entries = [];
+    const exec = createExecutor({ audit: { record: (e) => entries.push(e) } });
+    const result = await exec.execute({ project: 'foo', action: 'start', reason: 'x', validated: true });
+    assert.equal(result.rejected, 'autonomy_level');
+    assert.equal(entries.length, 0);
+  });
+});
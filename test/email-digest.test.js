@@ -52,6 +52,9 @@ function createTestDigest(overrides = {}) {
       ],
     },
     scanDb: overrides.scanDb || null,
+    questionManager: overrides.questionManager || null,
+    healthHistory: overrides.healthHistory || null,
+    notificationManager: overrides.notificationManager || null,
   };
 
   const digest = new EmailDigest(deps);
@@ -170,6 +173,68 @@ describe('EmailDigest', () => {
         assert.ok(text.includes('Blocked'));
         assert.ok(text.includes('Waiting on API key'));
         assert.ok(text.includes('revenue/test-project'));
+        assert.ok(!text.includes('Waiting on You'), 'no questions section when none are open');
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('re-surfaces unanswered questions', () => {
+      const { digest, cleanup } = createTestDigest({
+        questionManager: { formatUnanswered: () => ['Q7 test-project: Which DB? (1=sqlite, 2=postgres)'] },
+      });
+      try {
+        const data = digest._gatherData();
+        const text = digest._buildText(data);
+        const html = digest._buildHtml(data);
+        assert.ok(text.includes('Waiting on You'));
+        assert.ok(text.includes('Q7 test-project: Which DB?'));
+        assert.ok(html.includes('Waiting on You (1)'));
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('lists 7-day uptime worst first when history exists', () => {
+      const { digest, cleanup } = createTestDigest({
+        healthHistory: {
+          getReport: () => ({
+            services: {
+              'income-dashboard': { '7d': { checks: 100, uptimePct: 100, p50Ms: 40, p95Ms: 90 } },
+              'mlx-api': { '7d': { checks: 100, uptimePct: 92.5, p50Ms: 300, p95Ms: 1200 } },
+              'retired': { '7d': { checks: 0, uptimePct: null, p50Ms: null, p95Ms: null } },
+            },
+          }),
+        },
+      });
+      try {
+        const data = digest._gatherData();
+        assert.deepEqual(data.uptime.map(u => u.name), ['mlx-api', 'income-dashboard']);
+        const text = digest._buildText(data);
+        assert.ok(text.includes('- mlx-api: 92.5%  p50 300ms  p95 1200ms'));
+        assert.ok(digest._buildHtml(data).includes('Service Uptime (7 days)'));
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('includes notifications routed to email and leaves them queued on dry run', async () => {
+      const marked = [];
+      const { digest, cleanup } = createTestDigest({
+        notificationManager: {
+          getDigestItems: () => [{ id: 4, text: 'UPWORK HIGH MATCH (92%)\nNode scraper', tier: 1, category: 'upwork' }],
+          markDigested: (ids) => marked.push(...ids),
+        },
+      });
+      try {
+        const data = digest._gatherData();
+        assert.ok(digest._buildText(data).includes('- [upwork] UPWORK HIGH MATCH (92%) Node scraper'));
+        assert.ok(digest._buildHtml(data).includes('Notifications (1)'));
+
+        await digest.send({ dryRun: true });
+        assert.deepEqual(marked, []);
+        digest._markNotificationsDigested(data.notifications);
+        assert.deepEqual(marked, [4]);
       } finally {
         cleanup();
       }
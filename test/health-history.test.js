@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const HealthHistory = require('../lib/health-history');
+const HealthMonitor = require('../lib/health-monitor');
+const { createTempDir } = require('./helpers');
+
+const NOW = Date.parse('2026-03-10T12:30:00.000Z');
+const ago = (ms) => new Date(NOW - ms).toISOString();
+const HOUR = 3600000;
+const DAY = 86400000;
+
+describe('HealthHistory', () => {
+  let tmp;
+  let history;
+
+  afterEach(() => {
+    if (history) history.close();
+    if (tmp) tmp.cleanup();
+    history = null;
+    tmp = null;
+  });
+
+  function setup(opts = {}) {
+    tmp = createTempDir('health-history-test-');
+    history = new HealthHistory({ dbPath: path.join(tmp.dir, 'test.db'), ...opts });
+  }
+
+  function check(name, status, latencyMs, when, error = null) {
+    history.record({ name, status, latencyMs, error, lastChecked: when });
+  }
+
+  it('reports uptime and nearest-rank latency percentiles per window', () => {
+    setup();
+    // Last 24h: 19 up checks at 10..190ms and one timeout
+    for (let i = 1; i <= 19; i++) check('api', 'up', i * 10, ago(i * 60000));
+    check('api', 'down', 5000, ago(30 * 60000), 'timeout');
+    // Three days ago: a 10-check outage
+    for (let i = 0; i < 10; i++) check('api', 'down', 5000, ago(3 * DAY + i * 60000), 'ECONNREFUSED');
+
+    const { services } = history.getReport({ now: NOW });
+    assert.deepEqual(services.api['24h'], { checks: 20, uptimePct: 95, p50Ms: 100, p95Ms: 190 });
+    assert.deepEqual(services.api['7d'], { checks: 30, uptimePct: 63.33, p50Ms: 100, p95Ms: 190 });
+    assert.equal(services.api['30d'].checks, 30);
+  });
+
+  it('limits the report to one service and window', () => {
+    setup();
+    check('api', 'up', 20, ago(HOUR));
+    check('db', 'down', null, ago(HOUR), 'ECONNREFUSED');
+
+    const report = history.getReport({ windows: ['24h'], service: 'db', now: NOW });
+    assert.deepEqual(report.windows, ['24h']);
+    assert.deepEqual(Object.keys(report.services), ['db']);
+    assert.deepEqual(report.services.db['24h'], { checks: 1, uptimePct: 0, p50Ms: null, p95Ms: null });
+    assert.throws(() => history.getReport({ windows: ['1y'] }), /Unknown window "1y"/);
+  });
+
+  it('returns raw checks newest first', () => {
+    setup();
+    check('api', 'up', 20, ago(2 * HOUR));
+    check('api', 'down', 5000, ago(HOUR), 'timeout');
+
+    const rows = history.getHistory('api');
+    assert.deepEqual(rows[0], { checkedAt: ago(HOUR), status: 'down', latencyMs: 5000, error: 'timeout' });
+    assert.equal(rows.length, 2);
+    assert.equal(history.getHistory('api', { since: ago(90 * 60000) }).length, 1);
+  });
+
+  it('keeps maintenance checks out of uptime', () => {
+    setup();
+    check('api', 'up', 20, ago(HOUR));
+    check('api', 'maintenance', null, ago(HOUR), 'ECONNREFUSED');
+
+    assert.equal(history.getHistory('api')[0].status, 'maintenance');
+    const { services } = history.getReport({ windows: ['24h'], now: NOW });
+    assert.deepEqual(services.api['24h'], { checks: 1, uptimePct: 100, p50Ms: 20, p95Ms: 20 });
+  });
+
+  it('keeps rollups after raw checks expire', () => {
+    setup({ rawRetentionDays: 0 });
+    check('api', 'up', 20, ago(HOUR));
+    check('api', 'down', null, ago(HOUR), 'timeout');
+
+    assert.equal(history.cleanup(), 2);
+    assert.deepEqual(history.getHistory('api'), []);
+    const { services } = history.getReport({ windows: ['24h'], now: NOW });
+    assert.deepEqual(services.api['24h'], { checks: 2, uptimePct: 50, p50Ms: null, p95Ms: null });
+  });
+});
+
+describe('HealthMonitor with history', () => {
+  it('records every check result', async () => {
+    const recorded = [];
+    const monitor = new HealthMonitor({
+      config: { health: { services: [{ name: 'mystery', type: 'carrier-pigeon' }] } },
+      healthHistory: { record: (r) => recorded.push(r) },
+    });
+    await monitor.checkAll();
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].name, 'mystery');
+    assert.equal(recorded[0].status, 'down');
+    assert.match(recorded[0].error, /Unknown check type/);
+  });
+});
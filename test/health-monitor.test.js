@@ -3,10 +3,13 @@
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 const cp = require('child_process');
+const { EventEmitter } = require('events');
 const path = require('path');
+const tls = require('tls');
 
-// Health monitor module path for cache clearing
+// Health monitor and backend module paths for cache clearing
 const hmPath = path.resolve(__dirname, '../lib/health-monitor.js');
+const backendsPath = path.resolve(__dirname, '../lib/service-backends.js');
 
 // Load HealthMonitor initially (for tests that don't need execSync patching)
 let HealthMonitor = require('../lib/health-monitor');
@@ -14,14 +17,16 @@ let HealthMonitor = require('../lib/health-monitor');
 // Preserve originals for cleanup
 const origFetch = global.fetch;
 const origExecSync = cp.execSync;
+const origTlsConnect = tls.connect;
 
 /**
- * Clear module cache for health-monitor and re-require it.
- * This is needed because health-monitor.js destructures execSync
+ * Clear module cache for health-monitor (and its service backends) and re-require it.
+ * This is needed because both modules destructure execSync
  * at module load time, so patching cp.execSync after load has no effect.
  */
 function reloadHealthMonitor() {
   delete require.cache[hmPath];
+  delete require.cache[backendsPath];
   HealthMonitor = require(hmPath);
   return HealthMonitor;
 }
@@ -30,9 +35,11 @@ describe('HealthMonitor', () => {
 
   afterEach(() => {
     global.fetch = origFetch;
+    tls.connect = origTlsConnect;
     // Restore execSync and re-require to get clean module
     cp.execSync = origExecSync;
     delete require.cache[hmPath];
+    delete require.cache[backendsPath];
     HealthMonitor = require(hmPath);
   });
 
@@ -573,4 +580,237 @@ describe('HealthMonitor', () => {
       assert.equal(stats.down, 0);
     });
   });
+
+  describe('HTTP assertions', () => {
+    const respond = (status, body) => { global.fetch = async () => ({ status, text: async () => body }); };
+    const check = (service) => new HealthMonitor({ config: {} })._checkHTTP({ url: 'http://localhost:9999/', ...service });
+
+    it('requires an expected status when configured', async () => {
+      respond(503, '');
+      assert.deepEqual(await check({ expectStatus: [200, 204] }), { up: false, statusCode: 503, error: 'status 503 (expected 200/204)' });
+      respond(204, '');
+      assert.equal((await check({ expectStatus: [200, 204] })).up, true);
+    });
+
+    it('matches the body against a regex', async () => {
+      respond(200, '<html>Maintenance</html>');
+      assert.equal((await check({ bodyMatch: 'Welcome|Dashboard' })).error, 'body does not match /Welcome|Dashboard/');
+      assert.equal((await check({ bodyMatch: 'Maint' })).up, true);
+    });
+
+    it('asserts JSON paths by value or presence', async () => {
+      respond(200, JSON.stringify({ status: 'degraded', checks: [{ db: { ok: true } }] }));
+      assert.equal((await check({ expectJson: { path: '$.checks[0].db.ok', equals: true } })).up, true);
+      assert.equal((await check({ expectJson: { path: '$.version' } })).error, '$.version is missing');
+      assert.equal(
+        (await check({ expectJson: [{ path: '$.checks[0].db.ok' }, { path: '$.status', equals: 'ok' }] })).error,
+        '$.status is "degraded" (expected "ok")'
+      );
+
+      respond(200, 'not json');
+      assert.equal((await check({ expectJson: { path: '$.status' } })).error, 'response is not JSON');
+    });
+  });
+
+  describe('_checkScript', () => {
+    const hm = () => new HealthMonitor({ config: {} });
+
+    it('is up when the command exits 0', () => {
+      assert.deepEqual(hm()._checkScript({ command: 'echo checking; echo all good' }), { up: true, exitCode: 0, output: 'all good' });
+    });
+
+    it('reports the exit code and last stderr line on failure', () => {
+      const result = hm()._checkScript({ command: 'echo partial; echo "queue depth 900" >&2; exit 2' });
+      assert.equal(result.up, false);
+      assert.equal(result.exitCode, 2);
+      assert.equal(result.error, 'exit 2: queue depth 900');
+    });
+
+    it('reports a timeout', () => {
+      assert.deepEqual(hm()._checkScript({ command: 'sleep 5', timeoutMs: 200 }), { up: false, exitCode: null, error: 'timeout' });
+    });
+  });
+
+  describe('_checkTLS', () => {
+    /** Fake tls.connect presenting a certificate that expires in `days`. */
+    function presentCert(days, { authorized = true, authorizationError = null } = {}) {
+      tls.connect = (opts, onConnect) => {
+        const sock = new EventEmitter();
+        sock.authorized = authorized;
+        sock.authorizationError = authorizationError;
+        sock.getPeerCertificate = () => ({ valid_to: new Date(Date.now() + days * 86400000).toUTCString(), issuer: { O: 'Test CA' } });
+        sock.setTimeout = () => {};
+        sock.destroy = () => {};
+        process.nextTick(onConnect);
+        return sock;
+      };
+    }
+    const check = (service = {}) => new HealthMonitor({ config: {} })._checkTLS({ host: 'example.test', ...service });
+
+    it('is up without a warning when the certificate has time left', async () => {
+      presentCert(60);
+      const result = await check();
+      assert.equal(result.up, true);
+      assert.equal(result.daysLeft, 59);
+      assert.equal(result.issuer, 'Test CA');
+      assert.equal(result.warning, undefined);
+    });
+
+    it('warns within warnDays of expiry', async () => {
+      presentCert(5.5);
+      const result = await check({ warnDays: 7 });
+      assert.equal(result.up, true);
+      assert.match(result.warning, /^certificate expires in 5d \(\d{4}-\d{2}-\d{2}\)$/);
+    });
+
+    it('is down when expired or untrusted', async () => {
+      presentCert(-2, { authorized: false, authorizationError: 'CERT_HAS_EXPIRED' });
+      assert.match((await check()).error, /^certificate expired /);
+
+      presentCert(90, { authorized: false, authorizationError: 'DEPTH_ZERO_SELF_SIGNED_CERT' });
+      assert.equal((await check()).error, 'certificate not trusted: DEPTH_ZERO_SELF_SIGNED_CERT');
+      assert.equal((await check({ allowUnauthorized: true })).up, true);
+    });
+  });
+
+  describe('_checkDNS', () => {
+    function withAnswers(answers) {
+      const hm = new HealthMonitor({ config: {} });
+      hm._createResolver = () => ({
+        resolve: async (hostname, type) => {
+          if (answers instanceof Error) throw answers;
+          return answers[type] || [];
+        },
+      });
+      return hm;
+    }
+
+    it('is up when the name resolves', async () => {
+      const result = await withAnswers({ A: ['10.0.0.5'] })._checkDNS({ hostname: 'api.test' });
+      assert.deepEqual(result, { up: true, answers: ['10.0.0.5'], error: null });
+    });
+
+    it('requires expected answers when configured', async () => {
+      const hm = withAnswers({ A: ['10.0.0.9'], MX: [{ exchange: 'mx1.test', priority: 10 }] });
+      assert.equal((await hm._checkDNS({ hostname: 'api.test', expect: '10.0.0.5' })).error, 'missing 10.0.0.5 (got 10.0.0.9)');
+      assert.equal((await hm._checkDNS({ hostname: 'test', recordType: 'mx', expect: ['mx1.test'] })).up, true);
+    });
+
+    it('is down on resolver errors', async () => {
+      const err = Object.assign(new Error('queryA ENOTFOUND'), { code: 'ENOTFOUND' });
+      assert.deepEqual(await withAnswers(err)._checkDNS({ hostname: 'gone.test' }), { up: false, error: 'ENOTFOUND' });
+    });
+  });
+
+  describe('new check types in the alert pipeline', () => {
+    it('counts script failures toward the alert threshold', async () => {
+      const notifications = [];
+      const hm = new HealthMonitor({
+        config: { health: { services: [{ name: 'queue', type: 'script', command: 'exit 1' }], consecutiveFailsBeforeAlert: 2 } },
+        notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+      });
+      await hm.checkAll();
+      assert.equal(notifications.length, 0);
+      hm._lastCheckTime = {}; // Due again
+      await hm.checkAll();
+      assert.equal(hm.getLastResults().queue.consecutiveFails, 2);
+      assert.equal(notifications.length, 1);
+      assert.match(notifications[0].msg, /SERVICE DOWN: queue[\s\S]*Error: exit 1/);
+    });
+
+    it('sends warnings as ACTION notifications at most daily', () => {
+      const notifications = [];
+      const hm = new HealthMonitor({
+        config: {},
+        notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+      });
+      hm._results = { site: { name: 'site', type: 'tls', status: 'up', consecutiveFails: 0, warning: 'certificate expires in 3d (2026-01-04)' } };
+      hm._processResults();
+      hm._processResults();
+      assert.equal(notifications.length, 1);
+      assert.equal(notifications[0].tier, 2);
+      assert.equal(notifications[0].msg, 'SERVICE WARNING: site\ncertificate expires in 3d (2026-01-04)');
+    });
+  });
+
+  describe('dependency graph', () => {
+    const down = (name, consecutiveFails = 3) => ({ name, type: 'http', status: 'down', consecutiveFails, error: 'ECONNREFUSED' });
+
+    function createMonitor(services, { autonomy = 'observe' } = {}) {
+      const notifications = [];
+      const restarted = [];
+      const hm = new HealthMonitor({
+        config: { health: { services, consecutiveFailsBeforeAlert: 3 } },
+        notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+        state: { load: () => ({}), getAutonomyLevel: () => autonomy },
+      });
+      hm._restartService = (service) => { restarted.push(service.name); };
+      return { hm, notifications, restarted };
+    }
+
+    it('orders services dependencies-first and ignores cycles and unknown names', () => {
+      const { hm } = createMonitor([
+        { name: 'web', dependsOn: ['api'] },
+        { name: 'api', dependsOn: ['db', 'ghost'] },
+        { name: 'db', dependsOn: 'web' },
+        { name: 'cache' },
+      ]);
+      assert.deepEqual(hm._dependencyOrder, ['db', 'api', 'web', 'cache']);
+      assert.deepEqual(hm._dependencies, { db: [], api: ['db'], web: ['api'], cache: [] });
+    });
+
+    it('marks dependents of a down service as blocked and alerts only the root cause', () => {
+      const { hm, notifications } = createMonitor([
+        { name: 'db' },
+        { name: 'api', dependsOn: ['db'] },
+        { name: 'web', dependsOn: ['api'] },
+      ]);
+      hm._results = { db: down('db'), api: down('api'), web: down('web', 5) };
+      hm._applyDependencies();
+      hm._processResults();
+
+      assert.equal(hm._results.api.status, 'blocked');
+      assert.deepEqual(hm._results.web.blockedBy, ['db']);
+      assert.equal(hm._results.web.consecutiveFails, 0);
+      assert.equal(notifications.length, 1);
+      assert.match(notifications[0].msg, /^SERVICE DOWN: db\n[\s\S]*Also blocking: api, web\n/);
+      assert.equal(hm.getStats().blocked, 2);
+      assert.match(hm.formatForContext(), /- web: BLOCKED by db/);
+    });
+
+    it('does not count blocked services toward an infrastructure event', () => {
+      const { hm, notifications } = createMonitor([
+        { name: 'db' },
+        { name: 'api', dependsOn: ['db'] },
+        { name: 'worker', dependsOn: ['db'] },
+      ]);
+      hm._results = { db: down('db'), api: down('api'), worker: down('worker') };
+      hm._applyDependencies();
+      hm._processResults();
+      assert.ok(!notifications.some((n) => n.msg.includes('INFRASTRUCTURE EVENT')));
+    });
+
+    it('restarts root causes in dependency order', () => {
+      const { hm, restarted } = createMonitor([
+        { name: 'web', dependsOn: ['cache'], launchdLabel: 'com.web' },
+        { name: 'worker', launchdLabel: 'com.worker' },
+        { name: 'cache', launchdLabel: 'com.cache' },
+      ], { autonomy: 'full' });
+      hm._results = { worker: down('worker'), cache: down('cache') };
+      hm._processResults();
+      assert.deepEqual(restarted, ['cache', 'worker']);
+    });
+
+    it('re-checks blocked dependents once the root recovers', () => {
+      const { hm } = createMonitor([{ name: 'db' }, { name: 'api', dependsOn: ['db'] }]);
+      hm._results = { db: down('db'), api: down('api') };
+      hm._applyDependencies();
+      hm._lastCheckTime = { db: Date.now(), api: Date.now() };
+
+      hm._results.db = { name: 'db', type: 'http', status: 'up', consecutiveFails: 0 };
+      hm._applyDependencies();
+      assert.equal(hm._lastCheckTime.api, undefined);
+      assert.ok(hm._lastCheckTime.db);
+    });
+  });
 });
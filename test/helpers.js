@@ -62,6 +62,9 @@ function createMockDeps(overrides = {}) {
       startSession: () => ({ success: true, message: 'started' }),
       stopSession: () => ({ success: true, message: 'stopped' }),
       restartSession: () => ({ success: true, message: 'restarted' }),
+      getQueue: () => [],
+      processQueue: () => [],
+      checkAdmission: () => ({ ok: true, reasons: [] }),
       maxConcurrent: 3,
     },
     signalProtocol: { injectClaudeMd: () => {}, clearSignal: () => {} },
@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const IncidentManager = require('../lib/incident-manager');
+const HealthMonitor = require('../lib/health-monitor');
+const { createTempDir } = require('./helpers');
+
+describe('IncidentManager', () => {
+  let tmp;
+  let im;
+
+  afterEach(() => {
+    if (im) im.close();
+    if (tmp) tmp.cleanup();
+    im = null;
+    tmp = null;
+  });
+
+  function setup() {
+    tmp = createTempDir('incident-test-');
+    im = new IncidentManager({ dbPath: path.join(tmp.dir, 'test.db') });
+  }
+
+  /** Pretend the open incident for a service started `ms` ago. */
+  function backdate(service, ms) {
+    im.db.prepare("UPDATE incidents SET opened_at = ? WHERE service = ? AND status = 'open'")
+      .run(new Date(Date.now() - ms).toISOString(), service);
+  }
+
+  it('keeps one open incident per service', () => {
+    setup();
+    const first = im.open('api', { error: 'ECONNREFUSED' });
+    const again = im.open('api', { error: 'timeout' });
+    assert.equal(again.id, first.id);
+    assert.equal(first.status, 'open');
+    assert.deepEqual(first.timeline.map((e) => e.detail), ['Down: ECONNREFUSED']);
+    assert.notEqual(im.open('db').id, first.id);
+  });
+
+  it('links restarts and resolves with duration and resolution', () => {
+    setup();
+    const { id } = im.open('api', { error: 'timeout' });
+    backdate('api', 12 * 60000);
+
+    assert.equal(im.recordRestart({ service: 'api', type: 'launchd', success: false, error: 'exit 1' }), id);
+    assert.equal(im.recordRestart({ service: 'api', type: 'launchd', success: true }), id);
+    assert.equal(im.recordRestart({ service: 'other', type: 'docker', success: true }), null);
+
+    const resolved = im.resolve('api');
+    assert.equal(resolved.status, 'resolved');
+    assert.equal(resolved.resolution, 'auto-restart');
+    assert.ok(Math.abs(resolved.durationMs - 12 * 60000) < 5000);
+    assert.deepEqual(resolved.timeline.map((e) => e.kind), ['opened', 'restart-failed', 'restart', 'resolved']);
+    assert.match(resolved.timeline[3].detail, /Up again after 12m \(auto-restart\)/);
+
+    assert.equal(im.getOpen('api'), null);
+    assert.equal(im.resolve('api'), null);
+  });
+
+  it('reports MTTR over resolved incidents', () => {
+    setup();
+    im.open('api');
+    backdate('api', 10 * 60000);
+    assert.equal(im.resolve('api').resolution, 'recovered');
+    im.open('db');
+    backdate('db', 30 * 60000);
+    im.resolve('db');
+    im.open('cache');
+
+    const { resolved, mttrMs } = im.getMttr();
+    assert.equal(resolved, 2);
+    assert.ok(Math.abs(mttrMs - 20 * 60000) < 5000);
+    assert.equal(im.getMttr({ service: 'db' }).resolved, 1);
+  });
+
+  it('formats a summary and a timeline for SMS', () => {
+    setup();
+    assert.equal(im.formatSummary(), 'No incidents recorded.');
+
+    im.open('api');
+    backdate('api', 5 * 60000);
+    im.resolve('api');
+    const { id } = im.open('db', { error: 'ECONNREFUSED' });
+
+    const summary = im.formatSummary();
+    assert.match(summary, /1 open:\n#2 db - down 0s \(ECONNREFUSED\)/);
+    assert.match(summary, /#1 api - 5m, recovered/);
+    assert.match(summary, /MTTR \(30d\): 5m over 1 incident/);
+
+    assert.match(im.formatTimeline(id), /^Incident #2: db \(open 0s\)\n\d\d:\d\d Down: ECONNREFUSED$/);
+    assert.equal(im.formatTimeline(99), 'No incident #99.');
+  });
+
+  it('formats durations compactly', () => {
+    assert.equal(IncidentManager.formatDuration(45000), '45s');
+    assert.equal(IncidentManager.formatDuration(125 * 60000), '2h 5m');
+    assert.equal(IncidentManager.formatDuration(27 * 3600000), '1d 3h');
+  });
+});
+
+describe('HealthMonitor incident lifecycle', () => {
+  let tmp;
+  let im;
+
+  afterEach(() => {
+    im.close();
+    tmp.cleanup();
+  });
+
+  it('opens on first alert, links restarts and closes on recovery', () => {
+    tmp = createTempDir('incident-hm-test-');
+    im = new IncidentManager({ dbPath: path.join(tmp.dir, 'test.db') });
+    const notifications = [];
+    const restarts = [];
+    const hm = new HealthMonitor({
+      config: { health: { services: [{ name: 'api', type: 'http', url: 'http://localhost:1/' }], consecutiveFailsBeforeAlert: 2 } },
+      notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+      state: {
+        load: () => ({}),
+        getAutonomyLevel: () => 'observe',
+        logHealthRestart: (s, record) => restarts.push(record),
+      },
+      incidents: im,
+    });
+
+    hm._results.api = { name: 'api', type: 'http', status: 'down', consecutiveFails: 2, error: 'ECONNREFUSED' };
+    hm._processResults();
+    const open = im.getOpen('api');
+    assert.ok(open);
+    assert.equal(open.error, 'ECONNREFUSED');
+
+    hm._logRestart({ service: 'api', type: 'launchd', timestamp: new Date().toISOString(), success: true });
+    assert.equal(restarts.length, 1);
+    assert.equal(restarts[0].incidentId, open.id);
+
+    hm._results.api = { name: 'api', type: 'http', status: 'up', consecutiveFails: 0, error: null };
+    hm._processResults();
+    const closed = im.get(open.id);
+    assert.equal(closed.status, 'resolved');
+    assert.equal(closed.resolution, 'auto-restart');
+    const recovered = notifications.find((n) => n.msg.startsWith('SERVICE RECOVERED'));
+    assert.equal(recovered.tier, 3);
+    assert.match(recovered.msg, new RegExp(`incident #${open.id}, auto-restart`));
+
+    // Staying up does not notify again
+    hm._processResults();
+    assert.equal(notifications.filter((n) => n.msg.startsWith('SERVICE RECOVERED')).length, 1);
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const MaintenanceManager = require('../lib/maintenance-manager');
+const HealthMonitor = require('../lib/health-monitor');
+const { createTempDir } = require('./helpers');
+
+// Sunday
+const SUNDAY_0330 = Date.parse('2026-03-08T03:30:00.000Z');
+const MINUTE = 60000;
+
+describe('MaintenanceManager', () => {
+  let tmp;
+  let mm;
+
+  afterEach(() => {
+    if (mm) mm.close();
+    if (tmp) tmp.cleanup();
+    mm = null;
+    tmp = null;
+  });
+
+  function setup(opts = {}) {
+    tmp = createTempDir('maintenance-test-');
+    mm = new MaintenanceManager({ dbPath: path.join(tmp.dir, 'test.db'), services: ['mlx-api', 'db'], ...opts });
+  }
+
+  it('silences a service until the silence ends or is cleared', () => {
+    setup();
+    const s = mm.silence('mlx-api', 30 * MINUTE, { reason: 'redeploy', by: 'sms' });
+    assert.equal(s.createdBy, 'sms');
+
+    const active = mm.getActive('mlx-api');
+    assert.equal(active.source, 'silence');
+    assert.equal(active.reason, 'redeploy');
+    assert.equal(active.until, s.endsAt);
+    assert.equal(mm.getActive('db'), null);
+    assert.equal(mm.getActive('mlx-api', Date.now() + 31 * MINUTE), null);
+
+    assert.equal(mm.unsilence('mlx-api'), 1);
+    assert.equal(mm.getActive('mlx-api'), null);
+    assert.equal(mm.unsilence('mlx-api'), 0);
+  });
+
+  it('replaces a service silence and supports silencing everything', () => {
+    setup();
+    mm.silence('db', 5 * MINUTE);
+    mm.silence('db', 60 * MINUTE);
+    assert.equal(mm.listSilences().length, 1);
+    assert.ok(Date.parse(mm.getActive('db').until) - Date.now() > 55 * MINUTE);
+
+    mm.silence('*', 10 * MINUTE);
+    assert.equal(mm.getActive('mlx-api').source, 'silence');
+    assert.equal(mm.unsilence('*'), 2);
+    assert.equal(mm.listSilences().length, 0);
+  });
+
+  it('rejects unknown services and bad durations', () => {
+    setup();
+    assert.throws(() => mm.silence('nope', MINUTE), /Unknown service "nope"/);
+    assert.throws(() => mm.silence('db', 0), /Duration must be positive/);
+  });
+
+  it('opens cron windows for their duration in the configured timezone', () => {
+    setup({
+      windows: [
+        { name: 'weekly', services: ['db'], cron: '0 3 * * sun', durationMinutes: 60, timezone: 'UTC', reason: 'backups' },
+        { name: 'tokyo', services: '*', cron: '0 12 * * 0', durationMinutes: 45, timezone: 'Asia/Tokyo' },
+        { name: 'broken', services: ['db'], cron: '61 * * * *', durationMinutes: 10 },
+      ],
+    });
+    assert.equal(mm.windows.length, 2);
+
+    // 12:30 in Tokyo is 03:30 UTC
+    assert.deepEqual(mm.getActive('db', SUNDAY_0330), {
+      source: 'window', name: 'weekly', reason: 'backups', until: '2026-03-08T04:00:00.000Z',
+    });
+    assert.equal(mm.getActive('mlx-api', SUNDAY_0330).until, '2026-03-08T03:45:00.000Z');
+    assert.equal(mm.getActive('db', SUNDAY_0330 + 30 * MINUTE), null);
+    assert.equal(mm.getActive('db', SUNDAY_0330 + 86400000), null);
+
+    const windows = mm.listWindows(SUNDAY_0330 + 30 * MINUTE, { all: true });
+    assert.deepEqual(windows.map((w) => [w.name, w.active]), [['weekly', false], ['tokyo', false]]);
+  });
+
+  it('matches cron steps, ranges and day-of-week ranges', () => {
+    setup({ windows: [{ services: ['db'], cron: '*/15 3-5 * * mon-fri', durationMinutes: 5, timezone: 'UTC' }] });
+    const monday = SUNDAY_0330 + 86400000;
+    assert.ok(mm.getActive('db', monday));              // 03:30
+    assert.equal(mm.getActive('db', monday + 7 * MINUTE), null); // 03:37
+    assert.ok(mm.getActive('db', monday + 17 * MINUTE)); // 03:47
+    assert.equal(mm.getActive('db', SUNDAY_0330), null);
+  });
+
+  it('handles silence commands', () => {
+    setup();
+    assert.match(mm.handleCommand('silence MLX-API 30m redeploying'), /^mlx-api silenced for 30m \(until \d\d:\d\d\)/);
+    assert.equal(mm.listSilences()[0].reason, 'redeploying');
+    assert.match(mm.handleCommand('silences'), /^mlx-api silenced (29|30)m more \(redeploying\)$/);
+    assert.equal(mm.handleCommand('unsilence mlx-api'), 'mlx-api unsilenced.');
+    assert.equal(mm.handleCommand('unsilence mlx-api'), "mlx-api wasn't silenced.");
+    assert.equal(mm.handleCommand('silences'), 'Nothing silenced.');
+
+    assert.match(mm.handleCommand('silence all 2h'), /^All services silenced for 2h 0m/);
+    assert.equal(mm.handleCommand('unsilence all'), 'Cleared 1 silence.');
+    assert.equal(mm.handleCommand('status'), null);
+  });
+
+  it('leaves free-text "silence ..." messages to Claude', () => {
+    setup();
+    assert.equal(mm.handleCommand('silence the upwork notifications for today'), null);
+    assert.equal(mm.handleCommand('silence is golden, duct tape is silver'), null);
+    assert.equal(mm.handleCommand('silence db soon'), null);
+    assert.equal(mm.handleCommand('silence nope 5m'), null);
+    assert.equal(mm.handleCommand('silence'), null);
+    assert.equal(mm.listSilences().length, 0);
+  });
+});
+
+describe('HealthMonitor in maintenance', () => {
+  function monitor(active) {
+    const notifications = [];
+    const recorded = [];
+    const hm = new HealthMonitor({
+      config: {
+        health: {
+          consecutiveFailsBeforeAlert: 1,
+          services: [
+            { name: 'db', type: 'carrier-pigeon', launchdLabel: 'com.db' },
+            { name: 'app', type: 'carrier-pigeon', dependsOn: ['db'] },
+          ],
+        },
+      },
+      notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+      state: { load: () => ({}), getAutonomyLevel: () => 'full', logHealthRestart: () => {} },
+      healthHistory: { record: (r) => recorded.push({ name: r.name, status: r.status }) },
+      maintenance: { getActive: (name) => active[name] || null },
+    });
+    hm._restartService = () => { throw new Error('should not restart'); };
+    return { hm, notifications, recorded };
+  }
+
+  it('records maintenance instead of alerting or restarting, and blocks dependents', async () => {
+    const until = new Date(Date.now() + 30 * MINUTE).toISOString();
+    const { hm, notifications, recorded } = monitor({ db: { source: 'silence', reason: 'redeploy', until } });
+    await hm.checkAll();
+
+    const db = hm.getLastResults().db;
+    assert.equal(db.status, 'maintenance');
+    assert.equal(db.consecutiveFails, 0);
+    assert.match(db.error, /Unknown check type/);
+    assert.equal(db.maintenance.until, until);
+    assert.deepEqual(hm.getLastResults().app.blockedBy, ['db']);
+
+    assert.deepEqual(notifications, []);
+    assert.deepEqual(recorded, [{ name: 'db', status: 'maintenance' }, { name: 'app', status: 'down' }]);
+    assert.equal(hm.getStats().maintenance, 1);
+    assert.match(hm.formatForContext(), /db: MAINTENANCE until/);
+  });
+
+  it('alerts normally once maintenance is over', async () => {
+    const active = { db: { source: 'window', name: 'weekly', reason: null, until: new Date().toISOString() } };
+    const { hm, notifications } = monitor(active);
+    hm.state.getAutonomyLevel = () => 'observe';
+    await hm.checkAll();
+    assert.equal(notifications.length, 0);
+
+    delete active.db;
+    hm._lastCheckTime = {};
+    await hm.checkAll();
+    assert.equal(hm.getLastResults().db.status, 'down');
+    assert.match(notifications[0].msg, /^SERVICE DOWN: db/);
+  });
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createTempDir } = require('./helpers');
+
+const Messenger = require('../lib/messenger');
+const {
+  createTransport,
+  IMessageTransport,
+  LocalTransport,
+  WebhookTransport,
+} = require('../lib/transports');
+
+/**
+ * POST a JSON body to a local port and resolve { statusCode, body }.
+ */
+function post(port, urlPath, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port,
+      path: urlPath,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
+    }, (res) => {
+      let data = '';
+      res.on('data', (c) => { data += c; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+describe('Messenger', () => {
+  describe('createTransport', () => {
+    it('defaults to iMessage', () => {
+      const t = createTransport({ myNumber: '+15555555555', claudeNumber: 'bot@icloud.com' });
+      assert.ok(t instanceof IMessageTransport);
+    });
+
+    it('selects transport from config.messaging.transport', () => {
+      assert.ok(createTransport({ messaging: { transport: 'local' } }) instanceof LocalTransport);
+      assert.ok(createTransport({ messaging: { transport: 'Webhook' } }) instanceof WebhookTransport);
+    });
+
+    it('throws on unknown transport', () => {
+      assert.throws(() => createTransport({ messaging: { transport: 'carrier-pigeon' } }), /Unknown messaging transport/);
+    });
+  });
+
+  describe('send', () => {
+    it('passes short messages through unchanged', () => {
+      const sent = [];
+      const m = new Messenger({ myNumber: '+15555555555' }, { send: (t) => sent.push(t) });
+      m.send('hello');
+      assert.deepEqual(sent, ['hello']);
+    });
+
+    it('chunks long messages with [i/n] prefixes', () => {
+      const sent = [];
+      const m = new Messenger({ myNumber: '+15555555555', maxResponseLength: 20 }, { send: (t) => sent.push(t) });
+      m.send('aaaa bbbb cccc dddd eeee ffff gggg');
+      assert.ok(sent.length > 1);
+      assert.ok(sent[0].startsWith(`[1/${sent.length}] `));
+      assert.ok(sent[sent.length - 1].startsWith(`[${sent.length}/${sent.length}] `));
+    });
+
+    it('swallows transport errors', () => {
+      const m = new Messenger({ myNumber: '+15555555555' }, { send: () => { throw new Error('boom'); } });
+      assert.doesNotThrow(() => m.send('hello'));
+      assert.equal(m.send('hello'), false);
+      assert.equal(new Messenger({}, { send: () => {} }).send('hello'), true);
+    });
+
+    it('delegates reads to the transport', () => {
+      const transport = {
+        send: () => {},
+        getNewMessages: (id) => [{ ROWID: id + 1, text: 'hi' }],
+        getLatestRowId: () => 42,
+      };
+      const m = new Messenger({}, transport);
+      assert.equal(m.getLatestRowId(), 42);
+      assert.equal(m.getNewMessages(7)[0].ROWID, 8);
+    });
+  });
+
+  describe('LocalTransport', () => {
+    let tmp;
+    afterEach(() => { if (tmp) tmp.cleanup(); });
+
+    function createLocal(extra = {}) {
+      tmp = createTempDir('transport-local-');
+      return new LocalTransport({
+        myNumber: '+15555555555',
+        messaging: {
+          local: {
+            inboxPath: path.join(tmp.dir, 'inbox.jsonl'),
+            outboxPath: path.join(tmp.dir, 'outbox.jsonl'),
+            ...extra,
+          },
+        },
+      });
+    }
+
+    it('returns nothing when the inbox does not exist', () => {
+      const t = createLocal();
+      assert.deepEqual(t.getNewMessages(0), []);
+      assert.equal(t.getLatestRowId(), null);
+    });
+
+    it('reads JSON and bare-text lines with line-number ROWIDs', () => {
+      const t = createLocal();
+      fs.writeFileSync(t.inboxPath, '{"text":"status","from":"+15555555555"}\nsessions\n\n{"text":"help"}\n');
+      const msgs = t.getNewMessages(0);
+      assert.deepEqual(msgs.map((m) => m.text), ['status', 'sessions', 'help']);
+      assert.deepEqual(msgs.map((m) => m.ROWID), [1, 2, 4]);
+      assert.equal(msgs[1].sender_id, '+15555555555');
+      assert.equal(t.getLatestRowId(), 4);
+      assert.deepEqual(t.getNewMessages(2).map((m) => m.text), ['help']);
+    });
+
+    it('appends outbound messages to the outbox', () => {
+      const t = createLocal();
+      t.send('first');
+      t.send('second');
+      const lines = fs.readFileSync(t.outboxPath, 'utf-8').trim().split('\n').map((l) => JSON.parse(l));
+      assert.deepEqual(lines.map((l) => l.text), ['first', 'second']);
+      assert.equal(lines[0].to, '+15555555555');
+    });
+
+    it('accepts inbound lines over the Unix socket', async () => {
+      const t = createLocal();
+      t.socketPath = path.join(tmp.dir, 'orch.sock');
+      t.start();
+      try {
+        await new Promise((resolve) => t._server.once('listening', resolve));
+        const net = require('net');
+        const client = net.createConnection(t.socketPath);
+        await new Promise((resolve) => client.once('connect', resolve));
+        const echoed = new Promise((resolve) => client.once('data', (d) => resolve(d.toString())));
+
+        client.write('status\n');
+        for (let i = 0; i < 50 && t.getLatestRowId() === null; i++) {
+          await new Promise((r) => setTimeout(r, 10));
+        }
+        assert.equal(t.getNewMessages(0)[0].text, 'status');
+
+        t.send('all good');
+        assert.equal(await echoed, 'all good\n');
+        client.destroy();
+      } finally {
+        t.close();
+      }
+    });
+  });
+
+  describe('WebhookTransport', () => {
+    let transport;
+    let tmp;
+    afterEach(() => {
+      if (transport) transport.close();
+      if (tmp) tmp.cleanup();
+      transport = null;
+      tmp = null;
+    });
+
+    /** Webhook transport persisting its inbox in a temp dir. */
+    function createWebhook(webhook = {}, extra = {}) {
+      if (!tmp) tmp = createTempDir('transport-webhook-');
+      return new WebhookTransport({
+        ...extra,
+        messaging: { webhook: { listenPort: 0, inboxPath: path.join(tmp.dir, 'webhook-inbox.jsonl'), ...webhook } },
+      });
+    }
+
+    it('buffers authenticated inbound messages as myNumber', async () => {
+      transport = createWebhook({ secret: 's3cret' }, { myNumber: '+15555555555' });
+      await transport.start();
+
+      const denied = await post(transport.listenPort, '/inbound', { text: 'status' });
+      assert.equal(denied.statusCode, 401);
+      const wrong = await post(transport.listenPort, '/inbound', { text: 'status' }, { 'X-Webhook-Secret': 's3creT' });
+      assert.equal(wrong.statusCode, 401);
+      const bearer = await post(transport.listenPort, '/inbound', { text: 'bearer' }, { Authorization: 'Bearer s3cret' });
+      assert.equal(bearer.statusCode, 202);
+
+      const ok = await post(transport.listenPort, '/inbound', { text: 'status' }, { 'X-Webhook-Secret': 's3cret' });
+      assert.equal(ok.statusCode, 202);
+
+      const msgs = transport.getNewMessages(0);
+      assert.deepEqual(msgs.map((m) => m.text), ['bearer', 'status']);
+      assert.equal(msgs[1].sender_id, '+15555555555');
+      assert.equal(transport.getLatestRowId(), msgs[1].ROWID);
+      assert.deepEqual(transport.getNewMessages(msgs[1].ROWID), []);
+    });
+
+    it('requires "from" when no secret is configured', async () => {
+      transport = createWebhook({}, { myNumber: '+15555555555' });
+      await transport.start();
+
+      await post(transport.listenPort, '/inbound', { text: 'anon' });
+      await post(transport.listenPort, '/inbound', { text: 'me', from: '+15555555555' });
+      const msgs = transport.getNewMessages(0);
+      assert.equal(msgs[0].sender_id, null);
+      assert.equal(msgs[1].sender_id, '+15555555555');
+      assert.ok(msgs[1].ROWID > msgs[0].ROWID);
+    });
+
+    it('rejects bodies without text', async () => {
+      transport = createWebhook();
+      await transport.start();
+      const res = await post(transport.listenPort, '/inbound', { from: '+15555555555' });
+      assert.equal(res.statusCode, 400);
+    });
+
+    it('rejects non-object and oversized bodies without crashing', async () => {
+      transport = createWebhook();
+      await transport.start();
+      assert.equal((await post(transport.listenPort, '/inbound', null)).statusCode, 400);
+      assert.equal((await post(transport.listenPort, '/inbound', 42)).statusCode, 400);
+      const big = await post(transport.listenPort, '/inbound', { text: 'x'.repeat(70000), from: '+15555555555' });
+      assert.equal(big.statusCode, 413);
+      assert.deepEqual(transport.getNewMessages(0), []);
+    });
+
+    it('keeps unpolled messages across a restart', async () => {
+      transport = createWebhook({ maxBuffered: 2 });
+      const first = transport.receive('one', '+15555555555');
+      transport.receive('two', '+15555555555');
+      transport.receive('three', '+15555555555');
+      transport.close();
+
+      transport = createWebhook({ maxBuffered: 2 });
+      assert.deepEqual(transport.getNewMessages(first.ROWID).map((m) => m.text), ['two', 'three']);
+      const latest = transport.getLatestRowId();
+      assert.ok(transport.receive('four', null).ROWID > latest);
+      assert.equal(fs.readFileSync(transport.inboxPath, 'utf-8').trim().split('\n').length, 3);
+    });
+
+    it('reports failed sends through Messenger', async () => {
+      const sink = http.createServer((req, res) => { req.resume(); res.writeHead(503); res.end(); });
+      await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+      try {
+        const config = { myNumber: '+15555555555', messaging: { webhook: { url: `http://127.0.0.1:${sink.address().port}/send` } } };
+        assert.equal(await new Messenger(config, new WebhookTransport(config)).send('hello'), false);
+        const noUrl = { myNumber: '+15555555555', messaging: { webhook: {} } };
+        assert.equal(await new Messenger(noUrl, new WebhookTransport(noUrl)).send('hello'), false);
+      } finally {
+        sink.close();
+      }
+    });
+
+    it('POSTs outbound messages in order', async () => {
+      const received = [];
+      const sink = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', (c) => { data += c; });
+        req.on('end', () => { received.push(JSON.parse(data)); res.end(); });
+      });
+      await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const t = new WebhookTransport({
+          myNumber: '+15555555555',
+          messaging: { webhook: { url: `http://127.0.0.1:${sink.address().port}/send` } },
+        });
+        t.send('one');
+        assert.equal(await t.send('two'), true);
+        assert.deepEqual(received.map((r) => r.text), ['one', 'two']);
+        assert.equal(received[0].to, '+15555555555');
+      } finally {
+        sink.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsExporter = require('../lib/metrics-exporter');
+const { ClaudeSemaphore } = require('../lib/exec');
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+
+/** Sample lines (no comments) as { 'name{labels}': value }. */
+function samples(text) {
+  const out = {};
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const i = line.lastIndexOf(' ');
+    out[line.substring(0, i)] = Number(line.substring(i + 1));
+  }
+  return out;
+}
+
+function sources() {
+  const semaphore = new ClaudeSemaphore(1);
+  semaphore.acquire();
+  semaphore.acquire(); // waits
+  return {
+    startTime: NOW - 90000,
+    semaphore,
+    healthMonitor: {
+      getLastResults: () => ({
+        api: { name: 'api', status: 'up', latencyMs: 25, consecutiveFails: 0 },
+        db: { name: 'db', status: 'down', latencyMs: null, consecutiveFails: 3 },
+      }),
+    },
+    sessionManager: {
+      maxConcurrent: 3,
+      getActiveSessions: () => [{ projectName: 'apps/demo', created: new Date(NOW - 600000).toISOString() }],
+      getQueue: () => [{ projectName: 'other' }],
+    },
+    notificationManager: {
+      getStats: () => ({ dailySent: 4, dailyBudget: 20, batchQueueSize: 2, budgetRemaining: 16 }),
+    },
+    revenueTracker: {
+      getLatest: () => ({
+        'xmr-mining': { balance_atomic: 2500000000000, paid_atomic: null, hashrate: 1200.5, xmr_price_usd: 160, ageMinutes: 5 },
+        'mlx-api': null,
+      }),
+    },
+    upworkDb: {
+      getPipelineStats: () => ({
+        totalScanned: 50, totalFiltered: 30, totalPending: 5, totalApplied: 10, totalDismissed: 5,
+        todayApplied: 2, responseRate: 30, outcomes: { interview: 2, null: 8 }, avgMatchScore: 71, totalConnectsSpent: 160,
+      }),
+    },
+  };
+}
+
+describe('MetricsExporter', () => {
+  it('exports every source as Prometheus gauges', () => {
+    const text = new MetricsExporter(sources()).collect(NOW);
+    const m = samples(text);
+
+    assert.equal(m['orchestrator_uptime_seconds'], 90);
+    assert.equal(m['orchestrator_service_up{service="api"}'], 1);
+    assert.equal(m['orchestrator_service_up{service="db"}'], 0);
+    assert.equal(m['orchestrator_service_status{service="db",status="down"}'], 1);
+    assert.equal(m['orchestrator_service_latency_seconds{service="api"}'], 0.025);
+    assert.equal(m['orchestrator_service_latency_seconds{service="db"}'], undefined);
+    assert.equal(m['orchestrator_service_consecutive_failures{service="db"}'], 3);
+
+    assert.equal(m['orchestrator_sessions_active'], 1);
+    assert.equal(m['orchestrator_sessions_queued'], 1);
+    assert.equal(m['orchestrator_session_duration_seconds{project="apps/demo"}'], 600);
+
+    assert.equal(m['orchestrator_notification_budget_remaining'], 16);
+    assert.equal(m['orchestrator_claude_semaphore_active'], 1);
+    assert.equal(m['orchestrator_claude_semaphore_pending'], 1);
+
+    assert.equal(m['orchestrator_revenue_xmr_balance'], 2.5);
+    assert.equal(m['orchestrator_revenue_xmr_paid'], undefined);
+    assert.equal(m['orchestrator_revenue_snapshot_age_seconds{source="xmr-mining"}'], 300);
+    assert.equal(m['orchestrator_revenue_mlx_requests_served'], undefined);
+
+    assert.equal(m['orchestrator_upwork_jobs{stage="applied"}'], 10);
+    assert.equal(m['orchestrator_upwork_applications{outcome="none"}'], 8);
+    assert.equal(m['orchestrator_upwork_response_rate_ratio'], 0.3);
+    assert.equal(m['orchestrator_metrics_collect_errors'], 0);
+
+    assert.match(text, /^# HELP orchestrator_service_up .+\n# TYPE orchestrator_service_up gauge$/m);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  it('drops a failing source and counts the error', () => {
+    const s = sources();
+    s.revenueTracker = { getLatest: () => { throw new Error('database is locked'); } };
+    const m = samples(new MetricsExporter(s).collect(NOW));
+    assert.equal(m['orchestrator_metrics_collect_errors'], 1);
+    assert.equal(m['orchestrator_revenue_xmr_balance'], undefined);
+    assert.equal(m['orchestrator_upwork_jobs{stage="scanned"}'], 50);
+  });
+
+  it('escapes label values', () => {
+    const text = new MetricsExporter({
+      healthMonitor: { getLastResults: () => ({ x: { name: 'say "hi"\\', status: 'up', consecutiveFails: 0 } }) },
+    }).collect(NOW);
+    assert.ok(text.includes('orchestrator_service_up{service="say \\"hi\\"\\\\"} 1'));
+  });
+});
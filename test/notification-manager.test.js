@@ -0,0 +1,352 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const Messenger = require('../lib/messenger');
+const NotificationManager = require('../lib/notification-manager');
+const { WebhookTransport } = require('../lib/transports');
+const { createTempDir } = require('./helpers');
+
+describe('NotificationManager', () => {
+  let tmp;
+  let nm;
+
+  afterEach(() => {
+    if (nm) {
+      nm.stopBatchTimer();
+      nm.close();
+    }
+    if (tmp) tmp.cleanup();
+    nm = null;
+    tmp = null;
+  });
+
+  /** Messenger whose send() fails while `down` is true. */
+  function fakeMessenger() {
+    return {
+      sent: [],
+      down: false,
+      send(text) {
+        if (this.down) return false;
+        this.sent.push(text);
+        return true;
+      },
+    };
+  }
+
+  // Alerts are off unless a test turns them on, so message text stays exact
+  function create({ messenger = fakeMessenger(), notifications = {}, quiet = false, ...deps } = {}) {
+    tmp = tmp || createTempDir('notification-test-');
+    return new NotificationManager({
+      messenger,
+      config: { ai: { notifications: { dailyBudget: 3, retryBaseMs: 1000, alerts: { enabled: false }, ...notifications } } },
+      scheduler: { isQuietTime: () => quiet },
+      dbPath: path.join(tmp.dir, 'test.db'),
+      ...deps,
+    });
+  }
+
+  it('sends urgent messages immediately and flushes the batch with them', () => {
+    const messenger = fakeMessenger();
+    nm = create({ messenger });
+    nm.notify('Started demo');
+    nm.notify('Finished demo', 'summary');
+    assert.deepEqual(messenger.sent, []);
+    assert.equal(nm.getStats().batchQueueSize, 2);
+
+    nm.notify('API down!', NotificationManager.URGENT);
+    assert.deepEqual(messenger.sent, ['API down!', 'Batch (2):\n- Started demo\n- Finished demo']);
+    const stats = nm.getStats();
+    assert.equal(stats.dailySent, 2);
+    assert.equal(stats.batchQueueSize, 0);
+  });
+
+  it('keeps the queue and daily count across restarts', () => {
+    nm = create({ quiet: true, notifications: { urgentBypassQuiet: false } });
+    nm.notify('queued in quiet hours', NotificationManager.URGENT);
+    nm.notify('batched');
+    nm.close();
+
+    const messenger = fakeMessenger();
+    nm = create({ messenger });
+    assert.deepEqual(nm.getUndelivered().queued.map(q => q.text), ['[URGENT] queued in quiet hours', 'batched']);
+    nm._flushBatch();
+    assert.equal(messenger.sent.length, 1);
+    nm.close();
+
+    nm = create();
+    assert.equal(nm.getStats().dailySent, 1);
+    assert.equal(nm.getStats().batchQueueSize, 0);
+  });
+
+  it('defers the batch when the budget is spent', () => {
+    const messenger = fakeMessenger();
+    nm = create({ messenger, notifications: { dailyBudget: 1 } });
+    nm.notify('one', NotificationManager.URGENT);
+    nm.notify('two');
+    nm._flushBatch();
+    assert.deepEqual(messenger.sent, ['one']);
+    assert.equal(nm.getStats().batchQueueSize, 1);
+  });
+
+  it('retries failed sends with backoff, then gives up', () => {
+    const messenger = fakeMessenger();
+    messenger.down = true;
+    nm = create({ messenger, notifications: { maxSendAttempts: 3 } });
+    const t0 = Date.now();
+
+    nm.notify('disk full', NotificationManager.URGENT);
+    let [delivery] = nm.getUndelivered().deliveries;
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.deepEqual(delivery.items, ['disk full']);
+    assert.ok(Date.parse(delivery.nextAttemptAt) >= t0 + 1000);
+
+    assert.equal(nm.retryPending(t0), 0); // not due yet
+    assert.equal(nm.retryPending(t0 + 1500), 0);
+    [delivery] = nm.getUndelivered().deliveries;
+    assert.equal(delivery.attempts, 2);
+    assert.ok(Date.parse(delivery.nextAttemptAt) >= t0 + 2000, 'second delay doubles');
+
+    nm.retryPending(t0 + 60000);
+    [delivery] = nm.getUndelivered().deliveries;
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.lastError, 'Messenger reported a failed send');
+    assert.equal(nm.getStats().failedDeliveries, 1);
+    assert.equal(nm.getStats().dailySent, 0);
+  });
+
+  it('delivers on a later retry and counts it once', () => {
+    const messenger = fakeMessenger();
+    messenger.down = true;
+    nm = create({ messenger });
+    nm.notify('restart failed', NotificationManager.URGENT);
+    messenger.down = false;
+
+    assert.equal(nm.retryPending(Date.now() + 5000), 1);
+    assert.deepEqual(messenger.sent, ['restart failed']);
+    assert.equal(nm.getUndelivered().deliveries.length, 0);
+    assert.equal(nm.getStats().dailySent, 1);
+  });
+
+  it('treats a throwing messenger as a failed attempt', () => {
+    nm = create({ messenger: { send: () => { throw new Error('transport offline'); } } });
+    nm.notify('x', NotificationManager.URGENT);
+    assert.equal(nm.getUndelivered().deliveries[0].lastError, 'transport offline');
+  });
+
+  it('awaits webhook sends and retries the ones the webhook rejects', async () => {
+    let status = 500;
+    const received = [];
+    const sink = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (c) => { data += c; });
+      req.on('end', () => {
+        if (status < 400) received.push(JSON.parse(data).text);
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+    const settled = async (check) => {
+      for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 10));
+    };
+
+    try {
+      const config = { myNumber: '+15555555555', messaging: { webhook: { url: `http://127.0.0.1:${sink.address().port}/send` } } };
+      nm = create({ messenger: new Messenger(config, new WebhookTransport(config)) });
+      nm.notify('API down!', NotificationManager.URGENT);
+      await settled(() => nm.getUndelivered().deliveries[0]?.attempts === 1);
+
+      let [delivery] = nm.getUndelivered().deliveries;
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.lastError, 'Messenger reported a failed send');
+      assert.equal(nm.getStats().dailySent, 0);
+
+      status = 200;
+      nm.retryPending(Date.now() + 5000);
+      await settled(() => nm.getUndelivered().deliveries.length === 0);
+      assert.deepEqual(received, ['API down!']);
+      assert.equal(nm.getStats().dailySent, 1);
+    } finally {
+      sink.close();
+    }
+  });
+
+  it('moves urgent messages to the batch once their category budget is spent', () => {
+    const messenger = fakeMessenger();
+    nm = create({ messenger, notifications: { dailyBudget: 10, categories: { upwork: { budget: 1 } } } });
+    nm.notify('HIGH MATCH 1', NotificationManager.URGENT, { category: 'upwork' });
+    nm.notify('HIGH MATCH 2', NotificationManager.URGENT, { category: 'upwork' });
+    nm.notify('API down!', NotificationManager.URGENT, { category: 'health' });
+
+    assert.deepEqual(messenger.sent, ['HIGH MATCH 1', 'API down!', 'Batch (1):\n- [URGENT] HIGH MATCH 2']);
+    const { categories } = nm.getStats();
+    assert.deepEqual(categories.upwork, { channel: 'sms', quietHours: null, budget: 1, sent: 1, budgetRemaining: 0 });
+    assert.equal(categories.health.sent, 1);
+    assert.equal(categories.health.budgetRemaining, null);
+  });
+
+  it('applies each category\'s quiet-hours policy', () => {
+    const messenger = fakeMessenger();
+    nm = create({
+      messenger,
+      quiet: true,
+      notifications: { categories: { health: { quietHours: 'bypass' }, session: { quietHours: 'hold' } } },
+    });
+    nm.notify('session crashed', NotificationManager.URGENT, { category: 'session' });
+    nm.notify('session started', NotificationManager.BATCH, { category: 'session' });
+    nm.notify('scan done');
+    nm.notify('API down!', NotificationManager.URGENT, { category: 'health' });
+
+    assert.deepEqual(messenger.sent, ['API down!', 'Batch (1):\n- scan done']);
+    assert.deepEqual(nm.getUndelivered().queued.map(q => q.text), ['[URGENT] session crashed', 'session started']);
+  });
+
+  it('lets a single urgent message override its category\'s quiet-hours policy', () => {
+    const messenger = fakeMessenger();
+    nm = create({ messenger, quiet: true, notifications: { categories: { reminder: { quietHours: 'hold' } } } });
+    nm.notify('Reminder: take meds', NotificationManager.URGENT, { category: 'reminder', quietHours: 'bypass' });
+    nm.notify('Reminder: water plants', NotificationManager.URGENT, { category: 'reminder' });
+
+    assert.deepEqual(messenger.sent, ['Reminder: take meds']);
+    assert.deepEqual(nm.getUndelivered().queued.map(q => q.text), ['[URGENT] Reminder: water plants']);
+  });
+
+  it('routes email and log categories away from SMS', () => {
+    const messenger = fakeMessenger();
+    nm = create({ messenger, notifications: { categories: { upwork: { channel: 'email' }, revenue: { channel: 'log' } } } });
+    nm.notify('HIGH MATCH', NotificationManager.URGENT, { category: 'upwork' });
+    nm.notify('collected', NotificationManager.BATCH, { category: 'revenue' });
+    nm._flushBatch();
+    assert.deepEqual(messenger.sent, []);
+    assert.equal(nm.getStats().digestQueueSize, 1);
+
+    const items = nm.getDigestItems();
+    assert.deepEqual(items.map(i => [i.text, i.category]), [['HIGH MATCH', 'upwork']]);
+    assert.equal(nm.markDigested(items.map(i => i.id)), 1);
+    assert.deepEqual(nm.getDigestItems(), []);
+    assert.equal(nm.getUndelivered().queued.length, 0);
+  });
+
+  describe('alerts', () => {
+    const alerts = { enabled: true, renotifyMs: [60000, 120000], escalateAfterMs: 600000 };
+
+    it('tags urgent messages with an alert id and stops re-notifying once acked', () => {
+      const messenger = fakeMessenger();
+      const outcomes = [];
+      nm = create({ messenger, notifications: { alerts }, trustTracker: { recordAlertOutcome: (real) => outcomes.push(real) } });
+      const id = nm.notify('API down!', NotificationManager.URGENT, { category: 'health' });
+      assert.equal(messenger.sent[0], `API down!\n(reply "ack ${id}")`);
+      assert.equal(nm.notify('batched'), null);
+
+      const t0 = Date.now();
+      assert.deepEqual(nm.checkAlerts(t0 + 30000), { renotified: 0, escalated: 0 });
+      assert.deepEqual(nm.checkAlerts(t0 + 61000), { renotified: 1, escalated: 0 });
+      assert.equal(messenger.sent.at(-1), `UNACKED ALERT: API down!\n(reply "ack ${id}")`);
+      assert.equal(nm.getAlerts().open[0].renotifyCount, 1);
+
+      assert.equal(nm.handleCommand(`ack ${id}`), `Alert ${id} acknowledged.`);
+      assert.equal(nm.handleCommand(`ack ${id}`), `Alert ${id} was already acknowledged.`);
+      assert.deepEqual(nm.checkAlerts(t0 + 3600000), { renotified: 0, escalated: 0 });
+      assert.deepEqual(outcomes, [true]);
+      assert.equal(nm.getStats().openAlerts, 0);
+      assert.equal(nm.getAlerts().recent[0].ackedBy, 'sms');
+    });
+
+    it('escalates once after escalateAfterMs and counts false alarms', async () => {
+      const escalated = [];
+      const outcomes = [];
+      nm = create({
+        notifications: { alerts },
+        escalate: (alert) => { escalated.push(alert); return true; },
+        trustTracker: { recordAlertOutcome: (real) => outcomes.push(real) },
+      });
+      const id = nm.notify('Disk full', NotificationManager.URGENT, { category: 'health' });
+
+      const t0 = Date.now();
+      assert.equal(nm.checkAlerts(t0 + 600000).escalated, 1);
+      assert.equal(nm.checkAlerts(t0 + 900000).escalated, 0);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(escalated.map((a) => [a.id, a.text]), [[id, 'Disk full']]);
+
+      assert.match(nm.handleCommand('alerts'), new RegExp(`^A${id} \\d+s ago: Disk full$`));
+      assert.equal(nm.handleCommand(`ack ${id} false`), `Alert ${id} marked as a false alarm.`);
+      assert.deepEqual(outcomes, [false]);
+      assert.equal(nm.handleCommand('ack 999'), 'No alert 999.');
+      assert.equal(nm.handleCommand('acknowledged'), null);
+    });
+
+    it('opens alerts only for opted-in categories and callers', () => {
+      const messenger = fakeMessenger();
+      nm = create({ messenger, notifications: { alerts } });
+      assert.equal(nm.notify('Reminder: stretch', NotificationManager.URGENT, { category: 'reminder' }), null);
+      assert.equal(nm.notify('Session scored 2/5', NotificationManager.URGENT, { category: 'session', alert: false }), null);
+      assert.equal(nm.notify('untagged', NotificationManager.URGENT), null);
+      const id = nm.notify('Payout failed', NotificationManager.URGENT, { category: 'revenue', alert: true });
+      assert.ok(id);
+
+      assert.deepEqual(messenger.sent.slice(0, 3), ['Reminder: stretch', 'Session scored 2/5', 'untagged']);
+      assert.equal(nm.getAlerts().open.length, 1);
+      assert.equal(nm.checkAlerts(Date.now() + 61000).renotified, 1);
+    });
+
+    it('starts the clocks only once the alert has actually been sent', () => {
+      const messenger = fakeMessenger();
+      const escalated = [];
+      let quiet = true;
+      nm = new NotificationManager({
+        messenger,
+        config: { ai: { notifications: { alerts, categories: { session: { quietHours: 'hold' } } } } },
+        scheduler: { isQuietTime: () => quiet },
+        dbPath: path.join((tmp = createTempDir('notification-test-')).dir, 'test.db'),
+        escalate: (alert) => { escalated.push(alert); return true; },
+      });
+      const held = nm.notify('session crashed', NotificationManager.URGENT, { category: 'session' });
+      messenger.down = true;
+      const failing = nm.notify('API down!', NotificationManager.URGENT, { category: 'health' });
+
+      const t0 = Date.now();
+      assert.deepEqual(nm.checkAlerts(t0 + 3600000), { renotified: 0, escalated: 0 });
+      assert.equal(messenger.sent.length, 0);
+
+      // The batch carrying the held alert goes out when quiet hours end
+      quiet = false;
+      messenger.down = false;
+      nm._flushBatch();
+      assert.equal(messenger.sent.length, 1);
+      const alert = nm.getAlerts().open.find((a) => a.id === held);
+      assert.ok(alert.deliveredAt);
+      assert.equal(nm.getAlerts().open.find((a) => a.id === failing).deliveredAt, null);
+      assert.deepEqual(nm.checkAlerts(Date.parse(alert.deliveredAt) + 61000), { renotified: 1, escalated: 0 });
+    });
+
+    it('keeps re-notifies within the category budget', () => {
+      const messenger = fakeMessenger();
+      nm = create({ messenger, notifications: { alerts, categories: { health: { budget: 1 } } } });
+      nm.notify('API down!', NotificationManager.URGENT, { category: 'health' });
+      assert.equal(nm.checkAlerts(Date.now() + 61000).renotified, 0);
+      assert.equal(messenger.sent.length, 1);
+    });
+
+    it('holds re-notifies during quiet hours for categories that hold', () => {
+      const messenger = fakeMessenger();
+      let quiet = false;
+      nm = new NotificationManager({
+        messenger,
+        config: { ai: { notifications: { alerts, categories: { session: { quietHours: 'hold' } } } } },
+        scheduler: { isQuietTime: () => quiet },
+        dbPath: path.join((tmp = createTempDir('notification-test-')).dir, 'test.db'),
+      });
+      nm.notify('session crashed', NotificationManager.URGENT, { category: 'session' });
+      quiet = true;
+      const t0 = Date.now();
+      assert.equal(nm.checkAlerts(t0 + 61000).renotified, 0);
+      quiet = false;
+      assert.equal(nm.checkAlerts(t0 + 62000).renotified, 1);
+      assert.equal(messenger.sent.length, 2);
+    });
+  });
+});
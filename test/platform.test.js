@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createPlatform, LinuxPlatform, DarwinPlatform, GenericPlatform, parseCpuTime } = require('../lib/platform');
+const ResourceMonitor = require('../lib/resource-monitor');
+const ProcessMonitor = require('../lib/process-monitor');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Build a fake /proc with meminfo, uptime and one process (pid 4242).
+ * comm contains spaces and a ')' to exercise the stat parser.
+ */
+function createFakeProc(dir, { meminfo } = {}) {
+  fs.writeFileSync(path.join(dir, 'meminfo'), meminfo || [
+    'MemTotal:        8000000 kB',
+    'MemFree:          500000 kB',
+    'MemAvailable:    6000000 kB',
+    'Buffers:          100000 kB',
+    'Cached:          2000000 kB',
+  ].join('\n') + '\n');
+  fs.writeFileSync(path.join(dir, 'uptime'), '1000.00 3900.00\n');
+
+  const pidDir = path.join(dir, '4242');
+  fs.mkdirSync(pidDir);
+  // utime=3000 stime=1000 ticks, started at tick 20000 (200s after boot), rss=2560 pages
+  const fields = ['S', '1', '4242', '4242', '0', '-1', '4194304', '0', '0', '0', '0',
+    '3000', '1000', '0', '0', '20', '0', '1', '0', '20000', '100000000', '2560'];
+  fs.writeFileSync(path.join(pidDir, 'stat'), `4242 (claude (main) x) ${fields.join(' ')} 0 0\n`);
+  fs.symlinkSync(path.join(dir, 'projects', 'apps', 'demo'), path.join(pidDir, 'cwd'));
+}
+
+describe('createPlatform', () => {
+  it('picks the backend by platform name', () => {
+    assert.ok(createPlatform('linux') instanceof LinuxPlatform);
+    assert.ok(createPlatform('darwin') instanceof DarwinPlatform);
+    assert.ok(createPlatform('freebsd') instanceof GenericPlatform);
+  });
+});
+
+describe('LinuxPlatform (fixture /proc)', () => {
+  let tmp;
+  let platform;
+
+  before(() => {
+    tmp = createTempDir('proc-test-');
+    createFakeProc(tmp.dir);
+    platform = new LinuxPlatform({ procRoot: tmp.dir, clockTicks: 100, pageSize: 4096 });
+  });
+  after(() => tmp.cleanup());
+
+  it('reads total and available memory from meminfo', () => {
+    assert.deepEqual(platform.memory(), { totalBytes: 8000000 * 1024, availableBytes: 6000000 * 1024 });
+  });
+
+  it('approximates available memory on kernels without MemAvailable', () => {
+    const old = createTempDir('proc-old-');
+    try {
+      fs.writeFileSync(path.join(old.dir, 'meminfo'),
+        'MemTotal: 8000000 kB\nMemFree: 500000 kB\nBuffers: 100000 kB\nCached: 2000000 kB\n');
+      const p = new LinuxPlatform({ procRoot: old.dir });
+      assert.equal(p.memory().availableBytes, 2600000 * 1024);
+    } finally {
+      old.cleanup();
+    }
+  });
+
+  it('reads process cwd from the cwd symlink', () => {
+    assert.equal(platform.processCwd(4242), path.join(tmp.dir, 'projects', 'apps', 'demo'));
+    assert.equal(platform.processCwd(999999), null);
+  });
+
+  it('computes CPU seconds, lifetime CPU% and RSS from stat', () => {
+    // 40s of CPU over 800s alive = 5%; 2560 pages * 4K = 10MB
+    assert.deepEqual(platform.processStats(4242), { cpuSeconds: 40, cpuPct: 5, rssMB: 10 });
+    assert.equal(platform.processStats(999999), null);
+  });
+
+  it('feeds ResourceMonitor snapshots', () => {
+    const snap = new ResourceMonitor({ platform }).getSnapshot();
+    assert.equal(snap.totalMemMB, Math.round(8000000 / 1024));
+    assert.equal(snap.freeMemMB, Math.round(6000000 / 1024));
+    assert.equal(snap.memUsedPct, 25);
+  });
+});
+
+describe('LinuxPlatform (this host)', { skip: process.platform !== 'linux' }, () => {
+  const platform = createPlatform('linux');
+
+  it('reports our own cwd and a plausible RSS', () => {
+    assert.equal(platform.processCwd(process.pid), process.cwd());
+    const stats = platform.processStats(process.pid);
+    assert.ok(stats.rssMB > 1, `rssMB should be > 1, got ${stats.rssMB}`);
+    assert.ok(stats.cpuSeconds >= 0);
+  });
+
+  it('lists our process under its parent and finds our listening port', async () => {
+    assert.ok(platform.listProcesses().some((p) => p.pid === process.pid && p.ppid === process.ppid));
+
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      assert.deepEqual(platform.listeningPorts([process.pid]), [{ pid: process.pid, port: server.address().port }]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('reports available memory no greater than total', () => {
+    const mem = platform.memory();
+    assert.ok(mem.availableBytes > 0 && mem.availableBytes <= mem.totalBytes);
+  });
+});
+
+describe('ProcessMonitor with a platform backend', () => {
+  it('resolves cwd through the backend', () => {
+    const platform = { processCwd: (pid) => (pid === 7 ? '/projects/demo' : null), processStats: () => null };
+    const monitor = new ProcessMonitor('/projects', 15, { platform });
+    assert.equal(monitor._getProcessCwd(7), '/projects/demo');
+    assert.equal(monitor._matchProject('/projects/demo/src'), 'demo');
+  });
+});
+
+describe('parseCpuTime', () => {
+  it('parses ps TIME formats', () => {
+    assert.equal(parseCpuTime('0:05.50'), 5.5);
+    assert.equal(parseCpuTime('01:02:03'), 3723);
+    assert.equal(parseCpuTime('2-00:00:10'), 172810);
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ProjectWatcher = require('../lib/project-watcher');
+const { EventBus, EVENTS } = require('../lib/event-bus');
+const { SignalProtocol } = require('../lib/signal-protocol');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Resolve with the next event of `type`, or reject after timeoutMs.
+ */
+function nextEvent(bus, type, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { off(); reject(new Error(`No ${type} event within ${timeoutMs}ms`)); }, timeoutMs);
+    const off = bus.subscribe(type, (e) => { clearTimeout(timer); off(); resolve(e); });
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('EventBus', () => {
+  it('stamps events and isolates throwing subscribers', () => {
+    const logs = [];
+    const bus = new EventBus({ log: (tag, msg) => logs.push(msg) });
+    const seen = [];
+    bus.subscribe(EVENTS.SIGNAL, () => { throw new Error('boom'); });
+    bus.subscribe(EVENTS.SIGNAL, (e) => seen.push(e));
+
+    bus.publish(EVENTS.SIGNAL, { projectName: 'p', type: 'completed', data: {} });
+
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].event, EVENTS.SIGNAL);
+    assert.equal(seen[0].type, 'completed');
+    assert.ok(seen[0].at);
+    assert.match(logs[0], /boom/);
+  });
+
+  it('subscribe returns an unsubscribe function', () => {
+    const bus = new EventBus();
+    let count = 0;
+    const off = bus.subscribe(EVENTS.STATE_CHANGED, () => count++);
+    bus.publish(EVENTS.STATE_CHANGED, {});
+    off();
+    bus.publish(EVENTS.STATE_CHANGED, {});
+    assert.equal(count, 1);
+  });
+});
+
+describe('ProjectWatcher', () => {
+  let tmp;
+  let watcher;
+
+  afterEach(() => {
+    if (watcher) watcher.stop();
+    if (tmp) tmp.cleanup();
+    watcher = null;
+    tmp = null;
+  });
+
+  function createWatcher(projects = ['alpha']) {
+    tmp = createTempDir('watch-test-');
+    for (const name of projects) fs.mkdirSync(path.join(tmp.dir, name), { recursive: true });
+    const bus = new EventBus();
+    watcher = new ProjectWatcher({
+      projectsDir: tmp.dir,
+      projects,
+      bus,
+      signalProtocol: new SignalProtocol(tmp.dir),
+      debounceMs: 20,
+      log: () => {},
+    });
+    return bus;
+  }
+
+  it('publishes a signal event when a signal file is written', async () => {
+    const bus = createWatcher();
+    fs.mkdirSync(path.join(tmp.dir, 'alpha', '.orchestrator'));
+    watcher.start();
+
+    const pending = nextEvent(bus, EVENTS.SIGNAL);
+    fs.writeFileSync(
+      path.join(tmp.dir, 'alpha', '.orchestrator', 'needs-input.json'),
+      JSON.stringify({ question: 'Which?' })
+    );
+    const event = await pending;
+    assert.equal(event.projectName, 'alpha');
+    assert.equal(event.type, 'needs-input');
+    assert.equal(event.data.question, 'Which?');
+  });
+
+  it('debounces bursts of writes into one event', async () => {
+    const bus = createWatcher();
+    fs.mkdirSync(path.join(tmp.dir, 'alpha', '.orchestrator'));
+    watcher.start();
+
+    const events = [];
+    bus.subscribe(EVENTS.SIGNAL, (e) => events.push(e));
+    const file = path.join(tmp.dir, 'alpha', '.orchestrator', 'completed.json');
+    for (let i = 0; i < 5; i++) fs.writeFileSync(file, JSON.stringify({ summary: `v${i}` }));
+    await sleep(200);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data.summary, 'v4');
+  });
+
+  it('ignores non-signal files and deletions', async () => {
+    const bus = createWatcher();
+    const dir = path.join(tmp.dir, 'alpha', '.orchestrator');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'error.json'), '{}');
+    watcher.start();
+
+    const events = [];
+    bus.subscribe(EVENTS.SIGNAL, (e) => events.push(e));
+    fs.writeFileSync(path.join(dir, 'session.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'prompt.txt'), 'hi');
+    fs.unlinkSync(path.join(dir, 'error.json'));
+    await sleep(200);
+
+    assert.equal(events.length, 0);
+  });
+
+  it('publishes state-changed for .planning/STATE.md', async () => {
+    const bus = createWatcher();
+    fs.mkdirSync(path.join(tmp.dir, 'alpha', '.planning'));
+    watcher.start();
+
+    const pending = nextEvent(bus, EVENTS.STATE_CHANGED);
+    fs.writeFileSync(path.join(tmp.dir, 'alpha', '.planning', 'STATE.md'), '# State\n');
+    const event = await pending;
+    assert.equal(event.projectName, 'alpha');
+  });
+
+  it('starts watching .orchestrator/ when it appears after startup', async () => {
+    const bus = createWatcher();
+    watcher.start();
+    assert.equal(watcher.getStats().watching, 1); // project root only
+
+    fs.mkdirSync(path.join(tmp.dir, 'alpha', '.orchestrator'));
+    await sleep(150);
+    assert.equal(watcher.getStats().watching, 2);
+
+    const pending = nextEvent(bus, EVENTS.SIGNAL);
+    fs.writeFileSync(path.join(tmp.dir, 'alpha', '.orchestrator', 'error.json'), '{"error":"x"}');
+    assert.equal((await pending).type, 'error');
+  });
+
+  it('skips missing projects and stops cleanly', () => {
+    createWatcher();
+    watcher.projects.push('does-not-exist');
+    assert.equal(watcher.start(), 1);
+    watcher.stop();
+    assert.deepEqual(watcher.getStats(), { watching: 0, pending: 0 });
+  });
+});
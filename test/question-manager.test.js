@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const QuestionManager = require('../lib/question-manager');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Helper: QuestionManager with a temp DB/projects dir and a recording
+ * sessionManager stub. `running` controls whether sendInput succeeds.
+ */
+function createTestManager({ running = true } = {}) {
+  const tmp = createTempDir('qm-test-');
+  const calls = { sendInput: [], startSession: [] };
+  const sessionManager = {
+    sendInput: (project, input) => {
+      calls.sendInput.push({ project, input });
+      return running
+        ? { success: true, message: `Sent input to ${project}` }
+        : { success: false, message: `No running session for ${project}` };
+    },
+    startSession: (project, prompt) => {
+      calls.startSession.push({ project, prompt });
+      return { success: true, message: `Started session for ${project}` };
+    },
+  };
+  const qm = new QuestionManager({
+    config: { projectsDir: tmp.dir },
+    sessionManager,
+    dbPath: path.join(tmp.dir, 'test.db'),
+  });
+  return {
+    qm,
+    tmp,
+    calls,
+    cleanup: () => {
+      qm.close();
+      tmp.cleanup();
+    },
+  };
+}
+
+const DB_QUESTION = {
+  question: 'Which database should I use?',
+  context: 'Setting up persistence',
+  options: ['SQLite', 'Postgres'],
+};
+
+describe('QuestionManager', () => {
+  let ctx;
+  afterEach(() => { if (ctx) ctx.cleanup(); ctx = null; });
+
+  it('records questions with IDs and options', () => {
+    ctx = createTestManager();
+    const q = ctx.qm.record('apps/demo', DB_QUESTION);
+    assert.ok(q.id >= 1);
+    assert.equal(q.status, 'open');
+    assert.deepEqual(q.options, ['SQLite', 'Postgres']);
+    assert.equal(ctx.qm.getOpen().length, 1);
+  });
+
+  it('supersedes older open questions from the same project', () => {
+    ctx = createTestManager();
+    const first = ctx.qm.record('apps/demo', { question: 'First?' });
+    const other = ctx.qm.record('apps/other', { question: 'Other?' });
+    const second = ctx.qm.record('apps/demo', { question: 'Second?' });
+
+    assert.equal(ctx.qm.get(first.id).status, 'superseded');
+    assert.deepEqual(ctx.qm.getOpen().map((q) => q.id), [second.id, other.id]);
+  });
+
+  describe('parseReply', () => {
+    it('maps a bare number to the newest question with that many options', () => {
+      ctx = createTestManager();
+      const withOptions = ctx.qm.record('apps/demo', DB_QUESTION);
+      ctx.qm.record('apps/other', { question: 'Free text only?' });
+
+      assert.deepEqual(ctx.qm.parseReply('2'), { id: withOptions.id, answer: '2' });
+      assert.equal(ctx.qm.parseReply('3'), null);
+    });
+
+    it('accepts Q<id> with free text for open questions', () => {
+      ctx = createTestManager();
+      const first = ctx.qm.record('apps/demo', DB_QUESTION);
+      const second = ctx.qm.record('apps/other', { question: 'Free text only?' });
+      assert.deepEqual(ctx.qm.parseReply(`Q${second.id} use postgres please`), { id: second.id, answer: 'use postgres please' });
+      assert.deepEqual(ctx.qm.parseReply(`q${first.id}: 1`), { id: first.id, answer: '1' });
+    });
+
+    it('lets Q<n> messages through when question n is not open', () => {
+      ctx = createTestManager();
+      const q = ctx.qm.record('apps/demo', DB_QUESTION);
+      assert.equal(ctx.qm.parseReply('Q3 revenue numbers?'), null);
+      ctx.qm.answer(q.id, '1');
+      assert.equal(ctx.qm.parseReply(`Q${q.id} actually 2`), null);
+    });
+
+    it('ignores ordinary messages', () => {
+      ctx = createTestManager();
+      ctx.qm.record('apps/demo', DB_QUESTION);
+      assert.equal(ctx.qm.parseReply('status'), null);
+      assert.equal(ctx.qm.parseReply('quiet on'), null);
+      assert.equal(ctx.qm.parseReply('100'), null);
+    });
+
+    it('returns null for numbers when nothing is open', () => {
+      ctx = createTestManager();
+      assert.equal(ctx.qm.parseReply('1'), null);
+    });
+  });
+
+  describe('answer', () => {
+    it('resolves option numbers, writes answer.json and injects into the session', () => {
+      ctx = createTestManager();
+      const q = ctx.qm.record('apps/demo', DB_QUESTION);
+
+      const result = ctx.qm.answer(q.id, '2');
+      assert.equal(result.success, true);
+      assert.match(result.message, new RegExp(`Q${q.id} answered`));
+
+      const answerFile = path.join(ctx.tmp.dir, 'apps/demo', '.orchestrator', 'answer.json');
+      const written = JSON.parse(fs.readFileSync(answerFile, 'utf-8'));
+      assert.equal(written.questionId, q.id);
+      assert.equal(written.answer, 'Postgres');
+      assert.equal(written.optionIndex, 2);
+
+      assert.equal(ctx.calls.sendInput.length, 1);
+      assert.equal(ctx.calls.sendInput[0].project, 'apps/demo');
+      assert.match(ctx.calls.sendInput[0].input, /Postgres/);
+
+      const stored = ctx.qm.get(q.id);
+      assert.equal(stored.status, 'answered');
+      assert.equal(stored.answer, 'Postgres');
+      assert.equal(ctx.qm.getOpen().length, 0);
+    });
+
+    it('rejects out-of-range options and already answered questions', () => {
+      ctx = createTestManager();
+      const q = ctx.qm.record('apps/demo', DB_QUESTION);
+      assert.match(ctx.qm.answer(q.id, '5').message, /options 1-2/);
+      ctx.qm.answer(q.id, 'whatever works');
+      assert.match(ctx.qm.answer(q.id, '1').message, /already answered/);
+      assert.match(ctx.qm.answer(999, '1').message, /No question Q999/);
+    });
+
+    it('restarts the session with the answer when it is not running', () => {
+      ctx = createTestManager({ running: false });
+      const q = ctx.qm.record('apps/demo', { question: 'Ship it?' });
+
+      const result = ctx.qm.answer(q.id, 'yes, ship');
+      assert.equal(result.success, true);
+      assert.match(result.message, /wasn't running/);
+      assert.equal(ctx.calls.startSession.length, 1);
+      assert.match(ctx.calls.startSession[0].prompt, /yes, ship/);
+    });
+  });
+
+  it('formats unanswered questions oldest first for digests', () => {
+    ctx = createTestManager();
+    const a = ctx.qm.record('apps/demo', DB_QUESTION);
+    const b = ctx.qm.record('revenue/shop', { question: 'Raise prices?' });
+    assert.deepEqual(ctx.qm.formatUnanswered(), [
+      `Q${a.id} demo: Which database should I use? (1=SQLite, 2=Postgres)`,
+      `Q${b.id} shop: Raise prices?`,
+    ]);
+  });
+});
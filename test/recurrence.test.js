@@ -0,0 +1,44 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRecurrence, nextOccurrence } = require('../lib/recurrence');
+
+const TZ = 'America/New_York';
+
+describe('recurrence', () => {
+  it('finds the next cron occurrence in the rule timezone', () => {
+    const rule = parseRecurrence('30 9 * * mon-fri', { timezone: TZ });
+    // Fri 2026-03-06 15:00 EST -> Mon 2026-03-09 09:30 EDT (after the DST change)
+    const next = nextOccurrence(rule, Date.parse('2026-03-06T20:00:00Z'));
+    assert.equal(new Date(next).toISOString(), '2026-03-09T13:30:00.000Z');
+  });
+
+  it('takes RRULE defaults from the start and honours INTERVAL and BYDAY', () => {
+    const start = Date.parse('2026-03-02T14:00:00Z'); // Mon 09:00 EST
+    const rule = parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', { timezone: TZ, start });
+    const a = nextOccurrence(rule, start);
+    const b = nextOccurrence(rule, a);
+    assert.equal(new Date(a).toISOString(), '2026-03-05T14:00:00.000Z'); // Thu, same week
+    assert.equal(new Date(b).toISOString(), '2026-03-16T13:00:00.000Z'); // Mon two weeks on, EDT
+  });
+
+  it('runs out at COUNT and UNTIL', () => {
+    const start = Date.parse('2026-03-02T14:00:00Z');
+    const counted = parseRecurrence('FREQ=DAILY;COUNT=3', { timezone: TZ, start });
+    assert.equal(nextOccurrence(counted, start, 3), null);
+    assert.ok(nextOccurrence(counted, start, 2));
+
+    const until = parseRecurrence('FREQ=DAILY;UNTIL=20260303', { timezone: TZ, start });
+    const first = nextOccurrence(until, start);
+    assert.equal(new Date(first).toISOString(), '2026-03-03T14:00:00.000Z');
+    assert.equal(nextOccurrence(until, first), null);
+  });
+
+  it('rejects unsupported rules', () => {
+    assert.throws(() => parseRecurrence('FREQ=YEARLY'), /FREQ must be one of/);
+    assert.throws(() => parseRecurrence('FREQ=DAILY;BYSETPOS=1'), /unsupported RRULE part BYSETPOS/);
+    assert.throws(() => parseRecurrence('FREQ=WEEKLY;BYDAY=XX'), /bad RRULE BYDAY/);
+    assert.throws(() => parseRecurrence('61 * * * *'), /bad cron field/);
+  });
+});
@@ -2,23 +2,21 @@
 
 const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
-const Database = require('better-sqlite3');
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
 
 /**
  * Create a ReminderManager with a temp DB for test isolation.
- * Overrides _ensureDb to use a temp directory instead of orchestrator.db.
  */
-function createTestManager() {
+function createTestManager({ quiet = false } = {}) {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rm-test-'));
   const dbPath = path.join(tmpDir, 'test.db');
 
   const notifications = [];
   const mockNotificationManager = {
-    notify(text, tier) {
-      notifications.push({ text, tier });
+    notify(text, tier, opts) {
+      notifications.push({ text, tier, opts });
     },
   };
 
@@ -26,29 +24,10 @@ function createTestManager() {
   const manager = new RM({
     config: { reminders: { enabled: true, timezone: 'America/New_York' } },
     notificationManager: mockNotificationManager,
+    scheduler: { isQuietTime: () => quiet },
+    dbPath,
   });
 
-  // Override DB path for test isolation
-  manager._ensureDb = function () {
-    if (this.db) return;
-    this.db = new Database(dbPath);
-    this.db.pragma('journal_mode = WAL');
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS reminders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        text TEXT NOT NULL,
-        fire_at TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        fired INTEGER DEFAULT 0,
-        source_message TEXT
-      )
-    `);
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_reminders_pending
-      ON reminders(fired, fire_at)
-    `);
-  };
-
   return {
     manager,
     notifications,
@@ -248,6 +227,210 @@ describe('ReminderManager', () => {
     });
   });
 
+  describe('recurrence', () => {
+    it('reschedules a recurring reminder to its next occurrence', () => {
+      const { manager, notifications, cleanup } = createTestManager();
+      try {
+        const pastTime = new Date(Date.now() - 60000).toISOString();
+        const id = manager.setReminder('Stand-up', pastTime, null, { recurrence: 'FREQ=DAILY' });
+
+        assert.equal(manager.checkAndFire(), 1);
+        assert.equal(notifications.length, 1);
+        const row = manager.db.prepare('SELECT * FROM reminders WHERE id = ?').get(id);
+        assert.equal(row.fired, 0);
+        assert.equal(row.fire_count, 1);
+        // Same wall-clock time tomorrow (23-25h later across a DST change)
+        const delta = Date.parse(row.fire_at) - Date.parse(pastTime);
+        assert.ok(delta >= 23 * 3600000 && delta <= 25 * 3600000, `delta ${delta}`);
+        assert.equal(manager.checkAndFire(), 0);
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('computes the first occurrence of a cron rule when no time is given', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        manager.setReminder('Review PRs', null, null, { recurrence: '0 9 * * mon-fri' });
+        const [r] = manager.listPending();
+        assert.equal(r.recurrence, '0 9 * * mon-fri');
+        const local = new Date(r.fire_at).toLocaleString('en-US', {
+          timeZone: 'America/New_York', weekday: 'short', hour: 'numeric', minute: '2-digit',
+        });
+        assert.match(local, /^(Mon|Tue|Wed|Thu|Fri) 9:00 AM$/);
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('stops after COUNT occurrences', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        const pastTime = new Date(Date.now() - 60000).toISOString();
+        const id = manager.setReminder('Twice', pastTime, null, { recurrence: 'FREQ=DAILY;COUNT=2' });
+        manager.checkAndFire();
+        manager.db.prepare('UPDATE reminders SET fire_at = ? WHERE id = ?').run(pastTime, id);
+        manager.checkAndFire();
+        const row = manager.db.prepare('SELECT fired, fire_count FROM reminders WHERE id = ?').get(id);
+        assert.deepEqual({ ...row }, { fired: 1, fire_count: 2 });
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('rejects bad rules and reminders with no time', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        assert.throws(() => manager.setReminder('x', null, null, { recurrence: 'FREQ=YEARLY' }), /FREQ/);
+        assert.throws(() => manager.setReminder('x', null, null, { recurrence: '0 9 * *' }), /5 fields/);
+        assert.throws(() => manager.setReminder('x', null), /fire time or a recurrence/);
+        assert.throws(() => manager.setReminder('x', '2026-02-20T10:00:00Z', null, { quietHours: 'mute' }), /quietHours/);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
+  describe('quiet hours', () => {
+    it('holds a "hold" reminder during quiet hours and passes the policy on', () => {
+      const { manager, notifications, cleanup } = createTestManager({ quiet: true });
+      try {
+        const pastTime = new Date(Date.now() - 60000).toISOString();
+        manager.setReminder('Wait for morning', pastTime, null, { quietHours: 'hold' });
+        manager.setReminder('Now', pastTime, null, { quietHours: 'bypass' });
+
+        assert.equal(manager.checkAndFire(), 1);
+        assert.equal(notifications[0].text, 'Reminder: Now');
+        assert.deepEqual(notifications[0].opts, { category: 'reminder', quietHours: 'bypass', alert: false });
+        assert.equal(manager.listPending().length, 1);
+
+        manager.scheduler = { isQuietTime: () => false };
+        assert.equal(manager.checkAndFire(), 1);
+        assert.equal(notifications[1].opts.quietHours, 'hold');
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
+  describe('snooze', () => {
+    it('re-fires the last fired reminder after the given duration', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        const pastTime = new Date(Date.now() - 60000).toISOString();
+        const id = manager.setReminder('Call dentist', pastTime, null, { project: 'personal' });
+        assert.equal(manager.handleCommand('snooze'), 'No recently fired reminder to snooze.');
+        manager.checkAndFire();
+
+        const reply = manager.handleCommand('snooze 2h');
+        assert.match(reply, /^Snoozed "Call dentist" until /);
+        const [copy] = manager.listPending();
+        assert.equal(copy.text, 'Call dentist');
+        assert.equal(copy.project, 'personal');
+        const delta = Date.parse(copy.fire_at) - Date.now();
+        assert.ok(delta > 7100000 && delta <= 7200000, `delta ${delta}`);
+        const row = manager.db.prepare('SELECT snoozed_from FROM reminders WHERE id = ?').get(copy.id);
+        assert.equal(row.snoozed_from, Number(id));
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('acknowledges the fired reminder\'s alert without counting it', () => {
+      const { manager, notifications, cleanup } = createTestManager();
+      const acks = [];
+      try {
+        manager.alerts = true;
+        manager.notificationManager = {
+          notify(text, tier, opts) { notifications.push({ text, tier, opts }); return 7; },
+          acknowledge(id, opts) { acks.push({ id, ...opts }); },
+        };
+        manager.setReminder('Stretch', new Date(Date.now() - 60000).toISOString());
+        manager.checkAndFire();
+        assert.equal(notifications[0].opts.alert, true);
+
+        manager.snooze(600000);
+        assert.deepEqual(acks, [{ id: 7, by: 'snooze', countOutcome: false }]);
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('ignores other text and rejects bad durations', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        assert.equal(manager.handleCommand('status'), null);
+        assert.match(manager.handleCommand('snooze soon'), /Can't parse duration "soon"/);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
+  describe('remind me', () => {
+    it('sets one-off and recurring reminders from parsed text', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        assert.match(manager.handleCommand('remind me in 20 minutes to stretch'), /^Reminder set: "stretch" /);
+        assert.match(manager.handleCommand('remind me every weekday at 8 to stand up'),
+          /^Reminder set: "stand up" \(0 8 \* \* 1-5\), next (Mon|Tue|Wed|Thu|Fri), /);
+
+        const pending = manager.listPending();
+        assert.equal(pending.length, 2);
+        const stretch = pending.find((r) => r.text === 'stretch');
+        const delta = Date.parse(stretch.fire_at) - Date.now();
+        assert.ok(delta > 1190000 && delta <= 1200000, `delta ${delta}`);
+        assert.equal(pending.find((r) => r.text === 'stand up').recurrence, '0 8 * * 1-5');
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('leaves unparseable times for the caller and rejects past ones', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        assert.equal(manager.handleCommand('remind me about the thing'), null);
+        assert.match(manager.handleCommand('remind me to eat 2020-01-01 at 9'), /has already passed\.$/);
+        assert.equal(manager.listPending().length, 0);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
+  describe('listForProject', () => {
+    it('returns only the project\'s pending reminders', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        manager.setReminder('Renew cert', '2099-01-01T00:00:00Z', null, { project: 'apps/api' });
+        manager.setReminder('Other', '2099-01-01T00:00:00Z', null, { project: 'apps/web' });
+        manager.setReminder('Unlinked', '2099-01-01T00:00:00Z');
+        assert.deepEqual(manager.listForProject('apps/api').map((r) => r.text), ['Renew cert']);
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('lists a project\'s reminders in ContextAssembler', () => {
+      const { manager, cleanup } = createTestManager();
+      try {
+        const ContextAssembler = require('../lib/context-assembler');
+        const assembler = new ContextAssembler({ config: {}, reminderManager: manager });
+        assert.equal(assembler._projectReminders('apps/api'), null);
+
+        manager.setReminder('Renew cert', '2099-01-05T14:00:00Z', null, { project: 'apps/api' });
+        manager.setReminder('Review PRs', '2099-01-06T14:00:00Z', null, { project: 'apps/api', recurrence: '0 9 * * 1-5' });
+        for (const text of ['A', 'B']) manager.setReminder(text, '2099-02-01T14:00:00Z', null, { project: 'apps/api' });
+        assert.equal(assembler._projectReminders('apps/api'),
+          'Renew cert (Jan 5, 9:00 AM); Review PRs (Jan 6, 9:00 AM, repeats 0 9 * * 1-5); A (Feb 1, 9:00 AM) (+1 more)');
+        assert.equal(assembler._projectReminders('apps/web'), null);
+        assert.equal(new ContextAssembler({ config: {} })._projectReminders('apps/api'), null);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
   describe('close', () => {
     it('closes the database connection', () => {
       const { manager, tmpDir } = createTestManager();
@@ -39,6 +39,21 @@ describe('ResourceMonitor', () => {
     assert.ok(result.includes('Uptime'), 'should contain Uptime');
   });
 
+  it('checkAdmission() flags each threshold that is exceeded', () => {
+    const snap = {
+      cpuLoadAvg1m: 6, cpuLoadAvg5m: 5, cpuCount: 4,
+      freeMemMB: 1024, totalMemMB: 8192, memUsedPct: 88, diskUsedPct: 97, uptimeHours: 1,
+    };
+    const limits = { maxLoadPerCore: 1.0, minFreeMemoryMB: 2048, maxDiskUsedPct: 95 };
+
+    const result = monitor.checkAdmission(limits, snap);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.reasons, ['load 1.50/core > 1', '1024MB free < 2048MB', 'disk 97% used > 95%']);
+
+    assert.equal(monitor.checkAdmission({ maxLoadPerCore: 2, minFreeMemoryMB: 512 }, snap).ok, true);
+    assert.equal(monitor.checkAdmission({}, snap).ok, true);
+  });
+
   it('formatForContext() handles null diskUsedPct', () => {
     const snap = {
       cpuLoadAvg1m: 1.5,
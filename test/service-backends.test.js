@@ -0,0 +1,175 @@
+'use strict';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  createServiceBackend, LaunchdBackend, SystemdBackend, Pm2Backend, ComposeBackend, CommandBackend,
+} = require('../lib/service-backends');
+const HealthMonitor = require('../lib/health-monitor');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Fake execSync: returns (or throws) the first canned output whose key the
+ * command starts with, and records every command.
+ */
+function fakeExec(outputs) {
+  const calls = [];
+  const exec = (cmd) => {
+    calls.push(cmd);
+    const key = Object.keys(outputs).find(k => cmd.startsWith(k));
+    if (key === undefined) throw new Error(`unexpected command: ${cmd}`);
+    const out = outputs[key];
+    if (out instanceof Error) throw out;
+    return out;
+  };
+  exec.calls = calls;
+  return exec;
+}
+
+function failure(message, extra = {}) {
+  return Object.assign(new Error(message), extra);
+}
+
+describe('createServiceBackend', () => {
+  it('picks the backend from config, with launchdLabel as shorthand', () => {
+    assert.ok(createServiceBackend({ launchdLabel: 'com.x' }) instanceof LaunchdBackend);
+    assert.ok(createServiceBackend({ backend: { type: 'systemd', unit: 'x.service' } }) instanceof SystemdBackend);
+    assert.ok(createServiceBackend({ backend: { type: 'pm2', name: 'x' } }) instanceof Pm2Backend);
+    assert.ok(createServiceBackend({ backend: { type: 'compose', service: 'x' } }) instanceof ComposeBackend);
+    assert.ok(createServiceBackend({ backend: { type: 'command', restart: 'true' } }) instanceof CommandBackend);
+    assert.equal(createServiceBackend({ name: 'plain' }), null);
+  });
+
+  it('rejects unknown types and missing fields', () => {
+    assert.throws(() => createServiceBackend({ backend: { type: 'upstart' } }), /Unknown backend type "upstart"/);
+    assert.throws(() => createServiceBackend({ backend: { type: 'systemd' } }), /needs "unit"/);
+  });
+});
+
+describe('service backends', () => {
+  it('launchd parses launchctl list and kickstarts in the gui domain', () => {
+    const exec = fakeExec({ 'launchctl list com.x': '"PID" = 12345;\n"LastExitStatus" = 0;' });
+    const backend = new LaunchdBackend({ label: 'com.x', exec });
+    assert.deepEqual(backend.status(), { up: true, pid: 12345, exitCode: 0 });
+    assert.equal(backend.restartCommand(), 'launchctl kickstart -kp gui/502/com.x');
+  });
+
+  it('systemd reads unit state and restarts user units', () => {
+    const exec = fakeExec({
+      'systemctl --user show mlx.service': 'ActiveState=active\nSubState=running\nMainPID=4242\nExecMainStatus=0\n',
+      'systemctl show db.service': 'ActiveState=failed\nSubState=failed\nMainPID=0\nExecMainStatus=1\n',
+      'systemctl --user restart': '',
+    });
+    const user = new SystemdBackend({ unit: 'mlx.service', exec });
+    assert.deepEqual(user.status(), { up: true, pid: 4242, exitCode: 0 });
+    user.restart();
+    assert.equal(exec.calls.pop(), 'systemctl --user restart mlx.service');
+
+    const system = new SystemdBackend({ unit: 'db.service', user: false, exec });
+    assert.deepEqual(system.status(), { up: false, pid: null, exitCode: 1, error: 'failed (failed)' });
+    assert.equal(system.restartCommand(), 'systemctl restart db.service');
+  });
+
+  it('pm2 finds the process in jlist', () => {
+    const exec = fakeExec({
+      'pm2 jlist': JSON.stringify([
+        { name: 'api', pid: 99, pm2_env: { status: 'online', restart_time: 3 } },
+        { name: 'worker', pid: 0, pm2_env: { status: 'errored' } },
+      ]),
+    });
+    assert.deepEqual(new Pm2Backend({ name: 'api', exec }).status(), { up: true, pid: 99, restarts: 3 });
+    assert.deepEqual(new Pm2Backend({ name: 'worker', exec }).status(), { up: false, pid: null, error: 'errored' });
+    assert.deepEqual(new Pm2Backend({ name: 'gone', exec }).status(), { up: false, error: 'not in pm2 list' });
+    assert.equal(new Pm2Backend({ name: 'my app', exec }).restartCommand(), "pm2 restart 'my app'");
+  });
+
+  it('compose reads both ps json formats and restarts with file and project', () => {
+    const lines = [
+      { Name: 'stack-api-1', Service: 'api', State: 'running', Health: 'healthy', ExitCode: 0 },
+      { Name: 'stack-api-2', Service: 'api', State: 'running', Health: 'unhealthy', ExitCode: 0 },
+    ];
+    const ndjson = new ComposeBackend({ service: 'api', exec: fakeExec({ 'docker compose ps': lines.map(l => JSON.stringify(l)).join('\n') }) });
+    assert.deepEqual(ndjson.status(), { up: false, exitCode: null, error: 'stack-api-2: unhealthy' });
+
+    const array = new ComposeBackend({ service: 'api', exec: fakeExec({ 'docker compose ps': JSON.stringify([lines[0]]) }) });
+    assert.deepEqual(array.status(), { up: true, exitCode: null });
+
+    const empty = new ComposeBackend({ service: 'api', exec: fakeExec({ 'docker compose ps': '' }) });
+    assert.deepEqual(empty.status(), { up: false, error: 'no containers' });
+
+    const scoped = new ComposeBackend({ service: 'api', file: '/srv/stack/compose.yml', project: 'stack' });
+    assert.equal(scoped.restartCommand(), 'docker compose -f /srv/stack/compose.yml -p stack restart api');
+  });
+
+  it('command runs the status command and reports exit codes', () => {
+    const exec = fakeExec({
+      './healthy.sh': '',
+      './sick.sh': failure('Command failed', { status: 2, stderr: 'warming up\nport 8100 closed\n' }),
+      './slow.sh': failure('spawnSync /bin/sh ETIMEDOUT', { code: 'ETIMEDOUT' }),
+    });
+    assert.deepEqual(new CommandBackend({ restart: 'x', status: './healthy.sh', exec }).status(), { up: true, exitCode: 0 });
+    assert.deepEqual(new CommandBackend({ restart: 'x', status: './sick.sh', exec }).status(),
+      { up: false, exitCode: 2, error: 'port 8100 closed' });
+    assert.equal(new CommandBackend({ restart: 'x', status: './slow.sh', exec }).status().error, 'timeout');
+    assert.equal(new CommandBackend({ restart: 'x', exec }).status().error, 'no status command configured');
+  });
+});
+
+describe('HealthMonitor restarts through backends', () => {
+  let tmp;
+
+  afterEach(() => {
+    mock.timers.reset();
+    if (tmp) tmp.cleanup();
+    tmp = null;
+  });
+
+  it('restarts with a command backend, logs the type and verifies', async () => {
+    tmp = createTempDir('backend-hm-test-');
+    const marker = path.join(tmp.dir, 'restarted');
+    const service = {
+      name: 'api', type: 'process',
+      backend: { type: 'command', restart: `touch ${marker}`, status: `test -f ${marker}` },
+    };
+    const notifications = [];
+    const restarts = [];
+    const audited = [];
+    const hm = new HealthMonitor({
+      config: { health: { services: [service], consecutiveFailsBeforeAlert: 1 } },
+      notificationManager: { notify: (msg, tier) => notifications.push({ msg, tier }) },
+      state: { load: () => ({}), getAutonomyLevel: () => 'moderate', logHealthRestart: (s, r) => restarts.push(r) },
+      audit: { record: (e) => audited.push(e) },
+    });
+    assert.equal(hm._isRestartable(service), true);
+
+    mock.timers.enable({ apis: ['setTimeout'] });
+    await hm.checkAll();
+    assert.equal(hm.getLastResults().api.status, 'down');
+    assert.ok(fs.existsSync(marker));
+    assert.equal(restarts[0].type, 'command');
+    assert.equal(restarts[0].success, true);
+    assert.match(notifications[0].msg, /Action: Restarting \(command\)/);
+    assert.equal(audited[0].action, 'restart');
+    assert.equal(audited[0].target, 'api');
+    assert.equal(audited[0].params.command, `touch ${marker}`);
+    assert.equal(audited[0].autonomyLevel, 'moderate');
+
+    let verified;
+    const done = new Promise((resolve) => { verified = resolve; });
+    const verify = hm._verifyRestart.bind(hm);
+    hm._verifyRestart = async (s) => { await verify(s); verified(); };
+    mock.timers.tick(30000);
+    await done;
+    assert.equal(hm.getLastResults().api.status, 'up');
+    assert.match(notifications[1].msg, /SERVICE RECOVERED: api is back up after restart/);
+  });
+
+  it('treats a bad backend config as not restartable', () => {
+    const service = { name: 'api', type: 'process', backend: { type: 'systemd' } };
+    const hm = new HealthMonitor({ config: { health: { services: [service] } } });
+    assert.equal(hm._isRestartable(service), false);
+    assert.deepEqual(hm._checkProcess(service), { up: false, error: 'No backend configured' });
+  });
+});
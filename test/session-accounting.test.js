@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SessionAccounting = require('../lib/session-accounting');
+const { processTree } = require('../lib/platform');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Helper: SessionAccounting over a scripted platform. Session "apps/demo"
+ * has pane pid 100 -> claude 101 -> dev server 102 (+ unrelated pid 200).
+ * Mutate `world` between samples to simulate processes changing.
+ */
+function createTestAccounting({ limits = {} } = {}) {
+  const tmp = createTempDir('accounting-test-');
+  fs.mkdirSync(path.join(tmp.dir, 'apps/demo', '.orchestrator'), { recursive: true });
+
+  const world = {
+    sessions: [{ name: 'orch-demo', projectName: 'apps/demo', created: '2026-01-01T00:00:00.000Z' }],
+    procs: [{ pid: 100, ppid: 1 }, { pid: 101, ppid: 100 }, { pid: 102, ppid: 101 }, { pid: 200, ppid: 1 }],
+    stats: {
+      100: { cpuSeconds: 1, cpuPct: 0, rssMB: 5 },
+      101: { cpuSeconds: 60, cpuPct: 10, rssMB: 300 },
+      102: { cpuSeconds: 30, cpuPct: 5, rssMB: 200 },
+      200: { cpuSeconds: 999, cpuPct: 50, rssMB: 9999 },
+    },
+    ports: [{ pid: 102, port: 5173 }],
+  };
+  const platform = {
+    listProcesses: () => world.procs,
+    processStats: (pid) => world.stats[pid] || null,
+    listeningPorts: (pids) => world.ports.filter((p) => pids.includes(p.pid)),
+  };
+  const sessionManager = {
+    getActiveSessions: () => world.sessions,
+    getPanePids: (name) => (world.sessions.some((s) => s.projectName === name) ? [100] : []),
+  };
+  const accounting = new SessionAccounting({
+    config: { projectsDir: tmp.dir, sessionLimits: limits },
+    sessionManager,
+    platform,
+    dbPath: path.join(tmp.dir, 'test.db'),
+  });
+  return {
+    accounting,
+    world,
+    tmp,
+    cleanup: () => {
+      accounting.close();
+      tmp.cleanup();
+    },
+  };
+}
+
+describe('processTree', () => {
+  it('collects all descendants of the roots', () => {
+    const procs = [{ pid: 2, ppid: 1 }, { pid: 3, ppid: 2 }, { pid: 4, ppid: 3 }, { pid: 5, ppid: 1 }];
+    assert.deepEqual(processTree(procs, [2]).sort(), [2, 3, 4]);
+    assert.deepEqual(processTree(procs, [9]), [9]);
+  });
+});
+
+describe('SessionAccounting', () => {
+  let ctx;
+  afterEach(() => { if (ctx) ctx.cleanup(); ctx = null; });
+
+  it('sums CPU and RSS over the session process tree only', () => {
+    ctx = createTestAccounting();
+    const [result] = ctx.accounting.sample();
+
+    assert.equal(result.projectName, 'apps/demo');
+    assert.equal(result.usage.cpuSeconds, 91);
+    assert.equal(result.usage.rssMB, 505);
+    assert.equal(result.usage.processCount, 3);
+    assert.deepEqual(result.usage.ports, [5173]);
+    assert.deepEqual(result.violations, []);
+  });
+
+  it('keeps CPU of exited children and tracks peak RSS across samples', () => {
+    ctx = createTestAccounting();
+    ctx.accounting.sample();
+
+    // Dev server exits; claude keeps working
+    ctx.world.procs = ctx.world.procs.filter((p) => p.pid !== 102);
+    ctx.world.stats[101] = { cpuSeconds: 90, cpuPct: 10, rssMB: 250 };
+    const [{ usage }] = ctx.accounting.sample();
+
+    assert.equal(usage.cpuSeconds, 121); // 1 + 90 + 30 from the exited server
+    assert.equal(usage.rssMB, 255);
+    assert.equal(usage.peakRssMB, 505);
+    assert.deepEqual(usage.ports, []);
+    assert.equal(usage.samples, 2);
+  });
+
+  it('writes resources.json and stores samples in SQLite', () => {
+    ctx = createTestAccounting();
+    ctx.accounting.sample();
+    ctx.accounting.sample();
+
+    const usage = ctx.accounting.getUsage('apps/demo');
+    assert.equal(usage.cpuSeconds, 91);
+    const onDisk = JSON.parse(fs.readFileSync(path.join(ctx.tmp.dir, 'apps/demo', '.orchestrator', 'resources.json'), 'utf-8'));
+    assert.deepEqual(onDisk, usage);
+
+    const samples = ctx.accounting.getSamples('apps/demo', '2026-01-01T00:00:00.000Z');
+    assert.equal(samples.length, 2);
+    assert.deepEqual(samples[0].ports, [5173]);
+  });
+
+  it('starts fresh totals when the session restarts', () => {
+    ctx = createTestAccounting();
+    ctx.accounting.sample();
+    ctx.world.sessions[0].created = '2026-01-01T05:00:00.000Z';
+    ctx.world.stats[101] = { cpuSeconds: 2, cpuPct: 1, rssMB: 100 };
+    ctx.world.stats[102] = { cpuSeconds: 0, cpuPct: 0, rssMB: 50 };
+    const [{ usage }] = ctx.accounting.sample();
+    assert.equal(usage.cpuSeconds, 3);
+    assert.equal(usage.peakRssMB, 155);
+    assert.equal(usage.samples, 1);
+  });
+
+  it('reports limit violations', () => {
+    ctx = createTestAccounting({ limits: { maxCpuSeconds: 60, maxRssMB: 400, maxProcesses: 2 } });
+    const [{ violations }] = ctx.accounting.sample();
+    assert.deepEqual(violations, [
+      'CPU 91s > 60s limit',
+      'memory 505MB > 400MB limit',
+      '3 processes > 2 limit',
+    ]);
+  });
+
+  it('skips sessions without panes and cleans up old samples', () => {
+    ctx = createTestAccounting();
+    ctx.world.sessions.push({ name: 'orch-gone', projectName: 'apps/gone', created: '2026-01-01T00:00:00.000Z' });
+    const origGetPanePids = ctx.accounting.sessionManager.getPanePids;
+    ctx.accounting.sessionManager.getPanePids = (name) => (name === 'apps/gone' ? [] : origGetPanePids(name));
+    assert.equal(ctx.accounting.sample().length, 1);
+
+    assert.equal(ctx.accounting.cleanup(0), 1);
+  });
+});
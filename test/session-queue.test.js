@@ -0,0 +1,291 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SessionQueue = require('../lib/session-queue');
+const SessionManager = require('../lib/session-manager');
+const SMSBridge = require('../lib/sms-bridge');
+const { createTempDir } = require('./helpers');
+
+/**
+ * Helper: create a SessionQueue with a temp DB and priorities file.
+ */
+function createTestQueue(priorities = { focus: [] }) {
+  const tmp = createTempDir('sq-test-');
+  const prioritiesPath = path.join(tmp.dir, 'priorities.json');
+  fs.writeFileSync(prioritiesPath, JSON.stringify(priorities));
+  const queue = new SessionQueue({ dbPath: path.join(tmp.dir, 'test.db'), prioritiesPath });
+  return {
+    queue,
+    tmp,
+    prioritiesPath,
+    cleanup: () => {
+      queue.close();
+      tmp.cleanup();
+    },
+  };
+}
+
+describe('SessionQueue', () => {
+  let ctx;
+  afterEach(() => { if (ctx) ctx.cleanup(); ctx = null; });
+
+  it('queues projects first-come first-served', () => {
+    ctx = createTestQueue();
+    assert.equal(ctx.queue.enqueue('alpha').position, 1);
+    assert.equal(ctx.queue.enqueue('beta').position, 2);
+    assert.deepEqual(ctx.queue.list().map((e) => e.projectName), ['alpha', 'beta']);
+    assert.equal(ctx.queue.size(), 2);
+  });
+
+  it('orders focus projects first, then needsAttention', () => {
+    ctx = createTestQueue({ focus: ['gamma'] });
+    ctx.queue.enqueue('alpha');
+    ctx.queue.enqueue('beta', { needsAttention: true });
+    ctx.queue.enqueue('gamma');
+
+    const list = ctx.queue.list();
+    assert.deepEqual(list.map((e) => e.projectName), ['gamma', 'beta', 'alpha']);
+    assert.deepEqual(list.map((e) => e.position), [1, 2, 3]);
+    assert.equal(list[0].focus, true);
+    assert.equal(list[1].needsAttention, true);
+  });
+
+  it('picks up priorities.json edits without a restart', () => {
+    ctx = createTestQueue();
+    ctx.queue.enqueue('alpha');
+    ctx.queue.enqueue('beta');
+    fs.writeFileSync(ctx.prioritiesPath, JSON.stringify({ focus: ['beta'] }));
+    assert.equal(ctx.queue.peek().projectName, 'beta');
+  });
+
+  it('refreshes needsAttention from scan results', () => {
+    ctx = createTestQueue();
+    ctx.queue.enqueue('alpha');
+    ctx.queue.enqueue('beta');
+    ctx.queue.updateAttention([
+      { name: 'beta', needsAttention: true },
+      { name: 'unqueued', needsAttention: true },
+    ]);
+    assert.equal(ctx.queue.peek().projectName, 'beta');
+  });
+
+  it('keeps place in line when re-queued but updates the prompt', () => {
+    ctx = createTestQueue();
+    ctx.queue.enqueue('alpha', { prompt: 'old' });
+    ctx.queue.enqueue('beta');
+    const result = ctx.queue.enqueue('alpha', { prompt: 'new', options: { mcpConfig: { a: 1 } } });
+
+    assert.deepEqual(result, { position: 1, alreadyQueued: true });
+    const entry = ctx.queue.peek();
+    assert.equal(entry.prompt, 'new');
+    assert.deepEqual(entry.options, { mcpConfig: { a: 1 } });
+  });
+
+  it('removes entries and reports positions', () => {
+    ctx = createTestQueue();
+    ctx.queue.enqueue('alpha');
+    ctx.queue.enqueue('beta');
+    assert.equal(ctx.queue.remove('alpha'), true);
+    assert.equal(ctx.queue.remove('alpha'), false);
+    assert.equal(ctx.queue.getPosition('beta'), 1);
+    assert.equal(ctx.queue.getPosition('alpha'), 0);
+  });
+
+  it('persists across instances', () => {
+    ctx = createTestQueue();
+    ctx.queue.enqueue('alpha', { prompt: 'do it' });
+    ctx.queue.close();
+
+    const reopened = new SessionQueue({ dbPath: ctx.queue.dbPath, prioritiesPath: ctx.prioritiesPath });
+    try {
+      assert.equal(reopened.peek().prompt, 'do it');
+    } finally {
+      reopened.close();
+    }
+  });
+});
+
+describe('SessionManager queueing', () => {
+  let ctx;
+  afterEach(() => { if (ctx) ctx.cleanup(); ctx = null; });
+
+  /**
+   * SessionManager with tmux stubbed out: `running` is the list of active
+   * project names and launches just push onto it. `deps` adds e.g. a
+   * resourceMonitor stub for admission control.
+   */
+  function createManager(running, maxConcurrent = 1, deps = {}, config = {}) {
+    ctx = createTestQueue();
+    fs.mkdirSync(path.join(ctx.tmp.dir, 'projects', 'alpha'), { recursive: true });
+    fs.mkdirSync(path.join(ctx.tmp.dir, 'projects', 'beta'), { recursive: true });
+
+    const sm = new SessionManager(
+      { projectsDir: path.join(ctx.tmp.dir, 'projects'), maxConcurrentSessions: maxConcurrent, ...config },
+      { sessionQueue: ctx.queue, ...deps }
+    );
+    sm.getActiveSessions = () => running.map((projectName) => ({ projectName }));
+    sm._tmuxSessionExists = (name) => running.includes(name.substring(sm.sessionPrefix.length));
+    sm.launched = [];
+    const realStart = sm.startSession.bind(sm);
+    sm.startSession = (projectName, prompt, options) => {
+      if (sm.getActiveSessions().length < sm.maxConcurrent && fs.existsSync(path.join(sm.projectsDir, projectName)) &&
+          sm.checkAdmission().ok) {
+        sm.launched.push({ projectName, prompt, options });
+        running.push(projectName);
+        sm.queue.remove(projectName);
+        return { success: true, message: `Started session for ${projectName}` };
+      }
+      return realStart(projectName, prompt, options);
+    };
+    return sm;
+  }
+
+  it('queues instead of rejecting at maxConcurrent', () => {
+    const sm = createManager(['busy']);
+    const result = sm.startSession('alpha', 'finish phase 2');
+    assert.equal(result.success, false);
+    assert.equal(result.queued, true);
+    assert.equal(result.position, 1);
+    assert.match(result.message, /Queued alpha at position 1/);
+    assert.equal(sm.getQueue()[0].prompt, 'finish phase 2');
+  });
+
+  it('reports an already queued project', () => {
+    const sm = createManager(['busy']);
+    sm.startSession('alpha');
+    assert.match(sm.startSession('alpha').message, /already queued/);
+  });
+
+  it('stopSession drops a queued project', () => {
+    const sm = createManager(['busy']);
+    sm.startSession('alpha');
+    const result = sm.stopSession('alpha');
+    assert.equal(result.success, true);
+    assert.match(result.message, /Removed alpha from the session queue/);
+    assert.equal(sm.getQueue().length, 0);
+  });
+
+  it('processQueue starts the highest-priority entry when a slot frees', () => {
+    const running = ['busy'];
+    const sm = createManager(running);
+    sm.startSession('alpha', 'alpha prompt');
+    sm.startSession('beta', undefined, { needsAttention: true });
+
+    assert.deepEqual(sm.processQueue(), []);
+
+    running.splice(0, 1);
+    const results = sm.processQueue();
+    assert.equal(results.length, 1);
+    assert.equal(results[0].projectName, 'beta');
+    assert.equal(results[0].success, true);
+    assert.deepEqual(sm.getQueue().map((e) => e.projectName), ['alpha']);
+  });
+
+  it('processQueue drops entries that can no longer start', () => {
+    const running = ['busy', 'other'];
+    const sm = createManager(running, 2);
+    ctx.queue.enqueue('ghost'); // project dir was since removed
+    sm.startSession('alpha', 'alpha prompt');
+
+    running.splice(0, 2);
+    const results = sm.processQueue();
+    assert.deepEqual(results.map((r) => [r.projectName, r.success]), [['ghost', false], ['alpha', true]]);
+    assert.equal(sm.launched[0].prompt, 'alpha prompt');
+    assert.equal(sm.getQueue().length, 0);
+  });
+
+  it('formats the queue and answers "queue" over SMS', () => {
+    const sm = createManager(['busy']);
+    assert.equal(sm.formatQueue(), 'Session queue is empty (1/1 slots in use).');
+    sm.startSession('alpha');
+    sm.startSession('beta', undefined, { needsAttention: true });
+
+    const text = sm.formatQueue();
+    assert.match(text, /^2 queued \(1\/1 slots in use\):\n1\. beta \[attention\] - waiting 0m\n2\. alpha - waiting 0m/);
+
+    const bridge = new SMSBridge({
+      messenger: {}, claudeSession: {}, state: {}, config: { myNumber: '+15555550123' }, log: () => {}, sessionManager: sm,
+    });
+    assert.equal(bridge._tryCommand(' Queue '), text);
+    assert.equal(bridge._tryCommand('queue up the deploy for tonight'), null);
+  });
+
+  it('processQueue keeps an entry\'s place when it loses the race for a slot', () => {
+    const running = ['busy'];
+    const sm = createManager(running);
+    sm.startSession('alpha', 'alpha prompt');
+    sm.startSession('beta');
+
+    // The slot frees up, then is taken again before alpha can start
+    running.splice(0, 1);
+    const getActive = sm.getActiveSessions;
+    let calls = 0;
+    sm.getActiveSessions = () => (calls++ === 0 ? [] : [{ projectName: 'other' }]);
+    const results = sm.processQueue();
+    sm.getActiveSessions = getActive;
+
+    assert.deepEqual(results.map((r) => [r.projectName, r.queued]), [['alpha', true]]);
+    assert.deepEqual(sm.getQueue().map((e) => [e.projectName, e.prompt]), [['alpha', 'alpha prompt'], ['beta', null]]);
+  });
+
+  describe('admission control', () => {
+    /** ResourceMonitor stub whose verdict the test flips via `busy.reasons`. */
+    function monitorStub(busy) {
+      return {
+        checkAdmission: (limits) => {
+          busy.limits = limits;
+          return { ok: busy.reasons.length === 0, reasons: busy.reasons };
+        },
+      };
+    }
+
+    it('defers and queues a start while the machine is busy', () => {
+      const busy = { reasons: ['load 3.10/core > 1.5'] };
+      const sm = createManager([], 2, { resourceMonitor: monitorStub(busy) }, { admission: { maxLoadPerCore: 1.5 } });
+
+      const result = sm.startSession('alpha', 'alpha prompt');
+      assert.equal(result.success, false);
+      assert.equal(result.deferred, true);
+      assert.equal(result.queued, true);
+      assert.equal(result.reason, 'load 3.10/core > 1.5');
+      assert.match(result.message, /Deferred alpha: load 3\.10\/core > 1\.5\. Queued at position 1/);
+      assert.deepEqual(busy.limits, { maxLoadPerCore: 1.5 });
+      assert.equal(sm.launched.length, 0);
+    });
+
+    it('processQueue holds the queue until resources free up', () => {
+      const busy = { reasons: ['512MB free < 2048MB'] };
+      const sm = createManager([], 2, { resourceMonitor: monitorStub(busy) });
+      sm.startSession('alpha', 'alpha prompt');
+
+      const held = sm.processQueue();
+      assert.deepEqual(held.map((r) => [r.projectName, r.deferred, r.reason]), [['alpha', true, '512MB free < 2048MB']]);
+      assert.equal(sm.getQueue().length, 1);
+
+      busy.reasons = [];
+      const results = sm.processQueue();
+      assert.deepEqual(results.map((r) => [r.projectName, r.success]), [['alpha', true]]);
+      assert.equal(sm.launched[0].prompt, 'alpha prompt');
+    });
+
+    it('refuses outright without a queue, and can be disabled', () => {
+      ctx = createTestQueue();
+      fs.mkdirSync(path.join(ctx.tmp.dir, 'projects', 'alpha'), { recursive: true });
+      const resourceMonitor = monitorStub({ reasons: ['disk 97% used > 95%'] });
+      const config = { projectsDir: path.join(ctx.tmp.dir, 'projects') };
+
+      const sm = new SessionManager(config, { resourceMonitor });
+      sm.getActiveSessions = () => [];
+      sm._tmuxSessionExists = () => false;
+      const result = sm.startSession('alpha');
+      assert.equal(result.deferred, true);
+      assert.equal(result.message, 'Not starting alpha: disk 97% used > 95%.');
+
+      const disabled = new SessionManager({ ...config, admission: { enabled: false } }, { resourceMonitor });
+      assert.deepEqual(disabled.checkAdmission(), { ok: true, reasons: [] });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SignalProtocol, ORCHESTRATOR_CLAUDE_MD, PROTOCOL_VERSION } = require('../lib/signal-protocol');
+const { validateSignal } = require('../lib/signal-schemas');
+const { createTempDir } = require('./helpers');
+
+describe('validateSignal', () => {
+  it('accepts well-formed signals with and without protocolVersion', () => {
+    assert.equal(validateSignal('needs-input', { question: 'Which?', options: ['A', 'B'] }).valid, true);
+    // A free-text question may write an empty list; options are optional
+    assert.equal(validateSignal('needs-input', { question: 'What name?', options: [] }).valid, true);
+    const result = validateSignal('completed', { protocolVersion: PROTOCOL_VERSION, summary: 'Done', timestamp: '2026-01-02T03:04:05Z' });
+    assert.deepEqual(result, { valid: true, version: PROTOCOL_VERSION, errors: [] });
+  });
+
+  it('treats files without protocolVersion as the current version', () => {
+    assert.equal(validateSignal('error', { error: 'boom' }).version, PROTOCOL_VERSION);
+  });
+
+  it('validates progress and heartbeat, which need protocol version 2', () => {
+    assert.equal(validateSignal('progress', { task: 'Write tests', percent: 40, eta: '2026-01-02T05:00:00Z' }).valid, true);
+    assert.deepEqual(validateSignal('progress', { task: 'x', percent: 140 }).errors, ['percent: must be at most 100 (got 140)']);
+    assert.deepEqual(validateSignal('heartbeat', { status: 'alive' }).errors, ['timestamp: is required']);
+    assert.match(validateSignal('heartbeat', { protocolVersion: 1, timestamp: '2026-01-02T03:04:05Z' }).errors[0], /need protocolVersion 2/);
+  });
+
+  it('reports every problem with its field path', () => {
+    const { valid, errors } = validateSignal('needs-input', {
+      context: 42,
+      options: ['A', 7],
+      timestamp: 'yesterday',
+    });
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      'question: is required',
+      'context: must be a string, got number 42',
+      'options[1]: must be a string, got number 7',
+      'timestamp: must be an ISO 8601 timestamp, got "yesterday"',
+    ]);
+  });
+
+  it('rejects empty required strings, non-objects and unknown versions', () => {
+    assert.deepEqual(validateSignal('completed', { summary: '  ' }).errors, ['summary: must not be empty']);
+    assert.deepEqual(validateSignal('error', ['x']).errors, ['file must contain a JSON object']);
+    assert.match(validateSignal('error', { protocolVersion: 99, error: 'x' }).errors[0], /protocolVersion 99 is not supported/);
+  });
+
+  it('allows unknown extra fields', () => {
+    assert.equal(validateSignal('completed', { summary: 'Done', filesChanged: 3 }).valid, true);
+  });
+});
+
+describe('SignalProtocol', () => {
+  let tmp;
+  let sp;
+
+  afterEach(() => {
+    if (tmp) tmp.cleanup();
+    tmp = null;
+  });
+
+  function setup() {
+    tmp = createTempDir('signal-test-');
+    fs.mkdirSync(path.join(tmp.dir, 'alpha', '.orchestrator'), { recursive: true });
+    sp = new SignalProtocol(tmp.dir);
+  }
+
+  const signalFile = (name) => path.join(tmp.dir, 'alpha', '.orchestrator', name);
+
+  it('returns valid signals with their protocol version', () => {
+    setup();
+    fs.writeFileSync(signalFile('completed.json'), JSON.stringify({ protocolVersion: 1, summary: 'Shipped' }));
+    const signals = sp.scanSignals(['alpha', 'missing']);
+    assert.equal(signals.length, 1);
+    assert.equal(signals[0].data.summary, 'Shipped');
+    assert.equal(signals[0].protocolVersion, 1);
+  });
+
+  it('quarantines schema violations with a reason', () => {
+    setup();
+    fs.writeFileSync(signalFile('needs-input.json'), JSON.stringify({ context: 'no question here' }));
+
+    const rejection = sp.readSignal('alpha', 'needs-input');
+    assert.equal(rejection.invalid, true);
+    assert.deepEqual(rejection.errors, ['question: is required']);
+    assert.equal(fs.existsSync(signalFile('needs-input.json')), false);
+
+    const quarantined = path.join(tmp.dir, 'alpha', rejection.quarantinedTo);
+    assert.deepEqual(JSON.parse(fs.readFileSync(quarantined, 'utf-8')), { context: 'no question here' });
+    const reason = JSON.parse(fs.readFileSync(quarantined.replace(/\.json$/, '.reason.json'), 'utf-8'));
+    assert.deepEqual(reason.errors, ['question: is required']);
+
+    const feedback = JSON.parse(fs.readFileSync(signalFile('signal-rejected.json'), 'utf-8'));
+    assert.equal(feedback.file, 'needs-input.json');
+    assert.equal(feedback.expectedProtocolVersion, PROTOCOL_VERSION);
+
+    const message = sp.formatRejection(rejection);
+    assert.match(message, /needs-input\.json was rejected/);
+    assert.match(message, /- question: is required/);
+  });
+
+  it('leaves freshly written unparseable files alone until they go stale', () => {
+    setup();
+    fs.writeFileSync(signalFile('error.json'), '{"error": "half');
+    assert.equal(sp.readSignal('alpha', 'error'), null);
+    assert.equal(fs.existsSync(signalFile('error.json')), true);
+
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(signalFile('error.json'), old, old);
+    const rejection = sp.readSignal('alpha', 'error');
+    assert.equal(rejection.invalid, true);
+    assert.match(rejection.errors[0], /not valid JSON/);
+  });
+
+  it('clears a stale rejection once a valid signal of that type is handled', () => {
+    setup();
+    fs.writeFileSync(signalFile('completed.json'), JSON.stringify({ summary: '' }));
+    sp.readSignal('alpha', 'completed');
+    assert.equal(fs.existsSync(signalFile('signal-rejected.json')), true);
+
+    fs.writeFileSync(signalFile('completed.json'), JSON.stringify({ summary: 'Fixed' }));
+    assert.equal(sp.readSignal('alpha', 'completed').data.summary, 'Fixed');
+    sp.clearSignal('alpha', 'completed');
+    assert.equal(fs.existsSync(signalFile('signal-rejected.json')), false);
+  });
+
+  it('reads progress and heartbeat as activity without clearing them', () => {
+    setup();
+    fs.writeFileSync(signalFile('progress.json'), JSON.stringify({ task: 'Migrate DB', percent: 50 }));
+    fs.writeFileSync(signalFile('heartbeat.json'), JSON.stringify({ timestamp: new Date().toISOString() }));
+    const old = new Date(Date.now() - 600000);
+    fs.utimesSync(signalFile('progress.json'), old, old);
+
+    const activity = sp.readActivity('alpha');
+    assert.equal(activity.progress.task, 'Migrate DB');
+    assert.equal(activity.progress.percent, 50);
+    assert.equal(activity.lastActivityAt, activity.heartbeat.writtenAt);
+    assert.ok(Date.now() - Date.parse(activity.lastActivityAt) < 5000);
+    assert.deepEqual(activity.rejected, []);
+    assert.equal(fs.existsSync(signalFile('progress.json')), true);
+    assert.deepEqual(sp.scanSignals(['alpha']), []);
+  });
+
+  it('reports invalid activity files as rejections, or skips them when read-only', () => {
+    setup();
+    fs.writeFileSync(signalFile('progress.json'), JSON.stringify({ percent: 'half' }));
+
+    assert.equal(sp.readActivity('alpha', { quarantine: false }).progress, null);
+    assert.equal(fs.existsSync(signalFile('progress.json')), true);
+
+    const activity = sp.readActivity('alpha');
+    assert.equal(activity.lastActivityAt, null);
+    assert.equal(activity.rejected.length, 1);
+    assert.deepEqual(activity.rejected[0].errors, ['task: is required', 'percent: must be a number, got string "half"']);
+    assert.equal(fs.existsSync(signalFile('progress.json')), false);
+  });
+
+  it('injects CLAUDE.md once and upgrades instructions from an older protocol', () => {
+    setup();
+    const claudeMd = path.join(tmp.dir, 'alpha', 'CLAUDE.md');
+    fs.writeFileSync(claudeMd, '# Project\n\nNotes\n\n# Orchestrator Integration\n\nOld unversioned rules\n');
+
+    sp.injectClaudeMd('alpha');
+    const upgraded = fs.readFileSync(claudeMd, 'utf-8');
+    assert.ok(upgraded.startsWith('# Project\n\nNotes\n\n'));
+    assert.ok(!upgraded.includes('Old unversioned rules'));
+    assert.ok(upgraded.endsWith(ORCHESTRATOR_CLAUDE_MD));
+    assert.match(upgraded, new RegExp(`"protocolVersion": ${PROTOCOL_VERSION}`));
+
+    sp.injectClaudeMd('alpha');
+    assert.equal(fs.readFileSync(claudeMd, 'utf-8'), upgraded);
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const StateManager = require('../lib/state');
+const { createTempDir } = require('./helpers');
+
+describe('StateManager', () => {
+  let tmp;
+  let sm;
+
+  afterEach(() => {
+    if (sm) sm.close();
+    if (tmp) tmp.cleanup();
+    sm = null;
+    tmp = null;
+  });
+
+  function setup() {
+    tmp = createTempDir('state-test-');
+    sm = new StateManager({ dbPath: path.join(tmp.dir, 'test.db'), jsonPath: path.join(tmp.dir, '.state.json') });
+  }
+
+  it('starts from defaults and persists saved keys', () => {
+    setup();
+    const s = sm.load();
+    assert.equal(s.lastRowId, 0);
+    assert.deepEqual(s.executionHistory, []);
+
+    s.lastRowId = 42;
+    s.custom = { nested: true };
+    sm.save(s);
+
+    const again = sm.load();
+    assert.equal(again.lastRowId, 42);
+    assert.deepEqual(again.custom, { nested: true });
+    assert.equal(again.runtimeAutonomyLevel, null);
+  });
+
+  it('migrates .state.json once and renames it', () => {
+    setup();
+    const jsonPath = path.join(tmp.dir, '.state.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ lastRowId: 900, runtimeAutonomyLevel: 'moderate', executionHistory: [{ action: 'start' }] }));
+
+    const s = sm.load();
+    assert.equal(s.lastRowId, 900);
+    assert.equal(sm.getAutonomyLevel(s, {}), 'moderate');
+    assert.equal(s.executionHistory.length, 1);
+    assert.ok(!fs.existsSync(jsonPath));
+    assert.ok(fs.existsSync(jsonPath + '.migrated'));
+
+    // A file that reappears later doesn't overwrite live state
+    fs.writeFileSync(jsonPath, JSON.stringify({ lastRowId: 1 }));
+    sm.close();
+    assert.equal(sm.load().lastRowId, 900);
+  });
+
+  it('accepts the legacy state file path and rejects other arguments', () => {
+    tmp = createTempDir('state-test-');
+    const jsonPath = path.join(tmp.dir, '.state.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ lastRowId: 7 }));
+
+    sm = new StateManager(jsonPath);
+    assert.equal(sm.dbPath, path.join(tmp.dir, 'orchestrator.db'));
+    assert.equal(sm.load().lastRowId, 7);
+    assert.ok(fs.existsSync(path.join(tmp.dir, 'orchestrator.db')));
+
+    assert.throws(() => new StateManager(42), TypeError);
+    assert.throws(() => new StateManager(null), TypeError);
+  });
+
+  it('leaves an unreadable .state.json in place', () => {
+    setup();
+    const jsonPath = path.join(tmp.dir, '.state.json');
+    fs.writeFileSync(jsonPath, '{"lastRowId": 9');
+    assert.equal(sm.load().lastRowId, 0);
+    assert.ok(fs.existsSync(jsonPath));
+  });
+
+  it('saves only changed keys, so concurrent load/save cycles do not clobber', () => {
+    setup();
+    const scan = sm.load();
+    const sms = sm.load();
+
+    sms.lastRowId = 77;
+    sm.save(sms);
+
+    scan.lastScan = '2026-03-10T12:00:00.000Z';
+    sm.save(scan); // stale lastRowId: 0 is not written back
+
+    const s = sm.load();
+    assert.equal(s.lastRowId, 77);
+    assert.equal(s.lastScan, '2026-03-10T12:00:00.000Z');
+
+    delete s.lastScan;
+    sm.save(s);
+    assert.equal(sm.load().lastScan, null);
+  });
+
+  it('appends history from stale copies without losing entries', () => {
+    setup();
+    const a = sm.load();
+    const b = sm.load();
+    sm.logExecution(a, { action: 'start', project: 'x' });
+    sm.logExecution(b, { action: 'stop', project: 'y' });
+    assert.deepEqual(b.executionHistory.map(e => e.action), ['start', 'stop']);
+
+    sm.recordErrorRetry(a, 'x');
+    assert.equal(sm.recordErrorRetry(b, 'x'), 2);
+    sm.clearErrorRetries(a, 'x');
+    assert.equal(sm.getErrorRetryCount(sm.load(), 'x'), 0);
+
+    // The helpers already wrote; a later save of the same object is a no-op for those keys
+    sm.save(a);
+    assert.equal(sm.load().executionHistory.length, 2);
+  });
+
+  it('caps histories', () => {
+    setup();
+    const s = sm.load();
+    for (let i = 0; i < 55; i++) sm.logDecision(s, { i });
+    const decisions = sm.load().aiDecisionHistory;
+    assert.equal(decisions.length, 50);
+    assert.equal(decisions[0].i, 5);
+    assert.deepEqual(sm.getRecentDecisions(s, 2).map(d => d.i), [53, 54]);
+  });
+
+  it('update() is atomic and rolls back when fn throws', () => {
+    setup();
+    const version = sm.update((s) => {
+      s.lastDigest = 'today';
+      return sm.incrementVersion(s);
+    });
+    assert.equal(version, 1);
+    assert.equal(sm.load().lastDigest, 'today');
+
+    assert.throws(() => sm.update((s) => {
+      s.lastDigest = 'tomorrow';
+      sm.incrementVersion(s);
+      throw new Error('boom');
+    }), /boom/);
+    const s = sm.load();
+    assert.equal(s.lastDigest, 'today');
+    assert.equal(s.stateVersion, 1);
+  });
+
+  it('validates autonomy levels', () => {
+    setup();
+    const s = sm.load();
+    assert.throws(() => sm.setAutonomyLevel(s, 'yolo'), /Invalid autonomy level/);
+    sm.setAutonomyLevel(s, 'cautious');
+    assert.equal(sm.getAutonomyLevel(sm.load(), { ai: { autonomyLevel: 'observe' } }), 'cautious');
+  });
+});
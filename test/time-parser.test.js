@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWhen, parseReminder, parseDuration } = require('../lib/time-parser');
+
+const TZ = 'America/New_York';
+const NOW = Date.parse('2026-03-06T20:00:00Z'); // Fri Mar 6, 3:00 PM EST
+
+function at(phrase, timezone = TZ) {
+  const r = parseWhen(phrase, { timezone, now: NOW });
+  return r && r.fireAt !== null ? new Date(r.fireAt).toISOString() : r;
+}
+
+describe('time-parser', () => {
+  it('parses relative times', () => {
+    assert.equal(at('in 20 minutes'), '2026-03-06T20:20:00.000Z');
+    assert.equal(at('in an hour'), '2026-03-06T21:00:00.000Z');
+    assert.equal(at('in half an hour'), '2026-03-06T20:30:00.000Z');
+    assert.equal(at('in 1h30m'), '2026-03-06T21:30:00.000Z');
+    assert.equal(at('in 2 days'), '2026-03-08T20:00:00.000Z');
+  });
+
+  it('parses days and times in the given timezone', () => {
+    assert.equal(at('tomorrow at 9'), '2026-03-07T14:00:00.000Z');
+    assert.equal(at('tomorrow at 9', 'America/Los_Angeles'), '2026-03-07T17:00:00.000Z');
+    assert.equal(at('tonight at 8'), '2026-03-07T01:00:00.000Z');
+    assert.equal(at('tomorrow morning'), '2026-03-07T14:00:00.000Z');
+    assert.equal(at('at 3'), '2026-03-07T20:00:00.000Z'); // 3pm has passed today
+    assert.equal(at('15:30'), '2026-03-06T20:30:00.000Z');
+    // Monday is after the DST change
+    assert.equal(at('monday'), '2026-03-09T13:00:00.000Z');
+    assert.equal(at('2026-03-10 at 9:30am'), '2026-03-10T13:30:00.000Z');
+  });
+
+  it('reads "friday" and "next friday" as the coming one', () => {
+    assert.equal(at('next friday 3pm'), '2026-03-13T19:00:00.000Z');
+    assert.equal(at('friday at 4pm'), '2026-03-06T21:00:00.000Z'); // still ahead today
+    assert.equal(at('next friday at 4pm'), '2026-03-13T20:00:00.000Z');
+  });
+
+  it('turns repeating phrases into cron or RRULE', () => {
+    const rule = (p) => parseWhen(p, { timezone: TZ, now: NOW }).recurrence;
+    assert.equal(rule('every weekday at 8'), '0 8 * * 1-5');
+    assert.equal(rule('every mon and thu 9am'), '0 9 * * 1,4');
+    assert.equal(rule('daily at 7:15'), '15 7 * * *');
+    assert.equal(rule('every day'), '0 9 * * *');
+    assert.equal(rule('every other friday at 4'), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;BYHOUR=16;BYMINUTE=0');
+    assert.equal(rule('every 3 days'), 'FREQ=DAILY;INTERVAL=3;BYHOUR=9;BYMINUTE=0');
+  });
+
+  it('returns null for anything outside the grammar', () => {
+    assert.equal(parseWhen('banana', { now: NOW }), null);
+    assert.equal(parseWhen('in 5', { now: NOW }), null);
+    assert.equal(parseWhen('at 25', { now: NOW }), null);
+    assert.equal(parseWhen('9', { now: NOW }), null);
+  });
+
+  it('parses durations', () => {
+    assert.equal(parseDuration('30m'), 1800000);
+    assert.equal(parseDuration('1h30m'), 5400000);
+    assert.equal(parseDuration('45'), 2700000);
+    assert.equal(parseDuration('1d'), 86400000);
+    assert.equal(parseDuration('soon'), null);
+    assert.equal(parseDuration('0m'), null);
+  });
+
+  it('splits a reminder into task and time', () => {
+    const opts = { timezone: TZ, now: NOW };
+    assert.deepEqual(parseReminder('remind me to call mom tomorrow at 9', opts),
+      { text: 'call mom', fireAt: Date.parse('2026-03-07T14:00:00Z'), recurrence: null });
+    assert.deepEqual(parseReminder('remind me in 20 minutes to stretch', opts),
+      { text: 'stretch', fireAt: NOW + 1200000, recurrence: null });
+    assert.deepEqual(parseReminder('remind me every weekday at 8 to stand up', opts),
+      { text: 'stand up', fireAt: null, recurrence: '0 8 * * 1-5' });
+    assert.equal(parseReminder('remind me to pay rent on friday', opts).text, 'pay rent');
+    assert.equal(parseReminder('remind me about the thing', opts), null);
+  });
+
+  it('combines a leading day with a trailing time', () => {
+    const opts = { timezone: TZ, now: Date.parse('2026-10-19T14:00:00Z') }; // Mon Oct 19, 10:00 AM EDT
+    assert.deepEqual(parseReminder('remind me tomorrow to call Bob at 5', opts),
+      { text: 'call Bob', fireAt: Date.parse('2026-10-20T21:00:00Z'), recurrence: null });
+    assert.deepEqual(parseReminder('remind me at 9 to water the plants on friday', opts),
+      { text: 'water the plants', fireAt: Date.parse('2026-10-23T13:00:00Z'), recurrence: null });
+    // Task text that still starts with a time word is left to Claude
+    assert.equal(parseReminder('remind me in 20 minutes at the latest to stretch', opts), null);
+  });
+});
@@ -443,6 +443,25 @@ describe('TrustTracker', () => {
     });
   });
 
+  describe('recordAlertOutcome', () => {
+    it('counts real and false alerts at the current level', () => {
+      const { tracker, cleanup } = createTestTracker();
+      try {
+        tracker.recordAlertOutcome(true);
+        tracker.recordAlertOutcome(true);
+        tracker.recordAlertOutcome(false);
+        const metrics = tracker.getMetrics();
+        assert.equal(metrics.trueAlerts, 2);
+        assert.equal(metrics.falseAlerts, 1);
+        assert.ok(tracker.formatForContext().includes('Acknowledged alerts: 2 real, 1 false alarms'));
+        const observe = tracker.db.prepare("SELECT true_alerts FROM trust_summary WHERE autonomy_level = 'observe'").get();
+        assert.equal(observe.true_alerts, 0);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+
   describe('getMetrics', () => {
     it('returns current level with zero metrics when new', () => {
       const { tracker, cleanup } = createTestTracker(
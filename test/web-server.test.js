@@ -3,23 +3,26 @@
 const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
 const http = require('node:http');
-const { createMockDeps } = require('./helpers');
+const path = require('node:path');
+const { createMockDeps, createTempDir } = require('./helpers');
 
 const WebServer = require('../lib/web-server');
+const ApiTokens = require('../lib/api-tokens');
+const AuditLog = require('../lib/audit-log');
 
 let testPort;
 
 /**
  * Make an HTTP request and return { statusCode, headers, body }.
  */
-function request(method, path, body) {
+function request(method, path, body, headers = {}) {
   return new Promise((resolve, reject) => {
     const opts = {
       hostname: '127.0.0.1',
       port: testPort,
       path,
       method,
-      headers: {},
+      headers: { ...headers },
     };
     if (body) {
       const payload = typeof body === 'string' ? body : JSON.stringify(body);
@@ -63,6 +66,45 @@ describe('WebServer', () => {
       commands: {
         route: async (text) => `Executed: ${text}`,
       },
+      healthHistory: {
+        getReport: ({ windows = ['24h', '7d', '30d'], service } = {}) => ({
+          windows,
+          services: { [service || 'api']: { [windows[0]]: { checks: 10, uptimePct: 90, p50Ms: 20, p95Ms: 80 } } },
+        }),
+        getHistory: () => [{ checkedAt: '2026-01-01T00:00:00.000Z', status: 'up', latencyMs: 20, error: null }],
+      },
+      incidents: {
+        list: ({ status }) => (status === 'open'
+          ? [{ id: 2, service: 'db', status: 'open' }]
+          : [{ id: 1, service: 'api', status: 'resolved', durationMs: 60000, resolution: 'recovered' }]),
+        get: (id) => (id === 2 ? { id: 2, service: 'db', status: 'open', timeline: [{ kind: 'opened' }] } : null),
+        getMttr: () => ({ resolved: 1, mttrMs: 60000 }),
+      },
+      maintenance: {
+        _silences: [],
+        silence(service, durationMs, { reason, by }) {
+          if (service !== 'api') throw new Error(`Unknown service "${service}"`);
+          const s = { id: 1, service, endsAt: new Date(Date.now() + durationMs).toISOString(), reason, createdBy: by };
+          this._silences.push(s);
+          return s;
+        },
+        unsilence(service) {
+          const before = this._silences.length;
+          this._silences = this._silences.filter(s => s.service !== service);
+          return before - this._silences.length;
+        },
+        listSilences() { return this._silences; },
+        listWindows: () => [{ name: 'weekly', services: ['api'], active: false, until: null }],
+      },
+      notificationManager: {
+        getStats: () => ({ dailySent: 2, dailyBudget: 10, batchQueueSize: 1, budgetRemaining: 8, pendingDeliveries: 1, failedDeliveries: 0 }),
+        getUndelivered: () => ({
+          queued: [{ id: 3, text: 'Started demo', tier: 2, createdAt: '2026-03-10T12:00:00.000Z' }],
+          deliveries: [{ id: 1, kind: 'urgent', status: 'pending', text: 'API down', attempts: 2, lastError: 'offline', items: ['API down'] }],
+        }),
+        getAlerts: () => ({ open: [{ id: 5, text: 'API down', category: 'health', createdAt: '2026-03-10T12:00:00.000Z' }], recent: [] }),
+        acknowledge: (id, opts) => (id === 5 ? { id, ackedBy: opts.by, falseAlarm: opts.falseAlarm } : null),
+      },
       config: {
         projects: ['test-project'],
         ai: { enabled: true, autonomyLevel: 'observe' },
@@ -103,6 +145,15 @@ describe('WebServer', () => {
     assert.ok(data.health);
   });
 
+  it('GET /metrics returns Prometheus text', async () => {
+    const res = await request('GET', '/metrics');
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+    assert.match(res.body, /^# TYPE orchestrator_sessions_active gauge$/m);
+    assert.match(res.body, /^orchestrator_claude_semaphore_active \d+$/m);
+    assert.match(res.body, /^orchestrator_metrics_collect_errors 0$/m);
+  });
+
   it('GET /api/projects returns projects array', async () => {
     const res = await request('GET', '/api/projects');
     assert.strictEqual(res.statusCode, 200);
@@ -121,6 +172,68 @@ describe('WebServer', () => {
     assert.ok('total' in data.stats);
   });
 
+  it('GET /api/health/history returns uptime report, filtered by query', async () => {
+    const all = JSON.parse((await request('GET', '/api/health/history')).body);
+    assert.strictEqual(all.enabled, true);
+    assert.deepStrictEqual(all.windows, ['24h', '7d', '30d']);
+    assert.strictEqual(all.services.api['24h'].uptimePct, 90);
+    assert.strictEqual(all.recent, undefined);
+
+    const one = JSON.parse((await request('GET', '/api/health/history?service=db&window=7d')).body);
+    assert.deepStrictEqual(one.windows, ['7d']);
+    assert.ok(one.services.db['7d']);
+    assert.strictEqual(one.recent.length, 1);
+
+    const bad = await request('GET', '/api/health/history?window=1y');
+    assert.strictEqual(bad.statusCode, 400);
+  });
+
+  it('GET /api/incidents returns open incidents with timelines and MTTR', async () => {
+    const data = JSON.parse((await request('GET', '/api/incidents')).body);
+    assert.strictEqual(data.open[0].timeline.length, 1);
+    assert.strictEqual(data.recent[0].resolution, 'recovered');
+    assert.strictEqual(data.mttr.mttrMs, 60000);
+
+    const one = await request('GET', '/api/incidents/2');
+    assert.strictEqual(JSON.parse(one.body).service, 'db');
+    assert.strictEqual((await request('GET', '/api/incidents/7')).statusCode, 404);
+  });
+
+  it('GET /api/notifications lists undelivered notifications', async () => {
+    const data = JSON.parse((await request('GET', '/api/notifications')).body);
+    assert.strictEqual(data.enabled, true);
+    assert.strictEqual(data.stats.pendingDeliveries, 1);
+    assert.strictEqual(data.queued[0].text, 'Started demo');
+    assert.strictEqual(data.deliveries[0].lastError, 'offline');
+  });
+
+  it('lists open alerts and acknowledges them', async () => {
+    const data = JSON.parse((await request('GET', '/api/alerts')).body);
+    assert.strictEqual(data.open[0].id, 5);
+
+    const acked = await request('POST', '/api/alerts/5/ack', { falseAlarm: true });
+    assert.strictEqual(acked.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(acked.body), { id: 5, ackedBy: 'dashboard', falseAlarm: true });
+    assert.strictEqual((await request('POST', '/api/alerts/9/ack', {})).statusCode, 404);
+  });
+
+  it('creates, lists and clears health silences', async () => {
+    const created = await request('POST', '/api/health/silences', { service: 'api', duration: '30m', reason: 'redeploy' });
+    assert.strictEqual(created.statusCode, 201);
+    const silence = JSON.parse(created.body);
+    assert.strictEqual(silence.createdBy, 'api');
+    assert.ok(Math.abs(Date.parse(silence.endsAt) - Date.now() - 30 * 60000) < 5000);
+
+    const listed = JSON.parse((await request('GET', '/api/health/silences')).body);
+    assert.strictEqual(listed.silences[0].reason, 'redeploy');
+    assert.strictEqual(listed.windows[0].name, 'weekly');
+
+    assert.strictEqual((await request('POST', '/api/health/silences', { service: 'api', duration: 'soon' })).statusCode, 400);
+    assert.strictEqual((await request('POST', '/api/health/silences', { service: 'nope', duration: 5 })).statusCode, 400);
+    assert.strictEqual((await request('DELETE', '/api/health/silences/api')).statusCode, 200);
+    assert.strictEqual((await request('DELETE', '/api/health/silences/api')).statusCode, 404);
+  });
+
   it('GET /api/sessions returns sessions array', async () => {
     const res = await request('GET', '/api/sessions');
     assert.strictEqual(res.statusCode, 200);
@@ -128,6 +241,15 @@ describe('WebServer', () => {
     assert.ok(Array.isArray(data.sessions));
   });
 
+  it('GET /api/sessions/queue returns queue and slot usage', async () => {
+    const res = await request('GET', '/api/sessions/queue');
+    assert.strictEqual(res.statusCode, 200);
+    const data = JSON.parse(res.body);
+    assert.ok(Array.isArray(data.queue));
+    assert.strictEqual(data.active, 0);
+    assert.strictEqual(data.maxConcurrent, 3);
+  });
+
   it('GET /api/ai returns status and decision info', async () => {
     const res = await request('GET', '/api/ai');
     assert.strictEqual(res.statusCode, 200);
@@ -230,3 +352,90 @@ describe('WebServer', () => {
     assert.ok(data.includes('"overview"'));
   });
 });
+
+describe('WebServer auth', () => {
+  let server;
+  let tmp;
+  let tokens;
+  let audit;
+  const bearer = (t) => ({ Authorization: `Bearer ${t.token}` });
+  let reader;
+  let operator;
+
+  before(async () => {
+    tmp = createTempDir('web-auth-test-');
+    tokens = new ApiTokens({ dbPath: path.join(tmp.dir, 'test.db') });
+    reader = tokens.create('grafana', ['read']);
+    operator = tokens.create('laptop', ['read', 'command']);
+    audit = new AuditLog({ dbPath: path.join(tmp.dir, 'test.db') });
+
+    const deps = createMockDeps({
+      apiTokens: tokens,
+      audit,
+      commands: { route: async (text) => `Executed: ${text}` },
+      config: { projects: [], web: { allowedOrigins: ['https://orch.example.com'] } },
+    });
+    deps.port = 0;
+    server = new WebServer(deps);
+    await server.start();
+    testPort = server._port;
+  });
+
+  after(() => {
+    server.close();
+    tokens.close();
+    audit.close();
+    tmp.cleanup();
+  });
+
+  it('serves the page without a token but not the API', async () => {
+    assert.strictEqual((await request('GET', '/')).statusCode, 200);
+    const res = await request('GET', '/api/overview');
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.headers['www-authenticate'], 'Bearer');
+    assert.strictEqual((await request('GET', '/metrics')).statusCode, 401);
+  });
+
+  it('checks scopes per route', async () => {
+    assert.strictEqual((await request('GET', '/api/overview', null, bearer(reader))).statusCode, 200);
+
+    const denied = await request('POST', '/api/command', { text: 'stopall' }, bearer(reader));
+    assert.strictEqual(denied.statusCode, 403);
+    assert.match(JSON.parse(denied.body).error, /lacks the "command" scope/);
+
+    const ok = await request('POST', '/api/command', { text: 'status' }, bearer(operator));
+    assert.strictEqual(JSON.parse(ok.body).response, 'Executed: status');
+    assert.strictEqual((await request('POST', '/api/upwork/dismiss', { jobId: 'x' }, bearer(operator))).statusCode, 403);
+  });
+
+  it('reports the token identity and rejects revoked tokens', async () => {
+    const me = JSON.parse((await request('GET', '/api/auth', null, bearer(operator))).body);
+    assert.deepStrictEqual(me, { enabled: true, name: 'laptop', scopes: ['read', 'command'] });
+    assert.strictEqual((await request('GET', '/api/auth')).statusCode, 401);
+
+    const temp = tokens.create('temp', ['read']);
+    tokens.revoke(temp.id);
+    assert.strictEqual((await request('GET', '/api/health', null, bearer(temp))).statusCode, 401);
+  });
+
+  it('audits writes under the token name, denied ones included', async () => {
+    await request('POST', '/api/command', { text: 'stopall' }, bearer(reader));
+    await request('POST', '/api/command', { text: 'status' }, bearer(operator));
+
+    const res = await request('GET', '/api/audit?channel=dashboard&limit=2', null, bearer(reader));
+    const { entries } = JSON.parse(res.body);
+    assert.deepStrictEqual(entries.map(e => [e.actor, e.action, e.result, e.params?.text]), [
+      ['laptop', 'POST /api/command', 'HTTP 200', 'status'],
+      // Denied before the body is read
+      ['grafana', 'POST /api/command', 'HTTP 403', undefined],
+    ]);
+    assert.strictEqual(audit.query({ action: 'GET /api/audit' }).length, 0);
+  });
+
+  it('sends CORS headers only to allowed origins', async () => {
+    const allowed = await request('GET', '/api/health', null, { ...bearer(reader), Origin: 'https://orch.example.com' });
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://orch.example.com');
+    const other = await request('GET', '/api/health', null, { ...bearer(reader), Origin: 'https://evil.example' });
+    assert.strictEqual(other.headers['access-control-allow-origin'], undefined);
+  });
+});
@@ -0,0 +1,157 @@
+'use strict';
+
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { WorktreeManager } = require('../lib/worktree-manager');
+const { createTempDir } = require('./helpers');
+
+function git(dir, args) {
+  return execSync(`git -C "${dir}" ${args}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Helper: temp git repo with one commit on `main` and a dirty working tree.
+ */
+function createRepo() {
+  const tmp = createTempDir('wt-test-');
+  const projectDir = path.join(tmp.dir, 'proj');
+  fs.mkdirSync(path.join(projectDir, '.orchestrator'), { recursive: true });
+  git(projectDir, 'init -q -b main');
+  fs.writeFileSync(path.join(projectDir, 'README.md'), 'hello\n');
+  git(projectDir, 'add README.md');
+  git(projectDir, 'commit -q -m init');
+  fs.writeFileSync(path.join(projectDir, 'notes.txt'), 'user work in progress\n');
+  return { tmp, projectDir };
+}
+
+/** Commit a file inside a worktree. */
+function commitIn(dir, file, content) {
+  fs.writeFileSync(path.join(dir, file), content);
+  git(dir, `add ${file}`);
+  git(dir, `commit -q -m "add ${file}"`);
+}
+
+describe('WorktreeManager', () => {
+  const wm = new WorktreeManager({ worktrees: { enabled: true } });
+  let ctx;
+
+  before(() => {
+    for (const k of ['AUTHOR', 'COMMITTER']) {
+      process.env[`GIT_${k}_NAME`] = process.env[`GIT_${k}_NAME`] || 'Test';
+      process.env[`GIT_${k}_EMAIL`] = process.env[`GIT_${k}_EMAIL`] || 'test@example.com';
+    }
+  });
+
+  afterEach(() => { if (ctx) ctx.tmp.cleanup(); ctx = null; });
+
+  it('is disabled unless configured', () => {
+    assert.equal(new WorktreeManager({}).isEnabled(), false);
+    assert.equal(wm.isEnabled(), true);
+  });
+
+  it('maps recommendations to actions with config overrides', () => {
+    assert.equal(wm.actionFor('complete'), 'merge');
+    assert.equal(wm.actionFor('retry'), 'discard');
+    assert.equal(wm.actionFor('continue'), 'keep');
+    assert.equal(wm.actionFor(undefined), 'keep');
+    const custom = new WorktreeManager({ worktrees: { onRecommendation: { retry: 'keep' } } });
+    assert.equal(custom.actionFor('retry'), 'keep');
+  });
+
+  it('reports non-git projects so callers can fall back', () => {
+    const tmp = createTempDir('wt-nogit-');
+    try {
+      const result = wm.prepare(tmp.dir, 'plain');
+      assert.equal(result.success, false);
+      assert.equal(result.notGit, true);
+    } finally {
+      tmp.cleanup();
+    }
+  });
+
+  it('creates a worktree on an orch/<project>/<ts> branch with linked signals', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+
+    assert.match(worktree.branch, /^orch\/proj\/\d{8}-\d{6}$/);
+    assert.equal(worktree.baseBranch, 'main');
+    assert.equal(git(worktree.path, 'rev-parse --abbrev-ref HEAD'), worktree.branch);
+    // User's uncommitted work stays in the main checkout only
+    assert.ok(!fs.existsSync(path.join(worktree.path, 'notes.txt')));
+    // Signals written in the worktree land in the project's .orchestrator
+    fs.writeFileSync(path.join(worktree.path, '.orchestrator', 'completed.json'), '{}');
+    assert.ok(fs.existsSync(path.join(ctx.projectDir, '.orchestrator', 'completed.json')));
+    // .orchestrator never shows up as untracked in the worktree
+    assert.equal(git(worktree.path, 'status --porcelain'), '');
+  });
+
+  it('reuses a kept worktree', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    const again = wm.prepare(ctx.projectDir, 'proj', { ...worktree, status: 'kept' });
+    assert.equal(again.worktree.path, worktree.path);
+    assert.equal(again.worktree.reused, true);
+  });
+
+  it('merges session commits into the base branch and cleans up', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    commitIn(worktree.path, 'feature.js', 'module.exports = 1;\n');
+
+    const result = wm.merge(ctx.projectDir, worktree);
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.status, 'merged');
+    assert.ok(fs.existsSync(path.join(ctx.projectDir, 'feature.js')));
+    assert.ok(fs.existsSync(path.join(ctx.projectDir, 'notes.txt')), 'dirty user file untouched');
+    assert.ok(!fs.existsSync(worktree.path));
+    assert.equal(git(ctx.projectDir, `branch --list "${worktree.branch}"`), '');
+    assert.ok(fs.existsSync(path.join(ctx.projectDir, '.orchestrator')), 'signal dir survives removal');
+  });
+
+  it('keeps the worktree when it has uncommitted changes', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    fs.writeFileSync(path.join(worktree.path, 'half-done.js'), '');
+
+    const result = wm.merge(ctx.projectDir, worktree);
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'kept');
+    assert.match(result.message, /uncommitted/);
+    assert.ok(fs.existsSync(worktree.path));
+  });
+
+  it('keeps the worktree when the merge conflicts', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    commitIn(worktree.path, 'README.md', 'from session\n');
+    commitIn(ctx.projectDir, 'README.md', 'from user\n');
+
+    const result = wm.merge(ctx.projectDir, worktree);
+    assert.equal(result.status, 'kept');
+    assert.match(result.message, /Merge of .* failed/);
+    assert.equal(git(ctx.projectDir, 'status --porcelain --untracked-files=no'), '', 'merge aborted cleanly');
+  });
+
+  it('discards a branch with no commits when asked to merge', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    const result = wm.merge(ctx.projectDir, worktree);
+    assert.equal(result.status, 'discarded');
+    assert.match(result.message, /No commits/);
+  });
+
+  it('discards a worktree and its branch', () => {
+    ctx = createRepo();
+    const { worktree } = wm.prepare(ctx.projectDir, 'proj');
+    commitIn(worktree.path, 'junk.js', 'x\n');
+
+    const result = wm.discard(ctx.projectDir, worktree);
+    assert.equal(result.success, true);
+    assert.ok(!fs.existsSync(worktree.path));
+    assert.ok(!fs.existsSync(path.join(ctx.projectDir, 'junk.js')));
+    assert.equal(git(ctx.projectDir, `branch --list "${worktree.branch}"`), '');
+  });
+});